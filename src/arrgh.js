@@ -24,7 +24,7 @@
     }
 }("arrgh", function () {
 	"use strict";
-    return (function (undefined, MAX_SAFE_INTEGER) {
+    return (function (undefined, MAX_SAFE_INTEGER, symbolIterator, symbolAsyncIterator) {
         // Helper functions
 
         /**
@@ -149,7 +149,8 @@
          * @callback zipResultSelector
          * @param {*} sourceElement - An element from the source collection.
          * @param {*} otherElement - An element from the other collection.
-         * @returns {*} - Returns a result value from two elements.
+         * @param {*} [thirdElement] - An element from the third collection, when three collections are merged.
+         * @returns {*} - Returns a result value from two or three elements.
          */
 
         /**
@@ -165,6 +166,7 @@
          * @type {Object}
          * @property {equals} [equals=(===)] - A function that tests if two elements are equal.
          * @property {getHash} [getHash=getHash() || toString()] - A function that computes an element's hash code.
+         * When neither getHash nor equals is specified objects without a getHash function are hashed by reference.
          */
 
         /**
@@ -195,6 +197,91 @@
             inheritor.prototype.constructor = inheritor;
         }
 
+        // Errors
+
+        function initError(error, message) {
+            error.message = message;
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(error, error.constructor);
+            } else {
+                error.stack = new Error(message).stack;
+            }
+        }
+
+        /**
+         * The error that is thrown when an argument is not valid.
+         * @memberof arrgh
+         * @constructor
+         * @extends Error
+         * @param {String} message - The message that describes the error.
+         * @param {String} [paramName] - The name of the parameter that caused the error.
+         * @property {String} paramName - The name of the parameter that caused the error.
+         */
+        var ArgumentError = function (message, paramName) {
+            initError(this, message);
+            this.paramName = paramName;
+        };
+        inherit(ArgumentError, Error);
+        ArgumentError.prototype.name = "ArgumentError";
+
+        /**
+         * The error that is thrown when an argument is outside the range of allowed values, such as an index outside the bounds of a collection.
+         * @memberof arrgh
+         * @constructor
+         * @extends arrgh.ArgumentError
+         * @param {String} message - The message that describes the error.
+         * @param {String} [paramName] - The name of the parameter that caused the error.
+         * @param {*} [actualValue] - The value of the parameter that caused the error.
+         * @property {String} paramName - The name of the parameter that caused the error.
+         * @property {*} actualValue - The value of the parameter that caused the error.
+         */
+        var ArgumentOutOfRangeError = function (message, paramName, actualValue) {
+            ArgumentError.call(this, message, paramName);
+            this.actualValue = actualValue;
+        };
+        inherit(ArgumentOutOfRangeError, ArgumentError);
+        ArgumentOutOfRangeError.prototype.name = "ArgumentOutOfRangeError";
+
+        /**
+         * The error that is thrown when a method can't be called in the current state of an object, such as getting the first element of an empty collection.
+         * @memberof arrgh
+         * @constructor
+         * @extends Error
+         * @param {String} message - The message that describes the error.
+         */
+        var InvalidOperationError = function (message) {
+            initError(this, message);
+        };
+        inherit(InvalidOperationError, Error);
+        InvalidOperationError.prototype.name = "InvalidOperationError";
+
+        /**
+         * The error that is thrown when a collection is modified while it's being enumerated.
+         * @memberof arrgh
+         * @constructor
+         * @extends arrgh.InvalidOperationError
+         */
+        var CollectionModifiedError = function () {
+            InvalidOperationError.call(this, "Collection was modified, enumeration operation may not execute.");
+        };
+        inherit(CollectionModifiedError, InvalidOperationError);
+        CollectionModifiedError.prototype.name = "CollectionModifiedError";
+
+        /**
+         * The error that is thrown when a key is not present in a dictionary.
+         * @memberof arrgh
+         * @constructor
+         * @extends Error
+         * @param {*} key - The key that was not found.
+         * @property {*} key - The key that was not found.
+         */
+        var KeyNotFoundError = function (key) {
+            initError(this, "Key [" + key + "] was not found in the dictionary.");
+            this.key = key;
+        };
+        inherit(KeyNotFoundError, Error);
+        KeyNotFoundError.prototype.name = "KeyNotFoundError";
+
         function isArray(o) {
             return Object.prototype.toString.call(o) === "[object Array]";
         }
@@ -207,6 +294,72 @@
             return obj !== obj;
         }
 
+        /**
+         * The settings of arrgh.js.
+         * @memberof arrgh
+         * @type {Object}
+         * @property {Boolean} validateArguments - Whether the arguments of public methods are validated before they're used, true by default.<br />
+         * Turn it off to skip the validation in hot paths, invalid arguments may then fail later or produce unexpected results.
+         */
+        var settings = {
+            validateArguments: true
+        };
+
+        // Argument validation, the errors name the operator and the parameter so they can be found without a stack trace.
+
+        function throwInvalidArgument(operator, paramName, expected) {
+            throw new ArgumentError(operator + ": " + paramName + " must be " + expected + ".", paramName);
+        }
+
+        function throwIfNotFunction(fn, operator, paramName, optional) {
+            if (settings.validateArguments && typeof fn !== "function" && !(optional && isNull(fn))) {
+                throwInvalidArgument(operator, paramName, "a function");
+            }
+        }
+
+        function throwIfNotNumber(n, operator, paramName, optional) {
+            if (settings.validateArguments && (typeof n !== "number" || isActualNaN(n)) && !(optional && isNull(n))) {
+                throwInvalidArgument(operator, paramName, "a number");
+            }
+        }
+
+        function throwIfNotEnumerable(enumerable, operator, paramName) {
+            if (settings.validateArguments && (isNull(enumerable) || typeof enumerable.getIterator !== "function")) {
+                throwInvalidArgument(operator, paramName, "an arrgh.Enumerable");
+            }
+        }
+
+        // Undefined is a valid key, so a key is only required to be passed at all.
+        function throwIfNotSupplied(args, index, operator, paramName) {
+            if (settings.validateArguments && args.length <= index) {
+                throwInvalidArgument(operator, paramName, "supplied");
+            }
+        }
+
+        function throwIfNull(obj, operator, paramName) {
+            if (settings.validateArguments && isNull(obj)) {
+                throwInvalidArgument(operator, paramName, "defined");
+            }
+        }
+
+        // Tests for every form of equality comparer that ensureEqComparer accepts.
+        function isEqComparer(eqComparer) {
+            return typeof eqComparer === "function" || (!isNull(eqComparer) && typeof eqComparer === "object" &&
+                (typeof eqComparer.equals === "function" || typeof eqComparer.getHash === "function"));
+        }
+
+        function throwIfNotEqComparer(eqComparer, operator) {
+            if (settings.validateArguments && !isNull(eqComparer) && !isEqComparer(eqComparer)) {
+                throwInvalidArgument(operator, "eqComparer", "a function or an object with an equals or getHash function");
+            }
+        }
+
+        function throwIfNotType(type, operator) {
+            if (settings.validateArguments && !isNull(type) && typeof type !== "function") {
+                throwInvalidArgument(operator, "type", "a constructor, undefined or null");
+            }
+        }
+
         function alwaysTrue() {
             return true;
         }
@@ -259,24 +412,44 @@
             return 0;
         }
 
+        // Hashes a value by its string representation.
+        function getValueHash(obj) {
+            var hash;
+            if (obj === null) {
+                hash = "null";
+            } else if (obj === undefined) {
+                hash = "undefined";
+            } else if (isActualNaN(obj)) {
+                hash = "NaN";
+            } else {
+                hash = typeof obj.getHash === "function" ?
+                    obj.getHash() :
+                    typeof obj.toString === "function" ? obj.toString() : Object.prototype.toString.call(obj);
+            }
+            return hash;
+        }
+
+        // Objects are only equal to themselves, so they're hashed by an id that's assigned the first time they're hashed.
+        // Without the id most objects would hash to "[object Object]" and end up in the same bucket.
+        var objectIds = typeof WeakMap === "function" ? new WeakMap() : undefined,
+        lastObjectId = 0;
+
         var defaultEqComparer = {
             equals: function (x, y) {
                 return x === y || (isActualNaN(x) && isActualNaN(y)); // NaN edge case.
             },
             getHash: function (obj) {
-                var hash;
-                if (obj === null) {
-                    hash = "null";
-                } else if (obj === undefined) {
-                    hash = "undefined";
-                } else if (isActualNaN(obj)) {
-                    hash = "NaN";
-                } else {
-                    hash = typeof obj.getHash === "function" ?
-                        obj.getHash() :
-                        typeof obj.toString === "function" ? obj.toString() : Object.prototype.toString.call(obj);
+                var id;
+                if (!objectIds || isNull(obj) || (typeof obj !== "object" && typeof obj !== "function") || typeof obj.getHash === "function") {
+                    return getValueHash(obj);
+                }
+                id = objectIds.get(obj);
+                if (id === undefined) {
+                    lastObjectId += 1;
+                    id = "#object" + lastObjectId;
+                    objectIds.set(obj, id);
                 }
-                return hash;
+                return id;
             }
         };
 
@@ -288,29 +461,33 @@
                 return eqComparer;
             }
 
+            // A custom equals may consider different objects equal,
+            // so those objects need to be hashed by value rather than by identity.
             var fullEqComparer;
             if (typeof eqComparer === "function") {
                 fullEqComparer = {
                     equals: eqComparer,
-                    getHash: defaultEqComparer.getHash
+                    getHash: getValueHash
                 };
             } else {
                 fullEqComparer = {
                     equals: eqComparer.equals || defaultEqComparer.equals,
-                    getHash: eqComparer.getHash || defaultEqComparer.getHash
+                    getHash: eqComparer.getHash || (eqComparer.equals ? getValueHash : defaultEqComparer.getHash)
                 };
             }
             return fullEqComparer;
         }
 
         function findElem(collection, predicate, xOrDefault) {
-            if (!collection.any()) {
-                throw new Error("Collection contains no elements.");
-            }
             var def = {},
-            elem = xOrDefault(predicate, def);
+            // Without a predicate the default value is the first argument.
+            elem = typeof predicate === "function" ? xOrDefault(predicate, def) : xOrDefault(def);
             if (elem === def) {
-                throw new Error("Collection contains no matching element.");
+                // Only evaluate the collection again to find out why no element was found.
+                if (!collection.any()) {
+                    throw new InvalidOperationError("Collection contains no elements.");
+                }
+                throw new InvalidOperationError("Collection contains no matching element.");
             }
             return elem;
         }
@@ -319,26 +496,23 @@
             var temp = predicate;
             predicate = typeof predicate === "function" ? predicate : undefined;
             defaultValue = predicate ? defaultValue : temp;
-            if (collection.any()) {
-                var context = {
-                    found: false,
-                    elem: undefined
-                };
-                collection.forEach(function (elem) {
-                    if (predicate) {
-                        if (predicate(elem)) {
-                            return onFound(context, elem);
-                        }
-                    } else {
+            var context = {
+                found: false,
+                elem: undefined
+            };
+            collection.forEach(function (elem) {
+                if (predicate) {
+                    if (predicate(elem)) {
                         return onFound(context, elem);
                     }
-                });
-                if (!context.found) {
-                    return defaultValue;
+                } else {
+                    return onFound(context, elem);
                 }
-                return context.elem;
+            });
+            if (!context.found) {
+                return defaultValue;
             }
-            return defaultValue;
+            return context.elem;
         }
 
         function sumCount(collection, selector, calculator) {
@@ -351,7 +525,7 @@
             });
 
             if (count === 0) {
-                throw new Error("Collection contains no elements.");
+                throw new InvalidOperationError("Collection contains no elements.");
             }
 
             return calculator(sum, count);
@@ -375,24 +549,50 @@
          * @returns {*} - Returns the value at the current position of the Iterator.
          */
 
+        /**
+         * A parameterless function that releases the resources of the iterator, such as a file handle or a database cursor.<br />
+         * Called when the iterator is no longer needed, also when it's stopped before the end of the collection.
+         * Calling it again or calling it on an iterator that has reached the end of the collection does nothing.
+         * @function dispose
+         * @memberof arrgh.Iterator
+         * @instance
+         */
+
         /**
          * Supports iteration over a collection.
          * @memberof arrgh
          * @constructor
          * @param {function} moveNext - A parameterless function that moves the iterator to the next position.
          * @param {function} current - A parameterless function that returns the value at the current position.
+         * @param {function} [dispose] - A parameterless function that releases the resources of the iterator.
          */
-        var Iterator = function (moveNext, current) {
+        var Iterator = function (moveNext, current, dispose) {
+            var disposed = false;
             this.moveNext = moveNext;
             this.current = current;
+            this.dispose = function () {
+                if (!disposed) {
+                    disposed = true;
+                    if (dispose) {
+                        dispose();
+                    }
+                }
+            };
         };
 
+        // Disposes the iterator, iterators that were not created by the Iterator constructor may not have a dispose function.
+        function disposeIterator(iterator) {
+            if (iterator && typeof iterator.dispose === "function") {
+                iterator.dispose();
+            }
+        }
+
         var getArrayIterator = function (arr) {
             var len = arr.length,
             index = -1;
             return new Iterator(function () {
                 if (arr.length !== len) {
-                    throw new Error("Collection was modified, enumeration operation may not execute.");
+                    throw new CollectionModifiedError();
                 }
                 index += 1;
                 return index < len;
@@ -401,6 +601,219 @@
             });
         };
 
+        // Wraps an arrgh.Iterator in an object that implements the ES2015 iterator protocol.
+        var getEsIterator = function (iterator) {
+            var esIterator = {
+                next: function () {
+                    if (iterator.moveNext()) {
+                        return {
+                            done: false,
+                            value: iterator.current()
+                        };
+                    }
+                    // Nothing calls return after a for...of loop or spread has seen all elements.
+                    disposeIterator(iterator);
+                    return {
+                        done: true,
+                        value: undefined
+                    };
+                }
+            };
+            // Called by for...of when the loop is stopped early.
+            esIterator["return"] = function (value) {
+                disposeIterator(iterator);
+                return {
+                    done: true,
+                    value: value
+                };
+            };
+            esIterator[symbolIterator] = function () {
+                return esIterator;
+            };
+            return esIterator;
+        };
+
+        // Wraps an object that implements the ES2015 iterator protocol in an arrgh.Iterator.
+        var getIteratorFromEsIterator = function (esIterator) {
+            var done = false,
+            current;
+            return new Iterator(function () {
+                current = undefined;
+                if (!done) {
+                    var result = esIterator.next();
+                    done = !!result.done;
+                    if (!done) {
+                        current = result.value;
+                    }
+                }
+                return !done;
+            }, function () {
+                return current;
+            }, function () {
+                if (!done) {
+                    done = true;
+                    current = undefined;
+                    if (typeof esIterator["return"] === "function") {
+                        esIterator["return"]();
+                    }
+                }
+            });
+        };
+
+        // Returns a function that returns iterators over a source that can only be iterated once.
+        // Elements are buffered as they are pulled from the source so that every iterator gets all of them.
+        // The source iterator is disposed once it's at the end, not when an iterator is disposed, as other iterators may still need it.
+        var getBufferedIteratorFactory = function (getSourceIterator) {
+            var buffer = [],
+            sourceIterator,
+            done = false;
+            return function () {
+                var index = -1,
+                current;
+                return new Iterator(function () {
+                    current = undefined;
+                    index += 1;
+                    if (index < buffer.length) {
+                        current = buffer[index];
+                        return true;
+                    }
+                    if (!done) {
+                        sourceIterator = sourceIterator || getSourceIterator();
+                        if (sourceIterator.moveNext()) {
+                            current = sourceIterator.current();
+                            buffer.push(current);
+                            return true;
+                        }
+                        done = true;
+                        disposeIterator(sourceIterator);
+                    }
+                    index = buffer.length;
+                    return false;
+                }, function () {
+                    return current;
+                });
+            };
+        };
+
+        function isGeneratorFunction(fn) {
+            return Object.prototype.toString.call(fn) === "[object GeneratorFunction]";
+        }
+
+        // Returns a function that returns an arrgh.Iterator for the input
+        // or undefined when the input cannot be iterated over.
+        function getIteratorFactory(iterable) {
+            if (isArray(iterable) || typeof iterable === "string") {
+                return function () {
+                    return getArrayIterator(iterable);
+                };
+            }
+            if (isNull(iterable)) {
+                return undefined;
+            }
+            if (iterable.getIterator) {
+                return iterable.getIterator;
+            }
+            if (typeof iterable === "function") {
+                if (isGeneratorFunction(iterable)) {
+                    return function () {
+                        return getIteratorFromEsIterator(iterable());
+                    };
+                }
+                return iterable;
+            }
+            if (typeof iterable !== "object") {
+                return undefined;
+            }
+            if (typeof iterable.length === "number") {
+                // Array-likes, such as arguments, NodeLists and typed arrays.
+                return function () {
+                    return getArrayIterator(iterable);
+                };
+            }
+            if (typeof iterable.next === "function") {
+                // An iterator, such as a generator object, can only be iterated once.
+                return getBufferedIteratorFactory(function () {
+                    return getIteratorFromEsIterator(iterable);
+                });
+            }
+            if (symbolIterator && typeof iterable[symbolIterator] === "function") {
+                return function () {
+                    return getIteratorFromEsIterator(iterable[symbolIterator]());
+                };
+            }
+            return undefined;
+        }
+
+        // An indexer gives random access to a collection of known length, { count: function, get: function (index), [version]: function }.
+        // Arrays, strings and lists have one, as have the select, skip, take and reverse of a collection that has one,
+        // so operators can go straight to the elements they need instead of iterating over all elements before them.
+        // Collections that know when they're modified, like lists, pass a version that changes on every modification.
+        function getIndexer(source) {
+            if (isArray(source) || typeof source === "string") {
+                return {
+                    count: function () {
+                        return source.length;
+                    },
+                    get: function (index) {
+                        return source[index];
+                    }
+                };
+            }
+            if (!isNull(source) && source._) {
+                return source._.indexer;
+            }
+            return undefined;
+        }
+
+        function setIndexer(enumerable, indexer) {
+            if (indexer) {
+                enumerable._ = {
+                    indexer: indexer
+                };
+            }
+            return enumerable;
+        }
+
+        // Without a version only a change in the number of elements can be detected.
+        function getIndexerVersion(indexer) {
+            return indexer.version ? indexer.version() : indexer.count();
+        }
+
+        var getIndexedIterator = function (indexer) {
+            var len = indexer.count(),
+            version = getIndexerVersion(indexer),
+            index = -1;
+            return new Iterator(function () {
+                if (getIndexerVersion(indexer) !== version) {
+                    throw new CollectionModifiedError();
+                }
+                index += 1;
+                return index < len;
+            }, function () {
+                if (index < 0 || index >= len) {
+                    return undefined;
+                }
+                return indexer.get(index);
+            });
+        };
+
+        function getVersionedIterator(collection, getAt) {
+            var version = collection._.version,
+            index = -1;
+            return new Iterator(function () {
+                if (collection._.version !== version) {
+                    throw new CollectionModifiedError();
+                }
+                index = Math.min(index + 1, collection.length);
+                return index < collection.length;
+            }, function () {
+                if (index < 0 || index >= collection.length) {
+                    return undefined;
+                }
+                return getAt(index);
+            });
+        }
+
         // Enumerables
 
         /**
@@ -412,10 +825,13 @@
          */
 
         /**
-         * Represents the base class for any collection.
+         * Represents the base class for any collection.<br />
+         * Any ES2015 iterable (such as a Map, Set or typed array), array-like object (such as arguments or a NodeList) or generator function can be used as a source as well.<br />
+         * Generator functions are called again for each enumeration, iterators (such as generator objects) are buffered as they are enumerated so they can be enumerated more than once.<br />
+         * A function that returns an {@link arrgh.Iterator} can pass a dispose function to the iterator to release its resources when an enumeration ends or is stopped early.
          * @memberof arrgh
          * @constructor
-         * @param {(Array|String|arrgh.Enumerable|Function|params)} [enumerable=[]] - An array, string or enumerable to add to the new collection or a parameterless function that returns an {@link arrgh.Iterator}.
+         * @param {(Array|String|arrgh.Enumerable|Function|Object|params)} [enumerable=[]] - An array, string, enumerable, iterable or array-like to add to the new collection, a generator function or a parameterless function that returns an {@link arrgh.Iterator}.
          */
         var Enumerable = function (enumerable) {
             var iterable;
@@ -425,17 +841,12 @@
                 iterable = enumerable || [];
             }
 
-            if (isArray(iterable) || typeof iterable === "string") {
-                this.getIterator = function () {
-                    return getArrayIterator(iterable);
-                };
-            } else if (iterable.getIterator) {
-                this.getIterator = iterable.getIterator;
-            } else if (typeof iterable === "function") {
-                this.getIterator = iterable;
-            } else {
-                throw new Error("The input parameter for Enumerable was not valid.");
+            var getIterator = getIteratorFactory(iterable);
+            if (!getIterator) {
+                throw new ArgumentError("The input parameter for Enumerable was not valid.", "enumerable");
             }
+            this.getIterator = getIterator;
+            setIndexer(this, getIndexer(iterable));
         };
 
         /**
@@ -443,15 +854,18 @@
          * @memberof arrgh
          * @constructor
          * @extends arrgh.Enumerable
-         * @param {(Array|String|arrgh.Enumerable|params)} [enumerable=[]] - An array, string or enumerable whose elements are copied to the new list.
+         * @param {(Array|String|arrgh.Enumerable|Object|params)} [enumerable=[]] - An array, string, enumerable, iterable, array-like or generator function whose elements are copied to the new list.
          */
         var List = function (enumerable) {
             var self = this,
             iterable,
+            getIterator,
             arr;
 
             Enumerable.call(this, function () {
-                return getArrayIterator(self._.arr);
+                return getVersionedIterator(self, function (index) {
+                    return self._.arr[index];
+                });
             });
 
             if (arguments.length > 1) {
@@ -464,2193 +878,7696 @@
                 arr = iterable.slice();
             } else if (typeof iterable === "string") {
                 arr = iterable.split("");
-            } else if (iterable.getIterator) {
-                arr = [];
-                iterable.forEach(function (elem) {
-                    arr.push(elem);
-                });
             } else {
-                throw new Error("The input parameter for List was not valid.");
+                getIterator = getIteratorFactory(iterable);
+                if (!getIterator || (typeof iterable === "function" && !isGeneratorFunction(iterable))) {
+                    throw new ArgumentError("The input parameter for List was not valid.", "enumerable");
+                }
+                arr = new Enumerable(getIterator).toArray();
             }
             this._ = {
-                arr: arr
+                arr: arr,
+                version: 0,
+                indexer: {
+                    count: function () {
+                        return self.length;
+                    },
+                    get: function (index) {
+                        return self._.arr[index];
+                    },
+                    version: function () {
+                        return self._.version;
+                    }
+                }
             };
             this.length = arr.length;
         };
         inherit(List, Enumerable);
 
-        /**
-         * Represents a collection of keys and values.
-         * @memberof arrgh
-         * @constructor
-         * @extends arrgh.Enumerable
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two objects are equal.
-         */
-        var Dictionary = function (eqComparer) {
-            var self = this;
+        // Consecutive where, select, skip, take and takeWhile operators are fused into a single query,
+        // so every element goes through the stages in one loop instead of through an iterator per stage.
+        // A stage is { type: String, fn: Function } or { type: String, count: Number }.
+        // Selectors are only invoked once a later stage or the consumer needs the element, just like with separate iterators.
+        // Returns the state of a single run of the query, elements are pushed into it until it's done.
+        var getFusedRun = function (stages) {
+            var length = stages.length,
+            types = [],
+            fns = [],
+            counts = [],
+            counters = [],
+            // Stages before selected have been applied to elem, selectors from there on may still have to be invoked.
+            selected = length,
+            elem,
+            run,
+            i;
 
-            Enumerable.call(self, function () {
-                var iterator = self._.entries.getIterator();
-                return new Iterator(function () {
-                    return iterator.moveNext();
-                }, function () {
-                    var current = iterator.current();
-                    if (current) {
-                        return {
-                            key: current.key,
-                            value: current.value
-                        };
+            function select(upTo) {
+                var j;
+                for (j = selected; j < upTo; j += 1) {
+                    if (types[j] === "select") {
+                        elem = fns[j](elem, counters[j] - 1);
                     }
-                    return undefined;
-                });
-            });
+                }
+                if (upTo > selected) {
+                    selected = upTo;
+                }
+                return elem;
+            }
 
-            this.length = 0;
-            this._ = {
-                eqComparer: ensureEqComparer(eqComparer),
-                keys: {},
-                entries: new List()
+            run = {
+                done: false,
+                // Returns whether the element passed all stages.
+                push: function (value) {
+                    var type,
+                    index,
+                    k;
+                    elem = value;
+                    selected = 0;
+                    for (k = 0; k < length; k += 1) {
+                        type = types[k];
+                        index = counters[k];
+                        counters[k] = index + 1;
+                        if (type === "where") {
+                            if (!fns[k](selected < k ? select(k) : elem, index)) {
+                                return false;
+                            }
+                        } else if (type === "skip") {
+                            if (index < counts[k]) {
+                                return false;
+                            }
+                        } else if (type === "take") {
+                            // The source isn't moved again after the last element is taken.
+                            run.done = run.done || index + 1 >= counts[k];
+                        } else if (type === "takeWhile" && !fns[k](selected < k ? select(k) : elem, index)) {
+                            run.done = true;
+                            return false;
+                        }
+                    }
+                    return true;
+                },
+                current: function () {
+                    return selected < length ? select(length) : elem;
+                },
+                end: function () {
+                    run.done = true;
+                    elem = undefined;
+                    selected = length;
+                }
             };
+
+            for (i = 0; i < length; i += 1) {
+                types.push(stages[i].type);
+                fns.push(stages[i].fn);
+                counts.push(stages[i].count);
+                counters.push(0);
+                // take(0) doesn't even move the source.
+                if (stages[i].type === "take" && stages[i].count === 0) {
+                    run.done = true;
+                }
+            }
+            return run;
         };
-        inherit(Dictionary, Enumerable);
 
-        /**
-         * Represents a collection of keys each mapped to one or more values.
-         * @memberof arrgh
-         * @private
-         * @constructor
-         * @extends arrgh.Enumerable
-         * @param {arrgh.Enumerable} source - The collection to map to a lookup.
-         * @param {keySelector} keySelector - A function that returns the key value from an element of the inner collection.
-         * @param {selector} [elementSelector] - A function that projects an element into a new form.
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
-         */
-        var Lookup = function (source, keySelector, elementSelector, eqComparer) {
-            var d;
-            Enumerable.call(this, function () {
-                var iterator = d.getIterator();
-                return new Iterator(iterator.moveNext, function () {
-                    var current = iterator.current();
-                    if (isNull(current)) {
-                        return current;
+        var getFusedIterator = function (query) {
+            var indexer = getIndexer(query.source),
+            iterator = indexer ? getIndexedIterator(indexer) : query.source.getIterator(),
+            run = getFusedRun(query.stages);
+            return new Iterator(function () {
+                while (!run.done && iterator.moveNext()) {
+                    if (run.push(iterator.current())) {
+                        return true;
                     }
-                    var group = current.value.asEnumerable();
-                    group.key = current.key;
-                    return group;
-                });
+                }
+                // Release the source as soon as a take or takeWhile ends the run, not only when the iterator is disposed.
+                disposeIterator(iterator);
+                run.end();
+                return false;
+            }, run.current, function () {
+                disposeIterator(iterator);
             });
+        };
 
-            if (typeof elementSelector !== "function") {
-                eqComparer = elementSelector;
-                elementSelector = null;
+        // Pushes the elements of the source through the query without an iterator per stage.
+        function forEachFused(query, callback) {
+            var indexer = getIndexer(query.source),
+            run = getFusedRun(query.stages),
+            cont = null,
+            index = 0,
+            count,
+            version,
+            i;
+
+            function push(elem) {
+                if (run.push(elem)) {
+                    cont = callback(run.current(), index);
+                    index += 1;
+                    if (!isNull(cont) && !cont) {
+                        return false;
+                    }
+                }
+                return !run.done;
             }
-            elementSelector = elementSelector || identity;
 
-            d = new Dictionary(eqComparer);
-            source.forEach(function (elem) {
-                var key = keySelector(elem);
-                var element = elementSelector(elem);
-                if (d.containsKey(key)) {
-                    d.get(key).add(element);
-                } else {
-                    d.add(key, new List([element]));
+            if (run.done) {
+                return;
+            }
+            if (!indexer) {
+                query.source.forEach(push);
+                return;
+            }
+            count = indexer.count();
+            version = getIndexerVersion(indexer);
+            for (i = 0; i < count && push(indexer.get(i)); i += 1) {
+                if (getIndexerVersion(indexer) !== version) {
+                    throw new CollectionModifiedError();
                 }
+            }
+        }
+
+        function fuse(enumerable, stage, indexer) {
+            var parent = enumerable._ && enumerable._.query,
+            query = {
+                source: parent ? parent.source : enumerable,
+                stages: parent ? parent.stages.concat([stage]) : [stage]
+            },
+            fused = new Enumerable(function () {
+                return getFusedIterator(query);
             });
+            fused._ = {
+                query: query,
+                indexer: indexer
+            };
+            return fused;
+        }
 
-            this.length = d.length;
+        // Dictionary storage:
+        // entries holds the pairs in insertion order, a removed pair leaves a hole (undefined) until the entries are compacted.
+        // Pairs are found through a native Map when the default equality comparer is used
+        // or else through buckets keyed by "$" + hash, where a bucket is a single pair or an array of pairs.
+        function resetDictionary(dict) {
+            dict._.entries = [];
+            dict._.holes = 0;
+            dict._.map = dict._.eqComparer === defaultEqComparer && typeof Map === "function" ? new Map() : undefined;
+            dict._.buckets = {};
+            dict._.version += 1;
+        }
 
-            /**
-             * Gets the collection at the specified key.
-             * @function get
-             * @memberof arrgh.Lookup
-             * @instance
-             * @param {*} key - The key of the collection which should be retrieved.
-             * @returns {grouping} - Returns the collection with the specified key or an empty collection if the key was not found.
-             */
-            this.get = function (key) {
-                var group;
-                if (d.containsKey(key)) {
-                    group = d.get(key).asEnumerable();
-                    group.key = key;
-                } else {
-                    group = new Enumerable();
-                    group.key = key;
-                }
-                return group;
-            };
-        };
-        inherit(Lookup, Enumerable);
+        function getBucketName(dict, key) {
+            return "$" + dict._.eqComparer.getHash(key);
+        }
 
-        function stableQuicksort(map, startIndex, endIndex, compare) {
-            var low = startIndex,
-            high = endIndex,
-            pindex = Math.floor((low + high) / 2),
-            pivot = map[pindex],
-            lindex,
-            hindex,
-            result,
-            temp;
-            while (low <= high) {
-                lindex = map[low];
-                result = compare(lindex, pivot);
-                while (result < 0 || (result === 0 && lindex < pivot)) {
-                    low += 1;
-                    lindex = map[low];
-                    result = compare(lindex, pivot);
+        function findPair(dict, key) {
+            var name,
+            bucket,
+            i;
+            if (dict._.map) {
+                return dict._.map.get(key);
+            }
+            name = getBucketName(dict, key);
+            if (!dict._.buckets.hasOwnProperty(name)) {
+                return undefined;
+            }
+            bucket = dict._.buckets[name];
+            if (!isArray(bucket)) {
+                return dict._.eqComparer.equals(bucket.key, key) ? bucket : undefined;
+            }
+            for (i = 0; i < bucket.length; i += 1) {
+                if (dict._.eqComparer.equals(bucket[i].key, key)) {
+                    return bucket[i];
                 }
+            }
+            return undefined;
+        }
 
-                hindex = map[high];
-                result = compare(hindex, pivot);
-                while (result > 0 || (result === 0 && hindex > pivot)) {
-                    high -= 1;
-                    hindex = map[high];
-                    result = compare(hindex, pivot);
+        function addPair(dict, key, value) {
+            var pair = {
+                key: key,
+                value: value,
+                index: dict._.entries.length
+            },
+            buckets = dict._.buckets,
+            name;
+            dict._.entries.push(pair);
+            if (dict._.map) {
+                dict._.map.set(key, pair);
+            } else {
+                name = getBucketName(dict, key);
+                if (!buckets.hasOwnProperty(name)) {
+                    buckets[name] = pair;
+                } else if (isArray(buckets[name])) {
+                    buckets[name].push(pair);
+                } else {
+                    buckets[name] = [buckets[name], pair];
                 }
-                if (low <= high) {
-                    temp = map[low];
-                    map[low] = map[high];
-                    map[high] = temp;
-                    low += 1;
-                    high -= 1;
+            }
+            dict.length += 1;
+            dict._.version += 1;
+        }
+
+        function compactDictionary(dict) {
+            var entries = dict._.entries,
+            compacted = [],
+            i;
+            for (i = 0; i < entries.length; i += 1) {
+                if (entries[i]) {
+                    entries[i].index = compacted.length;
+                    compacted.push(entries[i]);
                 }
             }
+            dict._.entries = compacted;
+            dict._.holes = 0;
+        }
 
-            if (low < endIndex) {
-                stableQuicksort(map, low, endIndex, compare);
+        function removePair(dict, pair) {
+            var buckets = dict._.buckets,
+            name,
+            bucket,
+            i;
+            if (dict._.map) {
+                dict._.map["delete"](pair.key);
+            } else {
+                name = getBucketName(dict, pair.key);
+                bucket = buckets[name];
+                if (bucket === pair) {
+                    delete buckets[name];
+                } else {
+                    i = 0;
+                    while (bucket[i] !== pair) {
+                        i += 1;
+                    }
+                    bucket.splice(i, 1);
+                    if (bucket.length === 1) {
+                        buckets[name] = bucket[0];
+                    }
+                }
             }
-            if (high > startIndex) {
-                stableQuicksort(map, startIndex, high, compare);
+            dict._.entries[pair.index] = undefined;
+            dict._.holes += 1;
+            if (dict._.holes > 16 && dict._.holes * 2 > dict._.entries.length) {
+                compactDictionary(dict);
             }
+            dict.length -= 1;
+            dict._.version += 1;
         }
 
         /**
-         * Represents an ordered collection that can be iterated over.
+         * Represents a collection of keys and values.
          * @memberof arrgh
-         * @private
          * @constructor
          * @extends arrgh.Enumerable
-         * @param {arrgh.Enumerable} source - The collection that needs to be sorted.
-         * @param {keySelector} keySelector - A function to extract the key from an element.
-         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
-         * @param {Boolean} descending - Indicated wheter the collection needs to be sorted ascending or descending.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two objects are equal.
          */
-        var OrderedEnumerable = function (source, keySelector, compare, descending) {
-            var self = this,
-            keys;
-            compare = compare || defaultCompare;
-            descending = descending ? -1 : 1;
-
-            self.getSource = function () {
-                if (source.getSource) {
-                    return source.getSource();
-                }
-                return source;
-            };
+        var Dictionary = function (eqComparer) {
+            var self = this;
+            throwIfNotEqComparer(eqComparer, "Dictionary");
 
-            self.computeKeys = function (elements, count) {
-                var arr = new Array(count),
-                i;
-                for (i = 0; i < count; i += 1) {
-                    arr[i] = keySelector(elements[i]);
-                }
-                keys = arr;
-                if (source.computeKeys) {
-                    source.computeKeys(elements, count);
-                }
-            };
-            self.compareKeys = function (i, j) {
-                var result = 0;
-                if (source.compareKeys) {
-                    result = source.compareKeys(i, j);
-                }
-                if (result === 0) {
-                    result = compare(keys[i], keys[j]) * descending;
-                }
-                return result;
-            };
-            Enumerable.call(this, function () {
-                var sourceArr = self.getSource().toArray(),
-                count = sourceArr.length,
-                map = new Array(count),
-                index;
-                self.computeKeys(sourceArr, count);
-                for (index = 0; index < count; index += 1) {
-                    map[index] = index;
-                }
-                stableQuicksort(map, 0, count - 1, self.compareKeys);
-                index = -1;
+            Enumerable.call(self, function () {
+                var version = self._.version,
+                index = -1,
+                current;
                 return new Iterator(function () {
-                    index += 1;
-                    return index < count;
+                    if (self._.version !== version) {
+                        throw new CollectionModifiedError();
+                    }
+                    var entries = self._.entries;
+                    // Removed pairs leave a hole in the entries until they're compacted.
+                    do {
+                        index += 1;
+                    } while (index < entries.length && !entries[index]);
+                    if (index >= entries.length) {
+                        index = entries.length;
+                        current = undefined;
+                        return false;
+                    }
+                    current = entries[index];
+                    return true;
                 }, function () {
-                    return sourceArr[map[index]];
+                    if (current) {
+                        return {
+                            key: current.key,
+                            value: current.value
+                        };
+                    }
+                    return undefined;
                 });
             });
+
+            this.length = 0;
+            this._ = {
+                eqComparer: ensureEqComparer(eqComparer),
+                version: 0
+            };
+            resetDictionary(this);
         };
-        inherit(OrderedEnumerable, Enumerable);
+        inherit(Dictionary, Enumerable);
 
-        var getUnionIterator = function (first, second, eqComparer) {
-            var firstIterator = first.getIterator(),
-            secondIterator = second.getIterator(),
-            current,
-            moveFirst = true,
-            d,
-            alreadyUnioned,
-            moveNext;
+        /**
+         * Represents a collection of unique elements.
+         * @memberof arrgh
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {(Array|String|arrgh.Enumerable|Object)} [enumerable=[]] - A collection whose elements are copied to the new set, duplicates are ignored.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two elements are equal. May also be passed as the only argument,
+         * an equality function passed as the only argument must declare two parameters.
+         */
+        var HashSet = function (enumerable, eqComparer) {
+            var self = this;
 
-            var move = function (iterator) {
-                var hasNext = iterator.moveNext();
-                if (hasNext) {
-                    current = iterator.current();
-                    if (eqComparer && alreadyUnioned(current)) {
-                        return moveNext(iterator);
+            Enumerable.call(self, function () {
+                var iterator = self._.dict.getIterator();
+                return new Iterator(iterator.moveNext, function () {
+                    var current = iterator.current();
+                    if (current) {
+                        return current.key;
                     }
-                }
-                return hasNext;
+                    return undefined;
+                });
+            });
+
+            // A function that returns an iterator is a collection, an equality function is told apart by its two parameters.
+            if (arguments.length === 1 && isEqComparer(enumerable) && (typeof enumerable !== "function" || enumerable.length === 2)) {
+                eqComparer = enumerable;
+                enumerable = undefined;
+            }
+
+            this.length = 0;
+            this._ = {
+                eqComparer: ensureEqComparer(eqComparer),
+                dict: new Dictionary(eqComparer)
             };
+            if (!isNull(enumerable)) {
+                this.unionWith(enumerable);
+            }
+        };
+        inherit(HashSet, Enumerable);
 
-            if (eqComparer) {
-                d = new Dictionary(eqComparer);
+        // Balanced (AVL) binary search tree used by the sorted collections.
+        // Every node keeps the size of its subtree so elements can be found by rank.
+        // The version is incremented on every structural change so iterators can detect modifications.
+        function createTree(compare) {
+            return {
+                root: null,
+                compare: compare || defaultCompare,
+                version: 0
+            };
+        }
 
-                alreadyUnioned = function (elem) {
-                    if (d.containsKey(elem)) {
-                        return true;
-                    }
-                    d.add(elem);
-                    return false;
+        function nodeHeight(node) {
+            return node ? node.height : 0;
+        }
+
+        function nodeSize(node) {
+            return node ? node.size : 0;
+        }
+
+        function updateNode(node) {
+            node.height = Math.max(nodeHeight(node.left), nodeHeight(node.right)) + 1;
+            node.size = nodeSize(node.left) + nodeSize(node.right) + 1;
+        }
+
+        function rotateLeft(node) {
+            var right = node.right;
+            node.right = right.left;
+            right.left = node;
+            updateNode(node);
+            updateNode(right);
+            return right;
+        }
+
+        function rotateRight(node) {
+            var left = node.left;
+            node.left = left.right;
+            left.right = node;
+            updateNode(node);
+            updateNode(left);
+            return left;
+        }
+
+        function balanceNode(node) {
+            updateNode(node);
+            var balance = nodeHeight(node.left) - nodeHeight(node.right);
+            if (balance > 1) {
+                if (nodeHeight(node.left.left) < nodeHeight(node.left.right)) {
+                    node.left = rotateLeft(node.left);
+                }
+                return rotateRight(node);
+            }
+            if (balance < -1) {
+                if (nodeHeight(node.right.right) < nodeHeight(node.right.left)) {
+                    node.right = rotateRight(node.right);
+                }
+                return rotateLeft(node);
+            }
+            return node;
+        }
+
+        function insertNode(tree, node, key, value, context) {
+            if (!node) {
+                context.added = true;
+                return {
+                    key: key,
+                    value: value,
+                    left: null,
+                    right: null,
+                    height: 1,
+                    size: 1
                 };
             }
-            moveNext = function () {
-                current = undefined;
-                if (moveFirst) {
-                    moveFirst = move(firstIterator);
-                    if (!moveFirst) {
-                        // If there is no next item
-                        // move on to the second iterator.
-                        return moveNext();
-                    }
+            var result = tree.compare(key, node.key);
+            if (result < 0) {
+                node.left = insertNode(tree, node.left, key, value, context);
+            } else if (result > 0) {
+                node.right = insertNode(tree, node.right, key, value, context);
+            } else {
+                return node;
+            }
+            return balanceNode(node);
+        }
 
-                    return true;
-                }
-                return move(secondIterator);
+        // Adds the key and value to the tree, returns false (and doesn't change anything) when the key is already present.
+        function treeInsert(tree, key, value) {
+            var context = {
+                added: false
             };
+            tree.root = insertNode(tree, tree.root, key, value, context);
+            if (context.added) {
+                tree.version += 1;
+            }
+            return context.added;
+        }
 
-            return new Iterator(moveNext, function () {
-                return current;
-            });
-        };
+        function removeMinNode(node) {
+            if (!node.left) {
+                return node.right;
+            }
+            node.left = removeMinNode(node.left);
+            return balanceNode(node);
+        }
 
-        var empty = new Enumerable(),
-        enumProto = Enumerable.prototype,
-        aggregate = function (source, aggregator) {
-            var iterator = source.getIterator();
-            if (!iterator.moveNext()) {
-                throw new Error("Collection contains no elements.");
+        function removeNode(tree, node, key, context) {
+            if (!node) {
+                return null;
             }
-            var accumulate = iterator.current();
-            while (iterator.moveNext()) {
-                accumulate = aggregator(accumulate, iterator.current());
+            var result = tree.compare(key, node.key),
+            min;
+            if (result < 0) {
+                node.left = removeNode(tree, node.left, key, context);
+            } else if (result > 0) {
+                node.right = removeNode(tree, node.right, key, context);
+            } else {
+                context.removed = node;
+                if (!node.left) {
+                    return node.right;
+                }
+                if (!node.right) {
+                    return node.left;
+                }
+                min = node.right;
+                while (min.left) {
+                    min = min.left;
+                }
+                min.right = removeMinNode(node.right);
+                min.left = node.left;
+                node = min;
             }
-            return accumulate;
-        },
-        aggregateSeed = function (source, seed, aggregator, resultSelector) {
-            resultSelector = resultSelector || identity;
-            var accumulate = seed,
-            loopedOnce = false;
+            return balanceNode(node);
+        }
+
+        // Removes the key from the tree and returns the removed node, or undefined when the key was not found.
+        function treeRemove(tree, key) {
+            var context = {};
+            tree.root = removeNode(tree, tree.root, key, context);
+            if (context.removed) {
+                tree.version += 1;
+            }
+            return context.removed;
+        }
+
+        function treeClear(tree) {
+            tree.root = null;
+            tree.version += 1;
+        }
+
+        function treeFind(tree, key) {
+            var node = tree.root,
+            result;
+            while (node) {
+                result = tree.compare(key, node.key);
+                if (result === 0) {
+                    return node;
+                }
+                node = result < 0 ? node.left : node.right;
+            }
+            return undefined;
+        }
+
+        // Finds the node with the greatest key smaller than or equal to (floor)
+        // or the smallest key greater than or equal to (ceiling) the specified key.
+        function treeFindNearest(tree, key, floor) {
+            var node = tree.root,
+            nearest,
+            result;
+            while (node) {
+                result = tree.compare(key, node.key);
+                if (result === 0) {
+                    return node;
+                }
+                if ((result > 0) === floor) {
+                    nearest = node;
+                }
+                node = result < 0 ? node.left : node.right;
+            }
+            return nearest;
+        }
+
+        function treeEdge(tree, last) {
+            var node = tree.root;
+            if (!node) {
+                throw new InvalidOperationError("Collection contains no elements.");
+            }
+            while (last ? node.right : node.left) {
+                node = last ? node.right : node.left;
+            }
+            return node;
+        }
+
+        // Returns the number of keys in the tree that are smaller than the specified key.
+        function treeRank(tree, key) {
+            var node = tree.root,
+            rank = 0,
+            result;
+            while (node) {
+                result = tree.compare(key, node.key);
+                if (result > 0) {
+                    rank += nodeSize(node.left) + 1;
+                    node = node.right;
+                } else {
+                    node = node.left;
+                }
+            }
+            return rank;
+        }
+
+        // Returns the node at the specified (in range) index.
+        function treeNodeAt(tree, index) {
+            var node = tree.root,
+            leftSize;
+            while (node) {
+                leftSize = nodeSize(node.left);
+                if (index === leftSize) {
+                    return node;
+                }
+                if (index < leftSize) {
+                    node = node.left;
+                } else {
+                    index -= leftSize + 1;
+                    node = node.right;
+                }
+            }
+            return undefined;
+        }
+
+        function ensureTreeRange(tree, lower, upper, paramName) {
+            if (tree.compare(lower, upper) > 0) {
+                throw new ArgumentError("The lower bound must be smaller than or equal to the upper bound.", paramName);
+            }
+        }
+
+        // Returns an iterator that walks the tree in order (or in reverse order when descending is true).
+        // The range is optional and may contain an inclusive lower and upper bound.
+        function getTreeIterator(tree, selector, range, descending) {
+            var stack = [],
+            version = tree.version,
+            hasLower = range && range.hasLower,
+            hasUpper = range && range.hasUpper,
+            started = false,
+            current;
+
+            var beforeStart = function (key) {
+                return descending ?
+                    hasUpper && tree.compare(key, range.upper) > 0 :
+                    hasLower && tree.compare(key, range.lower) < 0;
+            };
+            var afterEnd = function (key) {
+                return descending ?
+                    hasLower && tree.compare(key, range.lower) < 0 :
+                    hasUpper && tree.compare(key, range.upper) > 0;
+            };
+            var push = function (node) {
+                while (node) {
+                    if (beforeStart(node.key)) {
+                        node = descending ? node.left : node.right;
+                    } else {
+                        stack.push(node);
+                        node = descending ? node.right : node.left;
+                    }
+                }
+            };
+
+            return new Iterator(function () {
+                if (tree.version !== version) {
+                    throw new CollectionModifiedError();
+                }
+                if (!started) {
+                    started = true;
+                    push(tree.root);
+                }
+                current = stack.pop();
+                if (current && afterEnd(current.key)) {
+                    stack = [];
+                    current = undefined;
+                }
+                if (!current) {
+                    return false;
+                }
+                push(descending ? current.left : current.right);
+                return true;
+            }, function () {
+                return current ? selector(current) : undefined;
+            });
+        }
+
+        function getTreeKey(node) {
+            return node.key;
+        }
+
+        function getTreePair(node) {
+            return {
+                key: node.key,
+                value: node.value
+            };
+        }
+
+        /**
+         * Represents a collection of keys and values that is sorted on the key.
+         * @memberof arrgh
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {compare} [compare] - A function that tests if a key is smaller than, greater than or equal to another key.
+         */
+        var SortedDictionary = function (compare) {
+            var self = this;
+
+            Enumerable.call(self, function () {
+                return getTreeIterator(self._.tree, getTreePair);
+            });
+
+            this.length = 0;
+            this._ = {
+                tree: createTree(compare)
+            };
+        };
+        inherit(SortedDictionary, Enumerable);
+
+        /**
+         * Represents a collection of unique elements that is kept in sorted order.
+         * @memberof arrgh
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {(Array|String|arrgh.Enumerable|Object)} [enumerable=[]] - A collection whose elements are copied to the new set, duplicates are ignored.
+         * @param {compare} [compare] - A function that tests if an element is smaller than, greater than or equal to another element. May also be passed as the only argument.
+         */
+        var SortedSet = function (enumerable, compare) {
+            var self = this;
+
+            Enumerable.call(self, function () {
+                return getTreeIterator(self._.tree, getTreeKey);
+            });
+
+            if (arguments.length === 1 && typeof enumerable === "function" && !isGeneratorFunction(enumerable)) {
+                compare = enumerable;
+                enumerable = undefined;
+            }
+
+            this.length = 0;
+            this._ = {
+                tree: createTree(compare)
+            };
+            if (!isNull(enumerable)) {
+                new Enumerable(enumerable).forEach(function (elem) {
+                    self.add(elem);
+                });
+            }
+        };
+        inherit(SortedSet, Enumerable);
+
+        function addAll(collection, args, add) {
+            var iterable;
+            if (args.length > 1) {
+                iterable = Array.prototype.slice.call(args);
+            } else {
+                iterable = args[0] || [];
+            }
+            new Enumerable(iterable).forEach(function (elem) {
+                add.call(collection, elem);
+            });
+        }
+
+        /**
+         * Represents a first-in, first-out collection of objects.
+         * @memberof arrgh
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {(Array|String|arrgh.Enumerable|Object|params)} [enumerable=[]] - A collection whose elements are enqueued in the new queue.
+         */
+        var Queue = function () {
+            var self = this;
+
+            Enumerable.call(self, function () {
+                return getVersionedIterator(self, function (index) {
+                    return self._.arr[(self._.head + index) % self._.arr.length];
+                });
+            });
+
+            this.length = 0;
+            this._ = {
+                arr: [],
+                head: 0,
+                version: 0
+            };
+            addAll(this, arguments, this.enqueue);
+        };
+        inherit(Queue, Enumerable);
+
+        /**
+         * Represents a last-in, first-out collection of objects.<br />
+         * The stack is enumerated from the top (the last pushed element) to the bottom.
+         * @memberof arrgh
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {(Array|String|arrgh.Enumerable|Object|params)} [enumerable=[]] - A collection whose elements are pushed onto the new stack.
+         */
+        var Stack = function () {
+            var self = this;
+
+            Enumerable.call(self, function () {
+                return getVersionedIterator(self, function (index) {
+                    return self._.arr[self.length - index - 1];
+                });
+            });
+
+            this.length = 0;
+            this._ = {
+                arr: [],
+                version: 0
+            };
+            addAll(this, arguments, this.push);
+        };
+        inherit(Stack, Enumerable);
+
+        /**
+         * Represents a node in a {@link arrgh.LinkedList}.
+         * @memberof arrgh
+         * @private
+         * @constructor
+         * @param {arrgh.LinkedList} list - The list the node belongs to.
+         * @param {*} value - The value of the node.
+         * @property {arrgh.LinkedList} list - The list the node belongs to, or null when the node was removed from the list.
+         * @property {arrgh.LinkedListNode} next - The next node in the list, or null when this is the last node.
+         * @property {arrgh.LinkedListNode} previous - The previous node in the list, or null when this is the first node.
+         * @property {*} value - The value of the node.
+         */
+        var LinkedListNode = function (list, value) {
+            this.list = list;
+            this.next = null;
+            this.previous = null;
+            this.value = value;
+        };
+
+        function getLinkedListIterator(list, backwards) {
+            var version = list._.version,
+            started = false,
+            node = null;
+            return new Iterator(function () {
+                if (list._.version !== version) {
+                    throw new CollectionModifiedError();
+                }
+                if (!started) {
+                    started = true;
+                    node = backwards ? list.last : list.first;
+                } else if (node) {
+                    node = backwards ? node.previous : node.next;
+                }
+                return !!node;
+            }, function () {
+                return node ? node.value : undefined;
+            });
+        }
+
+        /**
+         * Represents a doubly linked list. Nodes can be added and removed anywhere in the list in constant time.<br />
+         * The first and last properties hold the first and last nodes and hide the first and last query operators,
+         * use firstOrDefault and lastOrDefault to get the first and last values of a LinkedList.
+         * @memberof arrgh
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {(Array|String|arrgh.Enumerable|Object|params)} [enumerable=[]] - A collection whose elements are added to the new list.
+         * @property {arrgh.LinkedListNode} first - The first node of the list, or null when the list is empty.
+         * @property {arrgh.LinkedListNode} last - The last node of the list, or null when the list is empty.
+         */
+        var LinkedList = function () {
+            var self = this;
+
+            Enumerable.call(self, function () {
+                return getLinkedListIterator(self);
+            });
+
+            this.length = 0;
+            this.first = null;
+            this.last = null;
+            this._ = {
+                version: 0
+            };
+            addAll(this, arguments, this.addLast);
+        };
+        inherit(LinkedList, Enumerable);
+
+        // Binary heap helpers, the heap is an array where the children of index i are at 2i + 1 and 2i + 2.
+        // compare determines which of two elements should be closer to the top.
+        // Moves the element at index up and returns its new index.
+        function heapSiftUp(heap, index, compare) {
+            var elem = heap[index],
+            parent;
+            while (index > 0) {
+                parent = Math.floor((index - 1) / 2);
+                if (compare(elem, heap[parent]) >= 0) {
+                    break;
+                }
+                heap[index] = heap[parent];
+                index = parent;
+            }
+            heap[index] = elem;
+            return index;
+        }
+
+        function heapSiftDown(heap, index, compare) {
+            var elem = heap[index],
+            length = heap.length,
+            child;
+            while (true) {
+                child = index * 2 + 1;
+                if (child >= length) {
+                    break;
+                }
+                if (child + 1 < length && compare(heap[child + 1], heap[child]) < 0) {
+                    child += 1;
+                }
+                if (compare(heap[child], elem) >= 0) {
+                    break;
+                }
+                heap[index] = heap[child];
+                index = child;
+            }
+            heap[index] = elem;
+        }
+
+        function heapPop(heap, compare) {
+            var top = heap[0],
+            last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                heapSiftDown(heap, 0, compare);
+            }
+            return top;
+        }
+
+        /**
+         * Represents a collection of elements that are removed in order of their priority.<br />
+         * Elements with the same priority are removed in the order in which they were enqueued.
+         * @memberof arrgh
+         * @constructor
+         * @param {compare} [compare] - A function that tests if a priority is smaller than, greater than or equal to another priority.
+         * The element with the smallest priority is dequeued first, reverse the compare function to dequeue the greatest priority first.
+         */
+        var PriorityQueue = function (compare) {
+            var self = this;
+            compare = compare || defaultCompare;
+
+            this.length = 0;
+            this._ = {
+                heap: [],
+                order: 0,
+                version: 0,
+                compare: function (x, y) {
+                    return compare(x.priority, y.priority) || x.order - y.order;
+                }
+            };
+
+            /**
+             * Gets the elements and their priorities in no particular order.
+             * @member {arrgh.Enumerable} unorderedItems
+             * @memberof arrgh.PriorityQueue
+             * @instance
+             */
+            this.unorderedItems = new Enumerable(function () {
+                return getVersionedIterator(self, function (index) {
+                    var entry = self._.heap[index];
+                    return {
+                        element: entry.element,
+                        priority: entry.priority
+                    };
+                });
+            });
+        };
+
+        /**
+         * Represents a collection of keys each mapped to one or more values.
+         * @memberof arrgh
+         * @private
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {arrgh.Enumerable} source - The collection to map to a lookup.
+         * @param {keySelector} keySelector - A function that returns the key value from an element of the inner collection.
+         * @param {selector} [elementSelector] - A function that projects an element into a new form.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         */
+        var Lookup = function (source, keySelector, elementSelector, eqComparer) {
+            var d;
+            Enumerable.call(this, function () {
+                var iterator = d.getIterator();
+                return new Iterator(iterator.moveNext, function () {
+                    var current = iterator.current();
+                    if (isNull(current)) {
+                        return current;
+                    }
+                    var group = current.value.asEnumerable();
+                    group.key = current.key;
+                    return group;
+                });
+            });
+
+            if (typeof elementSelector !== "function") {
+                eqComparer = elementSelector;
+                elementSelector = null;
+            }
+            elementSelector = elementSelector || identity;
+
+            d = new Dictionary(eqComparer);
             source.forEach(function (elem) {
-                loopedOnce = true;
-                accumulate = aggregator(accumulate, elem);
+                var key = keySelector(elem);
+                var element = elementSelector(elem);
+                if (d.containsKey(key)) {
+                    d.get(key).add(element);
+                } else {
+                    d.add(key, new List([element]));
+                }
+            });
+
+            this.length = d.length;
+
+            /**
+             * Gets the collection at the specified key.
+             * @function get
+             * @memberof arrgh.Lookup
+             * @instance
+             * @param {*} key - The key of the collection which should be retrieved.
+             * @returns {grouping} - Returns the collection with the specified key or an empty collection if the key was not found.
+             */
+            this.get = function (key) {
+                var group;
+                if (d.containsKey(key)) {
+                    group = d.get(key).asEnumerable();
+                    group.key = key;
+                } else {
+                    group = new Enumerable();
+                    group.key = key;
+                }
+                return group;
+            };
+        };
+        inherit(Lookup, Enumerable);
+
+        // Stable, adaptive and iterative merge sort based on TimSort.
+        // The array is split into ascending runs, strictly descending runs are reversed and short runs are extended with an insertion sort.
+        // Runs are merged from a stack whose sizes are kept balanced, so presorted input is sorted in linear time
+        // and the worst case is O(n log n) without any recursion.
+        var MIN_MERGE = 32;
+
+        function getMinRun(n) {
+            var r = 0;
+            while (n >= MIN_MERGE) {
+                r = r || n % 2;
+                n = Math.floor(n / 2);
+            }
+            return n + r;
+        }
+
+        // Sorts arr from start up to (excluding) end, assuming the elements up to sorted are already sorted.
+        function binaryInsertionSort(arr, start, sorted, end, compare) {
+            var elem,
+            low,
+            high,
+            mid,
+            i,
+            j;
+            for (i = sorted; i < end; i += 1) {
+                elem = arr[i];
+                low = start;
+                high = i;
+                // Equal elements are inserted after each other to keep the sort stable.
+                while (low < high) {
+                    mid = Math.floor((low + high) / 2);
+                    if (compare(elem, arr[mid]) < 0) {
+                        high = mid;
+                    } else {
+                        low = mid + 1;
+                    }
+                }
+                for (j = i; j > low; j -= 1) {
+                    arr[j] = arr[j - 1];
+                }
+                arr[low] = elem;
+            }
+        }
+
+        // Returns the end of the run that starts at start, a strictly descending run is reversed.
+        function countRun(arr, start, end, compare) {
+            var runEnd = start + 1,
+            low,
+            high,
+            temp;
+            if (runEnd === end) {
+                return end;
+            }
+            if (compare(arr[runEnd], arr[start]) < 0) {
+                runEnd += 1;
+                while (runEnd < end && compare(arr[runEnd], arr[runEnd - 1]) < 0) {
+                    runEnd += 1;
+                }
+                low = start;
+                high = runEnd - 1;
+                while (low < high) {
+                    temp = arr[low];
+                    arr[low] = arr[high];
+                    arr[high] = temp;
+                    low += 1;
+                    high -= 1;
+                }
+            } else {
+                runEnd += 1;
+                while (runEnd < end && compare(arr[runEnd], arr[runEnd - 1]) >= 0) {
+                    runEnd += 1;
+                }
+            }
+            return runEnd;
+        }
+
+        // Merges the sorted ranges [start, mid) and [mid, end).
+        function mergeRuns(arr, start, mid, end, compare, temp) {
+            var i = 0,
+            j = mid,
+            k = start,
+            length;
+            // The runs are already in order.
+            if (compare(arr[mid - 1], arr[mid]) <= 0) {
+                return;
+            }
+            length = mid - start;
+            for (i = 0; i < length; i += 1) {
+                temp[i] = arr[start + i];
+            }
+            i = 0;
+            while (i < length && j < end) {
+                // Take from the left run on ties to keep the sort stable.
+                if (compare(arr[j], temp[i]) < 0) {
+                    arr[k] = arr[j];
+                    j += 1;
+                } else {
+                    arr[k] = temp[i];
+                    i += 1;
+                }
+                k += 1;
+            }
+            while (i < length) {
+                arr[k] = temp[i];
+                i += 1;
+                k += 1;
+            }
+        }
+
+        function stableSort(arr, startIndex, endIndex, compare) {
+            var end = endIndex + 1,
+            minRun = getMinRun(end - startIndex),
+            runStarts = [],
+            runLengths = [],
+            temp = [],
+            start = startIndex,
+            runEnd,
+            forcedEnd,
+            n;
+
+            function mergeAt(i) {
+                mergeRuns(arr, runStarts[i], runStarts[i + 1], runStarts[i + 1] + runLengths[i + 1], compare, temp);
+                runLengths[i] += runLengths[i + 1];
+                runStarts.splice(i + 1, 1);
+                runLengths.splice(i + 1, 1);
+            }
+
+            if (end - startIndex < 2) {
+                return;
+            }
+            while (start < end) {
+                runEnd = countRun(arr, start, end, compare);
+                if (runEnd - start < minRun) {
+                    forcedEnd = Math.min(start + minRun, end);
+                    binaryInsertionSort(arr, start, runEnd, forcedEnd, compare);
+                    runEnd = forcedEnd;
+                }
+                runStarts.push(start);
+                runLengths.push(runEnd - start);
+                start = runEnd;
+
+                // Keep the run lengths on the stack decreasing at least as fast as the Fibonacci numbers.
+                n = runLengths.length - 2;
+                while (n >= 0) {
+                    if ((n > 0 && runLengths[n - 1] <= runLengths[n] + runLengths[n + 1]) ||
+                            (n > 1 && runLengths[n - 2] <= runLengths[n - 1] + runLengths[n])) {
+                        if (runLengths[n - 1] < runLengths[n + 1]) {
+                            n -= 1;
+                        }
+                    } else if (runLengths[n] > runLengths[n + 1]) {
+                        break;
+                    }
+                    mergeAt(n);
+                    n = runLengths.length - 2;
+                }
+            }
+            while (runLengths.length > 1) {
+                n = runLengths.length - 2;
+                if (n > 0 && runLengths[n - 1] < runLengths[n + 1]) {
+                    n -= 1;
+                }
+                mergeAt(n);
+            }
+        }
+
+        // Returns the indexes of the elements from skip up to skip + take (optional) in sorted order.
+        // When not all elements are needed the smallest are selected with a heap,
+        // which is O(n log (skip + take)) instead of sorting all elements.
+        function sortElements(ordered, elements, skip, take) {
+            var count = elements.length,
+            end = isNull(take) ? count : Math.min(count, skip + take),
+            heap = [],
+            map,
+            compare,
+            reversed,
+            i;
+
+            ordered.computeKeys(elements, count);
+            if (end < count) {
+                // Ties are broken by index, so the selection is stable.
+                compare = function (x, y) {
+                    return ordered.compareKeys(x, y) || x - y;
+                };
+                // The heap has the greatest of the selected elements at the top.
+                reversed = function (x, y) {
+                    return compare(y, x);
+                };
+                for (i = 0; i < count; i += 1) {
+                    if (heap.length < end) {
+                        heap.push(i);
+                        heapSiftUp(heap, heap.length - 1, reversed);
+                    } else if (end > 0 && compare(i, heap[0]) < 0) {
+                        heap[0] = i;
+                        heapSiftDown(heap, 0, reversed);
+                    }
+                }
+                map = heap;
+            } else {
+                map = new Array(count);
+                for (i = 0; i < count; i += 1) {
+                    map[i] = i;
+                }
+                compare = ordered.compareKeys;
+            }
+            stableSort(map, 0, map.length - 1, compare);
+            return skip > 0 ? map.slice(skip) : map;
+        }
+
+        function getOrderedIterator(ordered, skip, take) {
+            var sourceArr = take === 0 ? [] : ordered.getSource().toArray(),
+            map = sortElements(ordered, sourceArr, skip, take),
+            count = map.length,
+            index = -1;
+            return new Iterator(function () {
+                index += 1;
+                return index < count;
+            }, function () {
+                return sourceArr[map[index]];
+            });
+        }
+
+        /**
+         * Represents an ordered collection that can be iterated over.
+         * @memberof arrgh
+         * @private
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {arrgh.Enumerable} source - The collection that needs to be sorted.
+         * @param {keySelector} keySelector - A function to extract the key from an element.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @param {Boolean} descending - Indicated wheter the collection needs to be sorted ascending or descending.
+         */
+        var OrderedEnumerable = function (source, keySelector, compare, descending) {
+            var self = this,
+            keys;
+            compare = compare || defaultCompare;
+            descending = descending ? -1 : 1;
+
+            self.getSource = function () {
+                if (source.getSource) {
+                    return source.getSource();
+                }
+                return source;
+            };
+
+            self.computeKeys = function (elements, count) {
+                var arr = new Array(count),
+                i;
+                for (i = 0; i < count; i += 1) {
+                    arr[i] = keySelector(elements[i]);
+                }
+                keys = arr;
+                if (source.computeKeys) {
+                    source.computeKeys(elements, count);
+                }
+            };
+            self.compareKeys = function (i, j) {
+                var result = 0;
+                if (source.compareKeys) {
+                    result = source.compareKeys(i, j);
+                }
+                if (result === 0) {
+                    result = compare(keys[i], keys[j]) * descending;
+                }
+                return result;
+            };
+            Enumerable.call(this, function () {
+                return getOrderedIterator(self, 0);
+            });
+        };
+        inherit(OrderedEnumerable, Enumerable);
+
+        /**
+         * Represents a part of an ordered collection, only the elements that are in the part are sorted.
+         * @memberof arrgh
+         * @private
+         * @constructor
+         * @extends arrgh.Enumerable
+         * @param {arrgh.OrderedEnumerable} ordered - The ordered collection.
+         * @param {Number} skip - The number of sorted elements to skip.
+         * @param {Number} [take] - The number of sorted elements to take after skipping, all remaining elements when not specified.
+         */
+        var OrderedPartition = function (ordered, skip, take) {
+            Enumerable.call(this, function () {
+                return getOrderedIterator(ordered, skip, take);
+            });
+            this._ = {
+                ordered: ordered,
+                skip: skip,
+                take: take
+            };
+        };
+        inherit(OrderedPartition, Enumerable);
+
+        /**
+         * Represents an element of a collection together with its position in its partition, as returned by {@link arrgh.Enumerable#window}.
+         * @memberof arrgh
+         * @private
+         * @constructor
+         * @param {Object} partition - The ordered elements of a partition, its key and the ranks of its elements.
+         * @param {Number} index - The index of the element in the partition.
+         */
+        var WindowRow = function (partition, index) {
+            /**
+             * Gets the element.
+             * @member {*} element
+             * @memberof arrgh.WindowRow
+             * @instance
+             */
+            this.element = partition.elements[index];
+            /**
+             * Gets the key of the partition of the element, undefined when the collection is not partitioned.
+             * @member {*} key
+             * @memberof arrgh.WindowRow
+             * @instance
+             */
+            this.key = partition.key;
+            this._ = {
+                partition: partition,
+                index: index
+            };
+        };
+
+        /**
+         * Gets the position of the element in its partition, starting at 1.
+         * @function rowNumber
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @returns {Number} - The position of the element in its partition.
+         */
+        WindowRow.prototype.rowNumber = function () {
+            return this._.index + 1;
+        };
+
+        /**
+         * Gets the rank of the element in its partition, elements with equal keys have the same rank and leave a gap after them.
+         * @function rank
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @returns {Number} - The rank of the element, starting at 1.
+         */
+        WindowRow.prototype.rank = function () {
+            return this._.partition.ranks[this._.index];
+        };
+
+        /**
+         * Gets the rank of the element in its partition, elements with equal keys have the same rank and leave no gap after them.
+         * @function denseRank
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @returns {Number} - The dense rank of the element, starting at 1.
+         */
+        WindowRow.prototype.denseRank = function () {
+            return this._.partition.denseRanks[this._.index];
+        };
+
+        /**
+         * Gets the relative rank of the element in its partition, (rank - 1) / (number of elements - 1).
+         * @function percentRank
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @returns {Number} - A number from 0 to 1, 0 when the partition has only one element.
+         */
+        WindowRow.prototype.percentRank = function () {
+            var length = this._.partition.elements.length;
+            return length === 1 ? 0 : (this.rank() - 1) / (length - 1);
+        };
+
+        /**
+         * Divides the partition in a number of groups of (almost) equal size and gets the group of the element.<br />
+         * When the elements can't be divided equally the first groups get one extra element.
+         * @function ntile
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @param {Number} n - The number of groups.
+         * @returns {Number} - The group of the element, starting at 1.
+         * @throws Throws when n is not an integer greater than 0.
+         */
+        WindowRow.prototype.ntile = function (n) {
+            throwIfNotNumber(n, "WindowRow.ntile", "n");
+            if (n <= 0 || n % 1 !== 0) {
+                throw new ArgumentOutOfRangeError("Number of groups must be an integer greater than 0.", "n", n);
+            }
+            var length = this._.partition.elements.length,
+            index = this._.index,
+            size = Math.floor(length / n),
+            remainder = length % n;
+            if (index < remainder * (size + 1)) {
+                return Math.floor(index / (size + 1)) + 1;
+            }
+            return remainder + Math.floor((index - remainder * (size + 1)) / size) + 1;
+        };
+
+        function getWindowOffset(offset, operator) {
+            throwIfNotNumber(offset, operator, "offset", true);
+            if (isNull(offset)) {
+                return 1;
+            }
+            if (offset < 0) {
+                throw new ArgumentOutOfRangeError("Offset cannot be lower than 0.", "offset", offset);
+            }
+            return offset;
+        }
+
+        function getWindowElement(row, index, defaultValue) {
+            var elements = row._.partition.elements;
+            return index >= 0 && index < elements.length ? elements[index] : defaultValue;
+        }
+
+        /**
+         * Gets an element that comes a number of positions before the element in its partition.
+         * @function lag
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @param {Number} [offset=1] - The number of positions before the element.
+         * @param {*} [defaultValue] - The value that is returned when there is no element at the position.
+         * @returns {*} - The element at the position or the default value.
+         * @throws Throws when offset is lower than 0.
+         */
+        WindowRow.prototype.lag = function (offset, defaultValue) {
+            return getWindowElement(this, this._.index - getWindowOffset(offset, "WindowRow.lag"), defaultValue);
+        };
+
+        /**
+         * Gets an element that comes a number of positions after the element in its partition.
+         * @function lead
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @param {Number} [offset=1] - The number of positions after the element.
+         * @param {*} [defaultValue] - The value that is returned when there is no element at the position.
+         * @returns {*} - The element at the position or the default value.
+         * @throws Throws when offset is lower than 0.
+         */
+        WindowRow.prototype.lead = function (offset, defaultValue) {
+            return getWindowElement(this, this._.index + getWindowOffset(offset, "WindowRow.lead"), defaultValue);
+        };
+
+        /**
+         * Gets the first element of the partition.
+         * @function firstValue
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @returns {*} - The first element of the partition.
+         */
+        WindowRow.prototype.firstValue = function () {
+            return this._.partition.elements[0];
+        };
+
+        /**
+         * Gets the last element of the partition.<br />
+         * Unlike SQL's LAST_VALUE, which by default stops at the current row, this is always the last element of the whole partition.
+         * @function lastValue
+         * @memberof arrgh.WindowRow
+         * @instance
+         * @returns {*} - The last element of the partition.
+         */
+        WindowRow.prototype.lastValue = function () {
+            var elements = this._.partition.elements;
+            return elements[elements.length - 1];
+        };
+
+        // Turns an orderBy or thenBy window option into an object with a key selector, a compare function and a direction.
+        function getWindowOrder(order, paramName) {
+            if (typeof order === "function") {
+                order = {
+                    keySelector: order
+                };
+            }
+            throwIfNull(order, "Enumerable.window", paramName);
+            throwIfNotFunction(order.keySelector, "Enumerable.window", paramName + ".keySelector");
+            throwIfNotFunction(order.compare, "Enumerable.window", paramName + ".compare", true);
+            return {
+                keySelector: order.keySelector,
+                compare: order.compare || defaultCompare,
+                descending: !!order.descending
+            };
+        }
+
+        // Sorts a partition with the stable sort of OrderedEnumerable and ranks its elements,
+        // elements are peers and share a rank when all their keys are equal.
+        // The keys of every element are selected once and used for both the sort and the ranks.
+        function getWindowRows(source, key, orders) {
+            var items = source.select(function (elem) {
+                var keys = [],
+                k;
+                for (k = 0; k < orders.length; k += 1) {
+                    keys.push(orders[k].keySelector(elem));
+                }
+                return {
+                    elem: elem,
+                    keys: keys
+                };
+            }),
+            partition,
+            peers,
+            rows = [],
+            i,
+            j;
+
+            function getKey(index) {
+                return function (item) {
+                    return item.keys[index];
+                };
+            }
+
+            for (i = 0; i < orders.length; i += 1) {
+                if (i === 0) {
+                    items = orders[i].descending ? items.orderByDescending(getKey(i), orders[i].compare) : items.orderBy(getKey(i), orders[i].compare);
+                } else {
+                    items = orders[i].descending ? items.thenByDescending(getKey(i), orders[i].compare) : items.thenBy(getKey(i), orders[i].compare);
+                }
+            }
+            items = items.toArray();
+            partition = {
+                key: key,
+                elements: [],
+                ranks: [],
+                denseRanks: []
+            };
+            for (i = 0; i < items.length; i += 1) {
+                partition.elements.push(items[i].elem);
+                peers = i > 0;
+                for (j = 0; peers && j < orders.length; j += 1) {
+                    peers = orders[j].compare(items[i - 1].keys[j], items[i].keys[j]) === 0;
+                }
+                if (i === 0) {
+                    partition.ranks.push(1);
+                    partition.denseRanks.push(1);
+                } else {
+                    partition.ranks.push(peers ? partition.ranks[i - 1] : i + 1);
+                    partition.denseRanks.push(peers ? partition.denseRanks[i - 1] : partition.denseRanks[i - 1] + 1);
+                }
+            }
+            for (i = 0; i < items.length; i += 1) {
+                rows.push(new WindowRow(partition, i));
+            }
+            return rows;
+        }
+
+        // Async enumerables
+
+        function resolve(value) {
+            return Promise.resolve(value);
+        }
+
+        /**
+         * A parameterless function that moves the iterator to the next position.<br />
+         * Returns a promise that resolves to false when no next position is found.
+         * @function moveNext
+         * @memberof arrgh.AsyncIterator
+         * @instance
+         * @returns {Promise} - Returns a promise that resolves to whether the AsyncIterator has moved to the next position.
+         */
+
+        /**
+         * A parameterless function that returns the value at the current position.<br />
+         * Returns undefined when the iterator is at its initial position, when it's moving or when moveNext resolved to false.
+         * @function current
+         * @memberof arrgh.AsyncIterator
+         * @instance
+         * @returns {*} - Returns the value at the current position of the AsyncIterator.
+         */
+
+        /**
+         * A parameterless function that releases the resources of the iterator, such as a database cursor or a stream.<br />
+         * Called when the iterator is no longer needed, also when it's stopped before the end of the collection.
+         * Calling it again does nothing.
+         * @function dispose
+         * @memberof arrgh.AsyncIterator
+         * @instance
+         * @returns {Promise} - Returns a promise that resolves when the resources of the AsyncIterator have been released.
+         */
+
+        /**
+         * Supports asynchronous iteration over a collection.<br />
+         * Wait for the promise returned by moveNext to resolve before moving again.
+         * @memberof arrgh
+         * @constructor
+         * @param {function} moveNext - A parameterless function that returns a promise which resolves to whether the iterator has moved to the next position.
+         * @param {function} current - A parameterless function that returns the value at the current position.
+         * @param {function} [dispose] - A parameterless function that releases the resources of the iterator, may return a promise.
+         */
+        var AsyncIterator = function (moveNext, current, dispose) {
+            var disposed = false;
+            this.moveNext = moveNext;
+            this.current = current;
+            this.dispose = function () {
+                if (!disposed) {
+                    disposed = true;
+                    if (dispose) {
+                        return resolve().then(dispose);
+                    }
+                }
+                return resolve();
+            };
+        };
+
+        // Defined further down, declared here because the iterator helpers need to recognize it.
+        var AsyncEnumerable;
+
+        // Disposes the iterator, iterators that were not created by the AsyncIterator constructor may not have a dispose function.
+        // Returns a promise that resolves when the iterator has been disposed.
+        function disposeAsyncIterator(iterator) {
+            if (iterator && typeof iterator.dispose === "function") {
+                return resolve(iterator.dispose());
+            }
+            return resolve();
+        }
+
+        function disposeAsyncIterators(iterators) {
+            var i,
+            disposals = [];
+            for (i = 0; i < iterators.length; i += 1) {
+                disposals.push(disposeAsyncIterator(iterators[i]));
+            }
+            return Promise.all(disposals);
+        }
+
+        // Disposes the iterators once the promise settles, also when it rejects.
+        // The promise settles like the original promise, unless disposing rejects after the original promise resolved.
+        function disposeAsyncIteratorsAfter(promise, iterators) {
+            return promise.then(function (result) {
+                return disposeAsyncIterators(iterators).then(function () {
+                    return result;
+                });
+            }, function (err) {
+                var rethrow = function () {
+                    throw err;
+                };
+                return disposeAsyncIterators(iterators).then(rethrow, rethrow);
+            });
+        }
+
+        var loopContinue = {};
+
+        // Calls step until the promise it returns resolves to something else than loopContinue.
+        // Doesn't chain the promises of the steps, so long loops don't build up memory.
+        function asyncLoop(step) {
+            return new Promise(function (resolveLoop, rejectLoop) {
+                var next = function () {
+                    resolve(step()).then(function (result) {
+                        if (result === loopContinue) {
+                            next();
+                        } else {
+                            resolveLoop(result);
+                        }
+                    }).then(undefined, rejectLoop);
+                };
+                next();
+            });
+        }
+
+        // Wraps an arrgh.Iterator in an arrgh.AsyncIterator.
+        // Like for await...of, elements that are promises are awaited.
+        var getAsyncIteratorFromIterator = function (iterator) {
+            var current;
+            return new AsyncIterator(function () {
+                current = undefined;
+                return resolve().then(function () {
+                    if (!iterator.moveNext()) {
+                        return false;
+                    }
+                    return resolve(iterator.current()).then(function (value) {
+                        current = value;
+                        return true;
+                    });
+                });
+            }, function () {
+                return current;
+            }, function () {
+                disposeIterator(iterator);
+            });
+        };
+
+        // Wraps an object that implements the ES2018 async iterator protocol in an arrgh.AsyncIterator.
+        var getAsyncIteratorFromEsIterator = function (esIterator) {
+            var done = false,
+            current;
+            return new AsyncIterator(function () {
+                current = undefined;
+                if (done) {
+                    return resolve(false);
+                }
+                return resolve(esIterator.next()).then(function (result) {
+                    done = done || !!result.done;
+                    if (!done) {
+                        current = result.value;
+                    }
+                    return !done;
+                });
+            }, function () {
+                return current;
+            }, function () {
+                if (!done) {
+                    done = true;
+                    current = undefined;
+                    if (typeof esIterator["return"] === "function") {
+                        return esIterator["return"]();
+                    }
+                }
+            });
+        };
+
+        // The async counterpart of getBufferedIteratorFactory.
+        // Pulls from the source one at a time, even when multiple iterators are moving at once.
+        // Like its counterpart, the source iterator is disposed once it's at the end, not when an iterator is disposed.
+        var getBufferedAsyncIteratorFactory = function (getSourceIterator) {
+            var buffer = [],
+            sourceIterator,
+            pulling,
+            done = false;
+
+            var pull = function (index) {
+                if (index < buffer.length) {
+                    return resolve(true);
+                }
+                if (done) {
+                    return resolve(false);
+                }
+                if (!pulling) {
+                    sourceIterator = sourceIterator || getSourceIterator();
+                    pulling = sourceIterator.moveNext().then(function (moved) {
+                        pulling = undefined;
+                        if (moved) {
+                            buffer.push(sourceIterator.current());
+                            return undefined;
+                        }
+                        done = true;
+                        return disposeAsyncIterator(sourceIterator);
+                    }, function (err) {
+                        pulling = undefined;
+                        throw err;
+                    });
+                }
+                return pulling.then(function () {
+                    return pull(index);
+                });
+            };
+
+            return function () {
+                var index = -1,
+                current;
+                return new AsyncIterator(function () {
+                    current = undefined;
+                    index += 1;
+                    return pull(index).then(function (pulled) {
+                        if (pulled) {
+                            current = buffer[index];
+                        } else {
+                            index = buffer.length;
+                        }
+                        return pulled;
+                    });
+                }, function () {
+                    return current;
+                });
+            };
+        };
+
+        // Returns a function that returns an arrgh.AsyncIterator for the input
+        // or undefined when the input cannot be iterated over (asynchronously).
+        function getAsyncIteratorFactory(source) {
+            var getIterator;
+            if (source instanceof AsyncEnumerable) {
+                return source.getIterator;
+            }
+            if (typeof source === "function") {
+                if (Object.prototype.toString.call(source) === "[object AsyncGeneratorFunction]") {
+                    return function () {
+                        return getAsyncIteratorFromEsIterator(source());
+                    };
+                }
+                if (!isGeneratorFunction(source)) {
+                    return source;
+                }
+            }
+            if (!isNull(source) && typeof source === "object") {
+                if (symbolAsyncIterator && typeof source[symbolAsyncIterator] === "function") {
+                    if (typeof source.next === "function") {
+                        // An async iterator, such as an async generator object, can only be iterated once.
+                        return getBufferedAsyncIteratorFactory(function () {
+                            return getAsyncIteratorFromEsIterator(source);
+                        });
+                    }
+                    return function () {
+                        return getAsyncIteratorFromEsIterator(source[symbolAsyncIterator]());
+                    };
+                }
+                if (typeof source.then === "function") {
+                    // A promise of a collection, the collection is iterated once the promise resolves.
+                    return function () {
+                        var iterator;
+                        return new AsyncIterator(function () {
+                            if (iterator) {
+                                return iterator.moveNext();
+                            }
+                            return resolve(source).then(function (value) {
+                                var getValueIterator = getAsyncIteratorFactory(isNull(value) ? [] : value);
+                                if (!getValueIterator) {
+                                    throw new ArgumentError("The input parameter for AsyncEnumerable was not valid.", "source");
+                                }
+                                iterator = iterator || getValueIterator();
+                                return iterator.moveNext();
+                            });
+                        }, function () {
+                            if (iterator) {
+                                return iterator.current();
+                            }
+                            return undefined;
+                        }, function () {
+                            return disposeAsyncIterator(iterator);
+                        });
+                    };
+                }
+            }
+            getIterator = getIteratorFactory(source);
+            if (getIterator) {
+                return function () {
+                    return getAsyncIteratorFromIterator(getIterator());
+                };
+            }
+            return undefined;
+        }
+
+        /**
+         * Returns an async iterator that iterates through the collection.
+         * @function getIterator
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @returns {arrgh.AsyncIterator} - Returns an async iterator that iterates through the collection.
+         */
+
+        /**
+         * Represents a collection that is iterated over asynchronously, such as paged results, database cursors or streams.<br />
+         * Selectors, predicates and other callbacks may return promises, operators that return a single value return a promise.<br />
+         * Accepts anything that implements Symbol.asyncIterator (such as async generators), async generator functions, a promise that resolves to a collection
+         * or anything an {@link arrgh.Enumerable} accepts, in which case elements that are promises are awaited.
+         * @memberof arrgh
+         * @constructor
+         * @param {(Object|Promise|Array|String|arrgh.Enumerable|arrgh.AsyncEnumerable|Function|params)} [source=[]] - An async iterable, a promise of a collection, a collection or a parameterless function that returns an {@link arrgh.AsyncIterator}.
+         */
+        AsyncEnumerable = function (source) {
+            var iterable;
+            if (arguments.length > 1) {
+                iterable = Array.prototype.slice.call(arguments);
+            } else {
+                iterable = isNull(source) ? [] : source;
+            }
+
+            var getIterator = getAsyncIteratorFactory(iterable);
+            if (!getIterator) {
+                throw new ArgumentError("The input parameter for AsyncEnumerable was not valid.", "source");
+            }
+            this.getIterator = getIterator;
+        };
+
+        // Returns an AsyncIterator over the collection (or promise of a collection) returned by getSource.
+        // getSource is called when the iterator is first moved.
+        var getDeferredAsyncIterator = function (getSource) {
+            var iterator;
+            return new AsyncIterator(function () {
+                iterator = iterator || new AsyncEnumerable(getSource()).getIterator();
+                return iterator.moveNext();
+            }, function () {
+                if (iterator) {
+                    return iterator.current();
+                }
+                return undefined;
+            }, function () {
+                return disposeAsyncIterator(iterator);
+            });
+        };
+
+        function getKeyAt(index) {
+            return function (row) {
+                return row.keys[index];
+            };
+        }
+
+        /**
+         * Represents an ordered collection that can be iterated over asynchronously.
+         * @memberof arrgh
+         * @private
+         * @constructor
+         * @extends arrgh.AsyncEnumerable
+         * @param {arrgh.AsyncEnumerable} source - The collection that needs to be sorted.
+         * @param {keySelector} keySelector - A function to extract the key from an element, may return a promise.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @param {Boolean} descending - Indicated wheter the collection needs to be sorted ascending or descending.
+         */
+        var AsyncOrderedEnumerable = function (source, keySelector, compare, descending) {
+            var orderings = [],
+            root = source;
+            if (source instanceof AsyncOrderedEnumerable) {
+                orderings = source._.orderings;
+                root = source._.source;
+            }
+            orderings = orderings.concat([{
+                keySelector: keySelector,
+                compare: compare,
+                descending: descending
+            }]);
+            this._ = {
+                source: root,
+                orderings: orderings
+            };
+
+            AsyncEnumerable.call(this, function () {
+                return getDeferredAsyncIterator(function () {
+                    // Resolve all keys first, then reuse the (synchronous) stable ordering.
+                    return root.select(function (elem) {
+                        var keys = [],
+                        i;
+                        for (i = 0; i < orderings.length; i += 1) {
+                            keys.push(orderings[i].keySelector(elem));
+                        }
+                        return Promise.all(keys).then(function (keys) {
+                            return {
+                                elem: elem,
+                                keys: keys
+                            };
+                        });
+                    }).toArray().then(function (rows) {
+                        var ordered = new OrderedEnumerable(new Enumerable(rows), getKeyAt(0), orderings[0].compare, orderings[0].descending),
+                        i;
+                        for (i = 1; i < orderings.length; i += 1) {
+                            ordered = new OrderedEnumerable(ordered, getKeyAt(i), orderings[i].compare, orderings[i].descending);
+                        }
+                        return ordered.select(function (row) {
+                            return row.elem;
+                        });
+                    });
+                });
+            });
+        };
+        inherit(AsyncOrderedEnumerable, AsyncEnumerable);
+
+        var getUnionIterator = function (first, second, eqComparer) {
+            var firstIterator = first.getIterator(),
+            secondIterator = second.getIterator(),
+            current,
+            moveFirst = true,
+            d,
+            alreadyUnioned,
+            moveNext;
+
+            var move = function (iterator) {
+                while (iterator.moveNext()) {
+                    current = iterator.current();
+                    if (!eqComparer || !alreadyUnioned(current)) {
+                        return true;
+                    }
+                }
+                current = undefined;
+                return false;
+            };
+
+            if (eqComparer) {
+                d = new Dictionary(eqComparer);
+
+                alreadyUnioned = function (elem) {
+                    if (d.containsKey(elem)) {
+                        return true;
+                    }
+                    d.add(elem);
+                    return false;
+                };
+            }
+            moveNext = function () {
+                current = undefined;
+                if (moveFirst) {
+                    moveFirst = move(firstIterator);
+                    if (!moveFirst) {
+                        // If there is no next item
+                        // move on to the second iterator.
+                        return moveNext();
+                    }
+
+                    return true;
+                }
+                return move(secondIterator);
+            };
+
+            return new Iterator(moveNext, function () {
+                return current;
+            }, function () {
+                disposeIterator(firstIterator);
+                disposeIterator(secondIterator);
+            });
+        };
+
+        var empty = new Enumerable(),
+        enumProto = Enumerable.prototype,
+        aggregate = function (source, aggregator) {
+            var iterator = source.getIterator(),
+            accumulate;
+            try {
+                if (!iterator.moveNext()) {
+                    throw new InvalidOperationError("Collection contains no elements.");
+                }
+                accumulate = iterator.current();
+                while (iterator.moveNext()) {
+                    accumulate = aggregator(accumulate, iterator.current());
+                }
+            } finally {
+                disposeIterator(iterator);
+            }
+            return accumulate;
+        },
+        aggregateSeed = function (source, seed, aggregator, resultSelector) {
+            resultSelector = resultSelector || identity;
+            var accumulate = seed,
+            loopedOnce = false;
+            source.forEach(function (elem) {
+                loopedOnce = true;
+                accumulate = aggregator(accumulate, elem);
+            });
+            if (!loopedOnce) {
+                throw new InvalidOperationError("Collection contains no elements.");
+            }
+            return resultSelector(accumulate);
+        };
+
+        // Adds the key to the keys, returns false when the key was already present.
+        function addKey(keys, key) {
+            if (keys.containsKey(key)) {
+                return false;
+            }
+            keys.add(key);
+            return true;
+        }
+
+        // Returns the elements of a lookup with the key, or only the default value when there are none,
+        // so an unmatched element of an outer join is still joined once.
+        function getJoinMatches(lookup, key, defaultValue) {
+            var matches = lookup.get(key);
+            return matches.any() ? matches : [defaultValue];
+        }
+
+        // Returns a key selector that throws when a key is smaller than the key before it,
+        // or the key selector itself when the order is not verified. Create one for every enumeration.
+        function getSortedKeySelector(keySelector, compare, verifyOrder, description) {
+            var hasKey = false,
+            lastKey;
+            if (!verifyOrder) {
+                return keySelector;
+            }
+            return function (elem) {
+                var key = keySelector(elem);
+                if (hasKey && compare(lastKey, key) > 0) {
+                    throw new InvalidOperationError(description + " is not sorted.");
+                }
+                hasKey = true;
+                lastKey = key;
+                return key;
+            };
+        }
+
+        function throwIfNotJoin(operator, inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer) {
+            throwIfNotEnumerable(inner, operator, "inner");
+            throwIfNotFunction(outerKeySelector, operator, "outerKeySelector");
+            throwIfNotFunction(innerKeySelector, operator, "innerKeySelector");
+            throwIfNotFunction(resultSelector, operator, "resultSelector");
+            throwIfNotEqComparer(eqComparer, operator);
+        }
+
+        // Returns the first element with the smallest key, or the largest key when max is true.
+        function minMaxBy(source, keySelector, compare, max) {
+            compare = compare || defaultCompare;
+            var elem,
+            minMaxKey,
+            first = true;
+            source.forEach(function (current) {
+                var key = keySelector(current),
+                result;
+                if (first) {
+                    first = false;
+                    elem = current;
+                    minMaxKey = key;
+                    return;
+                }
+                result = compare(key, minMaxKey);
+                if (max ? result > 0 : result < 0) {
+                    elem = current;
+                    minMaxKey = key;
+                }
+            });
+            if (first) {
+                throw new InvalidOperationError("Collection contains no elements.");
+            }
+            return elem;
+        }
+
+        // Returns a function that tests whether an element is of the specified type.
+        function getTypeTest(type) {
+            var typeName;
+            var getType;
+            if (type === Boolean) {
+                typeName = "boolean";
+            } else if (type === Number) {
+                typeName = "number";
+            } else if (type === String) {
+                typeName = "string";
+            } else if (type === Function) {
+                typeName = "function";
+            } else if (type === Object) {
+                getType = function (elem) {
+                    return elem && typeof elem === "object";
+                };
+            } else if (type === undefined) {
+                typeName = "undefined";
+            } else if (type === null) {
+                getType = function (elem) {
+                    return elem === null;
+                };
+            } else {
+                getType = function (elem) {
+                    return elem instanceof type;
+                };
+            }
+            return getType || function (elem) {
+                return typeof elem === typeName;
+            };
+        }
+
+        /**
+         * Returns an ES2015 iterator that iterates through the collection.<br />
+         * Makes every collection usable with for...of, the spread operator, destructuring and Array.from.<br />
+         * Only available in environments that support Symbol.iterator.
+         * @function @@iterator
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Object} - Returns an object that implements the ES2015 iterator protocol.
+         */
+        if (symbolIterator) {
+            enumProto[symbolIterator] = function () {
+                return getEsIterator(this.getIterator());
+            };
+        }
+
+        /**
+         * Determines whether all elements of the collection satisfy a condition.<br />
+         * When a result selector is passed to the function a seed should also be specified.
+         * @param {*} [seed] - The initial accumulator value (mandatory if a result selector is specified).
+         * @param {accumulator} accumulator - An accumulator function to be invoked on each element.
+         * @param {selector} [resultSelector] - A function to transform the final accumulator value into the result value.
+         * @function aggregate
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {*} - The final accumulator value.
+         */
+        enumProto.aggregate = function (seed, accumulator, selector) {
+            if (accumulator) {
+                throwIfNotFunction(accumulator, "Enumerable.aggregate", "accumulator");
+                throwIfNotFunction(selector, "Enumerable.aggregate", "resultSelector", true);
+                return aggregateSeed(this, seed, accumulator, selector);
+            }
+            throwIfNotFunction(seed, "Enumerable.aggregate", "accumulator");
+            return aggregate(this, seed);
+        };
+
+        /**
+         * Groups the elements of a collection by key and aggregates the elements of each group.<br />
+         * The groups are returned in the order in which their keys are first found.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {*} seed - The initial accumulator value of each group, or a function that returns the initial accumulator value for a key.
+         * @param {accumulator} accumulator - An accumulator function to be invoked on each element of a group.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function aggregateBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection of key-value pairs that contain a key and the final accumulator value of its group.
+         */
+        enumProto.aggregateBy = function (keySelector, seed, accumulator, eqComparer) {
+            throwIfNotFunction(keySelector, "Enumerable.aggregateBy", "keySelector");
+            throwIfNotFunction(accumulator, "Enumerable.aggregateBy", "accumulator");
+            throwIfNotEqComparer(eqComparer, "Enumerable.aggregateBy");
+            var self = this;
+            return new Enumerable(function () {
+                var d = new Dictionary(eqComparer);
+                self.forEach(function (elem) {
+                    var key = keySelector(elem),
+                    result = d.tryGet(key);
+                    if (result.success) {
+                        d.set(key, accumulator(result.value, elem));
+                    } else {
+                        d.add(key, accumulator(typeof seed === "function" ? seed(key) : seed, elem));
+                    }
+                });
+                return d.getIterator();
+            });
+        };
+
+        /**
+         * Determines whether all elements of the collection satisfy a condition.
+         * @param {predicate} predicate - A function to test each element for a condition.
+         * @function all
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Boolean} - True if the list is empty or if all elements in the collection satisfy a condition, else false.
+         */
+        enumProto.all = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.all", "predicate");
+            var all = true;
+            this.forEach(function (elem) {
+                all = predicate(elem);
+                return all;
+            });
+            return all;
+        };
+
+        /**
+         * Determines whether the collection contains any elements or if any elements satisfy a condition.
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @function any
+         * @see {@link arrgh.Enumerable#some}
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Boolean} - True if the collection contains any elements or if any elements satisfy a condition, else false.
+         */
+        enumProto.any = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.any", "predicate", true);
+            var indexer = getIndexer(this),
+            any = false;
+            if (indexer && !predicate) {
+                return indexer.count() > 0;
+            }
+            this.forEach(function (elem, index) {
+                if (predicate) {
+                    any = predicate(elem, index);
+                    return !any;
+                }
+                any = true;
+                return false;
+            });
+            return any;
+        };
+
+        /**
+         * Determines whether the collection contains any elements or if any elements satisfy a condition.
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @function some
+         * @see {@link arrgh.Enumerable#any}
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Boolean} - True if the collection contains any elements or if any elements satisfy a condition, else false.
+         */
+        enumProto.some = enumProto.any;
+
+        /**
+         * Appends an element to the end of the collection.
+         * @param {*} element - The element to append.
+         * @function append
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that ends with the element.
+         */
+        enumProto.append = function (element) {
+            return this.concat(new Enumerable([element]));
+        };
+
+        /**
+         * Returns the input typed as Enumerable.
+         * @function asEnumerable
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - The input collection as Enumerable.
+         */
+        enumProto.asEnumerable = function () {
+            return new Enumerable(this.getIterator);
+        };
+
+        /**
+         * Computes the average of a collection of values.<br />
+         * Values are converted to numerics, but if this fails unexpected averages may occur.
+         * @param {selector} [selector] - A function that projects an element into a new form.
+         * @function average
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Number} - The average of all values in the collection, or NaN.
+         * @throws Throws an error if the collection contains no elements.
+         */
+        enumProto.average = function (selector) {
+            throwIfNotFunction(selector, "Enumerable.average", "selector", true);
+            return sumCount(this, selector, function (sum, count) {
+                return sum / count;
+            });
+        };
+
+        /**
+         * Casts the elements of a collection to the specified type.<br />
+         * The type is tested the same way as by {@link arrgh.Enumerable#ofType}, but an element of another type is an error instead of being skipped.
+         * @param {*|undefined|null} type - The type to cast the elements to.
+         * @function cast
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains each element of the source collection.
+         * @throws Throws an error when an element is not of the specified type, once that element is enumerated.
+         */
+        enumProto.cast = function (type) {
+            throwIfNotType(type, "Enumerable.cast");
+            var isType = getTypeTest(type);
+            return this.select(function (elem) {
+                if (!isType(elem)) {
+                    throw new InvalidOperationError("Unable to cast element [" + elem + "] to the specified type.");
+                }
+                return elem;
+            });
+        };
+
+        /**
+         * Splits the elements of a collection into chunks of at most the specified size.
+         * @param {Number} size - The maximum size of each chunk.
+         * @function chunk
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection of arrays, all of the specified size except for the last one, which may be smaller.
+         * @throws Throws when the size is smaller than 1.
+         */
+        enumProto.chunk = function (size) {
+            throwIfNotNumber(size, "Enumerable.chunk", "size");
+            if (size < 1) {
+                throw new ArgumentOutOfRangeError("Size must be greater than 0.", "size", size);
+            }
+            var self = this;
+            size = Math.ceil(size);
+            return new Enumerable(function () {
+                var iterator = self.getIterator(),
+                current;
+                return new Iterator(function () {
+                    current = [];
+                    while (current.length < size && iterator.moveNext()) {
+                        current.push(iterator.current());
+                    }
+                    if (current.length > 0) {
+                        return true;
+                    }
+                    current = undefined;
+                    return false;
+                }, function () {
+                    return current;
+                }, function () {
+                    disposeIterator(iterator);
+                });
+            });
+        };
+
+        /**
+         * Concatenates two collections.
+         * @param {other} other - The collection to concatenate to the current collection.
+         * @function concat
+         * @see {@link arrgh.Enumerable#unionAll}
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains all the elements of both the current and the other collection.
+         */
+        enumProto.concat = function (other) {
+            throwIfNotEnumerable(other, "Enumerable.concat", "other");
+            var self = this;
+            return new Enumerable(function () {
+                return getUnionIterator(self, other);
+            });
+        };
+
+        /**
+         * Concatenates two collections.
+         * @param {other} other - The collection to concatenate to the current collection.
+         * @function unionAll
+         * @see {@link arrgh.Enumerable#concat}
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains all the elements of both the current and the other collection.
+         */
+        enumProto.unionAll = enumProto.concat;
+
+        /**
+         * Determines whether a collection contains a specified element, optionally uses a custom equality comparer.
+         * @param {*} elem - The element to locate in the collection.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @function contains
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Boolean} - Returns whether the specified element is contained in the collection.
+         */
+        enumProto.contains = function (elem, eqComparer) {
+            throwIfNotEqComparer(eqComparer, "Enumerable.contains");
+            eqComparer = ensureEqComparer(eqComparer);
+            var hasElem = false;
+            this.forEach(function (item) {
+                hasElem = eqComparer.equals(item, elem);
+                return !hasElem;
+            });
+            return hasElem;
+        };
+
+        /**
+         * Specifies how many elements the collection has, or how many satisfy a certain condition.
+         * @function count
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @returns {Number} - A number that specifies how many elements the collection has, or how many satisfy a certain condition.
+         */
+        enumProto.count = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.count", "predicate", true);
+            var indexer = getIndexer(this),
+            count = 0;
+            if (indexer && !predicate) {
+                return indexer.count();
+            }
+            predicate = predicate || alwaysTrue;
+
+            this.forEach(function (elem) {
+                if (predicate(elem)) {
+                    count += 1;
+                }
+            });
+            return count;
+        };
+
+        /**
+         * Counts the elements of a collection per key.<br />
+         * The keys are returned in the order in which they are first found.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function countBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection of key-value pairs that contain a key and the number of elements with that key.
+         */
+        enumProto.countBy = function (keySelector, eqComparer) {
+            throwIfNotFunction(keySelector, "Enumerable.countBy", "keySelector");
+            throwIfNotEqComparer(eqComparer, "Enumerable.countBy");
+            return this.aggregateBy(keySelector, 0, function (count) {
+                return count + 1;
+            }, eqComparer);
+        };
+
+        /**
+         * Correlates every element of a collection with every element of another collection.
+         * @param {arrgh.Enumerable} inner - The collection to join with.
+         * @param {joinResultSelector} resultSelector - A function to create a result from two elements.
+         * @function crossJoin
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that has an element for every combination of an element of the outer collection and an element of the inner collection.
+         */
+        enumProto.crossJoin = function (inner, resultSelector) {
+            throwIfNotEnumerable(inner, "Enumerable.crossJoin", "inner");
+            throwIfNotFunction(resultSelector, "Enumerable.crossJoin", "resultSelector");
+            var self = this;
+            return new Enumerable(function () {
+                // The inner collection is enumerated once, not once for every outer element.
+                var innerList = inner.toList();
+                return self.selectMany(function () {
+                    return innerList;
+                }, resultSelector).getIterator();
+            });
+        };
+
+        /**
+         * Returns the elements of the specified collection or a collection containing only the default value if the collection is empty.
+         * @function defaultIfEmpty
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {*} defaultValue - The default value to be returned when the collection is empty.
+         * @returns {arrgh.Enumerable} - A new collection containing the elements of the specified collection or a new collection containing only the default value if the collection is empty.
+         */
+        enumProto.defaultIfEmpty = function (defaultValue) {
+            var self = this;
+            return new Enumerable(function () {
+                var iterator = self.getIterator();
+                var current;
+                var empty = true;
+                return new Iterator(function () {
+                    current = undefined;
+                    if (iterator.moveNext()) {
+                        empty = false;
+                        current = iterator.current();
+                        return true;
+                    }
+                    if (empty) {
+                        empty = false;
+                        current = defaultValue;
+                        return true;
+                    }
+                    return false;
+                }, function () {
+                    return current;
+                }, function () {
+                    disposeIterator(iterator);
+                });
+            });
+        };
+
+        /**
+         * Returns distinct elements from a collection by using the default or a custom equality comparer to compare values.
+         * @function distinct
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @returns {arrgh.Enumerable} - A new collection with unique elements.
+         */
+        enumProto.distinct = function (eqComparer) {
+            throwIfNotEqComparer(eqComparer, "Enumerable.distinct");
+            return this.union(empty, eqComparer);
+        };
+
+        /**
+         * Returns distinct elements from a collection according to a key.<br />
+         * Of all elements with the same key the first one is returned.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function distinctBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains the elements with distinct keys from the source collection.
+         */
+        enumProto.distinctBy = function (keySelector, eqComparer) {
+            throwIfNotFunction(keySelector, "Enumerable.distinctBy", "keySelector");
+            throwIfNotEqComparer(eqComparer, "Enumerable.distinctBy");
+            var self = this;
+            return new Enumerable(function () {
+                var keys = new Dictionary(eqComparer);
+                return self.where(function (elem) {
+                    return addKey(keys, keySelector(elem));
+                }).getIterator();
+            });
+        };
+
+        /**
+         * Returns the element at a specified index.
+         * @function elementAt
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {Number} index - The index of the element to find.
+         * @returns {*} - The element at the specified index.
+         * @throws Throws an error if the specified index is outside the bounds of the collection.
+         */
+        enumProto.elementAt = function (index) {
+            throwIfNotNumber(index, "Enumerable.elementAt", "index");
+            var def = {};
+            var elem = this.elementAtOrDefault(index, def);
+            if (elem === def) {
+                throw new ArgumentOutOfRangeError("Index was outside the bounds of the collection.", "index", index);
+            }
+            return elem;
+        };
+
+        /**
+         * Returns the element at a specified index or a default value.
+         * @function elementAtOrDefault
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {Number} index - The index of the element to find.
+         * @param {*} [defaultValue] - The value that is returned when the specified index is not found.
+         * @returns {*} - The element at the specified index or a default value.
+         */
+        enumProto.elementAtOrDefault = function (index, defaultValue) {
+            throwIfNotNumber(index, "Enumerable.elementAtOrDefault", "index");
+            if (index < 0) {
+                return defaultValue;
+            }
+
+            var indexer = getIndexer(this),
+            elem,
+            elemSet = false;
+            if (indexer) {
+                if (index >= indexer.count() || index % 1 !== 0) {
+                    return defaultValue;
+                }
+                return indexer.get(index);
+            }
+            this.forEach(function (e, i) {
+                if (i === index) {
+                    elem = e;
+                    elemSet = true;
+                    return false;
+                }
+            });
+
+            if (!elemSet) {
+                return defaultValue;
+            }
+            return elem;
+        };
+
+        /**
+         * Returns an empty singleton instance of enumerable.
+         * @function empty
+         * @memberof arrgh.Enumerable
+         * @static
+         * @returns {arrgh.Enumerable} - An empty singleton collection.
+         */
+        Enumerable.empty = function () {
+            return empty;
+        };
+
+        /**
+         * Produces the set difference of two collections.
+         * @function except
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {arrgh.Enumerable} other - A collection whose elements that also occur in the first sequence will cause those elements to be removed from the returned collection.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @returns {arrgh.Enumerable} - A collection that contains the set difference of the elements of two collections.
+         */
+        enumProto.except = function (other, eqComparer) {
+            throwIfNotEnumerable(other, "Enumerable.except", "other");
+            throwIfNotEqComparer(eqComparer, "Enumerable.except");
+            var self = this;
+            return new Enumerable(function () {
+                var iterator = self.getIterator(),
+                d = new Dictionary(eqComparer),
+                current;
+                other.forEach(function (elem) {
+                    if (!d.containsKey(elem)) {
+                        d.add(elem);
+                    }
+                });
+                return new Iterator(function () {
+                    while (iterator.moveNext()) {
+                        current = iterator.current();
+                        if (!d.containsKey(current)) {
+                            d.add(current);
+                            return true;
+                        }
+                    }
+                    current = undefined;
+                    return false;
+                }, function () {
+                    return current;
+                }, function () {
+                    disposeIterator(iterator);
+                });
+            });
+        };
+
+        /**
+         * Returns the elements of a collection whose keys do not appear in another collection of keys.<br />
+         * Of all elements with the same key only the first one is returned.
+         * @param {arrgh.Enumerable} other - A collection of keys to exclude.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function exceptBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains the elements whose keys are not in the other collection.
+         */
+        enumProto.exceptBy = function (other, keySelector, eqComparer) {
+            throwIfNotEnumerable(other, "Enumerable.exceptBy", "other");
+            throwIfNotFunction(keySelector, "Enumerable.exceptBy", "keySelector");
+            throwIfNotEqComparer(eqComparer, "Enumerable.exceptBy");
+            var self = this;
+            return new Enumerable(function () {
+                var keys = new Dictionary(eqComparer);
+                other.forEach(function (key) {
+                    addKey(keys, key);
+                });
+                return self.where(function (elem) {
+                    return addKey(keys, keySelector(elem));
+                }).getIterator();
+            });
+        };
+
+        /**
+         * Returns the first element in a collection, or the first element that satisfies a condition.
+         * @function first
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @returns {*} - Returns the first element of the collection, or the first element that satisfies a condition.
+         * @throws Throws an error if the collection is empty or when no element matches the condition.
+         */
+        enumProto.first = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.first", "predicate", true);
+            var self = this;
+            return findElem(this, predicate, function (predicate, defaultValue) {
+                return self.firstOrDefault(predicate, defaultValue);
+            });
+        };
+
+        /**
+         * Returns the first element in a collection, or the first element that satisfies a condition.<br />
+         * If the element is not found returns a default value.
+         * @function firstOrDefault
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
+         * @returns {*} - Returns the first element of the collection, or the first element that satisfies a condition, or a specified default value.
+         */
+        enumProto.firstOrDefault = function (predicate, defaultValue) {
+            return findOrDefault(this, function (context, foundElem) {
+                context.elem = foundElem;
+                context.found = true;
+                return false;
+            }, predicate, defaultValue);
+        };
+
+        /**
+         * Performs the specified action on each element of the collection.
+         * @param {forEachCallback} callback - The callback that is applied to each element in the enumerable.
+         * @function forEach
+         * @memberof arrgh.Enumerable
+         * @instance
+         */
+        enumProto.forEach = function (callback) {
+            throwIfNotFunction(callback, "Enumerable.forEach", "callback");
+            if (this._ && this._.query) {
+                forEachFused(this._.query, callback);
+                return;
+            }
+            var iterator = this.getIterator(),
+            cont = null,
+            index = 0;
+            try {
+                while ((isNull(cont) || cont) && iterator.moveNext()) {
+                    cont = callback(iterator.current(), index);
+                    index += 1;
+                }
+            } finally {
+                disposeIterator(iterator);
+            }
+        };
+
+        /**
+         * Correlates the elements of two collections based on equality of keys, including the elements of both collections that have no match.<br />
+         * The unmatched elements of the inner collection follow the elements of the outer collection.
+         * @param {arrgh.Enumerable} inner - The collection to join with.
+         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection.
+         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection.
+         * @param {joinResultSelector} resultSelector - A function to create a result from two matched elements, or from an element and the default value when there is no match.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @param {*} [defaultValue] - The value that is passed to the result selector in place of a missing outer or inner element.
+         * @function fullOuterJoin
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that has elements that are obtained by performing a full outer join on two collections.
+         */
+        enumProto.fullOuterJoin = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer, defaultValue) {
+            throwIfNotJoin("Enumerable.fullOuterJoin", inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer);
+            var self = this;
+            eqComparer = ensureEqComparer(eqComparer);
+            return new Enumerable(function () {
+                var innerLookup = inner.toLookup(innerKeySelector, eqComparer),
+                outerKeys = new Dictionary(eqComparer);
+                return self.selectMany(function (outer) {
+                    var key = outerKeySelector(outer);
+                    addKey(outerKeys, key);
+                    return getJoinMatches(innerLookup, key, defaultValue);
+                }, resultSelector).concat(innerLookup.where(function (group) {
+                    // Only evaluated once all outer keys are known.
+                    return !outerKeys.containsKey(group.key);
+                }).selectMany(function (group) {
+                    return group;
+                }, function (group, elem) {
+                    return resultSelector(defaultValue, elem);
+                })).getIterator();
+            });
+        };
+
+        /**
+         * Groups the elements of a collection according to a specified key selector.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {selector} [elementSelector] - A function to project an element into a new form.
+         * @param {groupByResultSelector} [resultSelector] - A function to create a result value from each group.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function groupBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @arrgh.Enumerable - A collection where each object contains a collection of objects and a key.
+         */
+        enumProto.groupBy = function (keySelector) {
+            var self = this,
+            elementSelector,
+            resultSelector,
+            eqComparer,
+            args = Array.prototype.slice.call(arguments),
+            setArg = function (index) {
+                var type = typeof args[index];
+                if (type === "object") {
+                    eqComparer = args[index];
+                } else if (type === "function") {
+                    if (args[index].length === 1) {
+                        elementSelector = args[index];
+                    } else {
+                        resultSelector = args[index];
+                    }
+                } else if (settings.validateArguments && type !== "undefined") {
+                    throwInvalidArgument("Enumerable.groupBy", ["keySelector", "elementSelector", "resultSelector", "eqComparer"][index], "a function or an equality comparer");
+                }
+            };
+            throwIfNotFunction(keySelector, "Enumerable.groupBy", "keySelector");
+            setArg(1);
+            setArg(2);
+            setArg(3);
+            throwIfNotEqComparer(eqComparer, "Enumerable.groupBy");
+
+            elementSelector = elementSelector || identity;
+            eqComparer = ensureEqComparer(eqComparer);
+
+            return new Enumerable(function () {
+                var iterator = self.toLookup(keySelector, elementSelector, eqComparer).getIterator();
+                return new Iterator(iterator.moveNext, function () {
+                    var current = iterator.current();
+                    if (isNull(current)) {
+                        return current;
+                    }
+                    if (resultSelector) {
+                        return resultSelector(current.key, current);
+                    }
+                    return current;
+                });
+            });
+        };
+
+        /**
+         * Correlates the elements of two collections based on equality of keys and groups the results.
+         * @param {arrgh.Enumerable} inner - The collection to join with.
+         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection.
+         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection.
+         * @param {groupJoinResultSelector} resultSelector - A function to create a result value from each group.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function groupJoin
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains elements that are obtained by performing a grouped join on two collections.
+         */
+        enumProto.groupJoin = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer) {
+            throwIfNotEnumerable(inner, "Enumerable.groupJoin", "inner");
+            throwIfNotFunction(outerKeySelector, "Enumerable.groupJoin", "outerKeySelector");
+            throwIfNotFunction(innerKeySelector, "Enumerable.groupJoin", "innerKeySelector");
+            throwIfNotFunction(resultSelector, "Enumerable.groupJoin", "resultSelector");
+            throwIfNotEqComparer(eqComparer, "Enumerable.groupJoin");
+            var self = this;
+            eqComparer = ensureEqComparer(eqComparer);
+            return new Enumerable(function () {
+                var iterator = self.getIterator(),
+                innerLookup = inner.toLookup(innerKeySelector, eqComparer),
+                moved = false;
+                return new Iterator(function () {
+                    moved = iterator.moveNext();
+                    return moved;
+                }, function () {
+                    if (!moved) {
+                        return undefined;
+                    }
+                    var current = iterator.current();
+                    var outerKey = outerKeySelector(current);
+                    return resultSelector(current, innerLookup.get(outerKey));
+                }, function () {
+                    disposeIterator(iterator);
+                });
+            });
+        };
+
+        /**
+         * Pairs each element of a collection with its index.
+         * @function index
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection of objects that contain an index and the element at that index as item.
+         */
+        enumProto.index = function () {
+            return this.select(function (elem, index) {
+                return {
+                    index: index,
+                    item: elem
+                };
+            });
+        };
+
+        /**
+         * Finds the first index at which a given element can be found in the collection, or -1 if it is not present.
+         * @param {*} searchElem - The element to locate in the collection.
+         * @param {Number} [fromIndex=0] - The index to start the search at.
+         * @function indexOf
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Number} - The first index of the element in the array or -1 if not found.
+         */
+        enumProto.indexOf = function (searchElem, fromIndex) {
+            throwIfNotNumber(fromIndex, "Enumerable.indexOf", "fromIndex", true);
+            fromIndex = fromIndex || 0;
+            var foundIndex = -1;
+            this.forEach(function (elem, index) {
+                if (index >= fromIndex && defaultEqComparer.equals(searchElem, elem)) {
+                    foundIndex = index;
+                    return false;
+                }
+            });
+            return foundIndex;
+        };
+
+        /**
+         * Produces the set intersection of two collections.
+         * @function intersect
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {arrgh.Enumerable} other - A collection whose elements that also occur in the first sequence will cause those elements to be included in the returned collection.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @returns {arrgh.Enumerable} - A collection that contains the set intersection of the elements of two collections.
+         */
+        enumProto.intersect = function (other, eqComparer) {
+            throwIfNotEnumerable(other, "Enumerable.intersect", "other");
+            throwIfNotEqComparer(eqComparer, "Enumerable.intersect");
+            var self = this;
+            return new Enumerable(function () {
+                var iterator = self.getIterator(),
+                d = new Dictionary(eqComparer);
+                other.forEach(function (elem) {
+                    if (!d.containsKey(elem)) {
+                        d.add(elem);
+                    }
+                });
+                var current;
+                return new Iterator(function () {
+                    while (iterator.moveNext()) {
+                        current = iterator.current();
+                        if (d.containsKey(current)) {
+                            return d.remove(current);
+                        }
+                    }
+                    current = undefined;
+                    return false;
+                }, function () {
+                    return current;
+                }, function () {
+                    disposeIterator(iterator);
+                });
+            });
+        };
+
+        /**
+         * Returns the elements of a collection whose keys appear in another collection of keys.<br />
+         * Of all elements with the same key only the first one is returned.
+         * @param {arrgh.Enumerable} other - A collection of keys to include.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function intersectBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains the elements whose keys are in the other collection.
+         */
+        enumProto.intersectBy = function (other, keySelector, eqComparer) {
+            throwIfNotEnumerable(other, "Enumerable.intersectBy", "other");
+            throwIfNotFunction(keySelector, "Enumerable.intersectBy", "keySelector");
+            throwIfNotEqComparer(eqComparer, "Enumerable.intersectBy");
+            var self = this;
+            return new Enumerable(function () {
+                var keys = new Dictionary(eqComparer);
+                other.forEach(function (key) {
+                    addKey(keys, key);
+                });
+                // A key is removed once it's found so the next element with the same key is skipped.
+                return self.where(function (elem) {
+                    return keys.remove(keySelector(elem));
+                }).getIterator();
+            });
+        };
+
+        /**
+         * Correlates the elements of two collections based on equality of keys.
+         * @param {arrgh.Enumerable} inner - The collection to join with.
+         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection.
+         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection.
+         * @param {joinResultSelector} resultSelector - A function to create a result from two matched elements.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function join
+         * @memberof arrgh.Enumerable
+         * @instance
+         * returns {arrgh.Enumerable} - A collection that has elements that are obtained by performing an inner join on two collections.
+         */
+        enumProto.join = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer) {
+            throwIfNotEnumerable(inner, "Enumerable.join", "inner");
+            throwIfNotFunction(outerKeySelector, "Enumerable.join", "outerKeySelector");
+            throwIfNotFunction(innerKeySelector, "Enumerable.join", "innerKeySelector");
+            throwIfNotFunction(resultSelector, "Enumerable.join", "resultSelector");
+            throwIfNotEqComparer(eqComparer, "Enumerable.join");
+            var self = this;
+            eqComparer = ensureEqComparer(eqComparer);
+            return new Enumerable(function () {
+
+                var outerIterator = self.getIterator(),
+                innerLookup = inner.toLookup(innerKeySelector, eqComparer),
+                moved,
+                innerIterator,
+                outerCurrent,
+                innerCurrent,
+                moveNext;
+
+                moveNext = function () {
+                    if (innerIterator) {
+                        moved = innerIterator.moveNext();
+                        if (moved) {
+                            innerCurrent = innerIterator.current();
+                        } else {
+                            innerIterator = undefined;
+                            moveNext();
+                        }
+                    } else {
+                        moved = outerIterator.moveNext();
+                        if (moved) {
+                            outerCurrent = outerIterator.current();
+                            innerIterator = innerLookup.get(outerKeySelector(outerCurrent)).getIterator();
+                            moveNext();
+                        }
+                    }
+                    return moved;
+                };
+                return new Iterator(moveNext, function () {
+                    if (!moved) {
+                        return undefined;
+                    }
+                    return resultSelector(outerCurrent, innerCurrent);
+                }, function () {
+                    disposeIterator(outerIterator);
+                });
+            });
+        };
+
+        /**
+         * Returns the last element in a collection, or the last element that satisfies a condition.
+         * @function last
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @returns {*} - Returns the last element of the collection, or the last element that satisfies a condition.
+         * @throws Throws an error when the collection is empty or when no element matches the condition.
+         */
+        enumProto.last = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.last", "predicate", true);
+            var self = this;
+            return findElem(this, predicate, function (predicate, defaultValue) {
+                return self.lastOrDefault(predicate, defaultValue);
+            });
+        };
+
+        /**
+         * Finds the last index at which a given element can be found in the collection, or -1 if it is not present.
+         * @param {*} searchElem - The element to locate in the collection.
+         * @param {Number} [fromIndex=0] - The index to start the search at.
+         * @function lastIndexOf
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Number} - The last index of the element in the array or -1 if not found.
+         */
+        enumProto.lastIndexOf = function (searchElem, fromIndex) {
+            throwIfNotNumber(fromIndex, "Enumerable.lastIndexOf", "fromIndex", true);
+            fromIndex = fromIndex || 0;
+            var foundIndex = -1;
+            this.forEach(function (elem, index) {
+                if (index >= fromIndex && defaultEqComparer.equals(searchElem, elem)) {
+                    foundIndex = index;
+                }
+            });
+            return foundIndex;
+        };
+
+        /**
+         * Returns the last element in a collection, or the last element that satisfies a condition.<br />
+         * If the element is not found returns a default value.
+         * @function lastOrDefault
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
+         * @returns {*} - Returns the last element of the collection, or the last element that satisfies a condition, or a specified default value.
+         */
+        enumProto.lastOrDefault = function (predicate, defaultValue) {
+            var indexer = getIndexer(this),
+            count;
+            if (indexer && typeof predicate !== "function") {
+                count = indexer.count();
+                return count > 0 ? indexer.get(count - 1) : predicate;
+            }
+            return findOrDefault(this, function (context, foundElem) {
+                context.elem = foundElem;
+                context.found = true;
+            }, predicate, defaultValue);
+        };
+
+        /**
+         * Correlates the elements of two collections based on equality of keys, including the elements of the outer collection that have no match.
+         * @param {arrgh.Enumerable} inner - The collection to join with.
+         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection.
+         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection.
+         * @param {joinResultSelector} resultSelector - A function to create a result from two matched elements, or from an outer element and the default value when there is no match.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @param {*} [defaultValue] - The value that is passed to the result selector in place of a missing inner element.
+         * @function leftJoin
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that has elements that are obtained by performing a left outer join on two collections.
+         */
+        enumProto.leftJoin = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer, defaultValue) {
+            throwIfNotJoin("Enumerable.leftJoin", inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer);
+            var self = this;
+            eqComparer = ensureEqComparer(eqComparer);
+            return new Enumerable(function () {
+                var innerLookup = inner.toLookup(innerKeySelector, eqComparer);
+                return self.selectMany(function (outer) {
+                    return getJoinMatches(innerLookup, outerKeySelector(outer), defaultValue);
+                }, resultSelector).getIterator();
+            });
+        };
+
+        /**
+         * Returns the maximum value in a collection.<br />
+         * Values are converted to numerics. If this fails and the value is NaN then NaN is treated as smaller than anything.
+         * @param {selector} [selector] - A function that projects an element into a new form.
+         * @function max
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {*} - Returns the maximum value in the collection or NaN.
+         * @throws Throws an error when the collection is empty.
+         */
+        enumProto.max = function (selector) {
+            throwIfNotFunction(selector, "Enumerable.max", "selector", true);
+            selector = selector || identity;
+            var max,
+            first = true,
+            hasNan = false;
+            this.forEach(function (elem) {
+                elem = selector(elem);
+                if (!isNull(elem)) {
+                    elem = +elem;
+                    // Really weird behavior where NaN is smaller
+                    // than anything else (except in the min function).
+                    // And, of course, it can't be compared to anything...
+                    if (isNaN(elem)) {
+                        hasNan = true;
+                    } else {
+                        if (first) {
+                            first = false;
+                            max = elem;
+                        } else {
+                            if (defaultCompare(elem, max) > 0) {
+                                max = elem;
+                            }
+                        }
+                    }
+                }
+            });
+            if (first) {
+                if (hasNan) {
+                    max = NaN;
+                } else {
+                    throw new InvalidOperationError("Collection contains no elements.");
+                }
+            }
+            return max;
+        };
+
+        /**
+         * Returns the element with the largest key in a collection.<br />
+         * When more elements have the largest key the first one is returned.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @function maxBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {*} - The element with the largest key.
+         * @throws Throws an error when the collection is empty.
+         */
+        enumProto.maxBy = function (keySelector, compare) {
+            throwIfNotFunction(keySelector, "Enumerable.maxBy", "keySelector");
+            throwIfNotFunction(compare, "Enumerable.maxBy", "compare", true);
+            return minMaxBy(this, keySelector, compare, true);
+        };
+
+        /**
+         * Buffers the elements of the collection as they are first enumerated, so the collection is only evaluated once.<br />
+         * Every iterator of the memoized collection replays the buffered elements before it moves the source any further, so the source may be infinite.
+         * @function memoize
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - Returns a collection that evaluates the source at most once.
+         */
+        enumProto.memoize = function () {
+            var self = this;
+            return new Enumerable(getBufferedIteratorFactory(function () {
+                return self.getIterator();
+            }));
+        };
+
+        /**
+         * Correlates the elements of two collections that are sorted by their keys based on equality of keys.<br />
+         * Unlike join this does not hash the inner collection, but streams through both collections in a single pass,
+         * only buffering the inner elements that have the same key.
+         * @param {arrgh.Enumerable} inner - The collection to join with, sorted by its keys.
+         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection.
+         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection.
+         * @param {joinResultSelector} resultSelector - A function to create a result from two matched elements.
+         * @param {compare} [compare] - A function that tests if a key is smaller than, greater than or equal to another key.
+         * @param {Boolean} [verifyOrder=false] - Whether to check that both collections are sorted.
+         * @function mergeJoin
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that has elements that are obtained by performing an inner join on two sorted collections.
+         * @throws Throws an {@link arrgh.InvalidOperationError} when verifyOrder is true and either collection is not sorted.
+         */
+        enumProto.mergeJoin = function (inner, outerKeySelector, innerKeySelector, resultSelector, compare, verifyOrder) {
+            throwIfNotEnumerable(inner, "Enumerable.mergeJoin", "inner");
+            throwIfNotFunction(outerKeySelector, "Enumerable.mergeJoin", "outerKeySelector");
+            throwIfNotFunction(innerKeySelector, "Enumerable.mergeJoin", "innerKeySelector");
+            throwIfNotFunction(resultSelector, "Enumerable.mergeJoin", "resultSelector");
+            throwIfNotFunction(compare, "Enumerable.mergeJoin", "compare", true);
+            var self = this;
+            compare = compare || defaultCompare;
+            return new Enumerable(function () {
+                var outerIterator = self.getIterator(),
+                innerIterator = inner.getIterator(),
+                getOuterKey = getSortedKeySelector(outerKeySelector, compare, verifyOrder, "The outer collection"),
+                getInnerKey = getSortedKeySelector(innerKeySelector, compare, verifyOrder, "The inner collection"),
+                started = false,
+                done = false,
+                hasInner,
+                innerElem,
+                innerKey,
+                group = [],
+                groupKey,
+                groupIndex = 0,
+                outer,
+                current;
+
+                function moveInner() {
+                    hasInner = innerIterator.moveNext();
+                    if (hasInner) {
+                        innerElem = innerIterator.current();
+                        innerKey = getInnerKey(innerElem);
+                    }
+                }
+
+                function finish() {
+                    done = true;
+                    current = undefined;
+                    disposeIterator(outerIterator);
+                    disposeIterator(innerIterator);
+                    return false;
+                }
+
+                return new Iterator(function () {
+                    var outerKey;
+                    if (done) {
+                        return false;
+                    }
+                    if (!started) {
+                        started = true;
+                        moveInner();
+                    }
+                    while (groupIndex >= group.length) {
+                        if (!outerIterator.moveNext()) {
+                            return finish();
+                        }
+                        outer = outerIterator.current();
+                        outerKey = getOuterKey(outer);
+                        // The group of inner elements can be reused by outer elements with the same key.
+                        if (!group.length || compare(groupKey, outerKey) !== 0) {
+                            group = [];
+                            while (hasInner && compare(innerKey, outerKey) < 0) {
+                                moveInner();
+                            }
+                            if (!hasInner) {
+                                return finish();
+                            }
+                            groupKey = innerKey;
+                            while (hasInner && compare(innerKey, outerKey) === 0) {
+                                group.push(innerElem);
+                                moveInner();
+                            }
+                        }
+                        groupIndex = 0;
+                    }
+                    current = resultSelector(outer, group[groupIndex]);
+                    groupIndex += 1;
+                    return true;
+                }, function () {
+                    return current;
+                }, function () {
+                    disposeIterator(outerIterator);
+                    disposeIterator(innerIterator);
+                });
+            });
+        };
+
+        /**
+         * Lazily merges collections that are sorted by their keys into a single sorted collection.<br />
+         * Elements with equal keys are returned in the order of their collections.
+         * @function mergeSorted
+         * @memberof arrgh.Enumerable
+         * @static
+         * @param {Array} sources - An array of collections that are sorted by their keys.
+         * @param {keySelector} [keySelector] - A function that returns the key value from an element, the element itself when not supplied.
+         * @param {compare} [compare] - A function that tests if a key is smaller than, greater than or equal to another key.
+         * @param {Boolean} [verifyOrder=false] - Whether to check that every collection is sorted.
+         * @returns {arrgh.Enumerable} - A collection that contains the elements of all collections in sorted order.
+         * @throws Throws an {@link arrgh.InvalidOperationError} when verifyOrder is true and a collection is not sorted.
+         */
+        Enumerable.mergeSorted = function (sources, keySelector, compare, verifyOrder) {
+            var i;
+            if (settings.validateArguments && !isArray(sources)) {
+                throwInvalidArgument("Enumerable.mergeSorted", "sources", "an array");
+            }
+            for (i = 0; i < sources.length; i += 1) {
+                throwIfNotEnumerable(sources[i], "Enumerable.mergeSorted", "sources");
+            }
+            throwIfNotFunction(keySelector, "Enumerable.mergeSorted", "keySelector", true);
+            throwIfNotFunction(compare, "Enumerable.mergeSorted", "compare", true);
+            keySelector = keySelector || identity;
+            compare = compare || defaultCompare;
+            return new Enumerable(function () {
+                var heap = [],
+                started = false;
+
+                // The heap has an entry for every collection that is not exhausted,
+                // the source index keeps elements with equal keys in the order of their collections.
+                function compareEntries(x, y) {
+                    return compare(x.key, y.key) || x.index - y.index;
+                }
+
+                function moveEntry(entry) {
+                    if (!entry.iterator.moveNext()) {
+                        disposeIterator(entry.iterator);
+                        return false;
+                    }
+                    entry.elem = entry.iterator.current();
+                    entry.key = entry.getKey(entry.elem);
+                    return true;
+                }
+
+                return new Iterator(function () {
+                    var entry,
+                    j;
+                    if (!started) {
+                        started = true;
+                        for (j = 0; j < sources.length; j += 1) {
+                            entry = {
+                                iterator: sources[j].getIterator(),
+                                getKey: getSortedKeySelector(keySelector, compare, verifyOrder, "The collection at index " + j),
+                                index: j
+                            };
+                            if (moveEntry(entry)) {
+                                heap.push(entry);
+                                heapSiftUp(heap, heap.length - 1, compareEntries);
+                            }
+                        }
+                    } else if (heap.length) {
+                        entry = heap[0];
+                        if (moveEntry(entry)) {
+                            heapSiftDown(heap, 0, compareEntries);
+                        } else {
+                            heapPop(heap, compareEntries);
+                        }
+                    }
+                    return heap.length > 0;
+                }, function () {
+                    return heap.length ? heap[0].elem : undefined;
+                }, function () {
+                    var j;
+                    for (j = 0; j < heap.length; j += 1) {
+                        disposeIterator(heap[j].iterator);
+                    }
+                });
+            });
+        };
+
+        /**
+         * Returns the minimum value in a collection.<br />
+         * Values are converted to numerics. If this fails the function returns NaN.
+         * @param {selector} [selector] - A function that projects an element into a new form.
+         * @function min
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {*} - Returns the minimum value in the collection or NaN.
+         * @throws Throws an error when the collection is empty.
+         */
+        enumProto.min = function (selector) {
+            throwIfNotFunction(selector, "Enumerable.min", "selector", true);
+            selector = selector || identity;
+            var min,
+            first = true;
+            this.forEach(function (elem) {
+                elem = selector(elem);
+                if (!isNull(elem)) {
+                    elem = +elem;
+                    if (isNaN(elem)) {
+                        // Really weird behavior where NaN is smaller
+                        // than anything else (except in the min function).
+                        first = false;
+                        min = elem;
+                        return false;
+                    }
+                    if (first) {
+                        first = false;
+                        min = elem;
+                    } else {
+                        if (defaultCompare(elem, min) < 0) {
+                            min = elem;
+                        }
+                    }
+                }
+            });
+            if (first) {
+                throw new InvalidOperationError("Collection contains no elements.");
+            }
+            return min;
+        };
+
+        /**
+         * Returns the element with the smallest key in a collection.<br />
+         * When more elements have the smallest key the first one is returned.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @function minBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {*} - The element with the smallest key.
+         * @throws Throws an error when the collection is empty.
+         */
+        enumProto.minBy = function (keySelector, compare) {
+            throwIfNotFunction(keySelector, "Enumerable.minBy", "keySelector");
+            throwIfNotFunction(compare, "Enumerable.minBy", "compare", true);
+            return minMaxBy(this, keySelector, compare, false);
+        };
+
+        /**
+         * Filters elements based on a specified type (constructor).<br />
+         * Object and null do not evaluate to the same type and neither do undefined and null.
+         * @param {*|undefined|null} type - The constructor of a type or undefined or null.
+         * @function ofType
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - Returns a collection containing only values that are of the specified type.
+         */
+        enumProto.ofType = function (type) {
+            throwIfNotType(type, "Enumerable.ofType");
+            return this.where(getTypeTest(type));
+        };
+
+        /**
+         * Sorts the elements of a sequence in ascending order.
+         * @function order
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         */
+        enumProto.order = function (compare) {
+            throwIfNotFunction(compare, "Enumerable.order", "compare", true);
+            return new OrderedEnumerable(this, identity, compare, false);
+        };
+
+        /**
+         * Sorts the elements of a sequence in ascending order according to a key.
+         * @function orderBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {keySelector} keySelector - A function to extract a key from an element.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         */
+        enumProto.orderBy = function (keySelector, compare) {
+            throwIfNotFunction(keySelector, "Enumerable.orderBy", "keySelector");
+            throwIfNotFunction(compare, "Enumerable.orderBy", "compare", true);
+            return new OrderedEnumerable(this, keySelector, compare, false);
+        };
+
+        /**
+         * Sorts the elements of a sequence in descending order according to a key.
+         * @function orderByDescending
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {keySelector} keySelector - A function to extract a key from an element.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         */
+        enumProto.orderByDescending = function (keySelector, compare) {
+            throwIfNotFunction(keySelector, "Enumerable.orderByDescending", "keySelector");
+            throwIfNotFunction(compare, "Enumerable.orderByDescending", "compare", true);
+            return new OrderedEnumerable(this, keySelector, compare, true);
+        };
+
+        /**
+         * Sorts the elements of a sequence in descending order.
+         * @function orderDescending
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         */
+        enumProto.orderDescending = function (compare) {
+            throwIfNotFunction(compare, "Enumerable.orderDescending", "compare", true);
+            return new OrderedEnumerable(this, identity, compare, true);
+        };
+
+        /**
+         * Adds an element to the beginning of the collection.
+         * @param {*} element - The element to prepend.
+         * @function prepend
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that starts with the element.
+         */
+        enumProto.prepend = function (element) {
+            return new Enumerable([element]).concat(this);
+        };
+
+        /**
+         * Generates a collection of integral numbers within a specified range.<br />
+         * When no count is supplied the range will stop at 9007199254740991 (a.k.a. Number.MAX_SAFE_INTEGER).<br />
+         * Depending on your start value your browser will probably flip though, so just provide a count.
+         * @function range
+         * @memberof arrgh.Enumerable
+         * @static
+         * @param {Number} start - The value of the first integer in the collection.
+         * @param {Number} [count] - The number of sequential integers to generate.
+         * @returns {arrgh.Enumerable} - A collection that contains a range of sequential integral numbers.
+         * @throws Throws when count is lower than 0 or when the range exceeds 9007199254740991 (a.k.a. Number.MAX_SAFE_INTEGER).
+         */
+        Enumerable.range = function (start, count) {
+            throwIfNotNumber(start, "Enumerable.range", "start");
+            throwIfNotNumber(count, "Enumerable.range", "count", true);
+            if (!isNull(count)) {
+                if (count < 0) {
+                    throw new ArgumentOutOfRangeError("Count cannot be lower than 0.", "count", count);
+                }
+                if (start + (count - 1) > MAX_SAFE_INTEGER) {
+                    throw new ArgumentOutOfRangeError("Start and count can not exceed " + MAX_SAFE_INTEGER + ".", "count", count);
+                }
+            }
+            return new Enumerable(function () {
+                if (isNull(count)) {
+                    var moved = false;
+                    return new Iterator(function () {
+                        if (!moved) {
+                            moved = true;
+                        } else {
+                            start += 1;
+                        }
+                        return start <= MAX_SAFE_INTEGER;
+                    }, function () {
+                        if (!moved || start > MAX_SAFE_INTEGER) {
+                            return undefined;
+                        }
+                        return start;
+                    });
+                } else {
+                    var index = -1;
+                    return new Iterator(function () {
+                        index += 1;
+                        return index < count;
+                    }, function () {
+                        if (index === -1 || index >= count) {
+                            return undefined;
+                        }
+                        return start + index;
+                    });
+                }
+            });
+        };
+
+        /**
+         * Generates a collection that contains one repeated value.
+         * @function repeat
+         * @memberof arrgh.Enumerable
+         * @static
+         * @param {*} element - The element to repeat.
+         * @param {Number} count - The number of times to repeat the element.
+         * @returns {arrgh.Enumerable} - A collection that contains a one value count times.
+         * @throws Throws when count is lower than 0.
+         */
+        Enumerable.repeat = function (element, count) {
+            throwIfNotNumber(count, "Enumerable.repeat", "count");
+            if (count < 0) {
+                throw new ArgumentOutOfRangeError("Count cannot be lower than 0.", "count", count);
+            }
+            return new Enumerable(function () {
+                var index = -1;
+                return new Iterator(function () {
+                    index += 1;
+                    return index < count;
+                }, function () {
+                    if (index === -1 || index >= count) {
+                        return undefined;
+                    }
+                    return element;
+                });
+            });
+        };
+
+        /**
+         * Reverses the order of the elements in a collection.<br />
+         * An array or List is not copied, the reversed collection reads from it while it is enumerated.
+         * Changing a List during the enumeration of its reversed collection throws, just like changing it while enumerating the List itself.
+         * @function reverse
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains the original collection in reversed order.
+         */
+        enumProto.reverse = function () {
+            var self = this,
+            indexer = getIndexer(self),
+            reversed;
+            if (indexer) {
+                reversed = {
+                    count: indexer.count,
+                    get: function (index) {
+                        return indexer.get(indexer.count() - 1 - index);
+                    },
+                    version: indexer.version
+                };
+                return setIndexer(new Enumerable(function () {
+                    return getIndexedIterator(reversed);
+                }), reversed);
+            }
+            return new Enumerable(function () {
+                var list = new List(self),
+                length = list.length,
+                index = length;
+                return new Iterator(function () {
+                    index -= 1;
+                    return index >= 0;
+                }, function () {
+                    if (index < 0 || index === length) {
+                        return undefined;
+                    }
+                    return list.get(index);
+                });
+            });
+        };
+
+        /**
+         * Correlates the elements of two collections based on equality of keys, including the elements of the inner collection that have no match.<br />
+         * The elements are returned in the order of the inner collection.
+         * @param {arrgh.Enumerable} inner - The collection to join with.
+         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection.
+         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection.
+         * @param {joinResultSelector} resultSelector - A function to create a result from two matched elements, or from the default value and an inner element when there is no match.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @param {*} [defaultValue] - The value that is passed to the result selector in place of a missing outer element.
+         * @function rightJoin
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that has elements that are obtained by performing a right outer join on two collections.
+         */
+        enumProto.rightJoin = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer, defaultValue) {
+            throwIfNotJoin("Enumerable.rightJoin", inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer);
+            var self = this;
+            eqComparer = ensureEqComparer(eqComparer);
+            return new Enumerable(function () {
+                var outerLookup = self.toLookup(outerKeySelector, eqComparer);
+                return inner.selectMany(function (innerElem) {
+                    return getJoinMatches(outerLookup, innerKeySelector(innerElem), defaultValue);
+                }, function (innerElem, outer) {
+                    return resultSelector(outer, innerElem);
+                }).getIterator();
+            });
+        };
+
+        /**
+         * Projects each element of a collection into a new form.
+         * @param {indexSelector} selector - A function that projects an element into a new form.
+         * @function select
+         * @see {@link arrgh.Enumerable#map}
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection whose elements are the result of invoking the transform function on each element of source.
+         */
+        enumProto.select = function (selector) {
+            throwIfNotFunction(selector, "Enumerable.select", "selector");
+            var indexer = getIndexer(this);
+            return fuse(this, {
+                type: "select",
+                fn: selector
+            }, indexer && {
+                count: indexer.count,
+                get: function (index) {
+                    return selector(indexer.get(index), index);
+                },
+                version: indexer.version
+            });
+        };
+
+        /**
+         * Projects each element of a collection into a new form.
+         * @param {indexSelector} selector - A function that projects an element into a new form.
+         * @function map
+         * @see {@link arrgh.Enumerable#select}
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection whose elements are the result of invoking the transform function on each element of source.
+         */
+        enumProto.map = enumProto.select;
+
+        /**
+         * Projects each element of a collection to an Enumerable and flattens the resulting collections into one collection.
+         * @param {collectionSelector} collectionSelector - A function that projects an element into a new form.
+         * @param {selectManyResultSelector} [resultSelector] - A function that creates a result value from each element in the intermediate collection.
+         * @function selectMany
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection whose elements are the result of invoking the one-to-many transform function on each element of the input collection.
+         */
+        enumProto.selectMany = function (collectionSelector, resultSelector) {
+            throwIfNotFunction(collectionSelector, "Enumerable.selectMany", "collectionSelector");
+            throwIfNotFunction(resultSelector, "Enumerable.selectMany", "resultSelector", true);
+            var self = this;
+            return new Enumerable(function () {
+                var iterator = self.getIterator(),
+                innerIterator,
+                outerCurrent,
+                current,
+                index = -1,
+                moveNext;
+
+                moveNext = function () {
+                    current = undefined;
+                    if (innerIterator) {
+                        if (innerIterator.moveNext()) {
+                            if (resultSelector) {
+                                current = resultSelector(outerCurrent, innerIterator.current());
+                            } else {
+                                current = innerIterator.current();
+                            }
+                            return true;
+                        } else {
+                            disposeIterator(innerIterator);
+                            innerIterator = null;
+                            return moveNext();
+                        }
+                    }
+
+                    if (iterator.moveNext()) {
+                        index += 1;
+                        outerCurrent = iterator.current();
+                        innerIterator = new Enumerable(collectionSelector(outerCurrent, index)).getIterator();
+                        return moveNext();
+                    }
+                    return false;
+                };
+                return new Iterator(moveNext, function () {
+                    return current;
+                }, function () {
+                    disposeIterator(innerIterator);
+                    disposeIterator(iterator);
+                });
+            });
+        };
+
+        /**
+         * Determines whether two collections are equal by comparing the elements, optionally using a custom equality comparer for their type.
+         * @param {arrgh.Enumerable} other - Another collection to compare with.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two objects are equal.
+         * @function sequenceEquals
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Boolean} - True if all elements in both collections match, otherwise false.
+         */
+        enumProto.sequenceEquals = function (other, eqComparer) {
+            throwIfNotEnumerable(other, "Enumerable.sequenceEquals", "other");
+            throwIfNotEqComparer(eqComparer, "Enumerable.sequenceEquals");
+            eqComparer = ensureEqComparer(eqComparer);
+
+            var iterator = this.getIterator(),
+            otherIterator,
+            equal = true;
+            try {
+                otherIterator = other.getIterator();
+                while (iterator.moveNext() && equal) {
+                    if (!otherIterator.moveNext() || !eqComparer.equals(iterator.current(), otherIterator.current())) {
+                        equal = false;
+                    }
+                }
+                equal = equal && !otherIterator.moveNext();
+            } finally {
+                disposeIterator(iterator);
+                disposeIterator(otherIterator);
+            }
+            return equal;
+        };
+
+        /**
+         * Shares a single iterator of the collection between all iterators of the shared collection.<br />
+         * Every element is returned by only one of the iterators and an iterator continues where the previous one stopped, so the source may be infinite.
+         * @function share
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - Returns a collection whose iterators all move the same iterator of the source.
+         */
+        enumProto.share = function () {
+            var self = this,
+            sourceIterator,
+            done = false;
+            return new Enumerable(function () {
+                var current;
+                return new Iterator(function () {
+                    current = undefined;
+                    if (done) {
+                        return false;
+                    }
+                    sourceIterator = sourceIterator || self.getIterator();
+                    if (sourceIterator.moveNext()) {
+                        current = sourceIterator.current();
+                        return true;
+                    }
+                    done = true;
+                    // Other iterators may still need the source iterator, so it's only disposed at the end.
+                    disposeIterator(sourceIterator);
+                    return false;
+                }, function () {
+                    return current;
+                });
+            });
+        };
+
+        /**
+         * Returns the only element in a collection, or the only element that satisfies a condition.
+         * @function single
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @returns {*} - Returns the only element of the collection, or the only element that satisfies a condition.
+         * @throws Throws an error when the collection is empty or when no element matches the condition or when the collection (or predicate) returns more than a single element.
+         */
+        enumProto.single = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.single", "predicate", true);
+            var self = this;
+            return findElem(this, predicate, function (predicate, defaultValue) {
+                return self.singleOrDefault(predicate, defaultValue);
+            });
+        };
+
+        /**
+         * Returns the only element in a collection, or the only element that satisfies a condition.<br />
+         * If the element is not found returns a default value.
+         * @function singleOrDefault
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition.
+         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
+         * @returns {*} - Returns the only element of the collection, or the only element that satisfies a condition, or a specified default value.
+         * @throws Throws an error when the collection (or predicate) returns more than a single element.
+         */
+        enumProto.singleOrDefault = function (predicate, defaultValue) {
+            return findOrDefault(this, function (context, foundElem) {
+                if (context.found) {
+                    throw new InvalidOperationError("Collection contains more than one matching element.");
+                }
+                context.elem = foundElem;
+                context.found = true;
+            }, predicate, defaultValue);
+        };
+
+        /**
+         * Bypasses a specified number of elements in a collection and then returns the remaining elements.
+         * @function skip
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {Number} count - The number of elements to skip.
+         * @returns {arrgh.Enumerable} - A collection that contains the elements that occur after the specified index.
+         */
+        enumProto.skip = function (count) {
+            throwIfNotNumber(count, "Enumerable.skip", "count");
+            var indexer = getIndexer(this),
+            skipped;
+            // Skipping 2.5 elements skips 3 elements.
+            count = count > 0 ? Math.ceil(count) : 0;
+            if (indexer) {
+                skipped = {
+                    count: function () {
+                        return Math.max(indexer.count() - count, 0);
+                    },
+                    get: function (index) {
+                        return indexer.get(index + count);
+                    },
+                    version: indexer.version
+                };
+                return setIndexer(new Enumerable(function () {
+                    return getIndexedIterator(skipped);
+                }), skipped);
+            }
+            return fuse(this, {
+                type: "skip",
+                count: count
+            });
+        };
+
+        /**
+         * Returns the elements of a collection without the specified number of elements at the end.
+         * @function skipLast
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {Number} count - The number of elements to skip at the end of the collection.
+         * @returns {arrgh.Enumerable} - A collection that contains the elements that occur before the last count elements.
+         */
+        enumProto.skipLast = function (count) {
+            throwIfNotNumber(count, "Enumerable.skipLast", "count");
+            var self = this,
+            indexer = getIndexer(this),
+            skipped;
+            count = count > 0 ? Math.ceil(count) : 0;
+            if (indexer) {
+                skipped = {
+                    count: function () {
+                        return Math.max(indexer.count() - count, 0);
+                    },
+                    get: indexer.get,
+                    version: indexer.version
+                };
+                return setIndexer(new Enumerable(function () {
+                    return getIndexedIterator(skipped);
+                }), skipped);
+            }
+            return new Enumerable(function () {
+                var iterator = self.getIterator(),
+                buffer = [],
+                index = 0,
+                current;
+                // The last count elements are buffered, an element is returned once count elements follow it.
+                return new Iterator(function () {
+                    var elem;
+                    while (iterator.moveNext()) {
+                        elem = iterator.current();
+                        if (count === 0) {
+                            current = elem;
+                            return true;
+                        }
+                        if (buffer.length < count) {
+                            buffer.push(elem);
+                        } else {
+                            current = buffer[index];
+                            buffer[index] = elem;
+                            index = (index + 1) % count;
+                            return true;
+                        }
+                    }
+                    current = undefined;
+                    return false;
+                }, function () {
+                    return current;
+                }, function () {
+                    disposeIterator(iterator);
+                });
+            });
+        };
+
+        /**
+         * Bypasses elements in a collection as long as a specified condition is true and then returns the remaining elements.
+         * @function skipWhile
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {indexPredicate} predicate - A function to test whether to skip the element.
+         * @returns {arrgh.Enumerable} - A collection that contains the elements starting at the first element in the linear series that does not pass the test specified by predicate.
+         */
+        enumProto.skipWhile = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.skipWhile", "predicate");
+            var self = this;
+            return new Enumerable(function () {
+                var iterator = self.getIterator(),
+                index = -1,
+                current,
+                skipped = false;
+                return new Iterator(function () {
+                    current = undefined;
+                    while (!skipped) {
+                        index += 1;
+                        if (iterator.moveNext()) {
+                            current = iterator.current();
+                            if (!predicate(current, index)) {
+                                skipped = true;
+                                return true;
+                            }
+                        } else {
+                            skipped = true;
+                            return false;
+                        }
+                    }
+                    var next = iterator.moveNext();
+                    current = iterator.current();
+                    return next;
+                }, function () {
+                    return current;
+                }, function () {
+                    disposeIterator(iterator);
+                });
+            });
+        };
+
+        /**
+         * Computes the sum of a collection of values.<br />
+         * If values are not numerics the result may be NaN or something unexpected (e.g. "2" + 2 will results 22).
+         * @param {selector} [selector] - A function that projects an element into a new form.
+         * @function sum
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Number} - The sum of all values in the collection, or NaN.
+         * @throws Throws an error if the collection contains no elements.
+         */
+        enumProto.sum = function (selector) {
+            throwIfNotFunction(selector, "Enumerable.sum", "selector", true);
+            return sumCount(this, selector, function (sum) {
+                return sum;
+            });
+        };
+
+        /**
+         * Returns a specified number of elements from the start of a collection.
+         * @function take
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {Number} count - The number of elements to take.
+         * @returns {arrgh.Enumerable} - A collection that contains the elements that occur before the specified index.
+         */
+        enumProto.take = function (count) {
+            throwIfNotNumber(count, "Enumerable.take", "count");
+            var indexer = getIndexer(this);
+            count = count > 0 ? count : 0;
+            return fuse(this, {
+                type: "take",
+                count: count
+            }, indexer && {
+                count: function () {
+                    return Math.min(indexer.count(), Math.ceil(count));
+                },
+                get: indexer.get,
+                version: indexer.version
+            });
+        };
+
+        /**
+         * Returns the specified number of elements from the end of a collection.
+         * @function takeLast
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {Number} count - The number of elements to take from the end of the collection.
+         * @returns {arrgh.Enumerable} - A collection that contains the last count elements.
+         */
+        enumProto.takeLast = function (count) {
+            throwIfNotNumber(count, "Enumerable.takeLast", "count");
+            var self = this,
+            indexer = getIndexer(this),
+            taken;
+            count = count > 0 ? Math.ceil(count) : 0;
+            if (indexer) {
+                taken = {
+                    count: function () {
+                        return Math.min(indexer.count(), count);
+                    },
+                    get: function (index) {
+                        return indexer.get(index + indexer.count() - taken.count());
+                    },
+                    version: indexer.version
+                };
+                return setIndexer(new Enumerable(function () {
+                    return getIndexedIterator(taken);
+                }), taken);
+            }
+            return new Enumerable(function () {
+                var buffer = [],
+                index = 0;
+                if (count > 0) {
+                    // Only the last count elements are kept, the oldest element is overwritten by the next.
+                    self.forEach(function (elem) {
+                        buffer[index % count] = elem;
+                        index += 1;
+                    });
+                }
+                if (index > count) {
+                    buffer = buffer.slice(index % count).concat(buffer.slice(0, index % count));
+                }
+                return getArrayIterator(buffer);
+            });
+        };
+
+        /**
+         * Returns elements from a collection as long as a specified condition is true.
+         * @function takeWhile
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {indexPredicate} predicate - A function to test whether to take the element.
+         * @returns {arrgh.Enumerable} - A collection that contains the elements that occur before the element at which the test no longer passes.
+         */
+        enumProto.takeWhile = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.takeWhile", "predicate");
+            return fuse(this, {
+                type: "takeWhile",
+                fn: predicate
+            });
+        };
+
+        /**
+         * Performs a subsequent ordering of the elements in a sequence in ascending order according to a key.
+         * @function thenBy
+         * @memberof arrgh.OrderedEnumerable
+         * @instance
+         * @param {keySelector} keySelector - A function to extract a key from an element.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         */
+        OrderedEnumerable.prototype.thenBy = function (keySelector, compare) {
+            throwIfNotFunction(keySelector, "OrderedEnumerable.thenBy", "keySelector");
+            throwIfNotFunction(compare, "OrderedEnumerable.thenBy", "compare", true);
+            return new OrderedEnumerable(this, keySelector, compare, false);
+        };
+
+        /**
+         * Performs a subsequent ordering of the elements in a sequence in descending order according to a key.
+         * @function thenByDescending
+         * @memberof arrgh.OrderedEnumerable
+         * @instance
+         * @param {keySelector} keySelector - A function to extract a key from an element.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         */
+        OrderedEnumerable.prototype.thenByDescending = function (keySelector, compare) {
+            throwIfNotFunction(keySelector, "OrderedEnumerable.thenByDescending", "keySelector");
+            throwIfNotFunction(compare, "OrderedEnumerable.thenByDescending", "compare", true);
+            return new OrderedEnumerable(this, keySelector, compare, true);
+        };
+
+        /**
+         * Sorts the collection when it's first enumerated and reuses the sorted elements for every next enumeration.<br />
+         * Changes to the source after the first enumeration are not reflected in the result.
+         * @function memoize
+         * @memberof arrgh.OrderedEnumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - Returns a collection that contains the sorted elements.
+         */
+        OrderedEnumerable.prototype.memoize = function () {
+            var self = this,
+            sorted;
+            function getSorted() {
+                if (!sorted) {
+                    sorted = self.toArray();
+                }
+                return sorted;
+            }
+            return setIndexer(new Enumerable(function () {
+                return getArrayIterator(getSorted());
+            }), {
+                count: function () {
+                    return getSorted().length;
+                },
+                get: function (index) {
+                    return getSorted()[index];
+                }
+            });
+        };
+
+        // Getting the first elements of an ordered collection only sorts as many elements as needed.
+        OrderedEnumerable.prototype.elementAtOrDefault = function (index, defaultValue) {
+            return new OrderedPartition(this, 0).elementAtOrDefault(index, defaultValue);
+        };
+
+        OrderedEnumerable.prototype.first = function (predicate) {
+            return new OrderedPartition(this, 0).first(predicate);
+        };
+
+        OrderedEnumerable.prototype.firstOrDefault = function (predicate, defaultValue) {
+            return new OrderedPartition(this, 0).firstOrDefault(predicate, defaultValue);
+        };
+
+        OrderedEnumerable.prototype.skip = function (count) {
+            return new OrderedPartition(this, 0).skip(count);
+        };
+
+        OrderedEnumerable.prototype.take = function (count) {
+            return new OrderedPartition(this, 0).take(count);
+        };
+
+        var orderedPartitionProto = OrderedPartition.prototype;
+
+        // OrderedEnumerable delegates to these, so the arguments of both are validated here.
+        orderedPartitionProto.elementAtOrDefault = function (index, defaultValue) {
+            throwIfNotNumber(index, "OrderedEnumerable.elementAtOrDefault", "index");
+            var elements,
+            map;
+            if (index < 0 || index % 1 !== 0 || (!isNull(this._.take) && index >= this._.take)) {
+                return defaultValue;
+            }
+            elements = this._.ordered.getSource().toArray();
+            map = sortElements(this._.ordered, elements, this._.skip + index, 1);
+            return map.length > 0 ? elements[map[0]] : defaultValue;
+        };
+
+        orderedPartitionProto.first = function (predicate) {
+            throwIfNotFunction(predicate, "OrderedEnumerable.first", "predicate", true);
+            var def = {},
+            elem;
+            if (predicate) {
+                return Enumerable.prototype.first.call(this, predicate);
+            }
+            elem = this.elementAtOrDefault(0, def);
+            if (elem === def) {
+                throw new InvalidOperationError("Collection contains no elements.");
+            }
+            return elem;
+        };
+
+        orderedPartitionProto.firstOrDefault = function (predicate, defaultValue) {
+            if (typeof predicate === "function") {
+                return Enumerable.prototype.firstOrDefault.call(this, predicate, defaultValue);
+            }
+            return this.elementAtOrDefault(0, arguments[0]);
+        };
+
+        orderedPartitionProto.skip = function (count) {
+            throwIfNotNumber(count, "OrderedEnumerable.skip", "count");
+            count = count > 0 ? Math.ceil(count) : 0;
+            return new OrderedPartition(this._.ordered, this._.skip + count, isNull(this._.take) ? undefined : Math.max(this._.take - count, 0));
+        };
+
+        orderedPartitionProto.take = function (count) {
+            throwIfNotNumber(count, "OrderedEnumerable.take", "count");
+            count = count > 0 ? Math.ceil(count) : 0;
+            return new OrderedPartition(this._.ordered, this._.skip, isNull(this._.take) ? count : Math.min(this._.take, count));
+        };
+
+        /**
+         * Converts the collection to a JavaScript array.
+         * @function toArray
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {Array} - Returns a JavaScript array.
+         */
+        enumProto.toArray = function () {
+            var indexer = getIndexer(this),
+            arr = [],
+            count,
+            i;
+            if (indexer) {
+                count = indexer.count();
+                for (i = 0; i < count; i += 1) {
+                    arr.push(indexer.get(i));
+                }
+                return arr;
+            }
+            this.forEach(function (elem) {
+                arr.push(elem);
+            });
+            return arr;
+        };
+
+        /**
+         * Converts the collection to a collection that can be iterated over asynchronously.
+         * @function toAsync
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.AsyncEnumerable} - Returns an AsyncEnumerable containing all the elements from the input collection.
+         */
+        enumProto.toAsync = function () {
+            return new AsyncEnumerable(this);
+        };
+
+        /**
+         * Converts the collection to a dictionary.
+         * @function toDictionary
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {keySelector} keySelector - A function that returns the key value from an element of the inner collection.
+         * @param {selector} [elementSelector] - A function that projects an element into a new form.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @returns {arrgh.Dictionary} - Returns a dictionary containing the keys and elements that are selected from the input collection.
+         */
+        enumProto.toDictionary = function (keySelector, elementSelector, eqComparer) {
+            throwIfNotFunction(keySelector, "Enumerable.toDictionary", "keySelector");
+            if (typeof arguments[1] === "function") {
+                elementSelector = arguments[1];
+                eqComparer = arguments[2];
+            } else {
+                eqComparer = arguments[1];
+                elementSelector = undefined;
+            }
+            throwIfNotEqComparer(eqComparer, "Enumerable.toDictionary");
+            elementSelector = elementSelector || identity;
+            eqComparer = ensureEqComparer(eqComparer);
+
+            var d = new Dictionary(eqComparer);
+            this.forEach(function (elem) {
+                d.add(keySelector(elem), elementSelector(elem));
+            });
+            return d;
+        };
+
+        /**
+         * Converts the collection to a set of unique elements.
+         * @function toHashSet
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two elements are equal.
+         * @returns {arrgh.HashSet} - Returns a set containing the unique elements from the input collection.
+         */
+        enumProto.toHashSet = function (eqComparer) {
+            throwIfNotEqComparer(eqComparer, "Enumerable.toHashSet");
+            return new HashSet(this, eqComparer);
+        };
+
+        /**
+         * Converts the collection to a list.
+         * @function toList
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.List} - Returns a List containing all the elements from the input collection.
+         */
+        enumProto.toList = function () {
+            return new List(this);
+        };
+
+        /**
+         * Converts the collection to a collection of keys each mapped to one or more values.
+         * @function toLookup
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {keySelector} keySelector - A function that returns the key value from an element of the inner collection.
+         * @param {selector} [elementSelector] - A function that projects an element into a new form.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @returns {arrgh.Lookup} - Returns a collection of keys mapped to one or more values.
+         */
+        enumProto.toLookup = function (keySelector, elementSelector, eqComparer) {
+            throwIfNotFunction(keySelector, "Enumerable.toLookup", "keySelector");
+            if (typeof arguments[1] === "function") {
+                elementSelector = arguments[1];
+                eqComparer = arguments[2];
+            } else {
+                eqComparer = arguments[1];
+            }
+            throwIfNotEqComparer(eqComparer, "Enumerable.toLookup");
+            elementSelector = elementSelector || identity;
+            eqComparer = ensureEqComparer(eqComparer);
+
+            return new Lookup(this, keySelector, elementSelector, eqComparer);
+        };
+
+        /**
+         * Gets the number of elements of the collection if it can be determined without enumerating the collection.
+         * @function tryGetNonEnumeratedCount
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {tryResult} - A result specifying whether the number of elements is known and, if yes, also contains the number of elements.
+         */
+        enumProto.tryGetNonEnumeratedCount = function () {
+            var indexer = getIndexer(this);
+            if (indexer) {
+                return {
+                    success: true,
+                    value: indexer.count()
+                };
+            }
+            // Collections such as a Dictionary or a HashSet keep track of their length.
+            if (typeof this.length === "number") {
+                return {
+                    success: true,
+                    value: this.length
+                };
+            }
+            return {
+                success: false,
+                value: undefined
+            };
+        };
+
+        /**
+         * Produces the set union of two collections by using the default or a custom equality comparer to compare values.
+         * @function union
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {arrgh.Enumerable} other - The other collection to union with.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two elements are equal.
+         * @returns {arrgh.Enumerable} - A collection that contains distinct element from the two input collections.
+         */
+        enumProto.union = function (other, eqComparer) {
+            throwIfNotEnumerable(other, "Enumerable.union", "other");
+            throwIfNotEqComparer(eqComparer, "Enumerable.union");
+            var self = this;
+            return new Enumerable(function () {
+                return getUnionIterator(self, other, ensureEqComparer(eqComparer));
+            });
+        };
+
+        /**
+         * Combines two collections, excluding elements with a key that was already found.
+         * @param {arrgh.Enumerable} other - The collection to combine with the current collection.
+         * @param {keySelector} keySelector - A function that returns the key value from an element.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function unionBy
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection that contains the elements with distinct keys from both collections.
+         */
+        enumProto.unionBy = function (other, keySelector, eqComparer) {
+            throwIfNotEnumerable(other, "Enumerable.unionBy", "other");
+            throwIfNotFunction(keySelector, "Enumerable.unionBy", "keySelector");
+            throwIfNotEqComparer(eqComparer, "Enumerable.unionBy");
+            return this.concat(other).distinctBy(keySelector, eqComparer);
+        };
+
+        /**
+         * Filters a collection of values based on a predicate. Each element's index is used in the logic of the predicate function.
+         * @function where
+         * @see {@link arrgh.Enumerable#filter}
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {indexPredicate} predicate - A function to test each element for a condition.
+         * @returns {arrgh.Enumerable} - A collection that contains all elements that satisfy the condition.
+         */
+        enumProto.where = function (predicate) {
+            throwIfNotFunction(predicate, "Enumerable.where", "predicate");
+            return fuse(this, {
+                type: "where",
+                fn: predicate
+            });
+        };
+
+        /**
+         * Projects every element of a collection into an {@link arrgh.WindowRow} that computes SQL-style window functions,
+         * such as the row number, rank or the previous element, over the partition of the element.<br />
+         * The rows are returned per partition, in the order in which the partitions are first found, and are ordered within their partition.
+         * @param {Object} [options] - Defines how the collection is partitioned and ordered.
+         * @param {keySelector} [options.partitionBy] - A function that returns the key of the partition of an element, all elements are in one partition when not supplied.
+         * @param {equalityComparer} [options.eqComparer=(===)] - An object that tests if two partition keys are equal.
+         * @param {(keySelector|Object)} [options.orderBy] - A function that returns the key to order a partition by,
+         * or an object with a keySelector function, an optional compare function and an optional descending Boolean.
+         * Elements keep their original order when not supplied.
+         * @param {(keySelector|Object|Array)} [options.thenBy] - One or more subsequent orderings, in the same form as orderBy.
+         * @function window
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @returns {arrgh.Enumerable} - A collection of window rows.
+         */
+        enumProto.window = function (options) {
+            options = options || {};
+            var self = this,
+            partitionBy = options.partitionBy,
+            eqComparer = options.eqComparer,
+            thenBy = options.thenBy,
+            orders = [],
+            i;
+            throwIfNotFunction(partitionBy, "Enumerable.window", "partitionBy", true);
+            throwIfNotEqComparer(eqComparer, "Enumerable.window");
+            eqComparer = ensureEqComparer(eqComparer);
+            if (!isNull(options.orderBy)) {
+                orders.push(getWindowOrder(options.orderBy, "orderBy"));
+            }
+            if (!isNull(thenBy)) {
+                thenBy = isArray(thenBy) ? thenBy : [thenBy];
+                for (i = 0; i < thenBy.length; i += 1) {
+                    orders.push(getWindowOrder(thenBy[i], "thenBy"));
+                }
+            }
+            return new Enumerable(function () {
+                var partitions = partitionBy ? self.toLookup(partitionBy, eqComparer) : new Enumerable([self]);
+                return partitions.selectMany(function (partition) {
+                    return getWindowRows(partition, partitionBy ? partition.key : undefined, orders);
+                }).getIterator();
+            });
+        };
+
+        /**
+         * Filters a collection of values based on a predicate. Each element's index is used in the logic of the predicate function.
+         * @function filter
+         * @see {@link arrgh.Enumerable#where}
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {indexPredicate} predicate - A function to test each element for a condition.
+         * @returns {arrgh.Enumerable} - A collection that contains all elements that satisfy the condition.
+         */
+        enumProto.filter = enumProto.where;
+
+        /**
+         * Applies a specified function to the corresponding elements of two or three collections, producing a collection of the results.<br />
+         * Without a result selector the corresponding elements are returned in an array.
+         * @function zip
+         * @memberof arrgh.Enumerable
+         * @instance
+         * @param {arrgh.Enumerable} other - The collection to merge with.
+         * @param {arrgh.Enumerable} [third] - A third collection to merge with.
+         * @param {zipResultSelector} [resultSelector] - A function that creates a result value from two or three elements.
+         * @returns {arrgh.Enumerable} - A collection that contains merged elements of the input collections.
+         */
+        enumProto.zip = function (other, third, resultSelector) {
+            if (isNull(third) || typeof third === "function") {
+                resultSelector = third;
+                third = undefined;
+            } else {
+                throwIfNotEnumerable(third, "Enumerable.zip", "third");
+            }
+            throwIfNotEnumerable(other, "Enumerable.zip", "other");
+            throwIfNotFunction(resultSelector, "Enumerable.zip", "resultSelector", true);
+            var self = this;
+            return new Enumerable(function () {
+                var iterators = [self.getIterator(), other.getIterator()],
+                current;
+                if (third) {
+                    iterators.push(third.getIterator());
+                }
+
+                return new Iterator(function () {
+                    var elems = [],
+                    i;
+                    current = undefined;
+                    for (i = 0; i < iterators.length; i += 1) {
+                        if (!iterators[i].moveNext()) {
+                            return false;
+                        }
+                        elems.push(iterators[i].current());
+                    }
+                    current = resultSelector ? resultSelector.apply(undefined, elems) : elems;
+                    return true;
+                }, function () {
+                    return current;
+                }, function () {
+                    var i;
+                    for (i = 0; i < iterators.length; i += 1) {
+                        disposeIterator(iterators[i]);
+                    }
+                });
+            });
+        };
+
+        var listProto = List.prototype;
+
+        function throwIfOutOfBounds(index, upperBound, paramName) {
+            if (index < 0 || index >= upperBound) {
+                throw new ArgumentOutOfRangeError("Index was out of range. Must be non-negative and less than the size of the collection.", paramName || "index", index);
+            }
+        }
+
+        function isRange(list, index, count) {
+            if (count < 0) {
+                throw new ArgumentOutOfRangeError("Count cannot be negative.", "count", count);
+            }
+            if (index === 0 && count === 0) {
+                return false;
+            }
+            throwIfOutOfBounds(index, list.length);
+            if (index + count > list.length) {
+                throw new ArgumentError("Count is greater than the number of elements from index to the end of the source collection.", "count");
+            }
+            return true;
+        }
+
+        /**
+         * Adds an item to the list.
+         * @function add
+         * @memberof arrgh.List
+         * @instance
+         * @param {*} item - The item to add to the list.
+         */
+        listProto.add = function (item) {
+            this._.arr.push(item);
+            this.length += 1;
+            this._.version += 1;
+        };
+
+        /**
+         * Adds multiple items to the list.
+         * @function addRange
+         * @memberof arrgh.List
+         * @instance
+         * @param {Array|arrgh.Enumerable|params} items - The items to add to the list.
+         */
+        listProto.addRange = function (items) {
+            if (arguments.length === 1) {
+                throwIfNull(items, "List.addRange", "items");
+            }
+            if (arguments.length === 1 && items.getIterator) {
+                var self = this;
+                arguments[0].forEach(function (item) {
+                    self._.arr.push(item);
+                });
+            } else {
+                var arr = arguments.length === 1 && isArray(items) ? items : arguments;
+                this._.arr.push.apply(this._.arr, arr);
+            }
+            this.length = this._.arr.length;
+            this._.version += 1;
+        };
+
+        /**
+         * Removes all items from the list.
+         * @function clear
+         * @memberof arrgh.List
+         * @instance
+         */
+        listProto.clear = function () {
+            this._.arr = [];
+            this.length = 0;
+            this._.version += 1;
+        };
+
+        /**
+         * Gets the item at the specified index.
+         * @function get
+         * @memberof arrgh.List
+         * @instance
+         * @param {Number} index - The index at which the item should be retrieved.
+         * @returns {*} - Returns the item at the specified index.
+         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection.
+         */
+        listProto.get = function (index) {
+            throwIfNotNumber(index, "List.get", "index");
+            throwIfOutOfBounds(index, this.length);
+            return this._.arr[index];
+        };
+
+        /**
+         * Inserts an item in the list at the specified index.
+         * @function insert
+         * @memberof arrgh.List
+         * @instance
+         * @param {Number} index - The index at which the new item will be inserted.
+         * @param {*} item - The object to insert into the list.
+         * @throws Throws an error when the index is smaller than zero or greater than the length of the collection.
+         */
+        listProto.insert = function (index, item) {
+            throwIfNotNumber(index, "List.insert", "index");
+            throwIfOutOfBounds(index, this.length + 1);
+            this._.arr.splice(index, 0, item);
+            this.length += 1;
+            this._.version += 1;
+        };
+
+        /**
+         * Inserts a range of items in the list at the specified index.
+         * @function insertRange
+         * @memberof arrgh.List
+         * @instance
+         * @param {Number} index - The index at which the new items will be inserted.
+         * @param {Array|arrgh.Enumerable|params} items - The items to insert into the list.
+         * @throws Throws an error when the index is smaller than zero or greater than the length of the collection.
+         */
+        listProto.insertRange = function (index, items) {
+            throwIfNotNumber(index, "List.insertRange", "index");
+            if (arguments.length === 2) {
+                throwIfNull(items, "List.insertRange", "items");
+            }
+            throwIfOutOfBounds(index, this.length + 1);
+            var arr = this._.arr,
+            arrToInsert;
+            if (items.getIterator) {
+                arrToInsert = items.toArray();
+            } else if (isArray(items)) {
+                arrToInsert = items;
+            } else {
+                arrToInsert = Array.prototype.slice.call(arguments, 1);
+            }
+            arr.splice.apply(arr, [index, 0].concat(arrToInsert));
+            this.length = arr.length;
+            this._.version += 1;
+        };
+
+        /**
+         * Removes the first occurrence of an item from the list.
+         * @function remove
+         * @memberof arrgh.List
+         * @instance
+         * @param {*} item - The item to remove from the list.
+         * @returns {Boolean} - Returns whether the item was removed from the list.
+         */
+        listProto.remove = function (item) {
+            var index = this.indexOf(item);
+
+            if (index >= 0) {
+                this._.arr.splice(index, 1);
+                this.length -= 1;
+                this._.version += 1;
+                return true;
+            }
+            return false;
+        };
+
+        /**
+         * Removes all the elements that match the conditions defined by the specified predicate.
+         * @function removeAll
+         * @memberof arrgh.List
+         * @instance
+         * @param {predicate} predicate - A function to test each element for a condition.
+         * @returns {Number} - Returns the number of elements that were removed.
+         */
+        listProto.removeAll = function (predicate) {
+            throwIfNotFunction(predicate, "List.removeAll", "predicate");
+            var arr = this._.arr,
+            count = 0,
+            i;
+
+            for (i = arr.length - 1; i >= 0; i -= 1) {
+                if (predicate(arr[i])) {
+                    arr.splice(i, 1);
+                    count += 1;
+                }
+            }
+            this.length = arr.length;
+            if (count > 0) {
+                this._.version += 1;
+            }
+            return count;
+        };
+
+        /**
+         * Removes the element at the specified index.
+         * @function removeAt
+         * @memberof arrgh.List
+         * @instance
+         * @param {Number} index - The index of the element to remove.
+         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection.
+         */
+        listProto.removeAt = function (index) {
+            throwIfNotNumber(index, "List.removeAt", "index");
+            throwIfOutOfBounds(index, this.length);
+            this._.arr.splice(index, 1);
+            this.length -= 1;
+            this._.version += 1;
+        };
+
+        /**
+         * Removes a range of elements.
+         * @function removeRange
+         * @memberof arrgh.List
+         * @instance
+         * @param {Number} index - The starting index of the range of elements to remove.
+         * @param {Number} count - The number of elements to remove.
+         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection or when the index plus the count are greater than the length of the collection.
+         */
+        listProto.removeRange = function (index, count) {
+            throwIfNotNumber(index, "List.removeRange", "index");
+            throwIfNotNumber(count, "List.removeRange", "count");
+            if (isRange(this, index, count)) {
+                this._.arr.splice(index, count);
+                this.length = this._.arr.length;
+                this._.version += 1;
+            }
+        };
+
+        /**
+         * Sets an element at the specified index.
+         * @function set
+         * @memberof arrgh.List
+         * @instance
+         * @param {Number} index - The index of the element to overwrite.
+         * @param {*} value - The value to set.
+         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection.
+         */
+        listProto.set = function (index, value) {
+            throwIfNotNumber(index, "List.set", "index");
+            throwIfOutOfBounds(index, this.length);
+            this._.arr[index] = value;
+            this._.version += 1;
+        };
+
+        /**
+         * Sorts the list.
+         * @function sort
+         * @memberof arrgh.List
+         * @instance
+         * @param {Number} [index=0] - The starting index of the range of elements to sort.
+         * @param {Number} [count=list.length] - The length of the range to sort.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection or when the index plus the count are greater than the length of the collection.
+         */
+        listProto.sort = function (index, count, compare) {
+            var arr = this._.arr,
+            map = [],
+            partToSort,
+            compareOriginals,
+            i;
+
+            if (typeof index === "function") {
+                compare = index;
+                index = 0;
+            } else if (typeof count === "function") {
+                compare = count;
+                count = undefined;
+            } else {
+                compare = compare;
+            }
+            throwIfNotNumber(index, "List.sort", "index", true);
+            throwIfNotNumber(count, "List.sort", "count", true);
+            throwIfNotFunction(compare, "List.sort", "compare", true);
+            index = isNull(index) ? 0 : index;
+            count = isNull(count) ? arr.length - index : count;
+            compare = compare || defaultCompare;
+
+            if (!isRange(this, index, count)) {
+                return;
+            }
+
+            partToSort = arr.splice(index, count);
+            for (i = 0; i < partToSort.length; i += 1) {
+                map.push(i);
+            }
+
+            compareOriginals = function (x, y) {
+                return compare(partToSort[x], partToSort[y]);
+            };
+
+            stableSort(map, 0, partToSort.length - 1, compareOriginals);
+
+            var sorted = new Array(partToSort.length);
+            for (i = 0; i < partToSort.length; i += 1) {
+                sorted[i] = partToSort[map[i]];
+            }
+
+            this.insertRange(index, sorted);
+        };
+
+        listProto.count = function (predicate) {
+            if (!predicate) {
+                return this.length;
+            } else {
+                return Enumerable.prototype.count.call(this, predicate);
+            }
+        };
+
+        listProto.elementAt = function (index) {
+            throwIfNotNumber(index, "List.elementAt", "index");
+            throwIfOutOfBounds(index, this.length);
+            return this._.arr[index];
+        };
+
+        listProto.elementAtOrDefault = function (index, defaultValue) {
+            throwIfNotNumber(index, "List.elementAtOrDefault", "index");
+            if (index < 0 || index >= this.length) {
+                return defaultValue;
+            }
+            return this._.arr[index];
+        };
+
+        listProto.indexOf = function (searchElem, fromIndex) {
+            throwIfNotNumber(fromIndex, "List.indexOf", "fromIndex", true);
+            fromIndex = fromIndex || 0;
+            for (fromIndex; fromIndex < this.length; fromIndex += 1) {
+                if (defaultEqComparer.equals(this._.arr[fromIndex], searchElem)) {
+                    return fromIndex;
+                }
+            }
+            return -1;
+        };
+
+        listProto.last = function (predicate) {
+            if (this.length > 0 && !predicate) {
+                return this._.arr[this.length - 1];
+            } else {
+                return Enumerable.prototype.last.call(this, predicate);
+            }
+        };
+
+        listProto.lastIndexOf = function (searchElem, fromIndex) {
+            throwIfNotNumber(fromIndex, "List.lastIndexOf", "fromIndex", true);
+            fromIndex = fromIndex || 0;
+            var i;
+            for (i = this.length; fromIndex <= i; i -= 1) {
+                if (defaultEqComparer.equals(this._.arr[i], searchElem)) {
+                    return i;
+                }
+            }
+            return -1;
+        };
+
+        listProto.lastOrDefault = function (predicate, defaultValue) {
+            if (typeof arguments[0] === "function") {
+                return Enumerable.prototype.lastOrDefault.call(this, predicate, defaultValue);
+            } else {
+                if (this.length > 0) {
+                    return this._.arr[this.length - 1];
+                } else {
+                    return arguments[0];
+                }
+            }
+        };
+
+        listProto.toArray = function () {
+            return this._.arr.slice();
+        };
+
+        var dictProto = Dictionary.prototype;
+
+        function getPairOrThrow(dict, key) {
+            var pair = findPair(dict, key);
+            if (!pair) {
+                throw new KeyNotFoundError(key);
+            }
+            return pair;
+        }
+
+        /**
+         * Adds the specified key and value to the dictionary.
+         * @function add
+         * @memberof arrgh.Dictionary
+         * @instance
+         * @param {*} key - The key of the element to add.
+         * @param {*} value - The value of the element to add.
+         * @throws When no key is passed or when the key is already present in the dictionary.
+         */
+        dictProto.add = function (key, value) {
+            throwIfNotSupplied(arguments, 0, "Dictionary.add", "key");
+            if (findPair(this, key)) {
+                throw new ArgumentError("Key [" + key + "] is already present in the dictionary.", "key");
+            }
+            addPair(this, key, value);
+        };
+
+        /**
+         * Removes all items from the dictionary.
+         * @function clear
+         * @memberof arrgh.Dictionary
+         * @instance
+         */
+        dictProto.clear = function () {
+            resetDictionary(this);
+            this.length = 0;
+        };
+
+        /**
+         * Check whether a key is present in the dictionary.
+         * @function containsKey
+         * @memberof arrgh.Dictionary
+         * @instance
+         * @param {*} key - The key to locate.
+         * @returns True if the key is present, otherwise false.
+         */
+        dictProto.containsKey = function (key) {
+            return !!findPair(this, key);
+        };
+
+        /**
+         * Check whether a value is present in the dictionary.
+         * @function containsValue
+         * @memberof arrgh.Dictionary
+         * @instance
+         * @param {*} value - The value to locate.
+         * @returns True if the value is present, otherwise false.
+         */
+        dictProto.containsValue = function (value) {
+            return this.any(function (p) {
+                return defaultEqComparer.equals(p.value, value);
             });
-            if (!loopedOnce) {
-                throw new Error("Collection contains no elements.");
+        };
+
+        /**
+         * Gets the item at the specified key.
+         * @function get
+         * @memberof arrgh.Dictionary
+         * @instance
+         * @param {*} key - The key of the element which should be retrieved.
+         * @returns {*} - Returns the element with the specified key.
+         * @throws Throws an error when the key is not present in the dictionary.
+         */
+        dictProto.get = function (key) {
+            return getPairOrThrow(this, key).value;
+        };
+
+        /**
+         * Gets all keys in the dictionary.
+         * @function getKeys
+         * @memberof arrgh.Dictionary
+         * @instance
+         * @returns {Array} - An array containing all keys in the dictionary.
+         */
+        dictProto.getKeys = function () {
+            var arr = [];
+            this.forEach(function (p) {
+                arr.push(p.key);
+            });
+            return arr;
+        };
+
+        /**
+         * Gets all values in the dictionary.
+         * @function getValues
+         * @memberof arrgh.Dictionary
+         * @instance
+         * @returns {Array} - An array containing all values in the dictionary.
+         */
+        dictProto.getValues = function () {
+            var arr = [];
+            this.forEach(function (p) {
+                arr.push(p.value);
+            });
+            return arr;
+        };
+
+        /**
+         * Removes the value with the specified key from the dictionary.
+         * @function remove
+         * @memberof arrgh.Dictionary
+         * @instance
+         * @param {*} key - The key of the element to remove.
+         * @returns {Boolean} - True if the key was successfully removed and false when the key was not found.
+         */
+        dictProto.remove = function (key) {
+            var pair = findPair(this, key);
+            if (!pair) {
+                return false;
             }
-            return resultSelector(accumulate);
+            removePair(this, pair);
+            return true;
         };
 
         /**
-         * Determines whether all elements of the collection satisfy a condition.<br />
-         * When a result selector is passed to the function a seed should also be specified.
-         * @param {*} [seed] - The initial accumulator value (mandatory if a result selector is specified).
-         * @param {accumulator} accumulator - An accumulator function to be invoked on each element.
-         * @param {selector} [resultSelector] - A function to transform the final accumulator value into the result value.
-         * @function aggregate
-         * @memberof arrgh.Enumerable
+         * Sets the item at the specified key.
+         * @function set
+         * @memberof arrgh.Dictionary
          * @instance
-         * @returns {*} - The final accumulator value.
+         * @param {*} key - The key of the element to overwrite.
+         * @param {*} value - The value to set.
+         * @returns {*} - Returns the element with the specified key.
+         * @throws Throws an error when the key is not present in the dictionary.
          */
-        enumProto.aggregate = function (seed, accumulator, selector) {
-            if (accumulator) {
-                return aggregateSeed(this, seed, accumulator, selector);
+        dictProto.set = function (key, value) {
+            getPairOrThrow(this, key).value = value;
+            this._.version += 1;
+        };
+
+        /**
+         * Removes the value with the specified key from the dictionary.
+         * @function tryGet
+         * @memberof arrgh.Dictionary
+         * @instance
+         * @param {*} key - The key at which the item should be retrieved.
+         * @returns {tryResult} - A result specifying whether the key was found and, if yes, also contains the value for the key.
+         */
+        dictProto.tryGet = function (key) {
+            var pair = findPair(this, key);
+            if (!pair) {
+                return {
+                    success: false,
+                    value: undefined
+                };
+            }
+            return {
+                success: true,
+                value: pair.value
+            };
+        };
+
+        dictProto.count = function (predicate) {
+            if (!predicate) {
+                return this.length;
+            } else {
+                return Enumerable.prototype.count.call(this, predicate);
             }
-            return aggregate(this, seed);
         };
 
+        var setProto = HashSet.prototype;
+
+        // Returns the other collection as a set that uses the same equality comparer as the set.
+        function asHashSet(set, other) {
+            if (other instanceof HashSet && other._.eqComparer === set._.eqComparer) {
+                return other;
+            }
+            return new HashSet(other, set._.eqComparer);
+        }
+
         /**
-         * Determines whether all elements of the collection satisfy a condition.
-         * @param {predicate} predicate - A function to test each element for a condition.
-         * @function all
-         * @memberof arrgh.Enumerable
+         * Adds an element to the set.
+         * @function add
+         * @memberof arrgh.HashSet
          * @instance
-         * @returns {Boolean} - True if the list is empty or if all elements in the collection satisfy a condition, else false.
+         * @param {*} elem - The element to add.
+         * @returns {Boolean} - True if the element was added to the set, false if the element was already present.
          */
-        enumProto.all = function (predicate) {
-            var all = true;
-            this.forEach(function (elem) {
-                all = predicate(elem);
-                return all;
+        setProto.add = function (elem) {
+            if (this._.dict.containsKey(elem)) {
+                return false;
+            }
+            this._.dict.add(elem);
+            this.length += 1;
+            return true;
+        };
+
+        /**
+         * Removes all elements from the set.
+         * @function clear
+         * @memberof arrgh.HashSet
+         * @instance
+         */
+        setProto.clear = function () {
+            this._.dict.clear();
+            this.length = 0;
+        };
+
+        /**
+         * Determines whether the set contains a specified element.<br />
+         * When an equality comparer is specified the set is searched element by element.
+         * @function contains
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {*} elem - The element to locate in the set.
+         * @param {equals|equalityComparer} [eqComparer] - A function or object that tests if two elements are equal, defaults to the equality comparer of the set.
+         * @returns {Boolean} - Returns whether the specified element is contained in the set.
+         */
+        setProto.contains = function (elem, eqComparer) {
+            if (eqComparer) {
+                return Enumerable.prototype.contains.call(this, elem, eqComparer);
+            }
+            return this._.dict.containsKey(elem);
+        };
+
+        setProto.count = function (predicate) {
+            if (!predicate) {
+                return this.length;
+            } else {
+                return Enumerable.prototype.count.call(this, predicate);
+            }
+        };
+
+        /**
+         * Removes all elements in the specified collection from the set.
+         * @function exceptWith
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection of elements to remove from the set.
+         */
+        setProto.exceptWith = function (other) {
+            var self = this;
+            if (other === self) {
+                self.clear();
+                return;
+            }
+            new Enumerable(other).forEach(function (elem) {
+                self.remove(elem);
             });
-            return all;
         };
 
         /**
-         * Determines whether the collection contains any elements or if any elements satisfy a condition.
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @function any
-         * @see {@link arrgh.Enumerable#some}
-         * @memberof arrgh.Enumerable
+         * Modifies the set so that it only contains elements that are also in the specified collection.
+         * @function intersectWith
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection to compare to the set.
+         */
+        setProto.intersectWith = function (other) {
+            var self = this,
+            otherSet = asHashSet(self, other);
+            self.toArray().forEach(function (elem) {
+                if (!otherSet.contains(elem)) {
+                    self.remove(elem);
+                }
+            });
+        };
+
+        /**
+         * Determines whether the set is a proper subset of the specified collection.
+         * @function isProperSubsetOf
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection to compare to the set.
+         * @returns {Boolean} - True if all elements of the set are in the other collection and the other collection contains at least one element that is not in the set, otherwise false.
+         */
+        setProto.isProperSubsetOf = function (other) {
+            var otherSet = asHashSet(this, other);
+            return this.length < otherSet.length && this.isSubsetOf(otherSet);
+        };
+
+        /**
+         * Determines whether the set is a proper superset of the specified collection.
+         * @function isProperSupersetOf
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection to compare to the set.
+         * @returns {Boolean} - True if all elements of the other collection are in the set and the set contains at least one element that is not in the other collection, otherwise false.
+         */
+        setProto.isProperSupersetOf = function (other) {
+            var otherSet = asHashSet(this, other);
+            return this.length > otherSet.length && this.isSupersetOf(otherSet);
+        };
+
+        /**
+         * Determines whether the set is a subset of the specified collection.
+         * @function isSubsetOf
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection to compare to the set.
+         * @returns {Boolean} - True if all elements of the set are in the other collection, otherwise false.
+         */
+        setProto.isSubsetOf = function (other) {
+            var otherSet = asHashSet(this, other);
+            return this.length <= otherSet.length && this.all(function (elem) {
+                return otherSet.contains(elem);
+            });
+        };
+
+        /**
+         * Determines whether the set is a superset of the specified collection.
+         * @function isSupersetOf
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection to compare to the set.
+         * @returns {Boolean} - True if all elements of the other collection are in the set, otherwise false.
+         */
+        setProto.isSupersetOf = function (other) {
+            var self = this;
+            return new Enumerable(other).all(function (elem) {
+                return self.contains(elem);
+            });
+        };
+
+        /**
+         * Determines whether the set and the specified collection share any elements.
+         * @function overlaps
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection to compare to the set.
+         * @returns {Boolean} - True if at least one element is in both the set and the other collection, otherwise false.
+         */
+        setProto.overlaps = function (other) {
+            var self = this;
+            return new Enumerable(other).any(function (elem) {
+                return self.contains(elem);
+            });
+        };
+
+        /**
+         * Removes an element from the set.
+         * @function remove
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {*} elem - The element to remove.
+         * @returns {Boolean} - True if the element was successfully removed and false when the element was not found.
+         */
+        setProto.remove = function (elem) {
+            if (this._.dict.remove(elem)) {
+                this.length -= 1;
+                return true;
+            }
+            return false;
+        };
+
+        /**
+         * Determines whether the set and the specified collection contain the same elements, ignoring order and duplicates.
+         * @function setEquals
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection to compare to the set.
+         * @returns {Boolean} - True if the set and the other collection contain the same elements, otherwise false.
+         */
+        setProto.setEquals = function (other) {
+            var otherSet = asHashSet(this, other);
+            return this.length === otherSet.length && this.isSupersetOf(otherSet);
+        };
+
+        /**
+         * Modifies the set so that it only contains elements that are in either the set or the specified collection, but not in both.
+         * @function symmetricExceptWith
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection to compare to the set.
+         */
+        setProto.symmetricExceptWith = function (other) {
+            var self = this;
+            if (other === self) {
+                self.clear();
+                return;
+            }
+            new HashSet(other, self._.eqComparer).forEach(function (elem) {
+                if (!self.remove(elem)) {
+                    self.add(elem);
+                }
+            });
+        };
+
+        /**
+         * Adds all elements in the specified collection to the set.
+         * @function unionWith
+         * @memberof arrgh.HashSet
+         * @instance
+         * @param {(Array|String|arrgh.Enumerable|Object)} other - The collection of elements to add to the set.
+         */
+        setProto.unionWith = function (other) {
+            var self = this;
+            new Enumerable(other).forEach(function (elem) {
+                self.add(elem);
+            });
+        };
+
+        var sortedDictProto = SortedDictionary.prototype;
+
+        function getSortedPair(dict, key) {
+            var node = treeFind(dict._.tree, key);
+            if (!node) {
+                throw new KeyNotFoundError(key);
+            }
+            return node;
+        }
+
+        /**
+         * Adds the specified key and value to the dictionary.
+         * @function add
+         * @memberof arrgh.SortedDictionary
+         * @instance
+         * @param {*} key - The key of the element to add.
+         * @param {*} value - The value of the element to add.
+         * @throws When a key is already present in the dictionary.
+         */
+        sortedDictProto.add = function (key, value) {
+            throwIfNotSupplied(arguments, 0, "SortedDictionary.add", "key");
+            if (!treeInsert(this._.tree, key, value)) {
+                throw new ArgumentError("Key [" + key + "] is already present in the dictionary.", "key");
+            }
+            this.length += 1;
+        };
+
+        /**
+         * Gets the smallest key that is greater than or equal to the specified key.
+         * @function ceilingKey
+         * @memberof arrgh.SortedDictionary
+         * @instance
+         * @param {*} key - The key to compare to.
+         * @returns {*} - The smallest key that is greater than or equal to the specified key, or undefined when there is no such key.
+         */
+        sortedDictProto.ceilingKey = function (key) {
+            var node = treeFindNearest(this._.tree, key, false);
+            return node ? node.key : undefined;
+        };
+
+        /**
+         * Removes all items from the dictionary.
+         * @function clear
+         * @memberof arrgh.SortedDictionary
+         * @instance
+         */
+        sortedDictProto.clear = function () {
+            treeClear(this._.tree);
+            this.length = 0;
+        };
+
+        /**
+         * Check whether a key is present in the dictionary.
+         * @function containsKey
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @returns {Boolean} - True if the collection contains any elements or if any elements satisfy a condition, else false.
+         * @param {*} key - The key to locate.
+         * @returns True if the key is present, otherwise false.
          */
-        enumProto.any = function (predicate) {
-            var any = false;
-            this.forEach(function (elem, index) {
-                if (predicate) {
-                    any = predicate(elem, index);
-                    return !any;
-                }
-                any = true;
-                return false;
-            });
-            return any;
+        sortedDictProto.containsKey = function (key) {
+            return !!treeFind(this._.tree, key);
         };
 
         /**
-         * Determines whether the collection contains any elements or if any elements satisfy a condition.
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @function some
-         * @see {@link arrgh.Enumerable#any}
-         * @memberof arrgh.Enumerable
+         * Check whether a value is present in the dictionary.
+         * @function containsValue
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @returns {Boolean} - True if the collection contains any elements or if any elements satisfy a condition, else false.
+         * @param {*} value - The value to locate.
+         * @returns True if the value is present, otherwise false.
          */
-        enumProto.some = enumProto.any;
+        sortedDictProto.containsValue = dictProto.containsValue;
+
+        sortedDictProto.count = dictProto.count;
 
         /**
-         * Returns the input typed as Enumerable.
-         * @function asEnumerable
-         * @memberof arrgh.Enumerable
+         * Gets the smallest key in the dictionary.
+         * @function firstKey
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @returns {arrgh.Enumerable} - The input collection as Enumerable.
+         * @returns {*} - The smallest key in the dictionary.
+         * @throws Throws an error when the dictionary is empty.
          */
-        enumProto.asEnumerable = function () {
-            return new Enumerable(this.getIterator);
+        sortedDictProto.firstKey = function () {
+            return treeEdge(this._.tree, false).key;
         };
 
         /**
-         * Computes the average of a collection of values.<br />
-         * Values are converted to numerics, but if this fails unexpected averages may occur.
-         * @param {selector} [selector] - A function that projects an element into a new form.
-         * @function average
-         * @memberof arrgh.Enumerable
+         * Gets the greatest key that is smaller than or equal to the specified key.
+         * @function floorKey
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @returns {Number} - The average of all values in the collection, or NaN.
-         * @throws Throws an error if the collection contains no elements.
+         * @param {*} key - The key to compare to.
+         * @returns {*} - The greatest key that is smaller than or equal to the specified key, or undefined when there is no such key.
          */
-        enumProto.average = function (selector) {
-            return sumCount(this, selector, function (sum, count) {
-                return sum / count;
-            });
+        sortedDictProto.floorKey = function (key) {
+            var node = treeFindNearest(this._.tree, key, true);
+            return node ? node.key : undefined;
         };
 
         /**
-         * Concatenates two collections.
-         * @param {other} other - The collection to concatenate to the current collection.
-         * @function concat
-         * @see {@link arrgh.Enumerable#unionAll}
-         * @memberof arrgh.Enumerable
+         * Gets the item at the specified key.
+         * @function get
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @returns {arrgh.Enumerable} - A collection that contains all the elements of both the current and the other collection.
+         * @param {*} key - The key of the element which should be retrieved.
+         * @returns {*} - Returns the element with the specified key.
+         * @throws Throws an error when the key is not present in the dictionary.
          */
-        enumProto.concat = function (other) {
-            var self = this;
-            return new Enumerable(function () {
-                return getUnionIterator(self, other);
-            });
+        sortedDictProto.get = function (key) {
+            return getSortedPair(this, key).value;
         };
 
         /**
-         * Concatenates two collections.
-         * @param {other} other - The collection to concatenate to the current collection.
-         * @function unionAll
-         * @see {@link arrgh.Enumerable#concat}
-         * @memberof arrgh.Enumerable
+         * Gets all keys in the dictionary in sorted order.
+         * @function getKeys
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @returns {arrgh.Enumerable} - A collection that contains all the elements of both the current and the other collection.
+         * @returns {Array} - An array containing all keys in the dictionary.
          */
-        enumProto.unionAll = enumProto.concat;
+        sortedDictProto.getKeys = dictProto.getKeys;
 
         /**
-         * Determines whether a collection contains a specified element, optionally uses a custom equality comparer.
-         * @param {*} elem - The element to locate in the collection.
-         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
-         * @function contains
-         * @memberof arrgh.Enumerable
+         * Gets the key and value pairs with a key between (and including) the specified keys.<br />
+         * The pairs are only looked up when the collection is enumerated.
+         * @function getRange
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @returns {Boolean} - Returns whether the specified element is contained in the collection.
+         * @param {*} fromKey - The smallest key of the range.
+         * @param {*} toKey - The greatest key of the range.
+         * @returns {arrgh.Enumerable} - A collection containing the pairs with keys in the specified range.
+         * @throws Throws an error when fromKey is greater than toKey.
          */
-        enumProto.contains = function (elem, eqComparer) {
-            eqComparer = ensureEqComparer(eqComparer);
-            var hasElem = false;
-            this.forEach(function (item) {
-                hasElem = eqComparer.equals(item, elem);
-                return !hasElem;
+        sortedDictProto.getRange = function (fromKey, toKey) {
+            var tree = this._.tree,
+            range = {
+                hasLower: true,
+                lower: fromKey,
+                hasUpper: true,
+                upper: toKey
+            };
+            ensureTreeRange(tree, fromKey, toKey, "fromKey");
+            return new Enumerable(function () {
+                return getTreeIterator(tree, getTreePair, range);
             });
-            return hasElem;
         };
 
         /**
-         * Specifies how many elements the collection has, or how many satisfy a certain condition.
-         * @function count
-         * @memberof arrgh.Enumerable
+         * Gets all values in the dictionary, sorted by their key.
+         * @function getValues
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @returns {Number} - A number that specifies how many elements the collection has, or how many satisfy a certain condition.
+         * @returns {Array} - An array containing all values in the dictionary.
          */
-        enumProto.count = function (predicate) {
-            var count = 0;
-            predicate = predicate || alwaysTrue;
+        sortedDictProto.getValues = dictProto.getValues;
 
-            this.forEach(function (elem) {
-                if (predicate(elem)) {
-                    count += 1;
-                }
-            });
-            return count;
+        /**
+         * Gets the greatest key in the dictionary.
+         * @function lastKey
+         * @memberof arrgh.SortedDictionary
+         * @instance
+         * @returns {*} - The greatest key in the dictionary.
+         * @throws Throws an error when the dictionary is empty.
+         */
+        sortedDictProto.lastKey = function () {
+            return treeEdge(this._.tree, true).key;
         };
 
         /**
-         * Returns the elements of the specified collection or a collection containing only the default value if the collection is empty.
-         * @function defaultIfEmpty
-         * @memberof arrgh.Enumerable
+         * Removes the value with the specified key from the dictionary.
+         * @function remove
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @param {*} defaultValue - The default value to be returned when the collection is empty.
-         * @returns {arrgh.Enumerable} - A new collection containing the elements of the specified collection or a new collection containing only the default value if the collection is empty.
+         * @param {*} key - The key of the element to remove.
+         * @returns {Boolean} - True if the key was successfully removed and false when the key was not found.
          */
-        enumProto.defaultIfEmpty = function (defaultValue) {
-            var self = this;
-            return new Enumerable(function () {
-                var iterator = self.getIterator();
-                var current;
-                var empty = true;
-                return new Iterator(function () {
-                    current = undefined;
-                    if (iterator.moveNext()) {
-                        empty = false;
-                        current = iterator.current();
-                        return true;
-                    }
-                    if (empty) {
-                        empty = false;
-                        current = defaultValue;
-                        return true;
-                    }
-                    return false;
-                }, function () {
-                    return current;
-                });
-            });
+        sortedDictProto.remove = function (key) {
+            if (treeRemove(this._.tree, key)) {
+                this.length -= 1;
+                return true;
+            }
+            return false;
         };
 
         /**
-         * Returns distinct elements from a collection by using the default or a custom equality comparer to compare values.
-         * @function distinct
-         * @memberof arrgh.Enumerable
+         * Sets the item at the specified key.
+         * @function set
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
-         * @returns {arrgh.Enumerable} - A new collection with unique elements.
+         * @param {*} key - The key of the element to overwrite.
+         * @param {*} value - The value to set.
+         * @throws Throws an error when the key is not present in the dictionary.
          */
-        enumProto.distinct = function (eqComparer) {
-            return this.union(empty, eqComparer);
+        sortedDictProto.set = function (key, value) {
+            getSortedPair(this, key).value = value;
         };
 
         /**
-         * Returns the element at a specified index.
-         * @function elementAt
-         * @memberof arrgh.Enumerable
+         * Gets the value at the specified key, if the key is present.
+         * @function tryGet
+         * @memberof arrgh.SortedDictionary
          * @instance
-         * @param {Number} index - The index of the element to find.
-         * @returns {*} - The element at the specified index.
-         * @throws Throws an error if the specified index is outside the bounds of the collection.
+         * @param {*} key - The key at which the item should be retrieved.
+         * @returns {tryResult} - A result specifying whether the key was found and, if yes, also contains the value for the key.
          */
-        enumProto.elementAt = function (index) {
-            var def = {};
-            var elem = this.elementAtOrDefault(index, def);
-            if (elem === def) {
-                throw new Error("Index was outside the bounds of the collection.");
-            }
-            return elem;
+        sortedDictProto.tryGet = function (key) {
+            var node = treeFind(this._.tree, key);
+            return {
+                success: !!node,
+                value: node ? node.value : undefined
+            };
         };
 
+        var sortedSetProto = SortedSet.prototype;
+
         /**
-         * Returns the element at a specified index or a default value.
-         * @function elementAtOrDefault
-         * @memberof arrgh.Enumerable
+         * Adds an element to the set.
+         * @function add
+         * @memberof arrgh.SortedSet
          * @instance
-         * @param {Number} index - The index of the element to find.
-         * @param {*} [defaultValue] - The value that is returned when the specified index is not found.
-         * @returns {*} - The element at the specified index or a default value.
+         * @param {*} elem - The element to add.
+         * @returns {Boolean} - True if the element was added to the set, false if the element was already present.
          */
-        enumProto.elementAtOrDefault = function (index, defaultValue) {
-            if (index < 0) {
-                return defaultValue;
+        sortedSetProto.add = function (elem) {
+            if (treeInsert(this._.tree, elem)) {
+                this.length += 1;
+                return true;
             }
+            return false;
+        };
 
-            var elem,
-            elemSet = false;
-            this.forEach(function (e, i) {
-                if (i === index) {
-                    elem = e;
-                    elemSet = true;
-                    return false;
-                }
-            });
+        /**
+         * Removes all elements from the set.
+         * @function clear
+         * @memberof arrgh.SortedSet
+         * @instance
+         */
+        sortedSetProto.clear = function () {
+            treeClear(this._.tree);
+            this.length = 0;
+        };
 
-            if (!elemSet) {
-                return defaultValue;
+        /**
+         * Determines whether the set contains a specified element.<br />
+         * When an equality comparer is specified the set is searched element by element.
+         * @function contains
+         * @memberof arrgh.SortedSet
+         * @instance
+         * @param {*} elem - The element to locate in the set.
+         * @param {equals|equalityComparer} [eqComparer] - A function or object that tests if two elements are equal, defaults to the compare function of the set.
+         * @returns {Boolean} - Returns whether the specified element is contained in the set.
+         */
+        sortedSetProto.contains = function (elem, eqComparer) {
+            if (eqComparer) {
+                return Enumerable.prototype.contains.call(this, elem, eqComparer);
             }
-            return elem;
+            return !!treeFind(this._.tree, elem);
         };
 
         /**
-         * Returns an empty singleton instance of enumerable.
-         * @function empty
-         * @memberof arrgh.Enumerable
-         * @static
-         * @returns {arrgh.Enumerable} - An empty singleton collection.
+         * Returns the element at the specified rank, which is its index in the sorted set.
+         * @function elementAtRank
+         * @memberof arrgh.SortedSet
+         * @instance
+         * @param {Number} rank - The zero-based rank of the element to find.
+         * @returns {*} - The element at the specified rank.
+         * @throws Throws an error when the rank is not an integer, lower than 0 or equal to or greater than the length of the set.
          */
-        Enumerable.empty = function () {
-            return empty;
+        sortedSetProto.elementAtRank = function (rank) {
+            throwIfNotNumber(rank, "SortedSet.elementAtRank", "rank");
+            if (rank % 1 !== 0) {
+                throw new ArgumentOutOfRangeError("Rank must be an integer.", "rank", rank);
+            }
+            throwIfOutOfBounds(rank, this.length, "rank");
+            return treeNodeAt(this._.tree, rank).key;
         };
 
         /**
-         * Produces the set difference of two collections.
-         * @function except
-         * @memberof arrgh.Enumerable
+         * Gets the elements between (and including) the specified lower and upper bounds.<br />
+         * The elements are only looked up when the collection is enumerated.
+         * @function getViewBetween
+         * @memberof arrgh.SortedSet
          * @instance
-         * @param {arrgh.Enumerable} other - A collection whose elements that also occur in the first sequence will cause those elements to be removed from the returned collection.
-         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
-         * @returns {arrgh.Enumerable} - A collection that contains the set difference of the elements of two collections.
+         * @param {*} lower - The lowest element of the view.
+         * @param {*} upper - The highest element of the view.
+         * @returns {arrgh.Enumerable} - A collection containing the elements of the set in the specified range.
+         * @throws Throws an error when lower is greater than upper.
          */
-        enumProto.except = function (other, eqComparer) {
-            var self = this;
+        sortedSetProto.getViewBetween = function (lower, upper) {
+            var tree = this._.tree,
+            range = {
+                hasLower: true,
+                lower: lower,
+                hasUpper: true,
+                upper: upper
+            };
+            ensureTreeRange(tree, lower, upper, "lower");
             return new Enumerable(function () {
-                var iterator = self.getIterator(),
-                d = new Dictionary(eqComparer),
-                current;
-                other.forEach(function (elem) {
-                    if (!d.containsKey(elem)) {
-                        d.add(elem);
-                    }
-                });
-                return new Iterator(function () {
-                    while (iterator.moveNext()) {
-                        current = iterator.current();
-                        if (!d.containsKey(current)) {
-                            d.add(current);
-                            return true;
-                        }
-                    }
-                    current = undefined;
-                    return false;
-                }, function () {
-                    return current;
-                });
+                return getTreeIterator(tree, getTreeKey, range);
             });
         };
 
         /**
-         * Returns the first element in a collection, or the first element that satisfies a condition.
-         * @function first
-         * @memberof arrgh.Enumerable
+         * Returns the greatest element in the set according to the compare function of the set.<br />
+         * When a selector is specified the maximum value is computed like {@link arrgh.Enumerable#max}.
+         * @function max
+         * @memberof arrgh.SortedSet
+         * @instance
+         * @param {selector} [selector] - A function that projects an element into a new form.
+         * @returns {*} - The greatest element in the set.
+         * @throws Throws an error when the set is empty.
+         */
+        sortedSetProto.max = function (selector) {
+            if (selector) {
+                return Enumerable.prototype.max.call(this, selector);
+            }
+            return treeEdge(this._.tree, true).key;
+        };
+
+        /**
+         * Returns the smallest element in the set according to the compare function of the set.<br />
+         * When a selector is specified the minimum value is computed like {@link arrgh.Enumerable#min}.
+         * @function min
+         * @memberof arrgh.SortedSet
          * @instance
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @returns {*} - Returns the first element of the collection, or the first element that satisfies a condition.
-         * @throws Throws an error if the collection is empty or when no element matches the condition.
+         * @param {selector} [selector] - A function that projects an element into a new form.
+         * @returns {*} - The smallest element in the set.
+         * @throws Throws an error when the set is empty.
          */
-        enumProto.first = function (predicate) {
-            var self = this;
-            return findElem(this, predicate, function (predicate, defaultValue) {
-                return self.firstOrDefault(predicate, defaultValue);
-            });
+        sortedSetProto.min = function (selector) {
+            if (selector) {
+                return Enumerable.prototype.min.call(this, selector);
+            }
+            return treeEdge(this._.tree, false).key;
         };
 
         /**
-         * Returns the first element in a collection, or the first element that satisfies a condition.<br />
-         * If the element is not found returns a default value.
-         * @function firstOrDefault
-         * @memberof arrgh.Enumerable
+         * Returns the rank of an element, which is its index in the sorted set.
+         * @function rankOf
+         * @memberof arrgh.SortedSet
          * @instance
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
-         * @returns {*} - Returns the first element of the collection, or the first element that satisfies a condition, or a specified default value.
+         * @param {*} elem - The element to locate.
+         * @returns {Number} - The zero-based rank of the element, or -1 when the element is not in the set.
          */
-        enumProto.firstOrDefault = function (predicate, defaultValue) {
-            return findOrDefault(this, function (context, foundElem) {
-                context.elem = foundElem;
-                context.found = true;
-                return false;
-            }, predicate, defaultValue);
+        sortedSetProto.rankOf = function (elem) {
+            if (!treeFind(this._.tree, elem)) {
+                return -1;
+            }
+            return treeRank(this._.tree, elem);
         };
 
         /**
-         * Performs the specified action on each element of the collection.
-         * @param {forEachCallback} callback - The callback that is applied to each element in the enumerable.
-         * @function forEach
-         * @memberof arrgh.Enumerable
+         * Removes an element from the set.
+         * @function remove
+         * @memberof arrgh.SortedSet
          * @instance
+         * @param {*} elem - The element to remove.
+         * @returns {Boolean} - True if the element was successfully removed and false when the element was not found.
          */
-        enumProto.forEach = function (callback) {
-            var iterator = this.getIterator(),
-            cont = null,
-            index = 0;
-            while ((isNull(cont) || cont) && iterator.moveNext()) {
-                cont = callback(iterator.current(), index);
-                index += 1;
+        sortedSetProto.remove = function (elem) {
+            if (treeRemove(this._.tree, elem)) {
+                this.length -= 1;
+                return true;
             }
+            return false;
         };
 
         /**
-         * Groups the elements of a collection according to a specified key selector.
-         * @param {keySelector} keySelector - A function that returns the key value from an element.
-         * @param {selector} [elementSelector] - A function to project an element into a new form.
-         * @param {groupByResultSelector} [resultSelector] - A function to create a result value from each group.
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
-         * @function groupBy
-         * @memberof arrgh.Enumerable
+         * Enumerates the set from the greatest to the smallest element.<br />
+         * Unlike {@link arrgh.Enumerable#reverse} the set is not buffered.
+         * @function reverse
+         * @memberof arrgh.SortedSet
          * @instance
-         * @arrgh.Enumerable - A collection where each object contains a collection of objects and a key.
+         * @returns {arrgh.Enumerable} - A collection that contains the elements of the set in reversed order.
          */
-        enumProto.groupBy = function (keySelector) {
-            var self = this,
-            elementSelector,
-            resultSelector,
-            eqComparer,
-            args = Array.prototype.slice.call(arguments),
-            setArg = function (index) {
-                var type = typeof args[index];
-                if (type === "object") {
-                    eqComparer = args[index];
-                } else if (type === "function") {
-                    if (args[index].length === 1) {
-                        elementSelector = args[index];
-                    } else {
-                        resultSelector = args[index];
-                    }
-                }
-            };
-            setArg(1);
-            setArg(2);
-            setArg(3);
+        sortedSetProto.reverse = function () {
+            var tree = this._.tree;
+            return new Enumerable(function () {
+                return getTreeIterator(tree, getTreeKey, undefined, true);
+            });
+        };
 
-            elementSelector = elementSelector || identity;
+        sortedSetProto.count = dictProto.count;
+
+        sortedSetProto.elementAt = function (index) {
+            throwIfNotNumber(index, "SortedSet.elementAt", "index");
+            if (index % 1 !== 0) {
+                throw new ArgumentOutOfRangeError("Index must be an integer.", "index", index);
+            }
+            throwIfOutOfBounds(index, this.length);
+            return treeNodeAt(this._.tree, index).key;
+        };
+
+        sortedSetProto.elementAtOrDefault = function (index, defaultValue) {
+            throwIfNotNumber(index, "SortedSet.elementAtOrDefault", "index");
+            if (index < 0 || index >= this.length || index % 1 !== 0) {
+                return defaultValue;
+            }
+            return treeNodeAt(this._.tree, index).key;
+        };
+
+        var linkedListProto = LinkedList.prototype;
+
+        function throwIfNotInLinkedList(list, node) {
+            if (!(node instanceof LinkedListNode) || node.list !== list) {
+                throw new InvalidOperationError("The LinkedList node does not belong to current LinkedList.");
+            }
+        }
+
+        function linkNode(list, value, previous, next) {
+            var node = new LinkedListNode(list, value);
+            node.previous = previous;
+            node.next = next;
+            if (previous) {
+                previous.next = node;
+            } else {
+                list.first = node;
+            }
+            if (next) {
+                next.previous = node;
+            } else {
+                list.last = node;
+            }
+            list.length += 1;
+            list._.version += 1;
+            return node;
+        }
+
+        function unlinkNode(list, node) {
+            if (node.previous) {
+                node.previous.next = node.next;
+            } else {
+                list.first = node.next;
+            }
+            if (node.next) {
+                node.next.previous = node.previous;
+            } else {
+                list.last = node.previous;
+            }
+            node.list = null;
+            node.next = null;
+            node.previous = null;
+            list.length -= 1;
+            list._.version += 1;
+        }
+
+        function findNode(list, value, eqComparer, backwards) {
+            var node = backwards ? list.last : list.first;
             eqComparer = ensureEqComparer(eqComparer);
+            while (node) {
+                if (eqComparer.equals(node.value, value)) {
+                    return node;
+                }
+                node = backwards ? node.previous : node.next;
+            }
+            return null;
+        }
 
-            return new Enumerable(function () {
-                var iterator = self.toLookup(keySelector, elementSelector, eqComparer).getIterator();
-                return new Iterator(iterator.moveNext, function () {
-                    var current = iterator.current();
-                    if (isNull(current)) {
-                        return current;
-                    }
-                    if (resultSelector) {
-                        return resultSelector(current.key, current);
-                    }
-                    return current;
-                });
-            });
+        /**
+         * Adds a value after an existing node in the list.
+         * @function addAfter
+         * @memberof arrgh.LinkedList
+         * @instance
+         * @param {arrgh.LinkedListNode} node - The node after which the value is added.
+         * @param {*} value - The value to add.
+         * @returns {arrgh.LinkedListNode} - The new node containing the value.
+         * @throws Throws an error when the node does not belong to the list.
+         */
+        linkedListProto.addAfter = function (node, value) {
+            throwIfNotInLinkedList(this, node);
+            return linkNode(this, value, node, node.next);
         };
 
         /**
-         * Correlates the elements of two collections based on equality of keys and groups the results.
-         * @param {arrgh.Enumerable} inner - The collection to join with.
-         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection.
-         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection.
-         * @param {groupJoinResultSelector} resultSelector - A function to create a result value from each group.
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
-         * @function groupJoin
-         * @memberof arrgh.Enumerable
+         * Adds a value before an existing node in the list.
+         * @function addBefore
+         * @memberof arrgh.LinkedList
          * @instance
-         * @returns {arrgh.Enumerable} - A collection that contains elements that are obtained by performing a grouped join on two collections.
+         * @param {arrgh.LinkedListNode} node - The node before which the value is added.
+         * @param {*} value - The value to add.
+         * @returns {arrgh.LinkedListNode} - The new node containing the value.
+         * @throws Throws an error when the node does not belong to the list.
          */
-        enumProto.groupJoin = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer) {
-            var self = this;
-            eqComparer = ensureEqComparer(eqComparer);
-            return new Enumerable(function () {
-                var iterator = self.getIterator(),
-                innerLookup = inner.toLookup(innerKeySelector, eqComparer),
-                moved = false;
-                return new Iterator(function () {
-                    moved = iterator.moveNext();
-                    return moved;
-                }, function () {
-                    if (!moved) {
-                        return undefined;
-                    }
-                    var current = iterator.current();
-                    var outerKey = outerKeySelector(current);
-                    return resultSelector(current, innerLookup.get(outerKey));
-                });
-            });
+        linkedListProto.addBefore = function (node, value) {
+            throwIfNotInLinkedList(this, node);
+            return linkNode(this, value, node.previous, node);
         };
 
         /**
-         * Finds the first index at which a given element can be found in the collection, or -1 if it is not present.
-         * @param {*} searchElem - The element to locate in the collection.
-         * @param {Number} [fromIndex=0] - The index to start the search at.
-         * @function indexOf
-         * @memberof arrgh.Enumerable
+         * Adds a value at the start of the list.
+         * @function addFirst
+         * @memberof arrgh.LinkedList
          * @instance
-         * @returns {Number} - The first index of the element in the array or -1 if not found.
+         * @param {*} value - The value to add.
+         * @returns {arrgh.LinkedListNode} - The new node containing the value.
          */
-        enumProto.indexOf = function (searchElem, fromIndex) {
-            fromIndex = fromIndex || 0;
-            var foundIndex = -1;
-            this.forEach(function (elem, index) {
-                if (index >= fromIndex && defaultEqComparer.equals(searchElem, elem)) {
-                    foundIndex = index;
-                    return false;
-                }
-            });
-            return foundIndex;
+        linkedListProto.addFirst = function (value) {
+            return linkNode(this, value, null, this.first);
         };
 
         /**
-         * Produces the set intersection of two collections.
-         * @function intersect
-         * @memberof arrgh.Enumerable
+         * Adds a value at the end of the list.
+         * @function addLast
+         * @memberof arrgh.LinkedList
          * @instance
-         * @param {arrgh.Enumerable} other - A collection whose elements that also occur in the first sequence will cause those elements to be included in the returned collection.
-         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
-         * @returns {arrgh.Enumerable} - A collection that contains the set intersection of the elements of two collections.
+         * @param {*} value - The value to add.
+         * @returns {arrgh.LinkedListNode} - The new node containing the value.
          */
-        enumProto.intersect = function (other, eqComparer) {
-            var self = this;
-            return new Enumerable(function () {
-                var iterator = self.getIterator(),
-                d = new Dictionary(eqComparer);
-                other.forEach(function (elem) {
-                    if (!d.containsKey(elem)) {
-                        d.add(elem);
-                    }
-                });
-                var current;
-                return new Iterator(function () {
-                    while (iterator.moveNext()) {
-                        current = iterator.current();
-                        if (d.containsKey(current)) {
-                            return d.remove(current);
-                        }
-                    }
-                    current = undefined;
-                    return false;
-                }, function () {
-                    return current;
-                });
-            });
+        linkedListProto.addLast = function (value) {
+            return linkNode(this, value, this.last, null);
         };
 
         /**
-         * Correlates the elements of two collections based on equality of keys.
-         * @param {arrgh.Enumerable} inner - The collection to join with.
-         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection.
-         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection.
-         * @param {joinResultSelector} resultSelector - A function to create a result from two matched elements.
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
-         * @function join
-         * @memberof arrgh.Enumerable
+         * Removes all nodes from the list.
+         * @function clear
+         * @memberof arrgh.LinkedList
          * @instance
-         * returns {arrgh.Enumerable} - A collection that has elements that are obtained by performing an inner join on two collections.
          */
-        enumProto.join = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer) {
-            var self = this;
-            eqComparer = ensureEqComparer(eqComparer);
-            return new Enumerable(function () {
+        linkedListProto.clear = function () {
+            var node = this.first,
+            next;
+            while (node) {
+                next = node.next;
+                node.list = null;
+                node.next = null;
+                node.previous = null;
+                node = next;
+            }
+            this.first = null;
+            this.last = null;
+            this.length = 0;
+            this._.version += 1;
+        };
 
-                var outerIterator = self.getIterator(),
-                innerLookup = inner.toLookup(innerKeySelector, eqComparer),
-                moved,
-                innerIterator,
-                outerCurrent,
-                innerCurrent,
-                moveNext;
+        /**
+         * Finds the first node that contains the specified value.
+         * @function find
+         * @memberof arrgh.LinkedList
+         * @instance
+         * @param {*} value - The value to locate.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two values are equal.
+         * @returns {arrgh.LinkedListNode} - The first node that contains the value, or null when the value was not found.
+         */
+        linkedListProto.find = function (value, eqComparer) {
+            return findNode(this, value, eqComparer, false);
+        };
 
-                moveNext = function () {
-                    if (innerIterator) {
-                        moved = innerIterator.moveNext();
-                        if (moved) {
-                            innerCurrent = innerIterator.current();
-                        } else {
-                            innerIterator = undefined;
-                            moveNext();
-                        }
-                    } else {
-                        moved = outerIterator.moveNext();
-                        if (moved) {
-                            outerCurrent = outerIterator.current();
-                            innerIterator = innerLookup.get(outerKeySelector(outerCurrent)).getIterator();
-                            moveNext();
-                        }
-                    }
-                    return moved;
-                };
-                return new Iterator(moveNext, function () {
-                    if (!moved) {
-                        return undefined;
-                    }
-                    return resultSelector(outerCurrent, innerCurrent);
-                });
-            });
+        /**
+         * Finds the last node that contains the specified value.
+         * @function findLast
+         * @memberof arrgh.LinkedList
+         * @instance
+         * @param {*} value - The value to locate.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two values are equal.
+         * @returns {arrgh.LinkedListNode} - The last node that contains the value, or null when the value was not found.
+         */
+        linkedListProto.findLast = function (value, eqComparer) {
+            return findNode(this, value, eqComparer, true);
         };
 
         /**
-         * Returns the last element in a collection, or the last element that satisfies a condition.
-         * @function last
-         * @memberof arrgh.Enumerable
+         * Removes a node, or the first node that contains the specified value, from the list.
+         * @function remove
+         * @memberof arrgh.LinkedList
          * @instance
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @returns {*} - Returns the last element of the collection, or the last element that satisfies a condition.
-         * @throws Throws an error when the collection is empty or when no element matches the condition.
+         * @param {(arrgh.LinkedListNode|*)} nodeOrValue - The node or the value to remove.
+         * @returns {Boolean} - True if a node was removed, false when the value was not found.
+         * @throws Throws an error when a node is passed that does not belong to the list.
          */
-        enumProto.last = function (predicate) {
-            var self = this;
-            return findElem(this, predicate, function (predicate, defaultValue) {
-                return self.lastOrDefault(predicate, defaultValue);
-            });
+        linkedListProto.remove = function (nodeOrValue) {
+            var node = nodeOrValue;
+            if (node instanceof LinkedListNode) {
+                throwIfNotInLinkedList(this, node);
+            } else {
+                node = this.find(nodeOrValue);
+                if (!node) {
+                    return false;
+                }
+            }
+            unlinkNode(this, node);
+            return true;
         };
 
         /**
-         * Finds the last index at which a given element can be found in the collection, or -1 if it is not present.
-         * @param {*} searchElem - The element to locate in the collection.
-         * @param {Number} [fromIndex=0] - The index to start the search at.
-         * @function lastIndexOf
-         * @memberof arrgh.Enumerable
+         * Removes the node at the start of the list.
+         * @function removeFirst
+         * @memberof arrgh.LinkedList
          * @instance
-         * @returns {Number} - The last index of the element in the array or -1 if not found.
+         * @throws Throws an error when the list is empty.
          */
-        enumProto.lastIndexOf = function (searchElem, fromIndex) {
-            fromIndex = fromIndex || 0;
-            var foundIndex = -1;
-            this.forEach(function (elem, index) {
-                if (index >= fromIndex && defaultEqComparer.equals(searchElem, elem)) {
-                    foundIndex = index;
-                }
-            });
-            return foundIndex;
+        linkedListProto.removeFirst = function () {
+            if (!this.first) {
+                throw new InvalidOperationError("The LinkedList is empty.");
+            }
+            unlinkNode(this, this.first);
         };
 
         /**
-         * Returns the last element in a collection, or the last element that satisfies a condition.<br />
-         * If the element is not found returns a default value.
-         * @function lastOrDefault
-         * @memberof arrgh.Enumerable
+         * Removes the node at the end of the list.
+         * @function removeLast
+         * @memberof arrgh.LinkedList
          * @instance
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
-         * @returns {*} - Returns the last element of the collection, or the last element that satisfies a condition, or a specified default value.
+         * @throws Throws an error when the list is empty.
          */
-        enumProto.lastOrDefault = function (predicate, defaultValue) {
-            return findOrDefault(this, function (context, foundElem) {
-                context.elem = foundElem;
-                context.found = true;
-            }, predicate, defaultValue);
+        linkedListProto.removeLast = function () {
+            if (!this.last) {
+                throw new InvalidOperationError("The LinkedList is empty.");
+            }
+            unlinkNode(this, this.last);
         };
 
         /**
-         * Returns the maximum value in a collection.<br />
-         * Values are converted to numerics. If this fails and the value is NaN then NaN is treated as smaller than anything.
-         * @param {selector} [selector] - A function that projects an element into a new form.
-         * @function max
-         * @memberof arrgh.Enumerable
+         * Enumerates the list from the last to the first node.<br />
+         * Unlike {@link arrgh.Enumerable#reverse} the list is not buffered.
+         * @function reverse
+         * @memberof arrgh.LinkedList
          * @instance
-         * @returns {*} - Returns the maximum value in the collection or NaN.
-         * @throws Throws an error when the collection is empty.
+         * @returns {arrgh.Enumerable} - A collection that contains the values of the list in reversed order.
          */
-        enumProto.max = function (selector) {
-            selector = selector || identity;
-            var max,
-            first = true,
-            hasNan = false;
-            this.forEach(function (elem) {
-                elem = selector(elem);
-                if (!isNull(elem)) {
-                    elem = +elem;
-                    // Really weird behavior where NaN is smaller
-                    // than anything else (except in the min function).
-                    // And, of course, it can't be compared to anything...
-                    if (isNaN(elem)) {
-                        hasNan = true;
-                    } else {
-                        if (first) {
-                            first = false;
-                            max = elem;
-                        } else {
-                            if (defaultCompare(elem, max) > 0) {
-                                max = elem;
-                            }
-                        }
-                    }
-                }
+        linkedListProto.reverse = function () {
+            var self = this;
+            return new Enumerable(function () {
+                return getLinkedListIterator(self, true);
             });
-            if (first) {
-                if (hasNan) {
-                    max = NaN;
-                } else {
-                    throw new Error("Collection contains no elements.");
-                }
+        };
+
+        linkedListProto.count = dictProto.count;
+
+        var queueProto = Queue.prototype;
+
+        function emptyTryResult() {
+            return {
+                success: false,
+                value: undefined
+            };
+        }
+
+        /**
+         * Removes all elements from the queue.
+         * @function clear
+         * @memberof arrgh.Queue
+         * @instance
+         */
+        queueProto.clear = function () {
+            this._.arr = [];
+            this._.head = 0;
+            this._.version += 1;
+            this.length = 0;
+        };
+
+        /**
+         * Removes and returns the element at the beginning of the queue.
+         * @function dequeue
+         * @memberof arrgh.Queue
+         * @instance
+         * @returns {*} - The element that is removed from the beginning of the queue.
+         * @throws Throws an error when the queue is empty.
+         */
+        queueProto.dequeue = function () {
+            if (this.length === 0) {
+                throw new InvalidOperationError("Queue empty.");
             }
-            return max;
+            var arr = this._.arr,
+            elem = arr[this._.head];
+            arr[this._.head] = undefined;
+            this._.head = (this._.head + 1) % arr.length;
+            this._.version += 1;
+            this.length -= 1;
+            return elem;
         };
 
         /**
-         * Returns the minimum value in a collection.<br />
-         * Values are converted to numerics. If this fails the function returns NaN.
-         * @param {selector} [selector] - A function that projects an element into a new form.
-         * @function min
-         * @memberof arrgh.Enumerable
+         * Adds an element to the end of the queue.
+         * @function enqueue
+         * @memberof arrgh.Queue
          * @instance
-         * @returns {*} - Returns the minimum value in the collection or NaN.
-         * @throws Throws an error when the collection is empty.
+         * @param {*} elem - The element to add to the queue.
          */
-        enumProto.min = function (selector) {
-            selector = selector || identity;
-            var min,
-            first = true;
-            this.forEach(function (elem) {
-                elem = selector(elem);
-                if (!isNull(elem)) {
-                    elem = +elem;
-                    if (isNaN(elem)) {
-                        // Really weird behavior where NaN is smaller
-                        // than anything else (except in the min function).
-                        first = false;
-                        min = elem;
-                        return false;
-                    }
-                    if (first) {
-                        first = false;
-                        min = elem;
-                    } else {
-                        if (defaultCompare(elem, min) < 0) {
-                            min = elem;
-                        }
-                    }
+        queueProto.enqueue = function (elem) {
+            var arr = this._.arr,
+            capacity = arr.length,
+            grown,
+            i;
+            if (this.length === capacity) {
+                // The buffer is full, copy the elements to a bigger buffer so the queue starts at index 0 again.
+                grown = new Array(Math.max(capacity * 2, 4));
+                for (i = 0; i < this.length; i += 1) {
+                    grown[i] = arr[(this._.head + i) % capacity];
                 }
-            });
-            if (first) {
-                throw new Error("Collection contains no elements.");
+                arr = grown;
+                this._.arr = grown;
+                this._.head = 0;
             }
-            return min;
+            arr[(this._.head + this.length) % arr.length] = elem;
+            this._.version += 1;
+            this.length += 1;
         };
 
         /**
-         * Filters elements based on a specified type (constructor).<br />
-         * Object and null do not evaluate to the same type and neither do undefined and null.
-         * @param {*|undefined|null} type - The constructor of a type or undefined or null.
-         * @function ofType
-         * @memberof arrgh.Enumerable
+         * Returns the element at the beginning of the queue without removing it.
+         * @function peek
+         * @memberof arrgh.Queue
          * @instance
-         * @returns {arrgh.Enumerable} - Returns a collection containing only values that are of the specified type.
+         * @returns {*} - The element at the beginning of the queue.
+         * @throws Throws an error when the queue is empty.
          */
-        enumProto.ofType = function (type) {
-            var typeName;
-            var getType;
-            if (type === Boolean) {
-                typeName = "boolean";
-            } else if (type === Number) {
-                typeName = "number";
-            } else if (type === String) {
-                typeName = "string";
-            } else if (type === Function) {
-                typeName = "function";
-            } else if (type === Object) {
-                getType = function (elem) {
-                    return elem && typeof elem === "object";
-                };
-            } else if (type === undefined) {
-                typeName = "undefined";
-            } else if (type === null) {
-                getType = function (elem) {
-                    return elem === null;
-                };
-            } else {
-                getType = function (elem) {
-                    return elem instanceof type;
-                };
+        queueProto.peek = function () {
+            if (this.length === 0) {
+                throw new InvalidOperationError("Queue empty.");
             }
-            getType = getType || function (elem) {
-                return typeof elem === typeName;
-            };
-            return this.where(getType);
+            return this._.arr[this._.head];
         };
 
         /**
-         * Sorts the elements of a sequence in ascending order according to a key.
-         * @function orderBy
-         * @memberof arrgh.Enumerable
+         * Removes and returns the element at the beginning of the queue, if the queue is not empty.
+         * @function tryDequeue
+         * @memberof arrgh.Queue
          * @instance
-         * @param {keySelector} keySelector - A function to extract a key from an element.
-         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
-         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         * @returns {tryResult} - A result specifying whether an element was dequeued and, if yes, also contains the element.
          */
-        enumProto.orderBy = function (keySelector, compare) {
-            return new OrderedEnumerable(this, keySelector, compare, false);
+        queueProto.tryDequeue = function () {
+            if (this.length === 0) {
+                return emptyTryResult();
+            }
+            return {
+                success: true,
+                value: this.dequeue()
+            };
         };
 
         /**
-         * Sorts the elements of a sequence in descending order according to a key.
-         * @function orderByDescending
-         * @memberof arrgh.Enumerable
+         * Returns the element at the beginning of the queue without removing it, if the queue is not empty.
+         * @function tryPeek
+         * @memberof arrgh.Queue
          * @instance
-         * @param {keySelector} keySelector - A function to extract a key from an element.
-         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
-         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         * @returns {tryResult} - A result specifying whether the queue contains an element and, if yes, also contains the element.
          */
-        enumProto.orderByDescending = function (keySelector, compare) {
-            return new OrderedEnumerable(this, keySelector, compare, true);
+        queueProto.tryPeek = function () {
+            if (this.length === 0) {
+                return emptyTryResult();
+            }
+            return {
+                success: true,
+                value: this.peek()
+            };
         };
 
+        queueProto.count = dictProto.count;
+
+        var stackProto = Stack.prototype;
+
         /**
-         * Generates a collection of integral numbers within a specified range.<br />
-         * When no count is supplied the range will stop at 9007199254740991 (a.k.a. Number.MAX_SAFE_INTEGER).<br />
-         * Depending on your start value your browser will probably flip though, so just provide a count.
-         * @function range
-         * @memberof arrgh.Enumerable
-         * @static
-         * @param {Number} start - The value of the first integer in the collection.
-         * @param {Number} [count] - The number of sequential integers to generate.
-         * @returns {arrgh.Enumerable} - A collection that contains a range of sequential integral numbers.
-         * @throws Throws when count is lower than 0 or when the range exceeds 9007199254740991 (a.k.a. Number.MAX_SAFE_INTEGER).
+         * Removes all elements from the stack.
+         * @function clear
+         * @memberof arrgh.Stack
+         * @instance
          */
-        Enumerable.range = function (start, count) {
-            if (!isNull(count)) {
-                if (count < 0) {
-                    throw new Error("Count cannot be lower than 0.");
-                }
-                if (start + (count - 1) > MAX_SAFE_INTEGER) {
-                    throw new Error("Start and count can not exceed " + MAX_SAFE_INTEGER + ".");
-                }
-            }
-            return new Enumerable(function () {
-                if (isNull(count)) {
-                    var moved = false;
-                    return new Iterator(function () {
-                        if (!moved) {
-                            moved = true;
-                        } else {
-                            start += 1;
-                        }
-                        return start <= MAX_SAFE_INTEGER;
-                    }, function () {
-                        if (!moved || start > MAX_SAFE_INTEGER) {
-                            return undefined;
-                        }
-                        return start;
-                    });
-                } else {
-                    var index = -1;
-                    return new Iterator(function () {
-                        index += 1;
-                        return index < count;
-                    }, function () {
-                        if (index === -1 || index >= count) {
-                            return undefined;
-                        }
-                        return start + index;
-                    });
-                }
-            });
+        stackProto.clear = function () {
+            this._.arr = [];
+            this._.version += 1;
+            this.length = 0;
+        };
+
+        /**
+         * Returns the element at the top of the stack without removing it.
+         * @function peek
+         * @memberof arrgh.Stack
+         * @instance
+         * @returns {*} - The element at the top of the stack.
+         * @throws Throws an error when the stack is empty.
+         */
+        stackProto.peek = function () {
+            if (this.length === 0) {
+                throw new InvalidOperationError("Stack empty.");
+            }
+            return this._.arr[this.length - 1];
         };
 
         /**
-         * Generates a collection that contains one repeated value.
-         * @function repeat
-         * @memberof arrgh.Enumerable
-         * @static
-         * @param {*} element - The element to repeat.
-         * @param {Number} count - The number of times to repeat the element.
-         * @returns {arrgh.Enumerable} - A collection that contains a one value count times.
-         * @throws Throws when count is lower than 0.
+         * Removes and returns the element at the top of the stack.
+         * @function pop
+         * @memberof arrgh.Stack
+         * @instance
+         * @returns {*} - The element that is removed from the top of the stack.
+         * @throws Throws an error when the stack is empty.
          */
-        Enumerable.repeat = function (element, count) {
-            count = count || 0;
-            if (count < 0) {
-                throw new Error("Count cannot be lower than 0.");
+        stackProto.pop = function () {
+            if (this.length === 0) {
+                throw new InvalidOperationError("Stack empty.");
             }
-            return new Enumerable(function () {
-                var index = -1;
-                return new Iterator(function () {
-                    index += 1;
-                    return index < count;
-                }, function () {
-                    if (index === -1 || index >= count) {
-                        return undefined;
-                    }
-                    return element;
-                });
+            this._.version += 1;
+            this.length -= 1;
+            return this._.arr.pop();
+        };
+
+        /**
+         * Adds an element to the top of the stack.
+         * @function push
+         * @memberof arrgh.Stack
+         * @instance
+         * @param {*} elem - The element to push onto the stack.
+         */
+        stackProto.push = function (elem) {
+            this._.arr.push(elem);
+            this._.version += 1;
+            this.length += 1;
+        };
+
+        /**
+         * Returns the element at the top of the stack without removing it, if the stack is not empty.
+         * @function tryPeek
+         * @memberof arrgh.Stack
+         * @instance
+         * @returns {tryResult} - A result specifying whether the stack contains an element and, if yes, also contains the element.
+         */
+        stackProto.tryPeek = function () {
+            if (this.length === 0) {
+                return emptyTryResult();
+            }
+            return {
+                success: true,
+                value: this.peek()
+            };
+        };
+
+        /**
+         * Removes and returns the element at the top of the stack, if the stack is not empty.
+         * @function tryPop
+         * @memberof arrgh.Stack
+         * @instance
+         * @returns {tryResult} - A result specifying whether an element was popped and, if yes, also contains the element.
+         */
+        stackProto.tryPop = function () {
+            if (this.length === 0) {
+                return emptyTryResult();
+            }
+            return {
+                success: true,
+                value: this.pop()
+            };
+        };
+
+        stackProto.count = dictProto.count;
+
+        var priorityQueueProto = PriorityQueue.prototype;
+
+        function throwIfQueueEmpty(queue) {
+            if (queue.length === 0) {
+                throw new InvalidOperationError("Queue empty.");
+            }
+        }
+
+        function changePriorityQueue(queue, change) {
+            change(queue._.heap, queue._.compare);
+            queue._.version += 1;
+            queue.length = queue._.heap.length;
+        }
+
+        /**
+         * Removes all elements from the queue.
+         * @function clear
+         * @memberof arrgh.PriorityQueue
+         * @instance
+         */
+        priorityQueueProto.clear = function () {
+            changePriorityQueue(this, function (heap) {
+                heap.length = 0;
             });
         };
 
         /**
-         * Reverses the order of the elements in a collection.
-         * @function reverse
-         * @memberof arrgh.Enumerable
+         * Removes and returns the element with the smallest priority.
+         * @function dequeue
+         * @memberof arrgh.PriorityQueue
          * @instance
-         * @returns {arrgh.Enumerable} - A collection that contains the original collection in reversed order.
+         * @returns {*} - The element with the smallest priority.
+         * @throws Throws an error when the queue is empty.
          */
-        enumProto.reverse = function () {
-            var self = this;
-            return new Enumerable(function () {
-                var list = new List(self),
-                length = list.length,
-                index = length;
-                return new Iterator(function () {
-                    index -= 1;
-                    return index >= 0;
-                }, function () {
-                    if (index < 0 || index === length) {
-                        return undefined;
-                    }
-                    return list.get(index);
-                });
+        priorityQueueProto.dequeue = function () {
+            var entry;
+            throwIfQueueEmpty(this);
+            changePriorityQueue(this, function (heap, compare) {
+                entry = heapPop(heap, compare);
             });
+            return entry.element;
         };
 
         /**
-         * Projects each element of a collection into a new form.
-         * @param {indexSelector} selector - A function that projects an element into a new form.
-         * @function select
-         * @see {@link arrgh.Enumerable#map}
-         * @memberof arrgh.Enumerable
+         * Returns a collection that removes the elements from the queue, in order of their priority, as it is enumerated.<br />
+         * Elements that are enqueued while the collection is enumerated are also dequeued.
+         * @function drain
+         * @memberof arrgh.PriorityQueue
          * @instance
-         * @returns {arrgh.Enumerable} - A collection whose elements are the result of invoking the transform function on each element of source.
+         * @returns {arrgh.Enumerable} - A collection that dequeues the elements as it is enumerated.
          */
-        enumProto.select = function (selector) {
+        priorityQueueProto.drain = function () {
             var self = this;
             return new Enumerable(function () {
-                var index = -1,
-                iterator = self.getIterator(),
-                next;
+                var current;
                 return new Iterator(function () {
-                    index += 1;
-                    next = iterator.moveNext();
-                    return next;
-                }, function () {
-                    var current;
-                    if (next) {
-                        current = selector(iterator.current(), index);
+                    if (self.length === 0) {
+                        current = undefined;
+                        return false;
                     }
+                    current = self.dequeue();
+                    return true;
+                }, function () {
                     return current;
                 });
             });
         };
 
         /**
-         * Projects each element of a collection into a new form.
-         * @param {indexSelector} selector - A function that projects an element into a new form.
-         * @function map
-         * @see {@link arrgh.Enumerable#select}
-         * @memberof arrgh.Enumerable
+         * Adds an element with a priority to the queue.
+         * @function enqueue
+         * @memberof arrgh.PriorityQueue
          * @instance
-         * @returns {arrgh.Enumerable} - A collection whose elements are the result of invoking the transform function on each element of source.
+         * @param {*} elem - The element to add to the queue.
+         * @param {*} priority - The priority of the element.
          */
-        enumProto.map = enumProto.select;
+        priorityQueueProto.enqueue = function (elem, priority) {
+            var entry = {
+                element: elem,
+                priority: priority,
+                order: this._.order
+            };
+            this._.order += 1;
+            changePriorityQueue(this, function (heap, compare) {
+                heap.push(entry);
+                heapSiftUp(heap, heap.length - 1, compare);
+            });
+        };
 
         /**
-         * Projects each element of a collection to an Enumerable and flattens the resulting collections into one collection.
-         * @param {collectionSelector} collectionSelector - A function that projects an element into a new form.
-         * @param {selectManyResultSelector} [resultSelector] - A function that creates a result value from each element in the intermediate collection.
-         * @function selectMany
-         * @memberof arrgh.Enumerable
+         * Adds an element with a priority to the queue and then removes and returns the element with the smallest priority.<br />
+         * This is more efficient than calling enqueue and dequeue separately.
+         * @function enqueueDequeue
+         * @memberof arrgh.PriorityQueue
          * @instance
-         * @returns {arrgh.Enumerable} - A collection whose elements are the result of invoking the one-to-many transform function on each element of the input collection.
+         * @param {*} elem - The element to add to the queue.
+         * @param {*} priority - The priority of the element.
+         * @returns {*} - The element with the smallest priority, which may be the element that was just added.
          */
-        enumProto.selectMany = function (collectionSelector, resultSelector) {
-            var self = this;
-            return new Enumerable(function () {
-                var iterator = self.getIterator(),
-                innerIterator,
-                outerCurrent,
-                current,
-                index = -1,
-                moveNext;
-
-                moveNext = function () {
-                    current = undefined;
-                    if (innerIterator) {
-                        if (innerIterator.moveNext()) {
-                            if (resultSelector) {
-                                current = resultSelector(outerCurrent, innerIterator.current());
-                            } else {
-                                current = innerIterator.current();
-                            }
-                            return true;
-                        } else {
-                            innerIterator = null;
-                            return moveNext();
-                        }
-                    }
-
-                    if (iterator.moveNext()) {
-                        index += 1;
-                        outerCurrent = iterator.current();
-                        innerIterator = new Enumerable(collectionSelector(outerCurrent, index)).getIterator();
-                        return moveNext();
-                    }
-                    return false;
-                };
-                return new Iterator(moveNext, function () {
-                    return current;
-                });
+        priorityQueueProto.enqueueDequeue = function (elem, priority) {
+            var heap = this._.heap,
+            entry = {
+                element: elem,
+                priority: priority,
+                order: this._.order
+            },
+            top = heap[0];
+            if (heap.length === 0 || this._.compare(entry, top) < 0) {
+                return elem;
+            }
+            this._.order += 1;
+            changePriorityQueue(this, function (heap, compare) {
+                heap[0] = entry;
+                heapSiftDown(heap, 0, compare);
             });
+            return top.element;
         };
 
         /**
-         * Determines whether two collections are equal by comparing the elements, optionally using a custom equality comparer for their type.
-         * @param {arrgh.Enumerable} other - Another collection to compare with.
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two objects are equal.
-         * @function sequenceEquals
-         * @memberof arrgh.Enumerable
+         * Returns the element with the smallest priority without removing it.
+         * @function peek
+         * @memberof arrgh.PriorityQueue
          * @instance
-         * @returns {Boolean} - True if all elements in both collections match, otherwise false.
+         * @returns {*} - The element with the smallest priority.
+         * @throws Throws an error when the queue is empty.
          */
-        enumProto.sequenceEquals = function (other, eqComparer) {
-            eqComparer = ensureEqComparer(eqComparer);
+        priorityQueueProto.peek = function () {
+            throwIfQueueEmpty(this);
+            return this._.heap[0].element;
+        };
 
-            var iterator = this.getIterator(),
-            otherIterator = other.getIterator(),
-            equal = true;
-            while (iterator.moveNext() && equal) {
-                if (!otherIterator.moveNext() || !eqComparer.equals(iterator.current(), otherIterator.current())) {
-                    equal = false;
-                }
+        /**
+         * Removes and returns the element with the smallest priority, if the queue is not empty.
+         * @function tryDequeue
+         * @memberof arrgh.PriorityQueue
+         * @instance
+         * @returns {tryResult} - A result specifying whether an element was dequeued and, if yes, also contains the element and its priority.
+         */
+        priorityQueueProto.tryDequeue = function () {
+            if (this.length === 0) {
+                return emptyTryResult();
             }
-            equal = !otherIterator.moveNext();
-            return equal;
+            var priority = this._.heap[0].priority;
+            return {
+                success: true,
+                value: this.dequeue(),
+                priority: priority
+            };
         };
 
         /**
-         * Returns the only element in a collection, or the only element that satisfies a condition.
-         * @function single
-         * @memberof arrgh.Enumerable
+         * Returns the element with the smallest priority without removing it, if the queue is not empty.
+         * @function tryPeek
+         * @memberof arrgh.PriorityQueue
          * @instance
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @returns {*} - Returns the only element of the collection, or the only element that satisfies a condition.
-         * @throws Throws an error when the collection is empty or when no element matches the condition or when the collection (or predicate) returns more than a single element.
+         * @returns {tryResult} - A result specifying whether the queue contains an element and, if yes, also contains the element and its priority.
          */
-        enumProto.single = function (predicate) {
-            var self = this;
-            return findElem(this, predicate, function (predicate, defaultValue) {
-                return self.singleOrDefault(predicate, defaultValue);
-            });
+        priorityQueueProto.tryPeek = function () {
+            if (this.length === 0) {
+                return emptyTryResult();
+            }
+            return {
+                success: true,
+                value: this._.heap[0].element,
+                priority: this._.heap[0].priority
+            };
         };
 
         /**
-         * Returns the only element in a collection, or the only element that satisfies a condition.<br />
-         * If the element is not found returns a default value.
-         * @function singleOrDefault
-         * @memberof arrgh.Enumerable
+         * Changes the priority of an element in the queue.<br />
+         * The element is treated as if it was enqueued again, so it comes after the elements that already have the new priority.
+         * @function updatePriority
+         * @memberof arrgh.PriorityQueue
          * @instance
-         * @param {predicate} [predicate] - A function to test each element for a condition.
-         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
-         * @returns {*} - Returns the only element of the collection, or the only element that satisfies a condition, or a specified default value.
-         * @throws Throws an error when the collection (or predicate) returns more than a single element.
+         * @param {*} elem - The element to update.
+         * @param {*} priority - The new priority of the element.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @returns {Boolean} - True if the element was found and updated, otherwise false.
          */
-        enumProto.singleOrDefault = function (predicate, defaultValue) {
-            return findOrDefault(this, function (context, foundElem) {
-                if (context.found) {
-                    throw new Error("Collection contains more than one matching element.");
+        priorityQueueProto.updatePriority = function (elem, priority, eqComparer) {
+            var heap = this._.heap,
+            order = this._.order,
+            index,
+            i;
+            eqComparer = ensureEqComparer(eqComparer);
+            for (i = 0; i < heap.length && isNull(index); i += 1) {
+                if (eqComparer.equals(heap[i].element, elem)) {
+                    index = i;
                 }
-                context.elem = foundElem;
-                context.found = true;
-            }, predicate, defaultValue);
+            }
+            if (isNull(index)) {
+                return false;
+            }
+            this._.order += 1;
+            changePriorityQueue(this, function (heap, compare) {
+                heap[index] = {
+                    element: heap[index].element,
+                    priority: priority,
+                    order: order
+                };
+                heapSiftDown(heap, heapSiftUp(heap, index, compare), compare);
+            });
+            return true;
         };
 
+        var asyncProto = AsyncEnumerable.prototype;
+
         /**
-         * Bypasses a specified number of elements in a collection and then returns the remaining elements.
-         * @function skip
-         * @memberof arrgh.Enumerable
+         * Returns an ES2018 async iterator that iterates through the collection.<br />
+         * Makes every async collection usable with for await...of.<br />
+         * Only available in environments that support Symbol.asyncIterator.
+         * @function @@asyncIterator
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} count - The number of elements to skip.
-         * @returns {arrgh.Enumerable} - A collection that contains the elements that occur after the specified index.
+         * @returns {Object} - Returns an object that implements the ES2018 async iterator protocol.
          */
-        enumProto.skip = function (count) {
-            var self = this;
-            return new Enumerable(function () {
-                var iterator = self.getIterator(),
-                skipped = 0;
-                return new Iterator(function () {
-                    while (skipped < count) {
-                        skipped += 1;
-                        if (!iterator.moveNext()) {
-                            return false;
-                        }
+        if (symbolAsyncIterator) {
+            asyncProto[symbolAsyncIterator] = function () {
+                var iterator = this.getIterator();
+                var esIterator = {
+                    next: function () {
+                        return iterator.moveNext().then(function (moved) {
+                            if (moved) {
+                                return {
+                                    done: false,
+                                    value: iterator.current()
+                                };
+                            }
+                            // Nothing calls return after a for await...of loop has seen all elements.
+                            return disposeAsyncIterator(iterator).then(function () {
+                                return {
+                                    done: true,
+                                    value: undefined
+                                };
+                            });
+                        });
                     }
-                    return iterator.moveNext();
-                }, function () {
-                    return iterator.current();
+                };
+                // Called by for await...of when the loop is stopped early.
+                esIterator["return"] = function (value) {
+                    return disposeAsyncIterator(iterator).then(function () {
+                        return {
+                            done: true,
+                            value: value
+                        };
+                    });
+                };
+                esIterator[symbolAsyncIterator] = function () {
+                    return esIterator;
+                };
+                return esIterator;
+            };
+        }
+
+        // Resolves to a context that holds whether the collection had any elements
+        // and the element(s) for which onFound was called.
+        function asyncFind(source, predicate, onFound) {
+            var context = {
+                any: false,
+                found: false,
+                elem: undefined
+            };
+            return source.forEach(function (elem) {
+                context.any = true;
+                if (!predicate) {
+                    return onFound(context, elem);
+                }
+                return resolve(predicate(elem)).then(function (match) {
+                    if (match) {
+                        return onFound(context, elem);
+                    }
+                });
+            }).then(function () {
+                return context;
+            });
+        }
+
+        function asyncFindElem(source, predicate, onFound) {
+            return asyncFind(source, predicate, onFound).then(function (context) {
+                if (!context.any) {
+                    throw new InvalidOperationError("Collection contains no elements.");
+                }
+                if (!context.found) {
+                    throw new InvalidOperationError("Collection contains no matching element.");
+                }
+                return context.elem;
+            });
+        }
+
+        function asyncFindOrDefault(source, predicate, defaultValue, onFound) {
+            var temp = predicate;
+            predicate = typeof predicate === "function" ? predicate : undefined;
+            defaultValue = predicate ? defaultValue : temp;
+            return asyncFind(source, predicate, onFound).then(function (context) {
+                if (!context.found) {
+                    return defaultValue;
+                }
+                return context.elem;
+            });
+        }
+
+        function onFirstFound(context, foundElem) {
+            context.elem = foundElem;
+            context.found = true;
+            return false;
+        }
+
+        function onLastFound(context, foundElem) {
+            context.elem = foundElem;
+            context.found = true;
+        }
+
+        function onSingleFound(context, foundElem) {
+            if (context.found) {
+                throw new InvalidOperationError("Collection contains more than one matching element.");
+            }
+            context.elem = foundElem;
+            context.found = true;
+        }
+
+        function asyncSumCount(source, selector, calculator) {
+            selector = selector || identity;
+            var sum = 0,
+            count = 0;
+            return source.forEach(function (elem) {
+                return resolve(selector(elem)).then(function (value) {
+                    sum += +value;
+                    count += 1;
                 });
+            }).then(function () {
+                if (count === 0) {
+                    throw new InvalidOperationError("Collection contains no elements.");
+                }
+                return calculator(sum, count);
             });
-        };
+        }
 
-        /**
-         * Bypasses elements in a collection as long as a specified condition is true and then returns the remaining elements.
-         * @function skipWhile
-         * @memberof arrgh.Enumerable
-         * @instance
-         * @param {indexPredicate} predicate - A function to test whether to skip the element.
-         * @returns {arrgh.Enumerable} - A collection that contains the elements starting at the first element in the linear series that does not pass the test specified by predicate.
-         */
-        enumProto.skipWhile = function (predicate) {
-            var self = this;
-            return new Enumerable(function () {
-                var iterator = self.getIterator(),
-                index = -1,
-                current,
-                skipped = false;
-                return new Iterator(function () {
-                    current = undefined;
-                    while (!skipped) {
-                        index += 1;
-                        if (iterator.moveNext()) {
-                            current = iterator.current();
-                            if (!predicate(current, index)) {
-                                skipped = true;
-                                return true;
+        var getAsyncUnionIterator = function (first, second, eqComparer) {
+            var firstIterator = first.getIterator(),
+            secondIterator,
+            d,
+            current;
+
+            if (eqComparer) {
+                d = new Dictionary(eqComparer);
+            }
+
+            return new AsyncIterator(function () {
+                current = undefined;
+                return asyncLoop(function () {
+                    var iterator = secondIterator || firstIterator;
+                    return iterator.moveNext().then(function (moved) {
+                        if (!moved) {
+                            if (secondIterator) {
+                                return false;
                             }
-                        } else {
-                            skipped = true;
-                            return false;
+                            // If there is no next item
+                            // move on to the second iterator.
+                            return disposeAsyncIterator(firstIterator).then(function () {
+                                secondIterator = second.getIterator();
+                                return loopContinue;
+                            });
                         }
-                    }
-                    var next = iterator.moveNext();
-                    current = iterator.current();
-                    return next;
-                }, function () {
-                    return current;
+                        var elem = iterator.current();
+                        if (d) {
+                            if (d.containsKey(elem)) {
+                                return loopContinue;
+                            }
+                            d.add(elem);
+                        }
+                        current = elem;
+                        return true;
+                    });
                 });
+            }, function () {
+                return current;
+            }, function () {
+                return disposeAsyncIterators([firstIterator, secondIterator]);
             });
         };
 
-        /**
-         * Computes the sum of a collection of values.<br />
-         * If values are not numerics the result may be NaN or something unexpected (e.g. "2" + 2 will results 22).
-         * @param {selector} [selector] - A function that projects an element into a new form.
-         * @function sum
-         * @memberof arrgh.Enumerable
-         * @instance
-         * @returns {Number} - The sum of all values in the collection, or NaN.
-         * @throws Throws an error if the collection contains no elements.
-         */
-        enumProto.sum = function (selector) {
-            return sumCount(this, selector, function (sum) {
-                return sum;
+        function addAllAsync(dictionary, source) {
+            return new AsyncEnumerable(source).forEach(function (elem) {
+                if (!dictionary.containsKey(elem)) {
+                    dictionary.add(elem);
+                }
             });
-        };
+        }
 
         /**
-         * Returns a specified number of elements from the start of a collection.
-         * @function take
-         * @memberof arrgh.Enumerable
+         * Applies an accumulator function over the collection.<br />
+         * When a result selector is passed to the function a seed should also be specified.
+         * @param {*} [seed] - The initial accumulator value (mandatory if a result selector is specified).
+         * @param {accumulator} accumulator - An accumulator function to be invoked on each element, may return a promise.
+         * @param {selector} [resultSelector] - A function to transform the final accumulator value into the result value, may return a promise.
+         * @function aggregate
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} count - The number of elements to take.
-         * @returns {arrgh.Enumerable} - A collection that contains the elements that occur before the specified index.
+         * @returns {Promise} - A promise that resolves to the final accumulator value.
          */
-        enumProto.take = function (count) {
-            var self = this;
-            return new Enumerable(function () {
-                var iterator = self.getIterator(),
-                index = -1;
-                return new Iterator(function () {
-                    index += 1;
-                    return index < count && iterator.moveNext();
-                }, function () {
-                    if (index === -1 || index >= count) {
-                        return undefined;
-                    }
-                    return iterator.current();
+        asyncProto.aggregate = function (seed, accumulator, resultSelector) {
+            var hasSeed = !!accumulator,
+            accumulate = seed,
+            loopedOnce = false;
+            if (!hasSeed) {
+                accumulator = seed;
+            }
+            return this.forEach(function (elem) {
+                if (!loopedOnce && !hasSeed) {
+                    loopedOnce = true;
+                    accumulate = elem;
+                    return;
+                }
+                loopedOnce = true;
+                return resolve(accumulator(accumulate, elem)).then(function (result) {
+                    accumulate = result;
                 });
+            }).then(function () {
+                if (!loopedOnce) {
+                    throw new InvalidOperationError("Collection contains no elements.");
+                }
+                if (hasSeed && resultSelector) {
+                    return resultSelector(accumulate);
+                }
+                return accumulate;
             });
         };
 
         /**
-         * Returns elements from a collection as long as a specified condition is true.
-         * @function takeWhile
-         * @memberof arrgh.Enumerable
+         * Determines whether all elements of the collection satisfy a condition.
+         * @param {predicate} predicate - A function to test each element for a condition, may return a promise.
+         * @function all
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {indexPredicate} predicate - A function to test whether to take the element.
-         * @returns {arrgh.Enumerable} - A collection that contains the elements that occur before the element at which the test no longer passes.
+         * @returns {Promise} - A promise that resolves to true if the collection is empty or if all elements in the collection satisfy a condition, else false.
          */
-        enumProto.takeWhile = function (predicate) {
-            var self = this;
-            return new Enumerable(function () {
-                var iterator = self.getIterator(),
-                take = true,
-                current,
-                index = -1;
-                return new Iterator(function () {
-                    take = take && iterator.moveNext();
-                    if (take) {
-                        index += 1;
-                        current = iterator.current();
-                        take = predicate(current, index);
-                    }
-                    return take;
-                }, function () {
-                    if (take) {
-                        return current;
-                    }
+        asyncProto.all = function (predicate) {
+            var all = true;
+            return this.forEach(function (elem) {
+                return resolve(predicate(elem)).then(function (result) {
+                    all = !!result;
+                    return all;
                 });
+            }).then(function () {
+                return all;
             });
         };
 
         /**
-         * Performs a subsequent ordering of the elements in a sequence in ascending order according to a key.
-         * @function thenBy
-         * @memberof arrgh.OrderedEnumerable
+         * Determines whether the collection contains any elements or if any elements satisfy a condition.
+         * @param {indexPredicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @function any
+         * @see {@link arrgh.AsyncEnumerable#some}
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {keySelector} keySelector - A function to extract a key from an element.
-         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
-         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         * @returns {Promise} - A promise that resolves to true if the collection contains any elements or if any elements satisfy a condition, else false.
          */
-        OrderedEnumerable.prototype.thenBy = function (keySelector, compare) {
-            return new OrderedEnumerable(this, keySelector, compare, false);
+        asyncProto.any = function (predicate) {
+            var any = false;
+            return this.forEach(function (elem, index) {
+                if (!predicate) {
+                    any = true;
+                    return false;
+                }
+                return resolve(predicate(elem, index)).then(function (result) {
+                    any = !!result;
+                    return !any;
+                });
+            }).then(function () {
+                return any;
+            });
         };
 
         /**
-         * Performs a subsequent ordering of the elements in a sequence in descending order according to a key.
-         * @function thenByDescending
-         * @memberof arrgh.OrderedEnumerable
+         * Determines whether the collection contains any elements or if any elements satisfy a condition.
+         * @param {indexPredicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @function some
+         * @see {@link arrgh.AsyncEnumerable#any}
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {keySelector} keySelector - A function to extract a key from an element.
-         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
-         * @returns {arrgh.OrderedEnumerable} - Returns an ordered enumerable.
+         * @returns {Promise} - A promise that resolves to true if the collection contains any elements or if any elements satisfy a condition, else false.
          */
-        OrderedEnumerable.prototype.thenByDescending = function (keySelector, compare) {
-            return new OrderedEnumerable(this, keySelector, compare, true);
-        };
+        asyncProto.some = asyncProto.any;
 
         /**
-         * Converts the collection to a JavaScript array.
-         * @function toArray
-         * @memberof arrgh.Enumerable
+         * Computes the average of a collection of values.<br />
+         * Values are converted to numerics, but if this fails unexpected averages may occur.
+         * @param {selector} [selector] - A function that projects an element into a new form, may return a promise.
+         * @function average
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @returns {Array} - Returns a JavaScript array.
+         * @returns {Promise} - A promise that resolves to the average of all values in the collection, or NaN. Rejects when the collection contains no elements.
          */
-        enumProto.toArray = function () {
-            var arr = [];
-            this.forEach(function (elem) {
-                arr.push(elem);
+        asyncProto.average = function (selector) {
+            return asyncSumCount(this, selector, function (sum, count) {
+                return sum / count;
             });
-            return arr;
         };
 
         /**
-         * Converts the collection to a dictionary.
-         * @function toDictionary
-         * @memberof arrgh.Enumerable
+         * Concatenates two collections.
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} other - The collection to concatenate to the current collection.
+         * @function concat
+         * @see {@link arrgh.AsyncEnumerable#unionAll}
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {keySelector} keySelector - A function that returns the key value from an element of the inner collection.
-         * @param {selector} [elementSelector] - A function that projects an element into a new form.
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
-         * @returns {arrgh.Dictionary} - Returns a dictionary containing the keys and elements that are selected from the input collection.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains all the elements of both the current and the other collection.
          */
-        enumProto.toDictionary = function (keySelector, elementSelector, eqComparer) {
-            if (typeof arguments[1] === "function") {
-                elementSelector = arguments[1];
-                eqComparer = arguments[2];
-            } else {
-                eqComparer = arguments[1];
-                elementSelector = undefined;
-            }
-            elementSelector = elementSelector || identity;
-            eqComparer = ensureEqComparer(eqComparer);
-
-            var d = new Dictionary(eqComparer);
-            this.forEach(function (elem) {
-                d.add(keySelector(elem), elementSelector(elem));
+        asyncProto.concat = function (other) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                return getAsyncUnionIterator(self, new AsyncEnumerable(other));
             });
-            return d;
         };
 
         /**
-         * Converts the collection to a list.
-         * @function toList
-         * @memberof arrgh.Enumerable
+         * Concatenates two collections.
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} other - The collection to concatenate to the current collection.
+         * @function unionAll
+         * @see {@link arrgh.AsyncEnumerable#concat}
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @returns {arrgh.List} - Returns a List containing all the elements from the input collection.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains all the elements of both the current and the other collection.
          */
-        enumProto.toList = function () {
-            return new List(this);
-        };
+        asyncProto.unionAll = asyncProto.concat;
 
         /**
-         * Converts the collection to a collection of keys each mapped to one or more values.
-         * @function toLookup
-         * @memberof arrgh.Enumerable
+         * Determines whether a collection contains a specified element, optionally uses a custom equality comparer.
+         * @param {*} elem - The element to locate in the collection.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @function contains
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {keySelector} keySelector - A function that returns the key value from an element of the inner collection.
-         * @param {selector} [elementSelector] - A function that projects an element into a new form.
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
-         * @returns {arrgh.Lookup} - Returns a collection of keys mapped to one or more values.
+         * @returns {Promise} - A promise that resolves to whether the specified element is contained in the collection.
          */
-        enumProto.toLookup = function (keySelector, elementSelector, eqComparer) {
-            if (typeof arguments[1] === "function") {
-                elementSelector = arguments[1];
-                eqComparer = arguments[2];
-            } else {
-                eqComparer = arguments[1];
-            }
-            elementSelector = elementSelector || identity;
+        asyncProto.contains = function (elem, eqComparer) {
             eqComparer = ensureEqComparer(eqComparer);
-
-            return new Lookup(this, keySelector, elementSelector, eqComparer);
+            return this.any(function (item) {
+                return eqComparer.equals(item, elem);
+            });
         };
 
         /**
-         * Produces the set union of two collections by using the default or a custom equality comparer to compare values.
-         * @function union
-         * @memberof arrgh.Enumerable
+         * Specifies how many elements the collection has, or how many satisfy a certain condition.
+         * @function count
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {arrgh.Enumerable} other - The other collection to union with.
-         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two elements are equal.
-         * @returns {arrgh.Enumerable} - A collection that contains distinct element from the two input collections.
+         * @param {predicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @returns {Promise} - A promise that resolves to the number of elements in the collection, or the number of elements that satisfy a certain condition.
          */
-        enumProto.union = function (other, eqComparer) {
-            var self = this;
-            return new Enumerable(function () {
-                return getUnionIterator(self, other, ensureEqComparer(eqComparer));
+        asyncProto.count = function (predicate) {
+            var count = 0;
+            predicate = predicate || alwaysTrue;
+            return this.forEach(function (elem) {
+                return resolve(predicate(elem)).then(function (result) {
+                    if (result) {
+                        count += 1;
+                    }
+                });
+            }).then(function () {
+                return count;
             });
         };
 
         /**
-         * Filters a collection of values based on a predicate. Each element's index is used in the logic of the predicate function.
-         * @function where
-         * @see {@link arrgh.Enumerable#filter}
-         * @memberof arrgh.Enumerable
+         * Returns the elements of the specified collection or a collection containing only the default value if the collection is empty.
+         * @function defaultIfEmpty
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {indexPredicate} predicate - A function to test each element for a condition.
-         * @returns {arrgh.Enumerable} - A collection that contains all elements that satisfy the condition.
+         * @param {*} defaultValue - The default value to be returned when the collection is empty.
+         * @returns {arrgh.AsyncEnumerable} - A new collection containing the elements of the specified collection or a new collection containing only the default value if the collection is empty.
          */
-        enumProto.where = function (predicate) {
+        asyncProto.defaultIfEmpty = function (defaultValue) {
             var self = this;
-            return new Enumerable(function () {
-                var index = -1,
-                iterator = self.getIterator(),
-                current;
-                return new Iterator(function () {
-                    while (iterator.moveNext()) {
-                        index += 1;
-                        current = iterator.current();
-                        if (predicate(current, index)) {
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                current,
+                empty = true;
+                return new AsyncIterator(function () {
+                    current = undefined;
+                    return iterator.moveNext().then(function (moved) {
+                        if (moved) {
+                            empty = false;
+                            current = iterator.current();
                             return true;
                         }
-                    }
-                    current = undefined;
-                    return false;
+                        if (empty) {
+                            empty = false;
+                            current = defaultValue;
+                            return true;
+                        }
+                        return false;
+                    });
                 }, function () {
                     return current;
+                }, function () {
+                    return disposeAsyncIterator(iterator);
                 });
             });
         };
 
         /**
-         * Filters a collection of values based on a predicate. Each element's index is used in the logic of the predicate function.
-         * @function filter
-         * @see {@link arrgh.Enumerable#where}
-         * @memberof arrgh.Enumerable
+         * Returns distinct elements from a collection by using the default or a custom equality comparer to compare values.
+         * @function distinct
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {indexPredicate} predicate - A function to test each element for a condition.
-         * @returns {arrgh.Enumerable} - A collection that contains all elements that satisfy the condition.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @returns {arrgh.AsyncEnumerable} - A new collection with unique elements.
          */
-        enumProto.filter = enumProto.where;
+        asyncProto.distinct = enumProto.distinct;
 
         /**
-         * Applies a specified function to the corresponding elements of two collections, producing a collection of the results.
-         * @function zip
-         * @memberof arrgh.Enumerable
+         * Returns the element at a specified index.
+         * @function elementAt
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {arrgh.Enumerable} other - The collection to merge with.
-         * @param {zipResultSelector} resultSelector - A function that creates a result value from two elements.
-         * @returns {arrgh.Enumerable} - A collection that contains merged elements of two input collections.
+         * @param {Number} index - The index of the element to find.
+         * @returns {Promise} - A promise that resolves to the element at the specified index. Rejects when the specified index is outside the bounds of the collection.
          */
-        enumProto.zip = function (other, resultSelector) {
-            var self = this;
-            return new Enumerable(function () {
-                var sourceIterator = self.getIterator(),
-                otherIterator = other.getIterator(),
-                current;
-
-                return new Iterator(function () {
-                    current = undefined;
-                    if (sourceIterator.moveNext() && otherIterator.moveNext()) {
-                        current = resultSelector(sourceIterator.current(), otherIterator.current());
-                        return true;
-                    }
-                    return false;
-                }, function () {
-                    return current;
-                });
+        asyncProto.elementAt = function (index) {
+            var def = {};
+            return this.elementAtOrDefault(index, def).then(function (elem) {
+                if (elem === def) {
+                    throw new ArgumentOutOfRangeError("Index was outside the bounds of the collection.", "index", index);
+                }
+                return elem;
             });
         };
 
-        var listProto = List.prototype;
-
-        function throwIfOutOfBounds(index, upperBound) {
-            if (index < 0 || index >= upperBound) {
-                throw new Error("Index was out of range. Must be non-negative and less than the size of the collection.");
-            }
-        }
-
-        function isRange(list, index, count) {
-            if (count < 0) {
-                throw new Error('Count cannot be negative.');
-            }
-            if (index === 0 && count === 0) {
-                return false;
-            }
-            throwIfOutOfBounds(index, list.length);
-            if (index + count > list.length) {
-                throw new Error("Count is greater than the number of elements from index to the end of the source collection.");
-            }
-            return true;
-        }
-
         /**
-         * Adds an item to the list.
-         * @function add
-         * @memberof arrgh.List
+         * Returns the element at a specified index or a default value.
+         * @function elementAtOrDefault
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {*} item - The item to add to the list.
+         * @param {Number} index - The index of the element to find.
+         * @param {*} [defaultValue] - The value that is returned when the specified index is not found.
+         * @returns {Promise} - A promise that resolves to the element at the specified index or a default value.
          */
-        listProto.add = function (item) {
-            this._.arr.push(item);
-            this.length += 1;
+        asyncProto.elementAtOrDefault = function (index, defaultValue) {
+            if (index < 0) {
+                return resolve(defaultValue);
+            }
+            var iterator = this.skip(index).getIterator();
+            return disposeAsyncIteratorsAfter(iterator.moveNext().then(function (moved) {
+                if (!moved) {
+                    return defaultValue;
+                }
+                return iterator.current();
+            }), [iterator]);
         };
 
         /**
-         * Adds multiple items to the list.
-         * @function addRange
-         * @memberof arrgh.List
+         * Produces the set difference of two collections.
+         * @function except
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Array|arrgh.Enumerable|params} items - The items to add to the list.
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} other - A collection whose elements that also occur in the first sequence will cause those elements to be removed from the returned collection.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains the set difference of the elements of two collections.
          */
-        listProto.addRange = function (items) {
-            if (arguments.length === 1 && items.getIterator) {
-                var self = this;
-                arguments[0].forEach(function (item) {
-                    self._.arr.push(item);
-                });
-            } else {
-                var arr = arguments.length === 1 && isArray(items) ? items : arguments;
-                this._.arr.push.apply(this._.arr, arr);
-            }
-            this.length = this._.arr.length;
+        asyncProto.except = function (other, eqComparer) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var d = new Dictionary(eqComparer),
+                ready;
+                return self.where(function (elem) {
+                    ready = ready || addAllAsync(d, other);
+                    return ready.then(function () {
+                        if (d.containsKey(elem)) {
+                            return false;
+                        }
+                        d.add(elem);
+                        return true;
+                    });
+                }).getIterator();
+            });
         };
 
         /**
-         * Removes all items from the list.
-         * @function clear
-         * @memberof arrgh.List
+         * Returns the first element in a collection, or the first element that satisfies a condition.
+         * @function first
+         * @memberof arrgh.AsyncEnumerable
          * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @returns {Promise} - A promise that resolves to the first element of the collection, or the first element that satisfies a condition. Rejects when the collection is empty or when no element matches the condition.
          */
-        listProto.clear = function () {
-            this._.arr = [];
-            this.length = 0;
+        asyncProto.first = function (predicate) {
+            return asyncFindElem(this, predicate, onFirstFound);
         };
 
         /**
-         * Gets the item at the specified index.
-         * @function get
-         * @memberof arrgh.List
+         * Returns the first element in a collection, or the first element that satisfies a condition.<br />
+         * If the element is not found returns a default value.
+         * @function firstOrDefault
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} index - The index at which the item should be retrieved.
-         * @returns {*} - Returns the item at the specified index.
-         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection.
+         * @param {predicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
+         * @returns {Promise} - A promise that resolves to the first element of the collection, or the first element that satisfies a condition, or a specified default value.
          */
-        listProto.get = function (index) {
-            throwIfOutOfBounds(index, this.length);
-            return this._.arr[index];
+        asyncProto.firstOrDefault = function (predicate, defaultValue) {
+            return asyncFindOrDefault(this, predicate, defaultValue, onFirstFound);
         };
 
         /**
-         * Inserts an item in the list at the specified index.
-         * @function insert
-         * @memberof arrgh.List
+         * Performs the specified action on each element of the collection.<br />
+         * The next element is not retrieved before a promise returned by the callback has resolved.
+         * @param {forEachCallback} callback - The callback that is applied to each element in the enumerable, may return a promise.
+         * @function forEach
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} index - The index at which the new item will be inserted.
-         * @param {*} item - The object to insert into the list.
-         * @throws Throws an error when the index is smaller than zero or greater than the length of the collection.
+         * @returns {Promise} - A promise that resolves when all elements have been processed.
          */
-        listProto.insert = function (index, item) {
-            throwIfOutOfBounds(index, this.length + 1);
-            this._.arr.splice(index, 0, item);
-            this.length += 1;
+        asyncProto.forEach = function (callback) {
+            var iterator = this.getIterator(),
+            index = 0;
+            return disposeAsyncIteratorsAfter(asyncLoop(function () {
+                return iterator.moveNext().then(function (moved) {
+                    if (!moved) {
+                        return undefined;
+                    }
+                    var current = iterator.current();
+                    index += 1;
+                    return resolve(callback(current, index - 1)).then(function (cont) {
+                        if (isNull(cont) || cont) {
+                            return loopContinue;
+                        }
+                        return undefined;
+                    });
+                });
+            }), [iterator]);
         };
 
         /**
-         * Inserts a range of items in the list at the specified index.
-         * @function insertRange
-         * @memberof arrgh.List
+         * Groups the elements of a collection according to a specified key selector.<br />
+         * The groups are only produced after the entire collection has been enumerated.
+         * @param {keySelector} keySelector - A function that returns the key value from an element, may return a promise.
+         * @param {selector} [elementSelector] - A function to project an element into a new form, may return a promise.
+         * @param {groupByResultSelector} [resultSelector] - A function to create a result value from each group, may return a promise.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function groupBy
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} index - The index at which the new items will be inserted.
-         * @param {Array|arrgh.Enumerable|params} items - The items to insert into the list.
-         * @throws Throws an error when the index is smaller than zero or greater than the length of the collection.
+         * @returns {arrgh.AsyncEnumerable} - A collection where each object contains a collection of objects and a key.
          */
-        listProto.insertRange = function (index, items) {
-            throwIfOutOfBounds(index, this.length + 1);
-            var arr = this._.arr,
-            arrToInsert;
-            if (items.getIterator) {
-                arrToInsert = items.toArray();
-            } else if (isArray(items)) {
-                arrToInsert = items;
-            } else {
-                arrToInsert = Array.prototype.slice.call(arguments, 1);
+        asyncProto.groupBy = function (keySelector) {
+            var self = this,
+            elementSelector,
+            resultSelector,
+            eqComparer,
+            args = Array.prototype.slice.call(arguments),
+            setArg = function (index) {
+                var type = typeof args[index];
+                if (type === "object") {
+                    eqComparer = args[index];
+                } else if (type === "function") {
+                    if (args[index].length === 1) {
+                        elementSelector = args[index];
+                    } else {
+                        resultSelector = args[index];
+                    }
+                }
+            };
+            setArg(1);
+            setArg(2);
+            setArg(3);
+
+            var groups = new AsyncEnumerable(function () {
+                return getDeferredAsyncIterator(function () {
+                    return self.toLookup(keySelector, elementSelector || identity, eqComparer);
+                });
+            });
+            if (resultSelector) {
+                return groups.select(function (group) {
+                    return resultSelector(group.key, group);
+                });
             }
-            arr.splice.apply(arr, [index, 0].concat(arrToInsert));
-            this.length = arr.length;
+            return groups;
         };
 
         /**
-         * Removes the first occurrence of an item from the list.
-         * @function remove
-         * @memberof arrgh.List
+         * Correlates the elements of two collections based on equality of keys and groups the results.
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} inner - The collection to join with.
+         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection, may return a promise.
+         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection, may return a promise.
+         * @param {groupJoinResultSelector} resultSelector - A function to create a result value from each group, may return a promise.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function groupJoin
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {*} item - The item to remove from the list.
-         * @returns {Boolean} - Returns whether the item was removed from the list.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains elements that are obtained by performing a grouped join on two collections.
          */
-        listProto.remove = function (item) {
-            var index = this.indexOf(item);
+        asyncProto.groupJoin = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var innerLookup;
+                return self.select(function (elem) {
+                    innerLookup = innerLookup || new AsyncEnumerable(inner).toLookup(innerKeySelector, eqComparer);
+                    return Promise.all([innerLookup, outerKeySelector(elem)]).then(function (values) {
+                        return resultSelector(elem, values[0].get(values[1]));
+                    });
+                }).getIterator();
+            });
+        };
 
-            if (index >= 0) {
-                this._.arr.splice(index, 1);
-                this.length -= 1;
-                return true;
-            }
-            return false;
+        /**
+         * Produces the set intersection of two collections.
+         * @function intersect
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} other - A collection whose elements that also occur in the first sequence will cause those elements to be included in the returned collection.
+         * @param {equals|equalityComparer} [eqComparer=(===)] - A function or object that tests if two elements are equal.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains the set intersection of the elements of two collections.
+         */
+        asyncProto.intersect = function (other, eqComparer) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var d = new Dictionary(eqComparer),
+                ready;
+                return self.where(function (elem) {
+                    ready = ready || addAllAsync(d, other);
+                    return ready.then(function () {
+                        return d.remove(elem);
+                    });
+                }).getIterator();
+            });
         };
 
         /**
-         * Removes all the elements that match the conditions defined by the specified predicate.
-         * @function removeAll
-         * @memberof arrgh.List
+         * Correlates the elements of two collections based on equality of keys.
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} inner - The collection to join with.
+         * @param {keySelector} outerKeySelector - A function that returns the key value from an element of the outer collection, may return a promise.
+         * @param {keySelector} innerKeySelector - A function that returns the key value from an element of the inner collection, may return a promise.
+         * @param {joinResultSelector} resultSelector - A function to create a result from two matched elements, may return a promise.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @function join
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {predicate} predicate - A function to test each element for a condition.
-         * @returns {Number} - Returns the number of elements that were removed.
+         * @returns {arrgh.AsyncEnumerable} - A collection that has elements that are obtained by performing an inner join on two collections.
          */
-        listProto.removeAll = function (predicate) {
-            var arr = this._.arr,
-            count = 0,
-            i;
+        asyncProto.join = function (inner, outerKeySelector, innerKeySelector, resultSelector, eqComparer) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var innerLookup;
+                return self.selectMany(function (elem) {
+                    innerLookup = innerLookup || new AsyncEnumerable(inner).toLookup(innerKeySelector, eqComparer);
+                    return Promise.all([innerLookup, outerKeySelector(elem)]).then(function (values) {
+                        return values[0].get(values[1]);
+                    });
+                }, resultSelector).getIterator();
+            });
+        };
 
-            for (i = arr.length - 1; i >= 0; i -= 1) {
-                if (predicate(arr[i])) {
-                    arr.splice(i, 1);
-                    count += 1;
-                }
-            }
-            this.length = arr.length;
-            return count;
+        /**
+         * Returns the last element in a collection, or the last element that satisfies a condition.
+         * @function last
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @returns {Promise} - A promise that resolves to the last element of the collection, or the last element that satisfies a condition. Rejects when the collection is empty or when no element matches the condition.
+         */
+        asyncProto.last = function (predicate) {
+            return asyncFindElem(this, predicate, onLastFound);
         };
 
         /**
-         * Removes the element at the specified index.
-         * @function removeAt
-         * @memberof arrgh.List
+         * Returns the last element in a collection, or the last element that satisfies a condition.<br />
+         * If the element is not found returns a default value.
+         * @function lastOrDefault
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} index - The index of the element to remove.
-         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection.
+         * @param {predicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
+         * @returns {Promise} - A promise that resolves to the last element of the collection, or the last element that satisfies a condition, or a specified default value.
          */
-        listProto.removeAt = function (index) {
-            throwIfOutOfBounds(index, this.length);
-            this._.arr.splice(index, 1);
-            this.length -= 1;
+        asyncProto.lastOrDefault = function (predicate, defaultValue) {
+            return asyncFindOrDefault(this, predicate, defaultValue, onLastFound);
         };
 
         /**
-         * Removes a range of elements.
-         * @function removeRange
-         * @memberof arrgh.List
+         * Returns the maximum value in a collection.<br />
+         * Values are converted to numerics. If this fails and the value is NaN then NaN is treated as smaller than anything.
+         * @param {selector} [selector] - A function that projects an element into a new form, may return a promise.
+         * @function max
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} index - The starting index of the range of elements to remove.
-         * @param {Number} count - The number of elements to remove.
-         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection or when the index plus the count are greater than the length of the collection.
+         * @returns {Promise} - A promise that resolves to the maximum value in the collection or NaN. Rejects when the collection is empty.
          */
-        listProto.removeRange = function (index, count) {
-            if (isRange(this, index, count)) {
-                this._.arr.splice(index, count);
-                this.length = this._.arr.length;
-            }
+        asyncProto.max = function (selector) {
+            return this.select(selector || identity).toArray().then(function (arr) {
+                return new Enumerable(arr).max();
+            });
         };
 
         /**
-         * Sets an element at the specified index.
-         * @function set
-         * @memberof arrgh.List
+         * Returns the minimum value in a collection.<br />
+         * Values are converted to numerics. If this fails the function returns NaN.
+         * @param {selector} [selector] - A function that projects an element into a new form, may return a promise.
+         * @function min
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} index - The index of the element to overwrite.
-         * @param {*} value - The value to set.
-         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection.
+         * @returns {Promise} - A promise that resolves to the minimum value in the collection or NaN. Rejects when the collection is empty.
          */
-        listProto.set = function (index, value) {
-            throwIfOutOfBounds(index, this.length);
-            this._.arr[index] = value;
+        asyncProto.min = function (selector) {
+            return this.select(selector || identity).toArray().then(function (arr) {
+                return new Enumerable(arr).min();
+            });
         };
 
         /**
-         * Sorts the list.
-         * @function sort
-         * @memberof arrgh.List
+         * Filters elements based on a specified type (constructor).<br />
+         * Object and null do not evaluate to the same type and neither do undefined and null.
+         * @param {*|undefined|null} type - The constructor of a type or undefined or null.
+         * @function ofType
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {Number} [index=0] - The starting index of the range of elements to sort.
-         * @param {Number} [count=list.length] - The length of the range to sort.
-         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
-         * @throws Throws an error when the index is smaller than zero or equal or greater than the length of the collection or when the index plus the count are greater than the length of the collection.
+         * @returns {arrgh.AsyncEnumerable} - Returns a collection containing only values that are of the specified type.
          */
-        listProto.sort = function (index, count, compare) {
-            var arr = this._.arr,
-            map = [],
-            partToSort,
-            compareOriginals,
-            i;
-
-            if (typeof index === "function") {
-                compare = index;
-                index = 0;
-            } else if (typeof count === "function") {
-                compare = count;
-                count = undefined;
-            } else {
-                compare = compare;
-            }
-            index = isNull(index) ? 0 : index;
-            count = isNull(count) ? arr.length - index : count;
-            compare = compare || defaultCompare;
-
-            if (!isRange(this, index, count)) {
-                return;
-            }
-
-            partToSort = arr.splice(index, count);
-            for (i = 0; i < partToSort.length; i += 1) {
-                map.push(i);
-            }
+        asyncProto.ofType = enumProto.ofType;
 
-            compareOriginals = function (x, y) {
-                return compare(partToSort[x], partToSort[y]);
-            };
-
-            stableQuicksort(map, 0, partToSort.length - 1, compareOriginals);
+        /**
+         * Sorts the elements of a sequence in ascending order according to a key.<br />
+         * The elements are only produced after the entire collection has been enumerated.
+         * @function orderBy
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {keySelector} keySelector - A function to extract a key from an element, may return a promise.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.AsyncOrderedEnumerable} - Returns an ordered async enumerable.
+         */
+        asyncProto.orderBy = function (keySelector, compare) {
+            return new AsyncOrderedEnumerable(this, keySelector, compare, false);
+        };
 
-            var sorted = new Array(partToSort.length);
-            for (i = 0; i < partToSort.length; i += 1) {
-                sorted[i] = partToSort[map[i]];
-            }
+        /**
+         * Sorts the elements of a sequence in descending order according to a key.<br />
+         * The elements are only produced after the entire collection has been enumerated.
+         * @function orderByDescending
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {keySelector} keySelector - A function to extract a key from an element, may return a promise.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.AsyncOrderedEnumerable} - Returns an ordered async enumerable.
+         */
+        asyncProto.orderByDescending = function (keySelector, compare) {
+            return new AsyncOrderedEnumerable(this, keySelector, compare, true);
+        };
 
-            this.insertRange(index, sorted);
+        /**
+         * Reverses the order of the elements in a collection.<br />
+         * The elements are only produced after the entire collection has been enumerated.
+         * @function reverse
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains the original collection in reversed order.
+         */
+        asyncProto.reverse = function () {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                return getDeferredAsyncIterator(function () {
+                    return self.toArray().then(function (arr) {
+                        return arr.reverse();
+                    });
+                });
+            });
         };
 
-        listProto.count = function (predicate) {
-            if (!predicate) {
-                return this.length;
-            } else {
-                return Enumerable.prototype.count.call(this, predicate);
-            }
+        /**
+         * Projects each element of a collection into a new form.
+         * @param {indexSelector} selector - A function that projects an element into a new form, may return a promise.
+         * @function select
+         * @see {@link arrgh.AsyncEnumerable#map}
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @returns {arrgh.AsyncEnumerable} - A collection whose elements are the result of invoking the transform function on each element of source.
+         */
+        asyncProto.select = function (selector) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                index = -1,
+                current;
+                return new AsyncIterator(function () {
+                    current = undefined;
+                    return iterator.moveNext().then(function (moved) {
+                        if (!moved) {
+                            return false;
+                        }
+                        index += 1;
+                        return resolve(selector(iterator.current(), index)).then(function (value) {
+                            current = value;
+                            return true;
+                        });
+                    });
+                }, function () {
+                    return current;
+                }, function () {
+                    return disposeAsyncIterator(iterator);
+                });
+            });
         };
 
-        listProto.elementAt = function (index) {
-            throwIfOutOfBounds(index, this.length);
-            return this._.arr[index];
+        /**
+         * Projects each element of a collection into a new form.
+         * @param {indexSelector} selector - A function that projects an element into a new form, may return a promise.
+         * @function map
+         * @see {@link arrgh.AsyncEnumerable#select}
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @returns {arrgh.AsyncEnumerable} - A collection whose elements are the result of invoking the transform function on each element of source.
+         */
+        asyncProto.map = asyncProto.select;
+
+        /**
+         * Projects each element of a collection to a collection and flattens the resulting collections into one collection.
+         * @param {collectionSelector} collectionSelector - A function that projects an element into a (sync or async) collection, may return a promise.
+         * @param {selectManyResultSelector} [resultSelector] - A function that creates a result value from each element in the intermediate collection, may return a promise.
+         * @function selectMany
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @returns {arrgh.AsyncEnumerable} - A collection whose elements are the result of invoking the one-to-many transform function on each element of the input collection.
+         */
+        asyncProto.selectMany = function (collectionSelector, resultSelector) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                innerIterator,
+                outerCurrent,
+                current,
+                index = -1;
+                return new AsyncIterator(function () {
+                    current = undefined;
+                    return asyncLoop(function () {
+                        if (innerIterator) {
+                            return innerIterator.moveNext().then(function (moved) {
+                                if (!moved) {
+                                    return disposeAsyncIterator(innerIterator).then(function () {
+                                        innerIterator = null;
+                                        return loopContinue;
+                                    });
+                                }
+                                if (!resultSelector) {
+                                    current = innerIterator.current();
+                                    return true;
+                                }
+                                return resolve(resultSelector(outerCurrent, innerIterator.current())).then(function (value) {
+                                    current = value;
+                                    return true;
+                                });
+                            });
+                        }
+                        return iterator.moveNext().then(function (moved) {
+                            if (!moved) {
+                                return false;
+                            }
+                            index += 1;
+                            outerCurrent = iterator.current();
+                            innerIterator = new AsyncEnumerable(collectionSelector(outerCurrent, index)).getIterator();
+                            return loopContinue;
+                        });
+                    });
+                }, function () {
+                    return current;
+                }, function () {
+                    return disposeAsyncIterators([innerIterator, iterator]);
+                });
+            });
         };
 
-        listProto.elementAtOrDefault = function (index, defaultValue) {
-            if (index < 0 || index >= this.length) {
-                return defaultValue;
-            }
-            return this._.arr[index];
+        /**
+         * Determines whether two collections are equal by comparing the elements, optionally using a custom equality comparer for their type.
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} other - Another collection to compare with.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two objects are equal.
+         * @function sequenceEquals
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @returns {Promise} - A promise that resolves to true if all elements in both collections match, otherwise false.
+         */
+        asyncProto.sequenceEquals = function (other, eqComparer) {
+            eqComparer = ensureEqComparer(eqComparer);
+            var iterator = this.getIterator(),
+            otherIterator = new AsyncEnumerable(other).getIterator();
+            return disposeAsyncIteratorsAfter(asyncLoop(function () {
+                return Promise.all([iterator.moveNext(), otherIterator.moveNext()]).then(function (moved) {
+                    if (moved[0] !== moved[1]) {
+                        return false;
+                    }
+                    if (!moved[0]) {
+                        return true;
+                    }
+                    return eqComparer.equals(iterator.current(), otherIterator.current()) ? loopContinue : false;
+                });
+            }), [iterator, otherIterator]);
         };
 
-        listProto.indexOf = function (searchElem, fromIndex) {
-            fromIndex = fromIndex || 0;
-            for (fromIndex; fromIndex < this.length; fromIndex += 1) {
-                if (defaultEqComparer.equals(this._.arr[fromIndex], searchElem)) {
-                    return fromIndex;
-                }
-            }
-            return -1;
+        /**
+         * Returns the only element in a collection, or the only element that satisfies a condition.
+         * @function single
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @returns {Promise} - A promise that resolves to the only element of the collection, or the only element that satisfies a condition. Rejects when the collection is empty or when no element matches the condition or when the collection (or predicate) returns more than a single element.
+         */
+        asyncProto.single = function (predicate) {
+            return asyncFindElem(this, predicate, onSingleFound);
         };
 
-        listProto.last = function (predicate) {
-            if (this.length > 0 && !predicate) {
-                return this._.arr[this.length - 1];
-            } else {
-                return Enumerable.prototype.last.call(this, predicate);
-            }
+        /**
+         * Returns the only element in a collection, or the only element that satisfies a condition.<br />
+         * If the element is not found returns a default value.
+         * @function singleOrDefault
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {predicate} [predicate] - A function to test each element for a condition, may return a promise.
+         * @param {*} [defaultValue] - The value that is returned when the collection is empty or no element matches the condition.
+         * @returns {Promise} - A promise that resolves to the only element of the collection, or the only element that satisfies a condition, or a specified default value. Rejects when the collection (or predicate) returns more than a single element.
+         */
+        asyncProto.singleOrDefault = function (predicate, defaultValue) {
+            return asyncFindOrDefault(this, predicate, defaultValue, onSingleFound);
         };
 
-        listProto.lastIndexOf = function (searchElem, fromIndex) {
-            fromIndex = fromIndex || 0;
-            var i;
-            for (i = this.length; fromIndex <= i; i -= 1) {
-                if (defaultEqComparer.equals(this._.arr[i], searchElem)) {
-                    return i;
-                }
-            }
-            return -1;
+        /**
+         * Bypasses a specified number of elements in a collection and then returns the remaining elements.
+         * @function skip
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {Number} count - The number of elements to skip.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains the elements that occur after the specified index.
+         */
+        asyncProto.skip = function (count) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                skipped = 0;
+                return new AsyncIterator(function () {
+                    return asyncLoop(function () {
+                        return iterator.moveNext().then(function (moved) {
+                            if (moved && skipped < count) {
+                                skipped += 1;
+                                return loopContinue;
+                            }
+                            return moved;
+                        });
+                    });
+                }, function () {
+                    if (skipped < count) {
+                        return undefined;
+                    }
+                    return iterator.current();
+                }, function () {
+                    return disposeAsyncIterator(iterator);
+                });
+            });
         };
 
-        listProto.lastOrDefault = function (predicate, defaultValue) {
-            if (typeof arguments[0] === "function") {
-                return Enumerable.prototype.lastOrDefault.call(this, predicate, defaultValue);
-            } else {
-                if (this.length > 0) {
-                    return this._.arr[this.length - 1];
-                } else {
-                    return arguments[0];
-                }
-            }
+        /**
+         * Bypasses elements in a collection as long as a specified condition is true and then returns the remaining elements.
+         * @function skipWhile
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {indexPredicate} predicate - A function to test whether to skip the element, may return a promise.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains the elements starting at the first element in the linear series that does not pass the test specified by predicate.
+         */
+        asyncProto.skipWhile = function (predicate) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                index = -1,
+                skipping = true,
+                current;
+                return new AsyncIterator(function () {
+                    current = undefined;
+                    return asyncLoop(function () {
+                        return iterator.moveNext().then(function (moved) {
+                            if (!moved) {
+                                return false;
+                            }
+                            var elem = iterator.current();
+                            if (!skipping) {
+                                current = elem;
+                                return true;
+                            }
+                            index += 1;
+                            return resolve(predicate(elem, index)).then(function (skip) {
+                                if (skip) {
+                                    return loopContinue;
+                                }
+                                skipping = false;
+                                current = elem;
+                                return true;
+                            });
+                        });
+                    });
+                }, function () {
+                    return current;
+                }, function () {
+                    return disposeAsyncIterator(iterator);
+                });
+            });
         };
 
-        listProto.toArray = function () {
-            return this._.arr.slice();
+        /**
+         * Computes the sum of a collection of values.<br />
+         * If values are not numerics the result may be NaN or something unexpected (e.g. "2" + 2 will results 22).
+         * @param {selector} [selector] - A function that projects an element into a new form, may return a promise.
+         * @function sum
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @returns {Promise} - A promise that resolves to the sum of all values in the collection, or NaN. Rejects when the collection contains no elements.
+         */
+        asyncProto.sum = function (selector) {
+            return asyncSumCount(this, selector, function (sum) {
+                return sum;
+            });
         };
 
-        var dictProto = Dictionary.prototype;
-
-        function dictionaryContainsKey(dictionary, hash, key) {
-            if (dictionary._.keys.hasOwnProperty(hash)) {
-                return dictionary._.keys[hash].contains(key, function (x, y) {
-                    return dictionary._.eqComparer.equals(x.key, y);
+        /**
+         * Returns a specified number of elements from the start of a collection.
+         * @function take
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {Number} count - The number of elements to take.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains the elements that occur before the specified index.
+         */
+        asyncProto.take = function (count) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                index = -1;
+                return new AsyncIterator(function () {
+                    index += 1;
+                    if (index >= count) {
+                        // Release the source as soon as enough elements are taken, not only when the iterator is disposed.
+                        return disposeAsyncIterator(iterator).then(function () {
+                            return false;
+                        });
+                    }
+                    return iterator.moveNext();
+                }, function () {
+                    if (index === -1 || index >= count) {
+                        return undefined;
+                    }
+                    return iterator.current();
+                }, function () {
+                    return disposeAsyncIterator(iterator);
                 });
-            }
-            return false;
-        }
-
-        function getPairByKey(dict, hash, key, whenNotExists) {
-            var elem;
-            if (!dict._.keys.hasOwnProperty(hash)) {
-                whenNotExists();
-            } else {
-                var def = {};
-                elem = dict._.keys[hash].firstOrDefault(function (kvp) {
-                    return dict._.eqComparer.equals(kvp.key, key);
-                }, def);
-                if (elem === def) {
-                    whenNotExists();
-                }
-            }
-            return elem;
-        }
+            });
+        };
 
         /**
-         * Adds the specified key and value to the dictionary.
-         * @function add
-         * @memberof arrgh.Dictionary
+         * Returns elements from a collection as long as a specified condition is true.
+         * @function takeWhile
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {*} key - The key of the element to add.
-         * @param {*} value - The value of the element to add.
-         * @throws When a key is already present in the dictionary.
+         * @param {indexPredicate} predicate - A function to test whether to take the element, may return a promise.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains the elements that occur before the element at which the test no longer passes.
          */
-        dictProto.add = function (key, value) {
-            var hash = this._.eqComparer.getHash(key);
-            if (dictionaryContainsKey(this, hash, key)) {
-                throw new Error("Key [" + key + "] is already present in the dictionary.");
-            }
-
-            if (!this._.keys[hash]) {
-                this._.keys[hash] = new List();
-            }
-            var pair = {
-                key: key,
-                value: value
-            };
-            this._.keys[hash].add(pair);
-            this._.entries.add(pair);
-
-            this.length += 1;
+        asyncProto.takeWhile = function (predicate) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                take = true,
+                current,
+                index = -1;
+                return new AsyncIterator(function () {
+                    current = undefined;
+                    if (!take) {
+                        return resolve(false);
+                    }
+                    return iterator.moveNext().then(function (moved) {
+                        if (!moved) {
+                            take = false;
+                            return false;
+                        }
+                        index += 1;
+                        var elem = iterator.current();
+                        return resolve(predicate(elem, index)).then(function (result) {
+                            take = !!result;
+                            if (take) {
+                                current = elem;
+                                return true;
+                            }
+                            // Release the source as soon as the condition fails, not only when the iterator is disposed.
+                            return disposeAsyncIterator(iterator).then(function () {
+                                return false;
+                            });
+                        });
+                    });
+                }, function () {
+                    return current;
+                }, function () {
+                    return disposeAsyncIterator(iterator);
+                });
+            });
         };
 
         /**
-         * Removes all items from the dictionary.
-         * @function clear
-         * @memberof arrgh.Dictionary
+         * Performs a subsequent ordering of the elements in a sequence in ascending order according to a key.
+         * @function thenBy
+         * @memberof arrgh.AsyncOrderedEnumerable
          * @instance
+         * @param {keySelector} keySelector - A function to extract a key from an element, may return a promise.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.AsyncOrderedEnumerable} - Returns an ordered async enumerable.
          */
-        dictProto.clear = function () {
-            this._.entries.clear();
-            this._.keys = {};
-            this.length = 0;
+        AsyncOrderedEnumerable.prototype.thenBy = function (keySelector, compare) {
+            return new AsyncOrderedEnumerable(this, keySelector, compare, false);
         };
 
         /**
-         * Check whether a key is present in the dictionary.
-         * @function containsKey
-         * @memberof arrgh.Dictionary
+         * Performs a subsequent ordering of the elements in a sequence in descending order according to a key.
+         * @function thenByDescending
+         * @memberof arrgh.AsyncOrderedEnumerable
          * @instance
-         * @param {*} key - The key to locate.
-         * @returns True if the key is present, otherwise false.
+         * @param {keySelector} keySelector - A function to extract a key from an element, may return a promise.
+         * @param {compare} [compare] - A function that tests if an object is smaller than, greater than or equal to another object.
+         * @returns {arrgh.AsyncOrderedEnumerable} - Returns an ordered async enumerable.
          */
-        dictProto.containsKey = function (key) {
-            var hash = this._.eqComparer.getHash(key);
-            return dictionaryContainsKey(this, hash, key);
+        AsyncOrderedEnumerable.prototype.thenByDescending = function (keySelector, compare) {
+            return new AsyncOrderedEnumerable(this, keySelector, compare, true);
         };
 
         /**
-         * Check whether a value is present in the dictionary.
-         * @function containsValue
-         * @memberof arrgh.Dictionary
+         * Converts the collection to a JavaScript array.
+         * @function toArray
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {*} value - The value to locate.
-         * @returns True if the value is present, otherwise false.
+         * @returns {Promise} - A promise that resolves to a JavaScript array.
          */
-        dictProto.containsValue = function (value) {
-            return this.any(function (p) {
-                return defaultEqComparer.equals(p.value, value);
+        asyncProto.toArray = function () {
+            var arr = [];
+            return this.forEach(function (elem) {
+                arr.push(elem);
+            }).then(function () {
+                return arr;
             });
         };
 
         /**
-         * Gets the item at the specified key.
-         * @function get
-         * @memberof arrgh.Dictionary
+         * Converts the collection to a dictionary.
+         * @function toDictionary
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {*} key - The key of the element which should be retrieved.
-         * @returns {*} - Returns the element with the specified key.
-         * @throws Throws an error when the key is not present in the dictionary.
+         * @param {keySelector} keySelector - A function that returns the key value from an element, may return a promise.
+         * @param {selector} [elementSelector] - A function that projects an element into a new form, may return a promise.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @returns {Promise} - A promise that resolves to a dictionary containing the keys and elements that are selected from the input collection.
          */
-        dictProto.get = function (key) {
-            var hash = this._.eqComparer.getHash(key);
-            return getPairByKey(this, hash, key, function () {
-                throw new Error("Key [" + key + "] was not found in the dictionary.");
-            }).value;
+        asyncProto.toDictionary = function (keySelector, elementSelector, eqComparer) {
+            if (typeof arguments[1] === "function") {
+                elementSelector = arguments[1];
+                eqComparer = arguments[2];
+            } else {
+                eqComparer = arguments[1];
+                elementSelector = undefined;
+            }
+            elementSelector = elementSelector || identity;
+
+            var d = new Dictionary(eqComparer);
+            return this.forEach(function (elem) {
+                return Promise.all([keySelector(elem), elementSelector(elem)]).then(function (pair) {
+                    d.add(pair[0], pair[1]);
+                });
+            }).then(function () {
+                return d;
+            });
         };
 
         /**
-         * Gets all keys in the dictionary.
-         * @function getKeys
-         * @memberof arrgh.Dictionary
+         * Converts the collection to a list.
+         * @function toList
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @returns {Array} - An array containing all keys in the dictionary.
+         * @returns {Promise} - A promise that resolves to a List containing all the elements from the input collection.
          */
-        dictProto.getKeys = function () {
-            var arr = [];
-            this.forEach(function (p) {
-                arr.push(p.key);
+        asyncProto.toList = function () {
+            return this.toArray().then(function (arr) {
+                return new List(arr);
             });
-            return arr;
         };
 
         /**
-         * Gets all values in the dictionary.
-         * @function getValues
-         * @memberof arrgh.Dictionary
+         * Converts the collection to a collection of keys each mapped to one or more values.
+         * @function toLookup
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @returns {Array} - An array containing all values in the dictionary.
+         * @param {keySelector} keySelector - A function that returns the key value from an element, may return a promise.
+         * @param {selector} [elementSelector] - A function that projects an element into a new form, may return a promise.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two keys are equal.
+         * @returns {Promise} - A promise that resolves to a collection of keys mapped to one or more values.
          */
-        dictProto.getValues = function () {
-            var arr = [];
-            this.forEach(function (p) {
-                arr.push(p.value);
+        asyncProto.toLookup = function (keySelector, elementSelector, eqComparer) {
+            if (typeof arguments[1] === "function") {
+                elementSelector = arguments[1];
+                eqComparer = arguments[2];
+            } else {
+                eqComparer = arguments[1];
+                elementSelector = undefined;
+            }
+            elementSelector = elementSelector || identity;
+
+            return this.select(function (elem) {
+                return Promise.all([keySelector(elem), elementSelector(elem)]);
+            }).toArray().then(function (pairs) {
+                return new Enumerable(pairs).toLookup(function (pair) {
+                    return pair[0];
+                }, function (pair) {
+                    return pair[1];
+                }, eqComparer);
             });
-            return arr;
         };
 
         /**
-         * Removes the value with the specified key from the dictionary.
-         * @function remove
-         * @memberof arrgh.Dictionary
+         * Produces the set union of two collections by using the default or a custom equality comparer to compare values.
+         * @function union
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {*} key - The key of the element to remove.
-         * @returns {Boolean} - True if the key was successfully removed and false when the key was not found.
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} other - The other collection to union with.
+         * @param {equalityComparer} [eqComparer=(===)] - An object that tests if two elements are equal.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains distinct element from the two input collections.
          */
-        dictProto.remove = function (key) {
-            var hash = this._.eqComparer.getHash(key),
-            notFound,
-            pair;
-
-            pair = getPairByKey(this, hash, key, function () {
-                notFound = true;
+        asyncProto.union = function (other, eqComparer) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                return getAsyncUnionIterator(self, new AsyncEnumerable(other), ensureEqComparer(eqComparer));
             });
-            if (notFound) {
-                return false;
-            }
-
-            var keys = this._.keys[hash];
-            keys.remove(pair);
-            this._.entries.remove(pair);
-            if (!keys.any()) {
-                delete this._.keys[hash];
-            }
-            this.length -= 1;
-            return true;
         };
 
         /**
-         * Sets the item at the specified key.
-         * @function set
-         * @memberof arrgh.Dictionary
+         * Filters a collection of values based on a predicate. Each element's index is used in the logic of the predicate function.
+         * @function where
+         * @see {@link arrgh.AsyncEnumerable#filter}
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {*} key - The key of the element to overwrite.
-         * @param {*} value - The value to set.
-         * @returns {*} - Returns the element with the specified key.
-         * @throws Throws an error when the key is not present in the dictionary.
+         * @param {indexPredicate} predicate - A function to test each element for a condition, may return a promise.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains all elements that satisfy the condition.
          */
-        dictProto.set = function (key, value) {
-            var hash = this._.eqComparer.getHash(key);
-            getPairByKey(this, hash, key, function () {
-                throw new Error("Key [" + key + "] was not found in the dictionary.");
-            }).value = value;
+        asyncProto.where = function (predicate) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                index = -1,
+                current;
+                return new AsyncIterator(function () {
+                    current = undefined;
+                    return asyncLoop(function () {
+                        return iterator.moveNext().then(function (moved) {
+                            if (!moved) {
+                                return false;
+                            }
+                            index += 1;
+                            var elem = iterator.current();
+                            return resolve(predicate(elem, index)).then(function (match) {
+                                if (match) {
+                                    current = elem;
+                                    return true;
+                                }
+                                return loopContinue;
+                            });
+                        });
+                    });
+                }, function () {
+                    return current;
+                }, function () {
+                    return disposeAsyncIterator(iterator);
+                });
+            });
         };
 
         /**
-         * Removes the value with the specified key from the dictionary.
-         * @function tryGet
-         * @memberof arrgh.Dictionary
+         * Filters a collection of values based on a predicate. Each element's index is used in the logic of the predicate function.
+         * @function filter
+         * @see {@link arrgh.AsyncEnumerable#where}
+         * @memberof arrgh.AsyncEnumerable
          * @instance
-         * @param {*} key - The key at which the item should be retrieved.
-         * @returns {tryResult} - A result specifying whether the key was found and, if yes, also contains the value for the key.
+         * @param {indexPredicate} predicate - A function to test each element for a condition, may return a promise.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains all elements that satisfy the condition.
          */
-        dictProto.tryGet = function (key) {
-            var hash = this._.eqComparer.getHash(key),
-            notFound,
-            pair = getPairByKey(this, hash, key, function () {
-                notFound = true;
+        asyncProto.filter = asyncProto.where;
+
+        /**
+         * Applies a specified function to the corresponding elements of two collections, producing a collection of the results.
+         * @function zip
+         * @memberof arrgh.AsyncEnumerable
+         * @instance
+         * @param {arrgh.AsyncEnumerable|arrgh.Enumerable|Object} other - The collection to merge with.
+         * @param {zipResultSelector} resultSelector - A function that creates a result value from two elements, may return a promise.
+         * @returns {arrgh.AsyncEnumerable} - A collection that contains merged elements of two input collections.
+         */
+        asyncProto.zip = function (other, resultSelector) {
+            var self = this;
+            return new AsyncEnumerable(function () {
+                var iterator = self.getIterator(),
+                otherIterator = new AsyncEnumerable(other).getIterator(),
+                current;
+                return new AsyncIterator(function () {
+                    current = undefined;
+                    return iterator.moveNext().then(function (moved) {
+                        if (!moved) {
+                            return false;
+                        }
+                        return otherIterator.moveNext().then(function (otherMoved) {
+                            if (!otherMoved) {
+                                return false;
+                            }
+                            return resolve(resultSelector(iterator.current(), otherIterator.current())).then(function (value) {
+                                current = value;
+                                return true;
+                            });
+                        });
+                    });
+                }, function () {
+                    return current;
+                }, function () {
+                    return disposeAsyncIterators([iterator, otherIterator]);
+                });
             });
-            if (notFound) {
-                return {
-                    success: false,
-                    value: undefined
-                };
-            }
-            return {
-                success: true,
-                value: pair.value
-            };
         };
 
-        dictProto.count = function (predicate) {
-            if (!predicate) {
-                return this.length;
-            } else {
-                return Enumerable.prototype.count.call(this, predicate);
-            }
+        /**
+         * Creates an async collection from an async iterable, a promise of a collection or any collection.
+         * @function from
+         * @memberof arrgh.AsyncEnumerable
+         * @static
+         * @param {(Object|Promise|Array|String|arrgh.Enumerable|arrgh.AsyncEnumerable|Function)} source - An async iterable, a promise of a collection, a collection or a parameterless function that returns an {@link arrgh.AsyncIterator}.
+         * @returns {arrgh.AsyncEnumerable} - A collection that can be iterated over asynchronously.
+         */
+        AsyncEnumerable.from = function (source) {
+            return new AsyncEnumerable(source);
         };
 
         return {
+            ArgumentError: ArgumentError,
+            ArgumentOutOfRangeError: ArgumentOutOfRangeError,
+            AsyncEnumerable: AsyncEnumerable,
+            AsyncIterator: AsyncIterator,
+            CollectionModifiedError: CollectionModifiedError,
             Enumerable: Enumerable,
             Dictionary: Dictionary,
+            HashSet: HashSet,
+            InvalidOperationError: InvalidOperationError,
             Iterator: Iterator,
-            List: List
+            KeyNotFoundError: KeyNotFoundError,
+            LinkedList: LinkedList,
+            List: List,
+            PriorityQueue: PriorityQueue,
+            Queue: Queue,
+            SortedDictionary: SortedDictionary,
+            SortedSet: SortedSet,
+            Stack: Stack,
+            settings: settings
         };
-    }(undefined, Number.MAX_SAFE_INTEGER || 9007199254740991));
+    }(undefined, Number.MAX_SAFE_INTEGER || 9007199254740991, typeof Symbol === "function" ? Symbol.iterator : undefined, typeof Symbol === "function" ? Symbol.asyncIterator : undefined));
 }));
\ No newline at end of file
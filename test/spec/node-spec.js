@@ -111,6 +111,14 @@ eval(fs.readFileSync('./test/spec/test-Enumerable_toSomethings.js','utf-8'));
 eval(fs.readFileSync('./test/spec/test-Enumerable_statics.js','utf-8'));
 eval(fs.readFileSync('./test/spec/test-List.js','utf-8'));
 eval(fs.readFileSync('./test/spec/test-Dictionary.js','utf-8'));
+eval(fs.readFileSync('./test/spec/test-HashSet.js','utf-8'));
+eval(fs.readFileSync('./test/spec/test-SortedDictionary.js','utf-8'));
+eval(fs.readFileSync('./test/spec/test-SortedSet.js','utf-8'));
+eval(fs.readFileSync('./test/spec/test-QueueStack.js','utf-8'));
+eval(fs.readFileSync('./test/spec/test-PriorityQueue.js','utf-8'));
+eval(fs.readFileSync('./test/spec/test-LinkedList.js','utf-8'));
+eval(fs.readFileSync('./test/spec/test-Errors.js','utf-8'));
+eval(fs.readFileSync('./test/spec/test-AsyncEnumerable.js','utf-8'));
 /* jshint ignore:end */
 
 (function () {
@@ -125,5 +133,13 @@ eval(fs.readFileSync('./test/spec/test-Dictionary.js','utf-8'));
 		testEnumerableStatics();
 		testList();
 		testDictionary();
+		testHashSet();
+		testSortedDictionary();
+		testSortedSet();
+		testQueueStack();
+		testPriorityQueue();
+		testLinkedList();
+		testErrors();
+		testAsyncEnumerable();
 	});
 }());
\ No newline at end of file
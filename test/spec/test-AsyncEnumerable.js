@@ -0,0 +1,724 @@
+/* exported testAsyncEnumerable */
+var testAsyncEnumerable = function () {
+	"use strict";
+
+	// Resolves the value on the next tick.
+	var later = function (value) {
+		return new Promise(function (resolve) {
+			setTimeout(function () {
+				resolve(value);
+			}, 0);
+		});
+	};
+
+	// Produces an object that implements Symbol.asyncIterator and counts how often it is iterated.
+	var asyncIterable = function (arr) {
+		var iterable = {
+			iterated: 0,
+			pulled: 0
+		};
+		iterable[Symbol.asyncIterator] = function () {
+			var index = 0;
+			iterable.iterated += 1;
+			return {
+				next: function () {
+					if (index < arr.length) {
+						index += 1;
+						iterable.pulled += 1;
+						return later({ done: false, value: arr[index - 1] });
+					}
+					return later({ done: true });
+				}
+			};
+		};
+		return iterable;
+	};
+
+	// Jasmine 1.3 has no done.fail, so an unexpected rejection fails an expectation and then completes the spec.
+	var failOnRejection = function (done) {
+		return function (err) {
+			expect("Rejected with " + (err && err.message ? err.message : err)).toBe("Resolved");
+			done();
+		};
+	};
+
+	var expectResult = function (promise, expected, done) {
+		promise.then(function (result) {
+			expect(result).toEqual(expected);
+			done();
+		}, failOnRejection(done));
+	};
+
+	var expectRejection = function (promise, message, done) {
+		promise.then(function () {
+			expect("Resolved").toBe("Rejected with " + message);
+			done();
+		}, function (err) {
+			expect(err.message).toBe(message);
+			done();
+		});
+	};
+
+	var isEven = function (n) {
+		return later(n % 2 === 0);
+	};
+
+	describe("AsyncEnumerable", function () {
+		if (typeof Promise !== "function") {
+			return;
+		}
+
+		describe("ctor", function () {
+			it("should accept an array and await its elements", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, later(2), 3]).toArray(), [1, 2, 3], done);
+			});
+
+			it("should accept nothing", function (done) {
+				expectResult(new arrgh.AsyncEnumerable().toArray(), [], done);
+			});
+
+			it("should accept params", function (done) {
+				expectResult(new arrgh.AsyncEnumerable(1, 2, 3).toArray(), [1, 2, 3], done);
+			});
+
+			it("should accept an Enumerable", function (done) {
+				expectResult(new arrgh.AsyncEnumerable(arrgh.Enumerable.range(0, 3)).toArray(), [0, 1, 2], done);
+			});
+
+			it("should accept a promise of a collection", function (done) {
+				expectResult(new arrgh.AsyncEnumerable(later([1, 2, 3])).toArray(), [1, 2, 3], done);
+			});
+
+			it("should accept a function that returns an AsyncIterator", function (done) {
+				var e = new arrgh.AsyncEnumerable(function () {
+					var i = 0;
+					return new arrgh.AsyncIterator(function () {
+						i += 1;
+						return later(i <= 3);
+					}, function () {
+						return i;
+					});
+				});
+				expectResult(e.toArray(), [1, 2, 3], done);
+			});
+
+			it("should throw when the input is not valid", function () {
+				expect(function () {
+					return new arrgh.AsyncEnumerable(42);
+				}).toThrow(new Error("The input parameter for AsyncEnumerable was not valid."));
+			});
+
+			it("should reject when a promise resolves to something that is not valid", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable(later(42)).toArray(), "The input parameter for AsyncEnumerable was not valid.", done);
+			});
+
+			if (typeof Symbol === "function" && Symbol.asyncIterator) {
+				it("should accept an async iterable and be re-enumerable", function (done) {
+					var iterable = asyncIterable([1, 2, 3]);
+					var e = new arrgh.AsyncEnumerable(iterable);
+					e.toArray().then(function (first) {
+						expect(first).toEqual([1, 2, 3]);
+						return e.toArray();
+					}).then(function (second) {
+						expect(second).toEqual([1, 2, 3]);
+						expect(iterable.iterated).toBe(2);
+						done();
+					}, failOnRejection(done));
+				});
+
+				it("should buffer an async iterator so it can be enumerated more than once", function (done) {
+					var iterator = asyncIterable([1, 2, 3])[Symbol.asyncIterator]();
+					iterator[Symbol.asyncIterator] = function () {
+						return iterator;
+					};
+					var e = new arrgh.AsyncEnumerable(iterator);
+					Promise.all([e.first(), e.toArray()]).then(function (results) {
+						expect(results[0]).toBe(1);
+						expect(results[1]).toEqual([1, 2, 3]);
+						return e.toArray();
+					}).then(function (arr) {
+						expect(arr).toEqual([1, 2, 3]);
+						done();
+					}, failOnRejection(done));
+				});
+
+				it("should be iterable with the async iteration protocol", function (done) {
+					var esIterator = new arrgh.AsyncEnumerable([1, 2])[Symbol.asyncIterator]();
+					expect(esIterator[Symbol.asyncIterator]()).toBe(esIterator);
+					esIterator.next().then(function (result) {
+						expect(result).toEqual({ done: false, value: 1 });
+						return esIterator.next();
+					}).then(function (result) {
+						expect(result).toEqual({ done: false, value: 2 });
+						return esIterator.next();
+					}).then(function (result) {
+						expect(result).toEqual({ done: true, value: undefined });
+						done();
+					}, failOnRejection(done));
+				});
+			}
+		});
+
+		describe("iterator", function () {
+			it("should behave like a sync iterator", function (done) {
+				var iterator = new arrgh.AsyncEnumerable([1]).where(isEven).concat([2]).getIterator();
+				expect(iterator.current()).toBeUndefined();
+				iterator.moveNext().then(function (moved) {
+					expect(moved).toBe(true);
+					expect(iterator.current()).toBe(2);
+					return iterator.moveNext();
+				}).then(function (moved) {
+					expect(moved).toBe(false);
+					expect(iterator.current()).toBeUndefined();
+					return iterator.moveNext();
+				}).then(function (moved) {
+					expect(moved).toBe(false);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should be lazy", function (done) {
+				var iterable = asyncIterable([1, 2, 3, 4]);
+				new arrgh.AsyncEnumerable(iterable).select(function (n) {
+					return n * 2;
+				}).take(2).toArray().then(function (arr) {
+					expect(arr).toEqual([2, 4]);
+					expect(iterable.pulled).toBe(2);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should not enumerate before a terminal operation", function () {
+				var iterable = asyncIterable([1, 2, 3]);
+				new arrgh.AsyncEnumerable(iterable).where(isEven).orderBy(function (n) {
+					return n;
+				}).reverse();
+				expect(iterable.iterated).toBe(0);
+			});
+
+			it("should handle long collections without recursion", function (done) {
+				expectResult(arrgh.Enumerable.range(0, 10000).toAsync().where(function (n) {
+					return n === 9999;
+				}).toArray(), [9999], done);
+			});
+		});
+
+		describe("disposal", function () {
+			// The specs are ES3, so async generators and for await...of are only compiled when the engine supports them.
+			var compile = function (params, body) {
+				try {
+					/* jshint evil: true */
+					return new Function(params, body)();
+				} catch (e) {
+					return null;
+				}
+			};
+			// Produces an async generator function that counts how many elements are pulled and how often its finally block runs.
+			var generate = compile("", "return function (arr, counter) { return async function* () { try { for (var i = 0; i < arr.length; i += 1) { counter.pulled += 1; yield arr[i]; } } finally { counter.closed += 1; } }; };");
+			var forAwaitTwo = compile("", "return async function (iterable) { var arr = []; for await (var x of iterable) { arr.push(x); if (arr.length === 2) { break; } } return arr; };");
+
+			var expectClosed = function (getPromise, expected, closed, done) {
+				if (!generate) {
+					done();
+					return;
+				}
+				var counter = { pulled: 0, closed: 0 };
+				getPromise(new arrgh.AsyncEnumerable(generate([1, 2, 3, 4], counter)), counter).then(function (result) {
+					expect(result).toEqual(expected);
+					expect(counter.closed).toBe(closed);
+					done();
+				}, failOnRejection(done));
+			};
+
+			it("should close the source when it's enumerated completely", function (done) {
+				expectClosed(function (e) {
+					return e.toArray();
+				}, [1, 2, 3, 4], 1, done);
+			});
+
+			it("should close the source when take stops early", function (done) {
+				expectClosed(function (e, counter) {
+					return e.take(2).toArray().then(function (arr) {
+						expect(counter.pulled).toBe(2);
+						return arr;
+					});
+				}, [1, 2], 1, done);
+			});
+
+			it("should close the source when takeWhile stops early", function (done) {
+				expectClosed(function (e) {
+					return e.takeWhile(function (n) {
+						return n < 3;
+					}).toArray();
+				}, [1, 2], 1, done);
+			});
+
+			it("should close the source when first finds an element", function (done) {
+				expectClosed(function (e) {
+					return e.first(isEven);
+				}, 2, 1, done);
+			});
+
+			it("should close the source when any finds an element", function (done) {
+				expectClosed(function (e) {
+					return e.any();
+				}, true, 1, done);
+			});
+
+			it("should close the source when all finds a mismatch", function (done) {
+				expectClosed(function (e) {
+					return e.all(function (n) {
+						return n < 2;
+					});
+				}, false, 1, done);
+			});
+
+			it("should close the source when contains finds the element", function (done) {
+				expectClosed(function (e) {
+					return e.contains(2);
+				}, true, 1, done);
+			});
+
+			it("should close the source when elementAt finds the element", function (done) {
+				expectClosed(function (e) {
+					return e.elementAt(1);
+				}, 2, 1, done);
+			});
+
+			it("should close both sources when sequenceEquals finds a difference", function (done) {
+				var other = { pulled: 0, closed: 0 };
+				expectClosed(function (e) {
+					return e.sequenceEquals(generate([1, 3, 3, 4], other)).then(function (equal) {
+						expect(other.closed).toBe(1);
+						return equal;
+					});
+				}, false, 1, done);
+			});
+
+			it("should close the source when forEach is stopped", function (done) {
+				expectClosed(function (e) {
+					var arr = [];
+					return e.forEach(function (n) {
+						arr.push(n);
+						return n < 2;
+					}).then(function () {
+						return arr;
+					});
+				}, [1, 2], 1, done);
+			});
+
+			it("should close the source and reject with the original error when a callback throws", function (done) {
+				expectClosed(function (e) {
+					return e.select(function (n) {
+						if (n === 2) {
+							throw new Error("Selector failed.");
+						}
+						return n;
+					}).toArray().then(function () {
+						return "Resolved";
+					}, function (err) {
+						return err.message;
+					});
+				}, "Selector failed.", 1, done);
+			});
+
+			it("should close the inner and outer sources of selectMany", function (done) {
+				var inner = { pulled: 0, closed: 0 };
+				expectClosed(function (e) {
+					return e.selectMany(function () {
+						return generate(["a", "b"], inner);
+					}).take(3).toArray().then(function (arr) {
+						expect(inner.closed).toBe(2);
+						return arr;
+					});
+				}, ["a", "b", "a"], 1, done);
+			});
+
+			it("should close both sources of zip", function (done) {
+				var other = { pulled: 0, closed: 0 };
+				expectClosed(function (e) {
+					return e.zip(generate(["a", "b", "c", "d"], other), function (n, s) {
+						return n + s;
+					}).first().then(function (first) {
+						expect(other.closed).toBe(1);
+						return first;
+					});
+				}, "1a", 1, done);
+			});
+
+			it("should close the source when a concatenated collection stops early", function (done) {
+				var other = { pulled: 0, closed: 0 };
+				expectClosed(function (e) {
+					return e.concat(generate([5, 6], other)).take(5).toArray().then(function (arr) {
+						expect(other.closed).toBe(1);
+						return arr;
+					});
+				}, [1, 2, 3, 4, 5], 1, done);
+			});
+
+			it("should close the source only once when the iterator is disposed more than once", function (done) {
+				expectClosed(function (e) {
+					var iterator = e.where(isEven).getIterator();
+					return iterator.moveNext().then(function () {
+						return iterator.dispose();
+					}).then(function () {
+						return iterator.dispose();
+					}).then(function () {
+						return iterator.current();
+					});
+				}, 2, 1, done);
+			});
+
+			it("should close the source when a for await...of loop breaks", function (done) {
+				if (!forAwaitTwo) {
+					done();
+					return;
+				}
+				expectClosed(function (e) {
+					return forAwaitTwo(e.select(function (n) {
+						return n * 2;
+					}));
+				}, [2, 4], 1, done);
+			});
+
+			it("should close the source when the async iterator is returned", function (done) {
+				if (typeof Symbol !== "function" || !Symbol.asyncIterator) {
+					done();
+					return;
+				}
+				expectClosed(function (e) {
+					var esIterator = e[Symbol.asyncIterator]();
+					return esIterator.next().then(function () {
+						return esIterator["return"](42);
+					});
+				}, { done: true, value: 42 }, 1, done);
+			});
+		});
+
+		describe("filtering and projecting", function () {
+			it("should filter with an async predicate", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2, 3, 4]).where(isEven).toArray(), [2, 4], done);
+			});
+
+			it("should project with an async selector and index", function (done) {
+				expectResult(new arrgh.AsyncEnumerable(["a", "b"]).select(function (s, i) {
+					return later(s + i);
+				}).toArray(), ["a0", "b1"], done);
+			});
+
+			it("should flatten async and sync collections", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2]).selectMany(function (n) {
+					return n === 1 ? [1, 1] : later([2, 2]);
+				}, function (n, m) {
+					return n + m;
+				}).toArray(), [2, 2, 4, 4], done);
+			});
+
+			it("should skip and take", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2, 3, 4, 5]).skip(1).take(3).toArray(), [2, 3, 4], done);
+			});
+
+			it("should skip and take while a condition holds", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2, 3, 4, 1]).skipWhile(function (n) {
+					return later(n < 2);
+				}).takeWhile(function (n) {
+					return n < 4;
+				}).toArray(), [2, 3], done);
+			});
+
+			it("should filter by type", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, "a", 2, null]).ofType(Number).toArray(), [1, 2], done);
+			});
+
+			it("should default an empty collection", function (done) {
+				expectResult(new arrgh.AsyncEnumerable().defaultIfEmpty(42).toArray(), [42], done);
+			});
+
+			it("should zip two collections", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2, 3]).zip(later(["a", "b"]), function (n, s) {
+					return n + s;
+				}).toArray(), ["1a", "2b"], done);
+			});
+		});
+
+		describe("sets", function () {
+			it("should concat", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2]).concat(later([2, 3])).toArray(), [1, 2, 2, 3], done);
+			});
+
+			it("should union", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2]).union([2, 3]).toArray(), [1, 2, 3], done);
+			});
+
+			it("should make distinct using an equality comparer", function (done) {
+				expectResult(new arrgh.AsyncEnumerable(people).distinct(firstNameEqComparer).toArray(), [p0, p1, p3, p4], done);
+			});
+
+			it("should except", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2, 3, 3]).except(later([2])).toArray(), [1, 3], done);
+			});
+
+			it("should intersect", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2, 3, 2]).intersect([2, 3, 4]).toArray(), [2, 3], done);
+			});
+		});
+
+		describe("orderings", function () {
+			it("should order by an async key", function (done) {
+				expectResult(new arrgh.AsyncEnumerable(people).orderBy(function (p) {
+					return later(p.age);
+				}).toArray(), [p3, p0, p1, p2, p4, p5], done);
+			});
+
+			it("should order by multiple keys", function (done) {
+				expectResult(new arrgh.AsyncEnumerable(people).orderBy(firstNameSelector).thenByDescending(function (p) {
+					return later(p.age);
+				}).toArray(), [p3, p5, p2, p1, p0, p4], done);
+			});
+
+			it("should order descending and leave the original ordering untouched", function (done) {
+				var ordered = new arrgh.AsyncEnumerable([2, 3, 1]).orderByDescending(function (n) {
+					return n;
+				});
+				ordered.thenBy(function (n) {
+					return n;
+				});
+				expectResult(ordered.toArray(), [3, 2, 1], done);
+			});
+
+			it("should reverse", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2, 3]).reverse().toArray(), [3, 2, 1], done);
+			});
+		});
+
+		describe("groupings and joins", function () {
+			it("should group by an async key", function (done) {
+				new arrgh.AsyncEnumerable(people).groupBy(function (p) {
+					return later(p.first);
+				}, function (p) {
+					return p.last;
+				}).select(function (g) {
+					return { key: g.key, elems: g.toArray() };
+				}).toArray().then(function (groups) {
+					expect(groups[1]).toEqual({ key: "Bill", elems: ["Murray", "Gates", "Clinton"] });
+					expect(groups.length).toBe(4);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should group with a result selector", function (done) {
+				expectResult(new arrgh.AsyncEnumerable(people).groupBy(firstNameSelector, function (key, g) {
+					return key + g.count();
+				}).toArray(), ["Sander1", "Bill3", "Bailey1", "Steve1"], done);
+			});
+
+			it("should join", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([p0, p1, p6]).join(later(people), firstNameSelector, firstNameSelector, function (o, i) {
+					return i.last;
+				}).toArray(), ["Rossel", "Murray", "Gates", "Clinton", "McQueen"], done);
+			});
+
+			it("should group join", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([p1, p6]).groupJoin(people, firstNameSelector, function (p) {
+					return later(p.first);
+				}, function (o, g) {
+					return g.count();
+				}).toArray(), [3, 1], done);
+			});
+		});
+
+		describe("terminal operations", function () {
+			it("should aggregate", function (done) {
+				expectResult(new arrgh.AsyncEnumerable([1, 2, 3]).aggregate(10, function (acc, n) {
+					return later(acc + n);
+				}, function (acc) {
+					return acc * 2;
+				}), 32, done);
+			});
+
+			it("should reject aggregating an empty collection without seed", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable().aggregate(function (a, b) {
+					return a + b;
+				}), "Collection contains no elements.", done);
+			});
+
+			it("should test all and any", function (done) {
+				var e = new arrgh.AsyncEnumerable([2, 4, 5]);
+				Promise.all([e.all(isEven), e.any(isEven), e.some(function (n) {
+					return n > 5;
+				}), e.any(), new arrgh.AsyncEnumerable().any()]).then(function (results) {
+					expect(results).toEqual([false, true, false, true, false]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should stop as soon as any finds a match", function (done) {
+				var iterable = asyncIterable([1, 2, 3, 4]);
+				new arrgh.AsyncEnumerable(iterable).any(isEven).then(function (any) {
+					expect(any).toBe(true);
+					expect(iterable.pulled).toBe(2);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should compute average, sum, min and max", function (done) {
+				var e = new arrgh.AsyncEnumerable(people).where(function (p) {
+					return p.age;
+				});
+				var age = function (p) {
+					return later(p.age);
+				};
+				Promise.all([e.average(age), e.sum(age), e.min(age), e.max(age)]).then(function (results) {
+					expect(results).toEqual([301 / 6, 301, 10, 69]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should reject the average of an empty collection", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable().average(), "Collection contains no elements.", done);
+			});
+
+			it("should count and test for containment", function (done) {
+				var e = new arrgh.AsyncEnumerable(people);
+				Promise.all([e.count(), e.count(function (p) {
+					return later(p.first === "Bill");
+				}), e.contains(p6, firstNameEqComparer), e.contains(p6)]).then(function (results) {
+					expect(results).toEqual([6, 3, true, false]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should get elements at an index", function (done) {
+				var e = new arrgh.AsyncEnumerable([1, 2, 3]);
+				Promise.all([e.elementAt(1), e.elementAtOrDefault(3, "d"), e.elementAtOrDefault(-1)]).then(function (results) {
+					expect(results).toEqual([2, "d", undefined]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should reject an index out of bounds", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable([1]).elementAt(1), "Index was outside the bounds of the collection.", done);
+			});
+
+			it("should find first, last and single elements", function (done) {
+				var e = new arrgh.AsyncEnumerable([1, 2, 3, 4]);
+				Promise.all([
+					e.first(),
+					e.first(isEven),
+					e.firstOrDefault(function (n) {
+						return n > 4;
+					}, "d"),
+					e.firstOrDefault(),
+					new arrgh.AsyncEnumerable().firstOrDefault("d"),
+					e.last(),
+					e.last(isEven),
+					e.lastOrDefault(function (n) {
+						return n > 4;
+					}),
+					e.single(function (n) {
+						return later(n === 3);
+					}),
+					e.singleOrDefault(function (n) {
+						return n > 4;
+					}, "d")
+				]).then(function (results) {
+					expect(results).toEqual([1, 2, "d", 1, "d", 4, 4, undefined, 3, "d"]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should reject first of an empty collection", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable().first(), "Collection contains no elements.", done);
+			});
+
+			it("should reject first when nothing matches", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable([1]).first(isEven), "Collection contains no matching element.", done);
+			});
+
+			it("should reject single when more than one element matches", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable([2, 4]).singleOrDefault(isEven), "Collection contains more than one matching element.", done);
+			});
+
+			it("should loop through all elements and wait for promises", function (done) {
+				var log = [];
+				new arrgh.AsyncEnumerable(["a", "b"]).forEach(function (s, i) {
+					return later().then(function () {
+						log.push(s + i);
+					});
+				}).then(function () {
+					expect(log).toEqual(["a0", "b1"]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should stop looping when the callback returns false", function (done) {
+				var log = [];
+				new arrgh.AsyncEnumerable([1, 2, 3]).forEach(function (n) {
+					log.push(n);
+					return later(n < 2);
+				}).then(function () {
+					expect(log).toEqual([1, 2]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should reject when a callback throws", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable([1, 2]).select(function () {
+					throw new Error("Oops");
+				}).toArray(), "Oops", done);
+			});
+
+			it("should compare sequences", function (done) {
+				var e = new arrgh.AsyncEnumerable([1, 2, 3]);
+				Promise.all([e.sequenceEquals([1, 2, 3]), e.sequenceEquals(later([1, 2])), e.sequenceEquals(new arrgh.AsyncEnumerable([1, 2, 4]))]).then(function (results) {
+					expect(results).toEqual([true, false, false]);
+					done();
+				}, failOnRejection(done));
+			});
+		});
+
+		describe("conversions", function () {
+			it("should convert to a List", function (done) {
+				new arrgh.AsyncEnumerable([1, 2]).toList().then(function (list) {
+					expect(list instanceof arrgh.List).toBe(true);
+					expect(list.toArray()).toEqual([1, 2]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should convert to a Dictionary", function (done) {
+				new arrgh.AsyncEnumerable([p0, p1]).toDictionary(function (p) {
+					return later(p.first);
+				}, function (p) {
+					return later(p.last);
+				}).then(function (d) {
+					expect(d.toArray()).toEqual([{ key: "Sander", value: "Rossel" }, { key: "Bill", value: "Murray" }]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should reject duplicate keys in a Dictionary", function (done) {
+				expectRejection(new arrgh.AsyncEnumerable(people).toDictionary(firstNameSelector), "Key [Bill] is already present in the dictionary.", done);
+			});
+
+			it("should convert to a Lookup", function (done) {
+				new arrgh.AsyncEnumerable(people).toLookup(function (p) {
+					return later(p.first);
+				}).then(function (lookup) {
+					expect(lookup.get("Bill").toArray()).toEqual([p1, p2, p5]);
+					done();
+				}, failOnRejection(done));
+			});
+
+			it("should convert an Enumerable to an AsyncEnumerable", function (done) {
+				var e = new arrgh.Enumerable([1, 2]).toAsync();
+				expect(e instanceof arrgh.AsyncEnumerable).toBe(true);
+				expectResult(e.toArray(), [1, 2], done);
+			});
+
+			it("should create an AsyncEnumerable from a source", function (done) {
+				expectResult(arrgh.AsyncEnumerable.from(later([1, 2])).toArray(), [1, 2], done);
+			});
+		});
+	});
+};
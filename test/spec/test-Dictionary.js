@@ -29,6 +29,32 @@ var testDictionary = function () {
 				expect(d.toArray()).toEqual([{ key: p0, value: p0.first }, { key: p1, value: p1.first }]);
 			});
 
+			it("should add many object keys that have the same string representation", function () {
+				var d = new arrgh.Dictionary(),
+				keys = [],
+				i;
+				for (i = 0; i < 2000; i += 1) {
+					keys.push({ id: i });
+					d.add(keys[i], i);
+				}
+				expect(d.length).toBe(2000);
+				expect(d.get(keys[1234])).toBe(1234);
+				expect(d.containsKey({ id: 1234 })).toBe(false);
+			});
+
+			it("should add different objects when only equals is specified", function () {
+				var d = new arrgh.Dictionary({
+					equals: function (a, b) {
+						return a.first === b.first;
+					}
+				});
+				d.add(p1, "p1");
+				expect(function () {
+					d.add(p2, "p2");
+				}).toThrow();
+				expect(d.get(p5)).toBe("p1");
+			});
+
 			it("should add keys using an equality comparer", function () {
 				var d = new arrgh.Dictionary(firstNameEqComparer);
 				d.add(p0, "p0");
@@ -599,6 +625,54 @@ describe("remove", function () {
 		d.remove(p3);
 		expect(d.length).toBe(3);
 	});
+
+	it("should keep the insertion order when many items are removed", function () {
+		var d = new arrgh.Dictionary(),
+		i;
+		for (i = 0; i < 100; i += 1) {
+			d.add(i, i);
+		}
+		for (i = 0; i < 100; i += 1) {
+			if (i % 10 !== 0) {
+				d.remove(i);
+			}
+		}
+		d.add(5, 5);
+		expect(d.getKeys()).toEqual([0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 5]);
+		expect(d.get(90)).toBe(90);
+		expect(d.length).toBe(11);
+	});
+
+	it("should remove items with conflicting hashes", function () {
+		var d = new arrgh.Dictionary({
+			getHash: function (key) {
+				return key[0];
+			},
+			equals: function (x, y) {
+				return x === y;
+			}
+		});
+		d.add("ab", 1);
+		d.add("bc", 2);
+		d.add("ac", 3);
+		expect(d.remove("ab")).toBe(true);
+		expect(d.remove("ab")).toBe(false);
+		expect(d.get("bc")).toBe(2);
+		d.add("ab", 4);
+		expect(d.toArray()).toEqual([{ key: "bc", value: 2 }, { key: "ac", value: 3 }, { key: "ab", value: 4 }]);
+	});
+
+	it("should throw when the dictionary is modified during enumeration", function () {
+		var d = new arrgh.Dictionary();
+		d.add("a");
+		d.add("b");
+		expect(function () {
+			d.forEach(function (p) {
+				d.remove(p.key);
+				d.add(p.key);
+			});
+		}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+	});
 });
 
 describe("set", function () {
@@ -626,6 +700,17 @@ describe("set", function () {
 		expect(pair).toEqual({ key: "key", value: "value" });
 	});
 
+	it("should throw when a value is set during enumeration", function () {
+		var d = new arrgh.Dictionary();
+		d.add("a", 1);
+		d.add("b", 2);
+		expect(function () {
+			d.forEach(function (p) {
+				d.set(p.key, p.value * 2);
+			});
+		}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+	});
+
 	it("should throw when the key is not in the dictionary", function () {
 		var d = new arrgh.Dictionary();
 		d.add("key");
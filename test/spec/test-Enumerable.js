@@ -78,6 +78,48 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("aggregateBy", function () {
+			it("should aggregate the elements per key", function () {
+				var e = new arrgh.Enumerable(people).aggregateBy(firstNameSelector, 0, function (sum, p) {
+					return sum + p.age;
+				});
+				expect(e.toArray()).toEqual([{ key: "Sander", value: 28 }, { key: "Bill", value: 195 }, { key: "Bailey", value: 10 }, { key: "Steve", value: 68 }]);
+			});
+
+			it("should get the seed of each key from a function", function () {
+				var e = new arrgh.Enumerable(people).aggregateBy(firstNameSelector, function (key) {
+					return key + ":";
+				}, function (names, p) {
+					return names + " " + p.last;
+				});
+				expect(e.select(function (pair) {
+					return pair.value;
+				}).toArray()).toEqual(["Sander: Rossel", "Bill: Murray Gates Clinton", "Bailey: null", "Steve: McQueen"]);
+			});
+
+			it("should use the equality comparer for the keys", function () {
+				var e = new arrgh.Enumerable(people).aggregateBy(function (p) {
+					return p;
+				}, 0, function (count) {
+					return count + 1;
+				}, firstNameEqComparer);
+				expect(e.select(function (pair) {
+					return pair.value;
+				}).toArray()).toEqual([1, 3, 1, 1]);
+			});
+
+			it("should be deferred", function () {
+				var list = new arrgh.List(1, 2, 3);
+				var e = list.aggregateBy(function (n) {
+					return n % 2;
+				}, 0, function (sum, n) {
+					return sum + n;
+				});
+				list.add(4);
+				expect(e.toArray()).toEqual([{ key: 1, value: 4 }, { key: 0, value: 6 }]);
+			});
+		});
+
 		describe("all", function () {
 			describe("with an empty enumerable", function () {
 				it("should always returns true", function () {
@@ -86,9 +128,11 @@ var testEnumerable = function () {
 						return false;
 					})).toBe(true);
 				});
-				it("should always return true also without a predicate", function () {
+				it("should throw without a predicate", function () {
 					var e = arrgh.Enumerable.empty();
-					expect(e.all()).toBe(true);
+					expect(function () {
+						e.all();
+					}).toThrow(new arrgh.ArgumentError("Enumerable.all: predicate must be a function.", "predicate"));
 				});
 			});
 
@@ -148,6 +192,20 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("append", function () {
+			it("should add an element to the end of the collection", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).append(4).toArray()).toEqual([1, 2, 3, 4]);
+				expect(arrgh.Enumerable.empty().append(undefined).toArray()).toEqual([undefined]);
+			});
+
+			it("should be deferred", function () {
+				var list = new arrgh.List(1, 2);
+				var e = list.append(4);
+				list.add(3);
+				expect(e.toArray()).toEqual([1, 2, 3, 4]);
+			});
+		});
+
 		describe("average", function () {
 			it("should throw if the collection is empty", function () {
 				var e = arrgh.Enumerable.empty();
@@ -225,6 +283,40 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("cast", function () {
+			it("should return the elements when they are of the type", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).cast(Number).toArray()).toEqual([1, 2, 3]);
+				expect(new arrgh.Enumerable(people).cast(Object).toArray()).toEqual(people);
+			});
+
+			it("should throw when an element is not of the type once it's enumerated", function () {
+				var e = new arrgh.Enumerable(1, "2", 3).cast(Number);
+				expect(e.first()).toBe(1);
+				expect(function () {
+					e.toArray();
+				}).toThrow(new arrgh.InvalidOperationError("Unable to cast element [2] to the specified type."));
+			});
+		});
+
+		describe("chunk", function () {
+			it("should split the collection into chunks", function () {
+				expect(arrgh.Enumerable.range(0, 7).chunk(3).toArray()).toEqual([[0, 1, 2], [3, 4, 5], [6]]);
+				expect(arrgh.Enumerable.range(0, 6).chunk(3).toArray()).toEqual([[0, 1, 2], [3, 4, 5]]);
+				expect(arrgh.Enumerable.range(0, 2).chunk(5).toArray()).toEqual([[0, 1]]);
+				expect(arrgh.Enumerable.empty().chunk(2).toArray()).toEqual([]);
+			});
+
+			it("should only enumerate the chunks that are needed", function () {
+				expect(arrgh.Enumerable.range(0).chunk(2).take(2).toArray()).toEqual([[0, 1], [2, 3]]);
+			});
+
+			it("should throw when the size is smaller than 1", function () {
+				expect(function () {
+					arrgh.Enumerable.range(0, 2).chunk(0);
+				}).toThrow(new arrgh.ArgumentOutOfRangeError("Size must be greater than 0.", "size", 0));
+			});
+		});
+
 		describe("contains", function () {
 			describe("with an empty enumerable", function () {
 				it("should not contain undefined", function () {
@@ -279,6 +371,23 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("countBy", function () {
+			it("should count the elements per key", function () {
+				expect(new arrgh.Enumerable(people).countBy(firstNameSelector).toArray()).toEqual([
+					{ key: "Sander", value: 1 },
+					{ key: "Bill", value: 3 },
+					{ key: "Bailey", value: 1 },
+					{ key: "Steve", value: 1 }
+				]);
+			});
+
+			it("should use the equality comparer for the keys", function () {
+				expect(new arrgh.Enumerable("Hello", "Hi", "Bye").countBy(function (s) {
+					return s;
+				}, firstCharEqComparer).toArray()).toEqual([{ key: "Hello", value: 2 }, { key: "Bye", value: 1 }]);
+			});
+		});
+
 		describe("defaultIfEmpty", function () {
 			it("should return the original elements if there are any", function () {
 				var e = new arrgh.Enumerable(people);
@@ -301,6 +410,19 @@ var testEnumerable = function () {
 				expect(e.distinct().toArray()).toEqual(people);
 			});
 
+			it("should remove doubles of object references", function () {
+				var a = { id: 1 },
+				b = { id: 1 };
+				var e = new arrgh.Enumerable([a, b, a, b, p0]);
+				expect(e.distinct().toArray()).toEqual([a, b, p0]);
+				expect(e.distinct().toArray()[1]).toBe(b);
+			});
+
+			it("should remove many consecutive doubles", function () {
+				var e = arrgh.Enumerable.repeat(p0, 20000);
+				expect(e.distinct().toArray()).toEqual([p0]);
+			});
+
 			it("should remove doubles based on an equality comparer", function () {
 				var e = new arrgh.Enumerable(people);
 				expect(e.distinct(function (x, y) {
@@ -321,6 +443,26 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("distinctBy", function () {
+			it("should return the first element of every key", function () {
+				expect(new arrgh.Enumerable(people).distinctBy(firstNameSelector).toArray()).toEqual([p0, p1, p3, p4]);
+			});
+
+			it("should use the equality comparer for the keys", function () {
+				expect(new arrgh.Enumerable(people).distinctBy(function (p) {
+					return p;
+				}, firstNameEqComparer).toArray()).toEqual([p0, p1, p3, p4]);
+			});
+
+			it("should keep track of the keys per enumeration", function () {
+				var e = new arrgh.Enumerable(1, 2, 3, 4).distinctBy(function (n) {
+					return n % 2;
+				});
+				expect(e.toArray()).toEqual([1, 2]);
+				expect(e.toArray()).toEqual([1, 2]);
+			});
+		});
+
 		describe("except", function () {
 			it("should return elements that are in the source, but not in the other collection", function () {
 				var e = new arrgh.Enumerable(1, 2, 3, 4, 5).except(new arrgh.Enumerable(3, 5));
@@ -361,6 +503,18 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("exceptBy", function () {
+			it("should return the elements whose keys are not in the other collection", function () {
+				expect(new arrgh.Enumerable(people).exceptBy(new arrgh.Enumerable(["Bill"]), firstNameSelector).toArray()).toEqual([p0, p3, p4]);
+			});
+
+			it("should only return the first element of every key", function () {
+				expect(new arrgh.Enumerable(people).exceptBy(new arrgh.Enumerable([false]), function (p) {
+					return p.age > 50;
+				}).toArray()).toEqual([p1]);
+			});
+		});
+
 		describe("first", function () {
 			it("should throw when the collection is empty", function () {
 				expect(function () {
@@ -393,6 +547,18 @@ var testEnumerable = function () {
 					return p.first === "Bill";
 				})).toBe(p1);
 			});
+
+			it("should only evaluate the collection once", function () {
+				var calls = 0;
+				var e = arrgh.Enumerable.range(0, 10).select(function (x) {
+					calls += 1;
+					return x;
+				});
+				expect(e.first(function (x) {
+					return x > 2;
+				})).toBe(3);
+				expect(calls).toBe(4);
+			});
 		});
 
 		describe("firstOrDefault", function () {
@@ -523,6 +689,15 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("index", function () {
+			it("should pair every element with its index", function () {
+				expect(new arrgh.Enumerable("a", "b").index().toArray()).toEqual([{ index: 0, item: "a" }, { index: 1, item: "b" }]);
+				expect(arrgh.Enumerable.range(5).where(function (n) {
+					return n % 2 === 0;
+				}).index().elementAt(2)).toEqual({ index: 2, item: 10 });
+			});
+		});
+
 		describe("intersect", function () {
 			it("should return elements that are in the source and in the other collection", function () {
 				var e = new arrgh.Enumerable(1, 2, 3, 4, 5).intersect(new arrgh.Enumerable(3, 5));
@@ -566,6 +741,18 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("intersectBy", function () {
+			it("should return the elements whose keys are in the other collection", function () {
+				expect(new arrgh.Enumerable(people).intersectBy(new arrgh.Enumerable(["Bill", "Steve", "Jim"]), firstNameSelector).toArray()).toEqual([p1, p4]);
+			});
+
+			it("should use the equality comparer for the keys", function () {
+				expect(new arrgh.Enumerable("Hello", "Hi", "Bye").intersectBy(new arrgh.Enumerable(["Hey"]), function (s) {
+					return s;
+				}, firstCharEqComparer).toArray()).toEqual(["Hello"]);
+			});
+		});
+
 		describe("max", function () {
 			it("should throw when the collection is empty", function () {
 				var e = arrgh.Enumerable.empty();
@@ -648,6 +835,124 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("maxBy", function () {
+			var byAge = function (p) {
+				return p.age;
+			};
+
+			it("should return the element with the largest key", function () {
+				expect(new arrgh.Enumerable(people).maxBy(byAge)).toBe(p5);
+				expect(new arrgh.Enumerable(people).maxBy(firstNameSelector)).toBe(p4);
+			});
+
+			it("should return the first element with the largest key", function () {
+				expect(new arrgh.Enumerable(people).maxBy(function (p) {
+					return p.first.length;
+				})).toBe(p0);
+			});
+
+			it("should use the compare function", function () {
+				expect(new arrgh.Enumerable(people).maxBy(byAge, function (x, y) {
+					return y - x;
+				})).toBe(p3);
+			});
+
+			it("should throw when the collection is empty", function () {
+				expect(function () {
+					arrgh.Enumerable.empty().maxBy(byAge);
+				}).toThrow(new arrgh.InvalidOperationError("Collection contains no elements."));
+			});
+		});
+
+		describe("memoize", function () {
+			var calls;
+			var counted = function (x) {
+				calls += 1;
+				return x;
+			};
+
+			it("should only evaluate the source once", function () {
+				calls = 0;
+				var e = arrgh.Enumerable.range(0, 5).select(counted).memoize();
+				expect(e.any()).toBe(true);
+				expect(calls).toBe(1);
+				expect(e.toArray()).toEqual([0, 1, 2, 3, 4]);
+				expect(e.toArray()).toEqual([0, 1, 2, 3, 4]);
+				expect(calls).toBe(5);
+			});
+
+			it("should replay the buffered elements to iterators that are moving at once", function () {
+				calls = 0;
+				var e = arrgh.Enumerable.range(0, 5).select(counted).memoize();
+				var it1 = e.getIterator();
+				var it2 = e.getIterator();
+				it1.moveNext();
+				it1.moveNext();
+				it2.moveNext();
+				expect(it1.current()).toBe(1);
+				expect(it2.current()).toBe(0);
+				expect(calls).toBe(2);
+			});
+
+			it("should work on an infinite source", function () {
+				calls = 0;
+				var e = arrgh.Enumerable.range(0).select(counted).memoize();
+				expect(e.take(3).toArray()).toEqual([0, 1, 2]);
+				expect(e.take(5).toArray()).toEqual([0, 1, 2, 3, 4]);
+				expect(calls).toBe(5);
+			});
+		});
+
+		describe("mergeSorted", function () {
+			it("should merge sorted collections", function () {
+				var merged = arrgh.Enumerable.mergeSorted([new arrgh.Enumerable(1, 4, 7), new arrgh.Enumerable(2, 5, 8, 9), arrgh.Enumerable.empty(), new arrgh.Enumerable(3, 6)]);
+				expect(merged.toArray()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+				expect(merged.toArray()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+				expect(arrgh.Enumerable.mergeSorted([]).toArray()).toEqual([]);
+			});
+
+			it("should keep elements with equal keys in the order of their collections", function () {
+				var merged = arrgh.Enumerable.mergeSorted([new arrgh.Enumerable(p1, p4), new arrgh.Enumerable(p3, p2, p0)], firstNameSelector);
+				expect(merged.toArray()).toEqual([p3, p1, p2, p0, p4]);
+			});
+
+			it("should merge using a compare function", function () {
+				var merged = arrgh.Enumerable.mergeSorted([new arrgh.Enumerable(5, 3), new arrgh.Enumerable(4, 2, 1)], null, function (x, y) {
+					return y - x;
+				});
+				expect(merged.toArray()).toEqual([5, 4, 3, 2, 1]);
+			});
+
+			it("should be lazy", function () {
+				var calls = 0;
+				var counted = arrgh.Enumerable.range(0, 1000).select(function (x) {
+					calls += 1;
+					return x * 2;
+				});
+				var merged = arrgh.Enumerable.mergeSorted([counted, arrgh.Enumerable.range(0, 1000)]);
+				expect(calls).toBe(0);
+				expect(merged.take(4).toArray()).toEqual([0, 0, 1, 2]);
+				expect(calls).toBe(2);
+			});
+
+			it("should throw when a collection is not sorted and the order is verified", function () {
+				var sources = [new arrgh.Enumerable(1, 2), new arrgh.Enumerable(2, 1)];
+				expect(arrgh.Enumerable.mergeSorted(sources).toArray()).toEqual([1, 2, 2, 1]);
+				expect(function () {
+					arrgh.Enumerable.mergeSorted(sources, null, null, true).toArray();
+				}).toThrow(new arrgh.InvalidOperationError("The collection at index 1 is not sorted."));
+			});
+
+			it("should throw when the sources are not collections", function () {
+				expect(function () {
+					arrgh.Enumerable.mergeSorted(new arrgh.Enumerable(1, 2));
+				}).toThrow();
+				expect(function () {
+					arrgh.Enumerable.mergeSorted([new arrgh.Enumerable(1, 2), [3, 4]]);
+				}).toThrow();
+			});
+		});
+
 		describe("min", function () {
 			it("should throw when the collection is empty", function () {
 				var e = arrgh.Enumerable.empty();
@@ -730,6 +1035,35 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("minBy", function () {
+			var byAge = function (p) {
+				return p.age;
+			};
+
+			it("should return the element with the smallest key", function () {
+				expect(new arrgh.Enumerable(people).minBy(byAge)).toBe(p3);
+				expect(new arrgh.Enumerable(people).minBy(firstNameSelector)).toBe(p3);
+			});
+
+			it("should return the first element with the smallest key", function () {
+				expect(new arrgh.Enumerable(people).minBy(function (p) {
+					return p.first.length;
+				})).toBe(p1);
+			});
+
+			it("should use the compare function", function () {
+				expect(new arrgh.Enumerable(people).minBy(byAge, function (x, y) {
+					return y - x;
+				})).toBe(p5);
+			});
+
+			it("should throw when the collection is empty", function () {
+				expect(function () {
+					arrgh.Enumerable.empty().minBy(byAge);
+				}).toThrow(new arrgh.InvalidOperationError("Collection contains no elements."));
+			});
+		});
+
 		describe("typeof", function () {
 			var f1 = function () { return 42; };
 			var f2 = function () { return "Hi"; };
@@ -772,6 +1106,13 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("prepend", function () {
+			it("should add an element to the beginning of the collection", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).prepend(0).toArray()).toEqual([0, 1, 2, 3]);
+				expect(new arrgh.Enumerable(1, 2, 3).prepend(0).append(4).toArray()).toEqual([0, 1, 2, 3, 4]);
+			});
+		});
+
 		describe("reverse", function () {
 			it("should reverse a list of numerics", function () {
 				var e = new arrgh.Enumerable([4, 5, 2, 3, 1]);
@@ -782,6 +1123,18 @@ var testEnumerable = function () {
 				var e = new arrgh.Enumerable([p2, p3, p1, p5, p4, p0, p0]);
 				expect(e.reverse().toArray()).toEqual([p0, p0, p4, p5, p1, p3, p2]);
 			});
+
+			it("should read from a List while it is enumerated", function () {
+				var list = new arrgh.List([1, 2, 3]);
+				var reversed = list.reverse();
+				list.set(0, 4);
+				expect(reversed.toArray()).toEqual([3, 2, 4]);
+				expect(function () {
+					reversed.forEach(function () {
+						list.add(5);
+					});
+				}).toThrow(new arrgh.CollectionModifiedError());
+			});
 		});
 
 		describe("select", function () {
@@ -933,6 +1286,13 @@ var testEnumerable = function () {
 				expect(e1.sequenceEquals(e2)).toBe(true);
 			});
 
+			it("should not equal when the other collection has fewer elements", function () {
+				var e1 = new arrgh.Enumerable(1, 2, 3);
+				var e2 = new arrgh.Enumerable(1, 2);
+				expect(e1.sequenceEquals(e2)).toBe(false);
+				expect(e2.sequenceEquals(e1)).toBe(false);
+			});
+
 			it("should not equal when all objects are equal, but references are not", function () {
 				var e1 = new arrgh.Enumerable(p0, p1);
 				var e2 = new arrgh.Enumerable({ first: "Sander", last: "Rossel", age: 28, hobbies: ["Programming", "Gaming", "Music"] }, p1);
@@ -980,6 +1340,34 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("share", function () {
+			it("should continue where the previous iterator stopped", function () {
+				var e = arrgh.Enumerable.range(0, 10).share();
+				expect(e.take(3).toArray()).toEqual([0, 1, 2]);
+				expect(e.take(2).toArray()).toEqual([3, 4]);
+				expect(e.toArray()).toEqual([5, 6, 7, 8, 9]);
+				expect(e.toArray()).toEqual([]);
+			});
+
+			it("should share the source iterator between iterators that are moving at once", function () {
+				var e = arrgh.Enumerable.range(0).share();
+				var it1 = e.getIterator();
+				var it2 = e.getIterator();
+				it1.moveNext();
+				it2.moveNext();
+				it1.moveNext();
+				expect(it1.current()).toBe(2);
+				expect(it2.current()).toBe(1);
+			});
+
+			it("should zip a collection with itself in pairs", function () {
+				var e = new arrgh.Enumerable(1, 2, 3, 4, 5, 6).share();
+				expect(e.zip(e, function (x, y) {
+					return x + y;
+				}).toArray()).toEqual([3, 7, 11]);
+			});
+		});
+
 		describe("single", function () {
 			it("should throw when the collection is empty", function () {
 				expect(function () {
@@ -1106,6 +1494,37 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("skipLast", function () {
+			var numbers = function () {
+				return arrgh.Enumerable.range(1, 5).where(function () {
+					return true;
+				});
+			};
+
+			it("should skip the last elements", function () {
+				expect(new arrgh.Enumerable(1, 2, 3, 4, 5).skipLast(2).toArray()).toEqual([1, 2, 3]);
+				expect(numbers().skipLast(2).toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should return all elements when the count is 0 or less", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).skipLast(0).toArray()).toEqual([1, 2, 3]);
+				expect(numbers().skipLast(-1).toArray()).toEqual([1, 2, 3, 4, 5]);
+			});
+
+			it("should return no elements when the count is greater than the number of elements", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).skipLast(5).toArray()).toEqual([]);
+				expect(numbers().skipLast(6).toArray()).toEqual([]);
+			});
+
+			it("should be deferred", function () {
+				var list = new arrgh.List(1, 2, 3);
+				var e = list.skipLast(1);
+				list.add(4);
+				expect(e.toArray()).toEqual([1, 2, 3]);
+				expect(e.count()).toBe(3);
+			});
+		});
+
 		describe("skipWhile", function () {
 			it("should skip no elements", function () {
 				var e = new arrgh.Enumerable(1, 2, 3, 4, 5);
@@ -1259,6 +1678,38 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("takeLast", function () {
+			var numbers = function (count) {
+				return arrgh.Enumerable.range(1, count).where(function () {
+					return true;
+				});
+			};
+
+			it("should take the last elements", function () {
+				expect(new arrgh.Enumerable(1, 2, 3, 4, 5).takeLast(2).toArray()).toEqual([4, 5]);
+				expect(numbers(5).takeLast(2).toArray()).toEqual([4, 5]);
+				expect(numbers(7).takeLast(3).toArray()).toEqual([5, 6, 7]);
+			});
+
+			it("should return no elements when the count is 0 or less", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).takeLast(0).toArray()).toEqual([]);
+				expect(numbers(5).takeLast(-1).toArray()).toEqual([]);
+			});
+
+			it("should return all elements when the count is greater than the number of elements", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).takeLast(5).toArray()).toEqual([1, 2, 3]);
+				expect(numbers(3).takeLast(5).toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should be deferred", function () {
+				var list = new arrgh.List(1, 2, 3);
+				var e = list.takeLast(2);
+				list.add(4);
+				expect(e.toArray()).toEqual([3, 4]);
+				expect(e.elementAt(0)).toBe(3);
+			});
+		});
+
 		describe("takeWhile", function () {
 			it("should take no elements", function () {
 				var e = new arrgh.Enumerable(1, 2, 3, 4, 5);
@@ -1303,6 +1754,30 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("tryGetNonEnumeratedCount", function () {
+			it("should get the count of arrays and collections", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).tryGetNonEnumeratedCount()).toEqual({ success: true, value: 3 });
+				expect(new arrgh.List(1, 2).skip(1).tryGetNonEnumeratedCount()).toEqual({ success: true, value: 1 });
+				expect(new arrgh.HashSet([1, 2, 2]).tryGetNonEnumeratedCount()).toEqual({ success: true, value: 2 });
+				var d = new arrgh.Dictionary();
+				d.add("a", 1);
+				expect(d.tryGetNonEnumeratedCount()).toEqual({ success: true, value: 1 });
+			});
+
+			it("should not enumerate a collection to get the count", function () {
+				var e = arrgh.Enumerable.range(0, 3).where(function () {
+					throw new Error("Enumerated!");
+				});
+				expect(e.tryGetNonEnumeratedCount()).toEqual({ success: false, value: undefined });
+			});
+		});
+
+		describe("unionBy", function () {
+			it("should combine the elements with distinct keys", function () {
+				expect(new arrgh.Enumerable(p0, p1).unionBy(new arrgh.Enumerable(p2, p3), firstNameSelector).toArray()).toEqual([p0, p1, p3]);
+			});
+		});
+
 		describe("where", function () {
 			it("should find only Bills", function () {
 				var arr = new arrgh.Enumerable(people).where(function (person) {
@@ -1340,6 +1815,205 @@ var testEnumerable = function () {
 			});
 		});
 
+		describe("window", function () {
+			var byAge = function (p) {
+				return p.age;
+			};
+			var select = function (rows, selector) {
+				return rows.select(selector).toArray();
+			};
+
+			it("should number and rank the elements", function () {
+				var rows = new arrgh.Enumerable(people).window({ orderBy: byAge });
+				expect(select(rows, function (r) {
+					return r.element;
+				})).toEqual([p3, p0, p1, p2, p4, p5]);
+				expect(select(rows, function (r) {
+					return r.rowNumber();
+				})).toEqual([1, 2, 3, 4, 5, 6]);
+				expect(select(rows, function (r) {
+					return r.rank();
+				})).toEqual([1, 2, 3, 4, 4, 6]);
+				expect(select(rows, function (r) {
+					return r.denseRank();
+				})).toEqual([1, 2, 3, 4, 4, 5]);
+				expect(select(rows, function (r) {
+					return r.percentRank();
+				})).toEqual([0, 0.2, 0.4, 0.6, 0.6, 1]);
+			});
+
+			it("should keep the original order and rank all elements equal without an ordering", function () {
+				var rows = new arrgh.Enumerable(people).window();
+				expect(select(rows, function (r) {
+					return r.element;
+				})).toEqual(people);
+				expect(select(rows, function (r) {
+					return r.rowNumber() + "/" + r.rank();
+				})).toEqual(["1/1", "2/1", "3/1", "4/1", "5/1", "6/1"]);
+				expect(arrgh.Enumerable.empty().window().toArray()).toEqual([]);
+			});
+
+			it("should partition the elements", function () {
+				var rows = new arrgh.Enumerable(people).window({
+					partitionBy: firstNameSelector,
+					orderBy: { keySelector: byAge, descending: true }
+				});
+				expect(select(rows, function (r) {
+					return [r.key, r.element, r.rowNumber()];
+				})).toEqual([["Sander", p0, 1], ["Bill", p5, 1], ["Bill", p2, 2], ["Bill", p1, 3], ["Bailey", p3, 1], ["Steve", p4, 1]]);
+				expect(select(rows, function (r) {
+					return r.percentRank();
+				})).toEqual([0, 0, 0.5, 1, 0, 0]);
+			});
+
+			it("should partition the elements using an equality comparer", function () {
+				var rows = new arrgh.Enumerable(people).window({
+					partitionBy: firstNameSelector,
+					eqComparer: firstCharEqComparer,
+					orderBy: byAge
+				});
+				expect(select(rows, function (r) {
+					return [r.key, r.element];
+				})).toEqual([["Sander", p0], ["Sander", p4], ["Bill", p3], ["Bill", p1], ["Bill", p2], ["Bill", p5]]);
+			});
+
+			it("should order by subsequent orderings", function () {
+				var rows = new arrgh.Enumerable(people).window({
+					orderBy: firstNameSelector,
+					thenBy: [{ keySelector: byAge, descending: true }, function (p) {
+						return p.last;
+					}]
+				});
+				expect(select(rows, function (r) {
+					return r.element;
+				})).toEqual([p3, p5, p2, p1, p0, p4]);
+				expect(select(rows, function (r) {
+					return r.rank();
+				})).toEqual([1, 2, 3, 4, 5, 6]);
+				rows = new arrgh.Enumerable(people).window({
+					orderBy: firstNameSelector,
+					thenBy: {
+						keySelector: function (p) {
+							return p.age > 60;
+						},
+						compare: function (x, y) {
+							return x === y ? 0 : x ? 1 : -1;
+						}
+					}
+				});
+				expect(select(rows, function (r) {
+					return r.denseRank();
+				})).toEqual([1, 2, 3, 3, 4, 5]);
+			});
+
+			it("should get the previous and next elements", function () {
+				var rows = new arrgh.Enumerable(people).window({
+					partitionBy: firstNameSelector,
+					orderBy: byAge
+				}).where(function (r) {
+					return r.key === "Bill";
+				});
+				expect(select(rows, function (r) {
+					return r.lag();
+				})).toEqual([undefined, p1, p2]);
+				expect(select(rows, function (r) {
+					return r.lead(1, null);
+				})).toEqual([p2, p5, null]);
+				expect(select(rows, function (r) {
+					return r.lag(2, "none");
+				})).toEqual(["none", "none", p1]);
+				expect(select(rows, function (r) {
+					return r.lead(0);
+				})).toEqual([p1, p2, p5]);
+				expect(function () {
+					rows.first().lag(-1);
+				}).toThrow();
+			});
+
+			it("should get the first and last elements of the partition", function () {
+				var rows = new arrgh.Enumerable(people).window({
+					partitionBy: firstNameSelector,
+					orderBy: byAge
+				});
+				expect(select(rows, function (r) {
+					return [r.firstValue(), r.lastValue()];
+				})).toEqual([[p0, p0], [p1, p5], [p1, p5], [p1, p5], [p3, p3], [p4, p4]]);
+			});
+
+			it("should divide the elements in groups", function () {
+				var rows = arrgh.Enumerable.range(1, 6).window({ orderBy: function (x) {
+					return x;
+				} });
+				expect(select(rows, function (r) {
+					return r.ntile(2);
+				})).toEqual([1, 1, 1, 2, 2, 2]);
+				expect(select(rows, function (r) {
+					return r.ntile(4);
+				})).toEqual([1, 1, 2, 2, 3, 4]);
+				expect(select(rows, function (r) {
+					return r.ntile(10);
+				})).toEqual([1, 2, 3, 4, 5, 6]);
+				expect(function () {
+					rows.first().ntile(0);
+				}).toThrow();
+				expect(function () {
+					rows.first().ntile(2.5);
+				}).toThrow(new arrgh.ArgumentOutOfRangeError("Number of groups must be an integer greater than 0.", "n", 2.5));
+			});
+
+			it("should select the keys of every element once", function () {
+				var calls = 0;
+				var rows = new arrgh.Enumerable(people).window({
+					partitionBy: firstNameSelector,
+					orderBy: function (p) {
+						calls += 1;
+						return p.age;
+					},
+					thenBy: function (p) {
+						calls += 1;
+						return p.last;
+					}
+				});
+				expect(select(rows, function (r) {
+					return r.rank() + r.denseRank() + r.percentRank();
+				})).toEqual([2, 2, 4.5, 7, 2, 2]);
+				expect(calls).toBe(12);
+			});
+
+			it("should feed back into the operator chain", function () {
+				var oldest = new arrgh.Enumerable(people).window({
+					partitionBy: firstNameSelector,
+					orderBy: { keySelector: byAge, descending: true }
+				}).where(function (r) {
+					return r.rank() === 1;
+				}).select(function (r) {
+					return r.element;
+				});
+				expect(oldest.toArray()).toEqual([p0, p5, p3, p4]);
+			});
+
+			it("should be deferred", function () {
+				var list = new arrgh.List([3, 1]);
+				var rows = list.window({ orderBy: function (x) {
+					return x;
+				} });
+				list.add(2);
+				expect(select(rows, function (r) {
+					return r.element;
+				})).toEqual([1, 2, 3]);
+			});
+
+			it("should throw when an ordering is not valid", function () {
+				var e = new arrgh.Enumerable(people);
+				expect(function () {
+					e.window({ orderBy: {} });
+				}).toThrow(new arrgh.ArgumentError("Enumerable.window: orderBy.keySelector must be a function.", "orderBy.keySelector"));
+				expect(function () {
+					e.window({ partitionBy: "first" });
+				}).toThrow();
+			});
+		});
+
 		describe("zip", function () {
 			it("should add the elements of two collections", function () {
 				var arr = new arrgh.Enumerable(1, 2, 3, 4, 5);
@@ -1375,6 +2049,202 @@ var testEnumerable = function () {
 					return a.first + " " + b.first;
 				}).toArray()).toEqual(["Sander Bailey", "Bill Steve", "Bill Bill"]);
 			});
+
+			it("should return the elements in arrays without a result selector", function () {
+				expect(new arrgh.Enumerable(1, 2, 3).zip(new arrgh.Enumerable("a", "b")).toArray()).toEqual([[1, "a"], [2, "b"]]);
+			});
+
+			it("should zip three collections", function () {
+				var e = new arrgh.Enumerable(1, 2, 3);
+				expect(e.zip(new arrgh.Enumerable(10, 20, 30), new arrgh.Enumerable(100, 200), function (a, b, c) {
+					return a + b + c;
+				}).toArray()).toEqual([111, 222]);
+				expect(e.zip(e, e).toArray()).toEqual([[1, 1, 1], [2, 2, 2], [3, 3, 3]]);
+			});
+		});
+
+		describe("indexed sources", function () {
+			var arr = arrgh.Enumerable.range(0, 1000).toArray();
+			var calls;
+			var square = function (x) {
+				calls += 1;
+				return x * x;
+			};
+
+			it("should only select the element at the specified index", function () {
+				calls = 0;
+				var e = new arrgh.Enumerable(arr).select(function (x, i) {
+					calls += 1;
+					return x + i;
+				});
+				expect(e.elementAt(500)).toBe(1000);
+				expect(e.elementAtOrDefault(1000, "Hello")).toBe("Hello");
+				expect(calls).toBe(1);
+			});
+
+			it("should only select the taken elements after a skip", function () {
+				calls = 0;
+				var e = new arrgh.Enumerable(arr).select(square).skip(10).take(3);
+				expect(e.toArray()).toEqual([100, 121, 144]);
+				expect(e.count()).toBe(3);
+				expect(calls).toBe(3);
+			});
+
+			it("should count, check and get the last element without selecting the other elements", function () {
+				calls = 0;
+				var e = new arrgh.List(arr).select(square);
+				expect(e.count()).toBe(1000);
+				expect(e.any()).toBe(true);
+				expect(e.last()).toBe(998001);
+				expect(e.lastOrDefault("Hello")).toBe(998001);
+				expect(calls).toBe(2);
+			});
+
+			it("should reverse without selecting the other elements", function () {
+				calls = 0;
+				var e = new arrgh.Enumerable(arr).select(square).reverse();
+				expect(e.first()).toBe(998001);
+				expect(e.elementAt(998)).toBe(1);
+				expect(calls).toBe(2);
+			});
+
+			it("should reverse a string", function () {
+				expect(new arrgh.Enumerable("Hello").reverse().toArray()).toEqual(["o", "l", "l", "e", "H"]);
+			});
+
+			it("should skip and take partial elements like any other collection", function () {
+				var e = new arrgh.Enumerable(1, 2, 3, 4, 5);
+				expect(e.skip(2.5).toArray()).toEqual([4, 5]);
+				expect(e.take(2.5).toArray()).toEqual([1, 2, 3]);
+				expect(e.take(2.5).count()).toBe(3);
+			});
+
+			it("should see elements that were added to the source", function () {
+				var list = new arrgh.List(1, 2, 3);
+				var e = new arrgh.Enumerable(list).select(square).skip(1);
+				list.add(4);
+				expect(e.count()).toBe(3);
+				expect(e.toArray()).toEqual([4, 9, 16]);
+				expect(e.reverse().last()).toBe(4);
+			});
+
+			it("should throw when the source is modified during iteration", function () {
+				var list = new arrgh.List(1, 2, 3);
+				expect(function () {
+					list.reverse().forEach(function () {
+						list.add(4);
+					});
+				}).toThrow();
+				expect(function () {
+					list.skip(1).forEach(function () {
+						list.add(4);
+					});
+				}).toThrow();
+			});
+		});
+
+		describe("fused queries", function () {
+			var isEven = function (x) {
+				return x % 2 === 0;
+			};
+
+			it("should filter, project and take in a single chain", function () {
+				var e = arrgh.Enumerable.range(0, 100).where(isEven).select(function (x, i) {
+					return x + ":" + i;
+				}).skip(1).where(function (x, i) {
+					return i !== 1;
+				}).take(3);
+				expect(e.toArray()).toEqual(["2:1", "6:3", "8:4"]);
+			});
+
+			it("should not invoke the selector for skipped elements", function () {
+				var calls = 0;
+				var e = arrgh.Enumerable.range(0, 10).select(function (x) {
+					calls += 1;
+					return x * 2;
+				}).skip(7);
+				expect(e.toArray()).toEqual([14, 16, 18]);
+				expect(calls).toBe(3);
+			});
+
+			it("should not move the source after the last element is taken", function () {
+				var calls = 0;
+				var e = arrgh.Enumerable.range(0, 10).where(function (x) {
+					calls += 1;
+					return isEven(x);
+				}).take(2);
+				expect(e.toArray()).toEqual([0, 2]);
+				expect(calls).toBe(3);
+				calls = 0;
+				expect(e.take(0).toArray()).toEqual([]);
+				expect(calls).toBe(0);
+			});
+
+			it("should not move the source after takeWhile stops", function () {
+				var calls = 0;
+				var e = arrgh.Enumerable.range(0, 10).select(function (x) {
+					calls += 1;
+					return x;
+				}).takeWhile(function (x) {
+					return x < 3;
+				});
+				expect(e.toArray()).toEqual([0, 1, 2]);
+				expect(calls).toBe(4);
+			});
+
+			it("should not change the query it was built on", function () {
+				var evens = arrgh.Enumerable.range(0, 10).where(isEven);
+				var doubled = evens.select(function (x) {
+					return x * 2;
+				});
+				var small = evens.takeWhile(function (x) {
+					return x < 4;
+				});
+				expect(evens.toArray()).toEqual([0, 2, 4, 6, 8]);
+				expect(doubled.toArray()).toEqual([0, 4, 8, 12, 16]);
+				expect(small.toArray()).toEqual([0, 2]);
+			});
+
+			it("should keep the state per iterator", function () {
+				var e = arrgh.Enumerable.range(0, 10).where(isEven).skip(1).take(2);
+				var it1 = e.getIterator();
+				var it2 = e.getIterator();
+				expect(it1.current()).toBeUndefined();
+				expect(it1.moveNext()).toBe(true);
+				expect(it1.current()).toBe(2);
+				expect(it2.moveNext()).toBe(true);
+				expect(it2.moveNext()).toBe(true);
+				expect(it2.current()).toBe(4);
+				expect(it2.moveNext()).toBe(false);
+				expect(it2.current()).toBeUndefined();
+				expect(it1.moveNext()).toBe(true);
+				expect(it1.current()).toBe(4);
+			});
+
+			it("should stop when the callback returns false", function () {
+				var visited = [];
+				new arrgh.Enumerable([1, 2, 3, 4, 5, 6]).where(isEven).forEach(function (x) {
+					visited.push(x);
+					return x < 4;
+				});
+				expect(visited).toEqual([2, 4]);
+			});
+
+			it("should throw when the source is modified during iteration", function () {
+				var arr = [1, 2, 3];
+				var e = new arrgh.Enumerable(arr).where(isEven);
+				expect(function () {
+					e.forEach(function () {
+						arr.push(4);
+					});
+				}).toThrow();
+				expect(function () {
+					var it = e.getIterator();
+					it.moveNext();
+					arr.push(6);
+					it.moveNext();
+				}).toThrow();
+			});
 		});
 
 		testOverridden(arrgh.Enumerable, arrgh.Enumerable.empty);
@@ -291,5 +291,172 @@ var testEnumerableJoins = function () {
         		}]);
         	});
         });
+
+        describe("leftJoin", function () {
+        	var identity = function (x) {
+        		return x;
+        	};
+        	var pair = function (x, y) {
+        		return [x, y];
+        	};
+
+        	it("should join and keep the outer elements without a match", function () {
+        		var joined = new arrgh.Enumerable(1, 2, 3, 4).leftJoin(new arrgh.Enumerable(2, 4, 4, 6), identity, identity, pair);
+        		expect(joined.toArray()).toEqual([[1, undefined], [2, 2], [3, undefined], [4, 4], [4, 4]]);
+        	});
+
+        	it("should pass the default value when there is no match", function () {
+        		var joined = new arrgh.Enumerable(1, 2).leftJoin(new arrgh.Enumerable([2]), identity, identity, pair, null, 0);
+        		expect(joined.toArray()).toEqual([[1, 0], [2, 2]]);
+        	});
+
+        	it("should join on first letter of first name using an equality comparer", function () {
+        		var joined = new arrgh.Enumerable("Hello", "Bye").leftJoin(new arrgh.Enumerable(people), identity, firstNameSelector, pair, firstCharEqComparer);
+        		expect(joined.toArray()).toEqual([["Hello", undefined], ["Bye", p1], ["Bye", p2], ["Bye", p3], ["Bye", p5]]);
+        	});
+
+        	it("should be deferred and enumerate the inner collection once per enumeration", function () {
+        		var list = new arrgh.List([2]);
+        		var joined = new arrgh.Enumerable(1, 2).leftJoin(list, identity, identity, pair);
+        		list.add(1);
+        		expect(joined.toArray()).toEqual([[1, 1], [2, 2]]);
+        	});
+        });
+
+        describe("rightJoin", function () {
+        	var identity = function (x) {
+        		return x;
+        	};
+        	var pair = function (x, y) {
+        		return [x, y];
+        	};
+
+        	it("should join and keep the inner elements without a match in the order of the inner collection", function () {
+        		var joined = new arrgh.Enumerable(1, 2, 3, 4).rightJoin(new arrgh.Enumerable(6, 4, 2, 4), identity, identity, pair);
+        		expect(joined.toArray()).toEqual([[undefined, 6], [4, 4], [2, 2], [4, 4]]);
+        	});
+
+        	it("should pass the default value when there is no match", function () {
+        		var joined = new arrgh.Enumerable(2, 2).rightJoin(new arrgh.Enumerable(1, 2), identity, identity, pair, null, 0);
+        		expect(joined.toArray()).toEqual([[0, 1], [2, 2], [2, 2]]);
+        	});
+
+        	it("should join on first letter of first name using an equality comparer", function () {
+        		var joined = new arrgh.Enumerable(people).rightJoin(new arrgh.Enumerable("Hello", "Sir"), firstNameSelector, identity, pair, firstCharEqComparer);
+        		expect(joined.toArray()).toEqual([[undefined, "Hello"], [p0, "Sir"], [p4, "Sir"]]);
+        	});
+        });
+
+        describe("fullOuterJoin", function () {
+        	var identity = function (x) {
+        		return x;
+        	};
+        	var pair = function (x, y) {
+        		return [x, y];
+        	};
+
+        	it("should join and keep the elements of both collections without a match", function () {
+        		var joined = new arrgh.Enumerable(1, 2, 3, 4).fullOuterJoin(new arrgh.Enumerable(6, 4, 2, 5, 4), identity, identity, pair);
+        		expect(joined.toArray()).toEqual([[1, undefined], [2, 2], [3, undefined], [4, 4], [4, 4], [undefined, 6], [undefined, 5]]);
+        	});
+
+        	it("should pass the default value when there is no match", function () {
+        		var joined = new arrgh.Enumerable(1, 2).fullOuterJoin(new arrgh.Enumerable(2, 3), identity, identity, pair, null, 0);
+        		expect(joined.toArray()).toEqual([[1, 0], [2, 2], [0, 3]]);
+        	});
+
+        	it("should join on first letter of first name using an equality comparer", function () {
+        		var joined = new arrgh.Enumerable("Hello", "Sir").fullOuterJoin(new arrgh.Enumerable(people), identity, firstNameSelector, pair, firstCharEqComparer);
+        		expect(joined.toArray()).toEqual([["Hello", undefined], ["Sir", p0], ["Sir", p4], [undefined, p1], [undefined, p2], [undefined, p3], [undefined, p5]]);
+        	});
+
+        	it("should return the same result when enumerated twice", function () {
+        		var joined = new arrgh.Enumerable(1, 2).fullOuterJoin(new arrgh.Enumerable(2, 3), identity, identity, pair);
+        		expect(joined.toArray()).toEqual([[1, undefined], [2, 2], [undefined, 3]]);
+        		expect(joined.toArray()).toEqual([[1, undefined], [2, 2], [undefined, 3]]);
+        	});
+        });
+
+        describe("crossJoin", function () {
+        	var pair = function (x, y) {
+        		return [x, y];
+        	};
+
+        	it("should combine every outer element with every inner element", function () {
+        		var joined = new arrgh.Enumerable(1, 2).crossJoin(new arrgh.Enumerable("a", "b", "c"), pair);
+        		expect(joined.toArray()).toEqual([[1, "a"], [1, "b"], [1, "c"], [2, "a"], [2, "b"], [2, "c"]]);
+        	});
+
+        	it("should be empty when either collection is empty", function () {
+        		expect(new arrgh.Enumerable(1, 2).crossJoin(arrgh.Enumerable.empty(), pair).toArray()).toEqual([]);
+        		expect(arrgh.Enumerable.empty().crossJoin(new arrgh.Enumerable(1, 2), pair).toArray()).toEqual([]);
+        	});
+
+        	it("should enumerate the inner collection once", function () {
+        		var calls = 0;
+        		var inner = new arrgh.Enumerable(1, 2).select(function (x) {
+        			calls += 1;
+        			return x;
+        		});
+        		expect(new arrgh.Enumerable(1, 2, 3).crossJoin(inner, pair).count()).toBe(6);
+        		expect(calls).toBe(2);
+        	});
+        });
+
+        describe("mergeJoin", function () {
+        	var identity = function (x) {
+        		return x;
+        	};
+        	var pair = function (x, y) {
+        		return [x, y];
+        	};
+
+        	it("should join two sorted collections", function () {
+        		var joined = new arrgh.Enumerable(1, 2, 2, 3, 5, 7).mergeJoin(new arrgh.Enumerable(0, 2, 2, 5, 6, 7, 8), identity, identity, pair);
+        		expect(joined.toArray()).toEqual([[2, 2], [2, 2], [2, 2], [2, 2], [5, 5], [7, 7]]);
+        	});
+
+        	it("should return the same elements as join", function () {
+        		var outer = new arrgh.Enumerable(people).orderBy(firstNameSelector);
+        		var inner = new arrgh.Enumerable(people).orderBy(firstNameSelector);
+        		expect(outer.mergeJoin(inner, firstNameSelector, firstNameSelector, pair).toArray())
+        		.toEqual(outer.join(inner, firstNameSelector, firstNameSelector, pair).toArray());
+        	});
+
+        	it("should join using a compare function", function () {
+        		var descending = function (x, y) {
+        			return y - x;
+        		};
+        		var joined = new arrgh.Enumerable(5, 3, 1).mergeJoin(new arrgh.Enumerable(4, 3, 2, 1), identity, identity, pair, descending);
+        		expect(joined.toArray()).toEqual([[3, 3], [1, 1]]);
+        	});
+
+        	it("should be empty when either collection is empty", function () {
+        		expect(new arrgh.Enumerable(1, 2).mergeJoin(arrgh.Enumerable.empty(), identity, identity, pair).toArray()).toEqual([]);
+        		expect(arrgh.Enumerable.empty().mergeJoin(new arrgh.Enumerable(1, 2), identity, identity, pair).toArray()).toEqual([]);
+        	});
+
+        	it("should stop when the inner collection is exhausted", function () {
+        		var calls = 0;
+        		var outer = arrgh.Enumerable.range(0, 100).select(function (x) {
+        			calls += 1;
+        			return x;
+        		});
+        		expect(outer.mergeJoin(new arrgh.Enumerable(1, 2), identity, identity, pair).toArray()).toEqual([[1, 1], [2, 2]]);
+        		expect(calls).toBe(4);
+        	});
+
+        	it("should throw when a collection is not sorted and the order is verified", function () {
+        		var unsorted = new arrgh.Enumerable(1, 3, 2, 4);
+        		var sorted = new arrgh.Enumerable(1, 2, 3, 4);
+        		expect(unsorted.mergeJoin(sorted, identity, identity, pair).toArray()).toEqual([[1, 1], [3, 3], [4, 4]]);
+        		expect(function () {
+        			unsorted.mergeJoin(sorted, identity, identity, pair, null, true).toArray();
+        		}).toThrow(new arrgh.InvalidOperationError("The outer collection is not sorted."));
+        		expect(function () {
+        			sorted.mergeJoin(unsorted, identity, identity, pair, null, true).toArray();
+        		}).toThrow(new arrgh.InvalidOperationError("The inner collection is not sorted."));
+        	});
+        });
     });
 };
\ No newline at end of file
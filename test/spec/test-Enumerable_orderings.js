@@ -81,6 +81,44 @@ var testEnumerableOrderings = function () {
 					return x;
 				}).sequenceEquals(e)).toBe(true);
 			});
+
+			it("should order a huge list in reverse order", function () {
+				var e = arrgh.Enumerable.range(1, 100000);
+				expect(e.orderByDescending(function (x) {
+					return x;
+				}).sequenceEquals(e.reverse())).toBe(true);
+			});
+
+			it("should keep the order of equal keys in runs", function () {
+				// Ascending and descending runs of keys with many duplicates.
+				var e = arrgh.Enumerable.range(0, 5000).select(function (x) {
+					return {
+						key: Math.floor(x / 1000) % 2 === 0 ? Math.floor(x / 10) % 7 : 7 - Math.floor(x / 10) % 7,
+						index: x
+					};
+				});
+				var ordered = e.orderBy(function (x) {
+					return x.key;
+				}).toArray();
+				var i;
+				for (i = 1; i < ordered.length; i += 1) {
+					expect(ordered[i - 1].key < ordered[i].key || (ordered[i - 1].key === ordered[i].key && ordered[i - 1].index < ordered[i].index)).toBe(true);
+				}
+			});
+		});
+
+		describe("order", function () {
+			it("should order the elements", function () {
+				expect(new arrgh.Enumerable(3, 1, 2).order().toArray()).toEqual([1, 2, 3]);
+				expect(new arrgh.Enumerable(3, 1, 2).orderDescending().toArray()).toEqual([3, 2, 1]);
+			});
+
+			it("should order the elements using a comparer", function () {
+				expect(new arrgh.Enumerable(people).order(firstNameComparer).toArray()).toEqual([p3, p1, p2, p5, p0, p4]);
+				expect(new arrgh.Enumerable(people).orderDescending(firstNameComparer).thenBy(function (p) {
+					return p.last;
+				}).toArray()).toEqual([p4, p0, p5, p2, p1, p3]);
+			});
 		});
 
 		describe("thenBy", function () {
@@ -166,5 +204,106 @@ var testEnumerableOrderings = function () {
 				expect(ordered.toArray()).toEqual([p7, p4, p0, p5, p2, p1, p3]);
 			});
 		});
+
+		describe("partial ordering", function () {
+			var byFirst = function (p) {
+				return p.first;
+			};
+			var byAge = function (p) {
+				return p.age;
+			};
+
+			it("should take the first elements in order", function () {
+				var ordered = new arrgh.Enumerable(people).orderBy(byFirst);
+				expect(ordered.take(3).toArray()).toEqual([p3, p1, p2]);
+				expect(ordered.take(0).toArray()).toEqual([]);
+				expect(ordered.take(10).toArray()).toEqual([p3, p1, p2, p5, p0, p4]);
+			});
+
+			it("should skip and take elements in order", function () {
+				var ordered = new arrgh.Enumerable(people).orderBy(byFirst);
+				expect(ordered.skip(1).take(3).toArray()).toEqual([p1, p2, p5]);
+				expect(ordered.skip(2).toArray()).toEqual([p2, p5, p0, p4]);
+				expect(ordered.take(4).skip(2).toArray()).toEqual([p2, p5]);
+				expect(ordered.skip(1).take(4).skip(1).take(2).toArray()).toEqual([p2, p5]);
+				expect(ordered.skip(10).take(2).toArray()).toEqual([]);
+			});
+
+			it("should keep equal elements in their original order", function () {
+				var ordered = new arrgh.Enumerable(people).orderBy(function () {
+					return 0;
+				});
+				expect(ordered.skip(2).take(3).toArray()).toEqual([p2, p3, p4]);
+				expect(ordered.elementAt(4)).toBe(p4);
+			});
+
+			it("should take elements ordered by a subsequent ordering", function () {
+				var ordered = new arrgh.Enumerable(people).orderBy(byFirst).thenByDescending(byAge);
+				expect(ordered.take(3).toArray()).toEqual([p3, p5, p2]);
+			});
+
+			it("should get the first element", function () {
+				var ordered = new arrgh.Enumerable(people).orderByDescending(byAge);
+				expect(ordered.first()).toBe(p5);
+				expect(ordered.first(function (p) {
+					return p.first === "Steve";
+				})).toBe(p4);
+				expect(ordered.firstOrDefault()).toBe(p5);
+				expect(ordered.skip(1).first()).toBe(p2);
+				expect(arrgh.Enumerable.empty().orderBy(byAge).firstOrDefault("Hello")).toBe("Hello");
+				expect(function () {
+					arrgh.Enumerable.empty().orderBy(byAge).first();
+				}).toThrow();
+			});
+
+			it("should get the element at an index", function () {
+				var ordered = new arrgh.Enumerable(people).orderBy(byFirst);
+				expect(ordered.elementAt(3)).toBe(p5);
+				expect(ordered.skip(2).elementAt(1)).toBe(p5);
+				expect(ordered.take(2).elementAtOrDefault(3, "Hello")).toBe("Hello");
+				expect(ordered.elementAtOrDefault(6)).toBeUndefined();
+				expect(function () {
+					ordered.elementAt(-1);
+				}).toThrow();
+			});
+
+			it("should only compute the keys once", function () {
+				var calls = 0;
+				var ordered = arrgh.Enumerable.range(0, 1000).orderByDescending(function (x) {
+					calls += 1;
+					return x % 100;
+				});
+				expect(ordered.take(3).toArray()).toEqual([99, 199, 299]);
+				expect(calls).toBe(1000);
+			});
+		});
+
+		describe("memoize", function () {
+			it("should only sort once", function () {
+				var calls = 0;
+				var memoized = new arrgh.Enumerable(people).orderBy(function (p) {
+					calls += 1;
+					return p.first;
+				}).memoize();
+				expect(calls).toBe(0);
+				expect(memoized.count()).toBe(6);
+				expect(memoized.toArray()).toEqual([p3, p1, p2, p5, p0, p4]);
+				expect(memoized.elementAt(3)).toBe(p5);
+				expect(memoized.skip(1).take(2).toArray()).toEqual([p1, p2]);
+				expect(memoized.last()).toBe(p4);
+				expect(calls).toBe(6);
+			});
+
+			it("should sort the source as it is when first enumerated", function () {
+				var list = new arrgh.List(3, 1, 2);
+				var memoized = list.orderBy(function (x) {
+					return x;
+				}).memoize();
+				list.add(0);
+				expect(memoized.toArray()).toEqual([0, 1, 2, 3]);
+				list.add(-1);
+				expect(memoized.toArray()).toEqual([0, 1, 2, 3]);
+			});
+		});
 	});
 };
\ No newline at end of file
@@ -30,6 +30,84 @@ var testOverridden = function (ctor, empty) {
 				/* jshint ignore:end */
 			}).toThrow();
 		});
+
+		it("should construct from an arguments object", function () {
+			var e = (function () {
+				return new ctor(arguments);
+			}(1, 2, 3));
+			expect(e.toArray()).toEqual([1, 2, 3]);
+		});
+
+		it("should construct from an array-like object", function () {
+			var e = new ctor({ length: 2, 0: "a", 1: "b" });
+			expect(e.toArray()).toEqual(["a", "b"]);
+		});
+
+		if (typeof Symbol === "function") {
+			var getIterable = function (arr) {
+				var iterable = {};
+				iterable[Symbol.iterator] = function () {
+					var index = -1;
+					return {
+						next: function () {
+							index += 1;
+							return index < arr.length ? { done: false, value: arr[index] } : { done: true, value: undefined };
+						}
+					};
+				};
+				return iterable;
+			};
+
+			it("should construct from an iterable", function () {
+				var e = new ctor(getIterable([1, 2, 3]));
+				expect(e.toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should construct from an iterator and enumerate it more than once", function () {
+				var e = new ctor(getIterable([1, 2, 3])[Symbol.iterator]());
+				expect(e.toArray()).toEqual([1, 2, 3]);
+				expect(e.first()).toBe(1);
+				expect(e.toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should construct from a generator function", function () {
+				var e;
+				/* jshint ignore:start */
+				e = new ctor(function* () {
+					yield 1;
+					yield 2;
+					yield 3;
+				});
+				/* jshint ignore:end */
+				expect(e.toArray()).toEqual([1, 2, 3]);
+				expect(e.toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should construct from a generator object", function () {
+				var e;
+				/* jshint ignore:start */
+				e = new ctor((function* () {
+					yield 1;
+					yield 2;
+					yield 3;
+				}()));
+				/* jshint ignore:end */
+				expect(e.first()).toBe(1);
+				expect(e.toArray()).toEqual([1, 2, 3]);
+			});
+
+			if (typeof Map === "function" && typeof Set === "function") {
+				it("should construct from a Map", function () {
+					var e = new ctor(new Map([["a", 1], ["b", 2]]));
+					expect(e.toArray()).toEqual([["a", 1], ["b", 2]]);
+				});
+
+				it("should construct from a Set", function () {
+					var e = new ctor(new Set([1, 2, 2, 3]));
+					expect(e.toArray()).toEqual([1, 2, 3]);
+				});
+			}
+		}
 	});
 
 	describe("asEnumerable", function () {
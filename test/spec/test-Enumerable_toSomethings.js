@@ -131,6 +131,25 @@ var testEnumerableToSomethings = function () {
 			});
 		});
 
+		describe("toHashSet", function () {
+			it("should create a set", function () {
+				var e = new arrgh.Enumerable(people);
+				expect(e.toHashSet() instanceof arrgh.HashSet).toBe(true);
+			});
+
+			it("should create a set with the unique items", function () {
+				var e = new arrgh.Enumerable("Hello");
+				expect(e.toHashSet().toArray()).toEqual(["H", "e", "l", "o"]);
+			});
+
+			it("should create a set using an equality comparer", function () {
+				var e = new arrgh.Enumerable(people);
+				var set = e.toHashSet(firstNameEqComparer);
+				expect(set.toArray()).toEqual([p0, p1, p3, p4]);
+				expect(set.contains(p6)).toBe(true);
+			});
+		});
+
 		describe("toList", function () {
 			it("should create a list", function () {
 				var e = new arrgh.Enumerable(people);
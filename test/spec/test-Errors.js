@@ -0,0 +1,327 @@
+/* exported testErrors */
+var testErrors = function () {
+	"use strict";
+
+	var getError = function (fn) {
+		try {
+			fn();
+		} catch (e) {
+			return e;
+		}
+		return undefined;
+	};
+
+	describe("Errors", function () {
+		describe("error types", function () {
+			it("should be errors with a name and a message", function () {
+				var e = new arrgh.InvalidOperationError("Oops.");
+				expect(e instanceof Error).toBe(true);
+				expect(e.name).toBe("InvalidOperationError");
+				expect(e.message).toBe("Oops.");
+				expect(e.toString()).toBe("InvalidOperationError: Oops.");
+			});
+
+			it("should have a CollectionModifiedError that is an InvalidOperationError", function () {
+				var e = new arrgh.CollectionModifiedError();
+				expect(e instanceof arrgh.InvalidOperationError).toBe(true);
+				expect(e.name).toBe("CollectionModifiedError");
+				expect(e.message).toBe("Collection was modified, enumeration operation may not execute.");
+			});
+
+			it("should have an ArgumentOutOfRangeError that is an ArgumentError", function () {
+				var e = new arrgh.ArgumentOutOfRangeError("Out of range.", "index", 5);
+				expect(e instanceof arrgh.ArgumentError).toBe(true);
+				expect(e.name).toBe("ArgumentOutOfRangeError");
+				expect(e.paramName).toBe("index");
+				expect(e.actualValue).toBe(5);
+			});
+
+			it("should have a KeyNotFoundError with the key", function () {
+				var e = new arrgh.KeyNotFoundError("a");
+				expect(e instanceof arrgh.InvalidOperationError).toBe(false);
+				expect(e.key).toBe("a");
+				expect(e.message).toBe("Key [a] was not found in the dictionary.");
+			});
+		});
+
+		describe("thrown errors", function () {
+			it("should throw an InvalidOperationError when a collection has no (matching) elements", function () {
+				var e = getError(function () {
+					arrgh.Enumerable.empty().first();
+				});
+				expect(e instanceof arrgh.InvalidOperationError).toBe(true);
+				expect(e.message).toBe("Collection contains no elements.");
+				e = getError(function () {
+					new arrgh.Enumerable(1, 2).single(function (n) {
+						return n > 2;
+					});
+				});
+				expect(e instanceof arrgh.InvalidOperationError).toBe(true);
+				expect(e.message).toBe("Collection contains no matching element.");
+				expect(getError(function () {
+					arrgh.Enumerable.empty().aggregate(function (x, y) {
+						return x + y;
+					});
+				}) instanceof arrgh.InvalidOperationError).toBe(true);
+				expect(getError(function () {
+					arrgh.Enumerable.empty().average();
+				}) instanceof arrgh.InvalidOperationError).toBe(true);
+				expect(getError(function () {
+					new arrgh.Queue().dequeue();
+				}) instanceof arrgh.InvalidOperationError).toBe(true);
+			});
+
+			it("should throw an ArgumentOutOfRangeError when an index is out of range", function () {
+				var e = getError(function () {
+					new arrgh.List(1, 2, 3).get(3);
+				});
+				expect(e instanceof arrgh.ArgumentOutOfRangeError).toBe(true);
+				expect(e.paramName).toBe("index");
+				expect(e.actualValue).toBe(3);
+				e = getError(function () {
+					new arrgh.Enumerable(1, 2, 3).elementAt(-1);
+				});
+				expect(e instanceof arrgh.ArgumentOutOfRangeError).toBe(true);
+				expect(e.actualValue).toBe(-1);
+				e = getError(function () {
+					new arrgh.List(1, 2, 3).removeRange(0, -1);
+				});
+				expect(e instanceof arrgh.ArgumentOutOfRangeError).toBe(true);
+				expect(e.paramName).toBe("count");
+			});
+
+			it("should throw an ArgumentError when a range is not valid", function () {
+				var e = getError(function () {
+					new arrgh.List(1, 2, 3).removeRange(1, 3);
+				});
+				expect(e instanceof arrgh.ArgumentError).toBe(true);
+				expect(e instanceof arrgh.ArgumentOutOfRangeError).toBe(false);
+			});
+
+			it("should throw an ArgumentError with the lower bound when a tree range is not valid", function () {
+				var e = getError(function () {
+					new arrgh.SortedSet([1, 2]).getViewBetween(2, 1);
+				});
+				expect(e instanceof arrgh.ArgumentError).toBe(true);
+				expect(e.paramName).toBe("lower");
+				e = getError(function () {
+					new arrgh.SortedDictionary().getRange(2, 1);
+				});
+				expect(e.paramName).toBe("fromKey");
+			});
+
+			it("should throw an ArgumentError when a source is not valid", function () {
+				var e = getError(function () {
+					return new arrgh.List(function () {
+						return undefined;
+					});
+				});
+				expect(e instanceof arrgh.ArgumentError).toBe(true);
+				expect(e.paramName).toBe("enumerable");
+			});
+
+			it("should throw a KeyNotFoundError when a key is not present", function () {
+				var e = getError(function () {
+					new arrgh.Dictionary().get("a");
+				});
+				expect(e instanceof arrgh.KeyNotFoundError).toBe(true);
+				expect(e.key).toBe("a");
+				e = getError(function () {
+					new arrgh.SortedDictionary().set("b", 1);
+				});
+				expect(e instanceof arrgh.KeyNotFoundError).toBe(true);
+				expect(e.key).toBe("b");
+			});
+
+			it("should throw an ArgumentError when a key is already present", function () {
+				var d = new arrgh.Dictionary();
+				d.add("a", 1);
+				var e = getError(function () {
+					d.add("a", 2);
+				});
+				expect(e instanceof arrgh.ArgumentError).toBe(true);
+				expect(e.paramName).toBe("key");
+			});
+
+			it("should throw a CollectionModifiedError when a collection is modified during enumeration", function () {
+				var list = new arrgh.List(1, 2, 3);
+				var e = getError(function () {
+					list.forEach(function () {
+						list.add(4);
+					});
+				});
+				expect(e instanceof arrgh.CollectionModifiedError).toBe(true);
+			});
+		});
+
+		describe("argument validation", function () {
+			var e = new arrgh.Enumerable(1, 2, 3);
+			var expectArgumentError = function (fn, message, paramName) {
+				var error = getError(fn);
+				expect(error instanceof arrgh.ArgumentError).toBe(true);
+				expect(error.message).toBe(message);
+				expect(error.paramName).toBe(paramName);
+			};
+
+			it("should throw when a function is not a function", function () {
+				expectArgumentError(function () {
+					e.where();
+				}, "Enumerable.where: predicate must be a function.", "predicate");
+				expectArgumentError(function () {
+					e.select("x");
+				}, "Enumerable.select: selector must be a function.", "selector");
+				expectArgumentError(function () {
+					e.orderBy(function (x) {
+						return x;
+					}).thenBy(null);
+				}, "OrderedEnumerable.thenBy: keySelector must be a function.", "keySelector");
+				expectArgumentError(function () {
+					e.join(e, function (x) {
+						return x;
+					}, {});
+				}, "Enumerable.join: innerKeySelector must be a function.", "innerKeySelector");
+				expectArgumentError(function () {
+					e.all();
+				}, "Enumerable.all: predicate must be a function.", "predicate");
+				expectArgumentError(function () {
+					e.first("x");
+				}, "Enumerable.first: predicate must be a function.", "predicate");
+				expectArgumentError(function () {
+					new arrgh.List(1, 2).removeAll();
+				}, "List.removeAll: predicate must be a function.", "predicate");
+			});
+
+			it("should not throw when an optional function is not given", function () {
+				expect(e.first()).toBe(1);
+				expect(e.count(null)).toBe(3);
+				expect(e.orderBy(function (x) {
+					return -x;
+				}, undefined).toArray()).toEqual([3, 2, 1]);
+			});
+
+			it("should throw when a number is not a number", function () {
+				expectArgumentError(function () {
+					e.skip("3");
+				}, "Enumerable.skip: count must be a number.", "count");
+				expectArgumentError(function () {
+					e.take(NaN);
+				}, "Enumerable.take: count must be a number.", "count");
+				expectArgumentError(function () {
+					arrgh.Enumerable.repeat("x", "5");
+				}, "Enumerable.repeat: count must be a number.", "count");
+				expectArgumentError(function () {
+					arrgh.Enumerable.range("1", 5);
+				}, "Enumerable.range: start must be a number.", "start");
+				expectArgumentError(function () {
+					new arrgh.List(1, 2).insertRange("1", [3]);
+				}, "List.insertRange: index must be a number.", "index");
+			});
+
+			it("should throw when an argument of an ordered collection is not valid", function () {
+				var ordered = new arrgh.Enumerable(3, 1, 2).orderBy(function (x) {
+					return x;
+				});
+				expectArgumentError(function () {
+					ordered.take("2");
+				}, "OrderedEnumerable.take: count must be a number.", "count");
+				expectArgumentError(function () {
+					ordered.skip(NaN);
+				}, "OrderedEnumerable.skip: count must be a number.", "count");
+				expectArgumentError(function () {
+					ordered.skip(1).take("1");
+				}, "OrderedEnumerable.take: count must be a number.", "count");
+				expectArgumentError(function () {
+					ordered.elementAtOrDefault("1");
+				}, "OrderedEnumerable.elementAtOrDefault: index must be a number.", "index");
+				expectArgumentError(function () {
+					ordered.take(2).elementAt("1");
+				}, "Enumerable.elementAt: index must be a number.", "index");
+				expectArgumentError(function () {
+					ordered.first(0);
+				}, "OrderedEnumerable.first: predicate must be a function.", "predicate");
+				expect(ordered.take(2).toArray()).toEqual([1, 2]);
+				expect(ordered.firstOrDefault()).toBe(1);
+			});
+
+			it("should throw when a collection is not a collection", function () {
+				expectArgumentError(function () {
+					e.union([1, 2]);
+				}, "Enumerable.union: other must be an arrgh.Enumerable.", "other");
+				expectArgumentError(function () {
+					e.zip(null, function (x, y) {
+						return x + y;
+					});
+				}, "Enumerable.zip: other must be an arrgh.Enumerable.", "other");
+				expectArgumentError(function () {
+					new arrgh.List(1, 2).addRange(null);
+				}, "List.addRange: items must be defined.", "items");
+			});
+
+			it("should throw when a key is not supplied", function () {
+				var d = new arrgh.Dictionary();
+				expectArgumentError(function () {
+					d.add();
+				}, "Dictionary.add: key must be supplied.", "key");
+				expectArgumentError(function () {
+					new arrgh.SortedDictionary().add();
+				}, "SortedDictionary.add: key must be supplied.", "key");
+				d.add(undefined);
+				expect(d.containsKey(undefined)).toBe(true);
+				expect(d.length).toBe(1);
+			});
+
+			it("should throw when an equality comparer is not an equality comparer", function () {
+				expectArgumentError(function () {
+					e.distinct("x");
+				}, "Enumerable.distinct: eqComparer must be a function or an object with an equals or getHash function.", "eqComparer");
+				expectArgumentError(function () {
+					return new arrgh.Dictionary({});
+				}, "Dictionary: eqComparer must be a function or an object with an equals or getHash function.", "eqComparer");
+			});
+
+			it("should throw when a type is not a type", function () {
+				expectArgumentError(function () {
+					e.ofType(5);
+				}, "Enumerable.ofType: type must be a constructor, undefined or null.", "type");
+				expectArgumentError(function () {
+					e.cast("number");
+				}, "Enumerable.cast: type must be a constructor, undefined or null.", "type");
+				expect(e.ofType(Number).toArray()).toEqual([1, 2, 3]);
+				expect(e.ofType(null).toArray()).toEqual([]);
+				expect(e.cast(Number).any()).toBe(true);
+			});
+
+			it("should throw when an argument of groupBy is not a function or an equality comparer", function () {
+				var identity = function (x) {
+					return x;
+				};
+				expectArgumentError(function () {
+					e.groupBy(identity, 5);
+				}, "Enumerable.groupBy: elementSelector must be a function or an equality comparer.", "elementSelector");
+				expectArgumentError(function () {
+					e.groupBy(identity, identity, "x");
+				}, "Enumerable.groupBy: resultSelector must be a function or an equality comparer.", "resultSelector");
+				expectArgumentError(function () {
+					e.groupBy(identity, identity, null, {});
+				}, "Enumerable.groupBy: eqComparer must be a function or an object with an equals or getHash function.", "eqComparer");
+				expect(e.groupBy(identity, undefined, null).count()).toBe(3);
+			});
+
+			it("should not validate the arguments when validation is turned off", function () {
+				arrgh.settings.validateArguments = false;
+				try {
+					var where = e.where();
+					var d = new arrgh.Dictionary();
+					d.add();
+					expect(d.containsKey(undefined)).toBe(true);
+					expect(e.skip("1").toArray()).toEqual([2, 3]);
+					expect(function () {
+						where.toArray();
+					}).toThrow();
+				} finally {
+					arrgh.settings.validateArguments = true;
+				}
+			});
+		});
+	});
+};
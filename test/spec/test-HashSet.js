@@ -0,0 +1,275 @@
+/* exported testHashSet */
+var testHashSet = function () {
+	"use strict";
+
+	describe("HashSet", function () {
+		describe("ctor", function () {
+			it("should create an empty set", function () {
+				var set = new arrgh.HashSet();
+				expect(set.length).toBe(0);
+				expect(set.toArray()).toEqual([]);
+			});
+
+			it("should create a set from a collection and ignore duplicates", function () {
+				var set = new arrgh.HashSet([1, 2, 2, 3, 1]);
+				expect(set.length).toBe(3);
+				expect(set.toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should create a set with an equality comparer", function () {
+				var set = new arrgh.HashSet(people, firstNameEqComparer);
+				expect(set.toArray()).toEqual([p0, p1, p3, p4]);
+			});
+
+			it("should create an empty set with only an equality comparer", function () {
+				var set = new arrgh.HashSet(firstNameEqComparer);
+				set.add(p1);
+				expect(set.contains(p2)).toBe(true);
+			});
+
+			it("should create an empty set with only a getHash comparer or an equality function", function () {
+				var set = new arrgh.HashSet({
+					getHash: function (s) {
+						return s.toLowerCase();
+					}
+				});
+				expect(set.length).toBe(0);
+				expect(set.add("a")).toBe(true);
+				expect(set.contains("a")).toBe(true);
+				set = new arrgh.HashSet(function (x, y) {
+					return x === y;
+				});
+				expect(set.length).toBe(0);
+				expect(set.add(1)).toBe(true);
+				expect(set.add(1)).toBe(false);
+				expect(set.length).toBe(1);
+			});
+
+			it("should create a set from a function that returns an iterator", function () {
+				var set = new arrgh.HashSet(function () {
+					return new arrgh.Enumerable([1, 2, 2]).getIterator();
+				});
+				expect(set.toArray()).toEqual([1, 2]);
+			});
+
+			it("should throw on an invalid argument", function () {
+				expect(function () {
+					return new arrgh.HashSet(true);
+				}).toThrow();
+			});
+		});
+
+		describe("add", function () {
+			it("should add a new element and return true", function () {
+				var set = new arrgh.HashSet();
+				expect(set.add("a")).toBe(true);
+				expect(set.length).toBe(1);
+				expect(set.toArray()).toEqual(["a"]);
+			});
+
+			it("should not add an existing element and return false", function () {
+				var set = new arrgh.HashSet(["a"]);
+				expect(set.add("a")).toBe(false);
+				expect(set.length).toBe(1);
+			});
+
+			it("should add undefined, null and NaN", function () {
+				var set = new arrgh.HashSet();
+				expect(set.add(undefined)).toBe(true);
+				expect(set.add(null)).toBe(true);
+				expect(set.add(NaN)).toBe(true);
+				expect(set.add(NaN)).toBe(false);
+				expect(set.length).toBe(3);
+			});
+
+			it("should add objects with conflicting hashes", function () {
+				var set = new arrgh.HashSet();
+				expect(set.add(p0)).toBe(true);
+				expect(set.add(p1)).toBe(true);
+				expect(set.toArray()).toEqual([p0, p1]);
+			});
+
+			it("should throw when the set is modified during enumeration", function () {
+				var set = new arrgh.HashSet([1, 2]);
+				expect(function () {
+					set.forEach(function (n) {
+						set.add(n + 10);
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+			});
+		});
+
+		describe("remove", function () {
+			it("should remove an existing element and return true", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				expect(set.remove(2)).toBe(true);
+				expect(set.length).toBe(2);
+				expect(set.toArray()).toEqual([1, 3]);
+			});
+
+			it("should return false when the element is not found", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				expect(set.remove(4)).toBe(false);
+				expect(set.length).toBe(3);
+			});
+		});
+
+		describe("clear", function () {
+			it("should remove all elements", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				set.clear();
+				expect(set.length).toBe(0);
+				expect(set.toArray()).toEqual([]);
+				expect(set.contains(1)).toBe(false);
+			});
+		});
+
+		describe("contains", function () {
+			it("should find an element", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				expect(set.contains(2)).toBe(true);
+				expect(set.contains(4)).toBe(false);
+				expect(set.contains("2")).toBe(false);
+			});
+
+			it("should use the equality comparer of the set", function () {
+				var set = new arrgh.HashSet([p0, p1], firstNameEqComparer);
+				expect(set.contains(p2)).toBe(true);
+				expect(set.contains(p4)).toBe(false);
+			});
+
+			it("should use a specified equality comparer", function () {
+				var set = new arrgh.HashSet([p0, p1]);
+				expect(set.contains(p2)).toBe(false);
+				expect(set.contains(p2, firstNameEqComparer)).toBe(true);
+			});
+		});
+
+		describe("count", function () {
+			it("should count all elements or the elements that satisfy a condition", function () {
+				var set = new arrgh.HashSet([1, 2, 3, 3]);
+				expect(set.count()).toBe(3);
+				expect(set.count(function (n) {
+					return n > 1;
+				})).toBe(2);
+			});
+		});
+
+		describe("unionWith", function () {
+			it("should add all elements of the other collection", function () {
+				var set = new arrgh.HashSet([1, 2]);
+				set.unionWith([2, 3, 3]);
+				expect(set.toArray()).toEqual([1, 2, 3]);
+				expect(set.length).toBe(3);
+			});
+
+			it("should union with itself", function () {
+				var set = new arrgh.HashSet([1, 2]);
+				set.unionWith(set);
+				expect(set.toArray()).toEqual([1, 2]);
+			});
+		});
+
+		describe("intersectWith", function () {
+			it("should only keep elements that are in the other collection", function () {
+				var set = new arrgh.HashSet([1, 2, 3, 4]);
+				set.intersectWith(new arrgh.Enumerable([4, 2, 5]));
+				expect(set.toArray()).toEqual([2, 4]);
+				expect(set.length).toBe(2);
+			});
+
+			it("should use the equality comparer of the set", function () {
+				var set = new arrgh.HashSet([p0, p1, p4], firstNameEqComparer);
+				set.intersectWith([p2, p6]);
+				expect(set.toArray()).toEqual([p1, p4]);
+			});
+		});
+
+		describe("exceptWith", function () {
+			it("should remove all elements that are in the other collection", function () {
+				var set = new arrgh.HashSet([1, 2, 3, 4]);
+				set.exceptWith([4, 2, 5]);
+				expect(set.toArray()).toEqual([1, 3]);
+				expect(set.length).toBe(2);
+			});
+
+			it("should remove all elements when excepting itself", function () {
+				var set = new arrgh.HashSet([1, 2]);
+				set.exceptWith(set);
+				expect(set.toArray()).toEqual([]);
+			});
+		});
+
+		describe("symmetricExceptWith", function () {
+			it("should keep the elements that are in either collection, but not in both", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				set.symmetricExceptWith([3, 4, 4, 5]);
+				expect(set.toArray()).toEqual([1, 2, 4, 5]);
+				expect(set.length).toBe(4);
+			});
+
+			it("should remove all elements when excepting itself", function () {
+				var set = new arrgh.HashSet([1, 2]);
+				set.symmetricExceptWith(set);
+				expect(set.toArray()).toEqual([]);
+			});
+		});
+
+		describe("subsets and supersets", function () {
+			it("should determine subsets", function () {
+				var set = new arrgh.HashSet([1, 2]);
+				expect(set.isSubsetOf([1, 2, 3])).toBe(true);
+				expect(set.isSubsetOf([2, 1, 1])).toBe(true);
+				expect(set.isSubsetOf([1, 3])).toBe(false);
+				expect(new arrgh.HashSet().isSubsetOf([])).toBe(true);
+			});
+
+			it("should determine proper subsets", function () {
+				var set = new arrgh.HashSet([1, 2]);
+				expect(set.isProperSubsetOf([1, 2, 3])).toBe(true);
+				expect(set.isProperSubsetOf([2, 1, 1])).toBe(false);
+				expect(set.isProperSubsetOf([1, 3, 4])).toBe(false);
+			});
+
+			it("should determine supersets", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				expect(set.isSupersetOf([1, 2, 2])).toBe(true);
+				expect(set.isSupersetOf([3, 2, 1])).toBe(true);
+				expect(set.isSupersetOf([1, 4])).toBe(false);
+				expect(set.isSupersetOf([])).toBe(true);
+			});
+
+			it("should determine proper supersets", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				expect(set.isProperSupersetOf([1, 2, 2])).toBe(true);
+				expect(set.isProperSupersetOf([3, 2, 1])).toBe(false);
+				expect(set.isProperSupersetOf([1, 4])).toBe(false);
+			});
+
+			it("should use the equality comparer of the set", function () {
+				var set = new arrgh.HashSet([p0, p1], firstNameEqComparer);
+				expect(set.isSubsetOf([p0, p2, p4])).toBe(true);
+				expect(set.isSupersetOf([p5])).toBe(true);
+			});
+		});
+
+		describe("overlaps", function () {
+			it("should determine whether the collections share an element", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				expect(set.overlaps([5, 3])).toBe(true);
+				expect(set.overlaps([4, 5])).toBe(false);
+				expect(set.overlaps([])).toBe(false);
+			});
+		});
+
+		describe("setEquals", function () {
+			it("should determine whether the collections contain the same elements", function () {
+				var set = new arrgh.HashSet([1, 2, 3]);
+				expect(set.setEquals([3, 2, 1, 1])).toBe(true);
+				expect(set.setEquals([1, 2])).toBe(false);
+				expect(set.setEquals([1, 2, 4])).toBe(false);
+				expect(set.setEquals(new arrgh.HashSet([2, 3, 1]))).toBe(true);
+			});
+		});
+	});
+};
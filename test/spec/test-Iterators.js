@@ -199,7 +199,9 @@ var testIterators = function () {
 			test(new arrgh.Enumerable(people).groupJoin(new arrgh.Enumerable(people), firstSelector, firstSelector, function (p, ppl) {
 				return { p: p, ppl: ppl };
 			}), function (e) {
-				return e.groupJoin(arrgh.Enumerable.empty(), firstSelector, firstSelector);
+				return e.groupJoin(arrgh.Enumerable.empty(), firstSelector, firstSelector, function (p, ppl) {
+					return { p: p, ppl: ppl };
+				});
 			}, function (c) {
 				return {
 					p: c.p,
@@ -237,7 +239,9 @@ var testIterators = function () {
 			test(new arrgh.Enumerable(people).join(new arrgh.Enumerable(people), firstSelector, firstSelector, function (p1, p2) {
 				return { p1: p1, p2: p2 };
 			}), function (e) {
-				return e.join(new arrgh.Enumerable(people), firstSelector, firstSelector);
+				return e.join(new arrgh.Enumerable(people), firstSelector, firstSelector, function (p1, p2) {
+					return { p1: p1, p2: p2 };
+				});
 			});
 		});
 
@@ -293,7 +297,7 @@ var testIterators = function () {
 
 		describe(" - SelectManyIterator", function () {
 			test(new arrgh.Enumerable(p0, p1, p4).selectMany(hobbiesSelector), function (e) {
-				return e.selectMany();
+				return e.selectMany(hobbiesSelector);
 			});
 		});
 
@@ -354,5 +358,314 @@ var testIterators = function () {
 				});
 			});
 		});
+
+		describe("- disposal", function () {
+			var getSource = function (counter) {
+				return new arrgh.Enumerable(function () {
+					var index = -1;
+					return new arrgh.Iterator(function () {
+						index += 1;
+						return index < 5;
+					}, function () {
+						return index >= 0 && index < 5 ? index : undefined;
+					}, function () {
+						counter.disposed += 1;
+					});
+				});
+			};
+
+			it("should dispose the source when a query is stopped early", function () {
+				var counter = { disposed: 0 };
+				var source = getSource(counter);
+				expect(source.first()).toBe(0);
+				expect(source.any()).toBe(true);
+				expect(source.take(2).toArray()).toEqual([0, 1]);
+				expect(source.takeWhile(function (n) {
+					return n < 2;
+				}).toArray()).toEqual([0, 1]);
+				expect(source.contains(1)).toBe(true);
+				expect(source.elementAt(2)).toBe(2);
+				expect(counter.disposed).toBe(6);
+			});
+
+			it("should dispose the source when a callback throws", function () {
+				var counter = { disposed: 0 };
+				expect(function () {
+					getSource(counter).forEach(function () {
+						throw new Error("Stop!");
+					});
+				}).toThrow();
+				expect(counter.disposed).toBe(1);
+			});
+
+			it("should dispose both sources of zip and sequenceEquals", function () {
+				var counter = { disposed: 0 };
+				var other = { disposed: 0 };
+				expect(getSource(counter).sequenceEquals(getSource(other).take(2))).toBe(false);
+				expect(counter.disposed).toBe(1);
+				expect(other.disposed).toBe(1);
+				var iterator = getSource(counter).zip(getSource(other), function (x, y) {
+					return x + y;
+				}).getIterator();
+				iterator.moveNext();
+				iterator.dispose();
+				expect(counter.disposed).toBe(2);
+				expect(other.disposed).toBe(2);
+			});
+
+			it("should dispose the source of a lazy iterator that is disposed", function () {
+				var counter = { disposed: 0 };
+				var iterator = getSource(counter).skipWhile(function (n) {
+					return n < 2;
+				}).select(function (n) {
+					return n * 2;
+				}).getIterator();
+				iterator.moveNext();
+				expect(iterator.current()).toBe(4);
+				iterator.dispose();
+				expect(counter.disposed).toBe(1);
+			});
+
+			it("should dispose the inner collections of selectMany", function () {
+				var counter = { disposed: 0 };
+				var inner = { disposed: 0 };
+				var iterator = getSource(counter).selectMany(function () {
+					return getSource(inner);
+				}).getIterator();
+				var i;
+				for (i = 0; i < 7; i += 1) {
+					iterator.moveNext();
+				}
+				expect(inner.disposed).toBe(1);
+				iterator.dispose();
+				expect(inner.disposed).toBe(2);
+				expect(counter.disposed).toBe(1);
+			});
+
+			it("should dispose the source when a take or takeWhile ends", function () {
+				var counter = { disposed: 0 };
+				var iterator = getSource(counter).take(3).getIterator();
+				var arr = [];
+				while (iterator.moveNext()) {
+					arr.push(iterator.current());
+				}
+				expect(arr).toEqual([0, 1, 2]);
+				expect(counter.disposed).toBe(1);
+				iterator = getSource(counter).where(function (n) {
+					return n % 2 === 0;
+				}).takeWhile(function (n) {
+					return n < 3;
+				}).getIterator();
+				arr = [];
+				while (iterator.moveNext()) {
+					arr.push(iterator.current());
+				}
+				expect(arr).toEqual([0, 2]);
+				expect(counter.disposed).toBe(2);
+				iterator.dispose();
+				expect(counter.disposed).toBe(2);
+			});
+
+			it("should dispose the source when a fused query reaches the end of the source", function () {
+				var counter = { disposed: 0 };
+				var iterator = getSource(counter).select(function (n) {
+					return n * 2;
+				}).getIterator();
+				while (iterator.moveNext()) {
+					expect(counter.disposed).toBe(0);
+				}
+				expect(counter.disposed).toBe(1);
+			});
+
+			if (typeof Symbol === "function") {
+				describe("with the ES2015 iteration protocol", function () {
+					// The specs are ES3, so for...of and spread are only compiled when the engine supports them.
+					var compile = function (body) {
+						try {
+							/* jshint evil: true */
+							return new Function("iterable", body);
+						} catch (e) {
+							return null;
+						}
+					};
+					var forOf = compile("var arr = []; for (var x of iterable) { arr.push(x); } return arr;");
+					var spread = compile("return [...iterable];");
+
+					it("should dispose the source when for...of completes", function () {
+						if (!forOf) {
+							return;
+						}
+						var counter = { disposed: 0 };
+						expect(forOf(getSource(counter))).toEqual([0, 1, 2, 3, 4]);
+						expect(counter.disposed).toBe(1);
+						expect(forOf(getSource(counter).take(3))).toEqual([0, 1, 2]);
+						expect(counter.disposed).toBe(2);
+					});
+
+					it("should dispose the source when a spread completes", function () {
+						if (!spread) {
+							return;
+						}
+						var counter = { disposed: 0 };
+						expect(spread(getSource(counter).takeWhile(function (n) {
+							return n < 2;
+						}))).toEqual([0, 1]);
+						expect(counter.disposed).toBe(1);
+					});
+
+					it("should dispose the source when Array.from completes", function () {
+						if (typeof Array.from !== "function") {
+							return;
+						}
+						var counter = { disposed: 0 };
+						expect(Array.from(getSource(counter).take(2))).toEqual([0, 1]);
+						expect(counter.disposed).toBe(1);
+					});
+				});
+			}
+
+			it("should only dispose once", function () {
+				var counter = { disposed: 0 };
+				var iterator = getSource(counter).getIterator();
+				iterator.dispose();
+				iterator.dispose();
+				expect(counter.disposed).toBe(1);
+			});
+
+			it("should not require a dispose function", function () {
+				var iterator = new arrgh.Iterator(function () {
+					return false;
+				}, function () {
+					return undefined;
+				});
+				expect(function () {
+					iterator.dispose();
+				}).not.toThrow();
+			});
+		});
+
+		if (typeof Symbol === "function") {
+			describe("- ES2015 iteration protocol", function () {
+				var toArray = function (iterable) {
+					var iterator = iterable[Symbol.iterator]();
+					var arr = [];
+					var result = iterator.next();
+					while (!result.done) {
+						arr.push(result.value);
+						result = iterator.next();
+					}
+					return arr;
+				};
+
+				it("should iterate over an Enumerable", function () {
+					expect(toArray(new arrgh.Enumerable(1, 2, 3))).toEqual([1, 2, 3]);
+				});
+
+				it("should iterate over a List", function () {
+					expect(toArray(new arrgh.List(1, 2, 3))).toEqual([1, 2, 3]);
+				});
+
+				it("should iterate over a Dictionary", function () {
+					var d = new arrgh.Dictionary();
+					d.add("a", 1);
+					d.add("b", 2);
+					expect(toArray(d)).toEqual([{ key: "a", value: 1 }, { key: "b", value: 2 }]);
+				});
+
+				it("should iterate over a lookup and its groupings", function () {
+					var groups = toArray(new arrgh.Enumerable(people).toLookup(firstNameSelector));
+					expect(groups.length).toBe(4);
+					expect(groups[1].key).toBe("Bill");
+					expect(toArray(groups[1])).toEqual([p1, p2, p5]);
+				});
+
+				it("should iterate over an ordered enumerable", function () {
+					expect(toArray(new arrgh.Enumerable(3, 1, 2).orderBy(function (n) {
+						return n;
+					}))).toEqual([1, 2, 3]);
+				});
+
+				it("should iterate over lazily built results", function () {
+					expect(toArray(arrgh.Enumerable.range(0, 10).where(function (n) {
+						return n % 2 === 0;
+					}).select(function (n) {
+						return n * 2;
+					}))).toEqual([0, 4, 8, 12, 16]);
+				});
+
+				it("should work with Array.from", function () {
+					if (Array.from) {
+						expect(Array.from(new arrgh.List("a", "b"))).toEqual(["a", "b"]);
+					}
+				});
+
+				it("should return an iterator that is iterable itself", function () {
+					var iterator = new arrgh.Enumerable(1, 2)[Symbol.iterator]();
+					expect(iterator[Symbol.iterator]()).toBe(iterator);
+				});
+
+				it("should keep returning done after the collection is exhausted", function () {
+					var iterator = new arrgh.Enumerable([1])[Symbol.iterator]();
+					expect(iterator.next()).toEqual({ done: false, value: 1 });
+					expect(iterator.next()).toEqual({ done: true, value: undefined });
+					expect(iterator.next()).toEqual({ done: true, value: undefined });
+				});
+
+				it("should be lazy", function () {
+					var iterator = arrgh.Enumerable.range(0)[Symbol.iterator]();
+					expect(iterator.next().value).toBe(0);
+					expect(iterator.next().value).toBe(1);
+				});
+
+				it("should dispose the iterator when return is called", function () {
+					var disposed = 0;
+					var iterator = new arrgh.Enumerable(function () {
+						return new arrgh.Iterator(function () {
+							return true;
+						}, function () {
+							return 1;
+						}, function () {
+							disposed += 1;
+						});
+					})[Symbol.iterator]();
+					expect(iterator.next()).toEqual({ done: false, value: 1 });
+					expect(iterator["return"]()).toEqual({ done: true, value: undefined });
+					expect(disposed).toBe(1);
+				});
+
+				it("should call return on the source iterator when an enumeration is stopped early", function () {
+					var returned = 0;
+					var iterable = {};
+					iterable[Symbol.iterator] = function () {
+						var index = 0;
+						var iterator = {
+							next: function () {
+								index += 1;
+								return { done: false, value: index };
+							}
+						};
+						iterator["return"] = function () {
+							returned += 1;
+							return { done: true };
+						};
+						return iterator;
+					};
+					var e = new arrgh.Enumerable(iterable);
+					expect(e.take(3).toArray()).toEqual([1, 2, 3]);
+					expect(e.first()).toBe(1);
+					expect(returned).toBe(2);
+				});
+
+				it("should throw when a List is modified during iteration", function () {
+					var list = new arrgh.List(1, 2, 3);
+					var iterator = list[Symbol.iterator]();
+					iterator.next();
+					list.add(4);
+					expect(function () {
+						iterator.next();
+					}).toThrow();
+				});
+			});
+		}
 	});
 };
\ No newline at end of file
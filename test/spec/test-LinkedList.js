@@ -0,0 +1,216 @@
+/* exported testLinkedList */
+var testLinkedList = function () {
+	"use strict";
+
+	var valuesBackwards = function (list) {
+		var arr = [],
+		node = list.last;
+		while (node) {
+			arr.push(node.value);
+			node = node.previous;
+		}
+		return arr;
+	};
+
+	describe("LinkedList", function () {
+		describe("ctor", function () {
+			it("should create an empty list", function () {
+				var list = new arrgh.LinkedList();
+				expect(list.length).toBe(0);
+				expect(list.first).toBeNull();
+				expect(list.last).toBeNull();
+				expect(list.toArray()).toEqual([]);
+			});
+
+			it("should add the elements of a collection", function () {
+				var list = new arrgh.LinkedList([1, 2, 3]);
+				expect(list.length).toBe(3);
+				expect(list.toArray()).toEqual([1, 2, 3]);
+				expect(valuesBackwards(list)).toEqual([3, 2, 1]);
+			});
+
+			it("should add params", function () {
+				var list = new arrgh.LinkedList("a", "b");
+				expect(list.toArray()).toEqual(["a", "b"]);
+			});
+		});
+
+		describe("nodes", function () {
+			it("should link the nodes", function () {
+				var list = new arrgh.LinkedList([1, 2]);
+				var first = list.first;
+				var last = list.last;
+				expect(first.value).toBe(1);
+				expect(first.previous).toBeNull();
+				expect(first.next).toBe(last);
+				expect(first.list).toBe(list);
+				expect(last.value).toBe(2);
+				expect(last.previous).toBe(first);
+				expect(last.next).toBeNull();
+			});
+
+			it("should expose the first and last nodes instead of the first and last operators", function () {
+				var list = new arrgh.LinkedList([1, 2, 3]);
+				expect(list.first.value).toBe(1);
+				expect(list.last.value).toBe(3);
+				expect(list.firstOrDefault()).toBe(1);
+				expect(list.lastOrDefault()).toBe(3);
+				expect(list.where(function (x) {
+					return x > 1;
+				}).first()).toBe(2);
+			});
+
+			it("should allow changing the value of a node", function () {
+				var list = new arrgh.LinkedList([1, 2]);
+				list.first.value = 3;
+				expect(list.toArray()).toEqual([3, 2]);
+			});
+		});
+
+		describe("add", function () {
+			it("should add first and last", function () {
+				var list = new arrgh.LinkedList();
+				var b = list.addFirst("b");
+				var c = list.addLast("c");
+				var a = list.addFirst("a");
+				expect(list.toArray()).toEqual(["a", "b", "c"]);
+				expect(list.first).toBe(a);
+				expect(list.last).toBe(c);
+				expect(b.value).toBe("b");
+				expect(list.length).toBe(3);
+			});
+
+			it("should add before and after a node", function () {
+				var list = new arrgh.LinkedList();
+				var b = list.addLast("b");
+				list.addBefore(b, "a");
+				var d = list.addAfter(b, "d");
+				list.addBefore(d, "c");
+				list.addAfter(d, "e");
+				expect(list.toArray()).toEqual(["a", "b", "c", "d", "e"]);
+				expect(valuesBackwards(list)).toEqual(["e", "d", "c", "b", "a"]);
+				expect(list.first.value).toBe("a");
+				expect(list.last.value).toBe("e");
+			});
+
+			it("should throw when the node belongs to another list", function () {
+				var list = new arrgh.LinkedList([1]);
+				var other = new arrgh.LinkedList([1]);
+				expect(function () {
+					list.addAfter(other.first, 2);
+				}).toThrow(new Error("The LinkedList node does not belong to current LinkedList."));
+				expect(function () {
+					list.addBefore({}, 2);
+				}).toThrow(new Error("The LinkedList node does not belong to current LinkedList."));
+			});
+		});
+
+		describe("find", function () {
+			it("should find the first and last node with a value", function () {
+				var list = new arrgh.LinkedList([1, 2, 1]);
+				expect(list.find(1)).toBe(list.first);
+				expect(list.findLast(1)).toBe(list.last);
+				expect(list.find(3)).toBeNull();
+				expect(list.findLast(3)).toBeNull();
+			});
+
+			it("should find using an equality comparer", function () {
+				var list = new arrgh.LinkedList([p0, p1, p2]);
+				expect(list.find(p5, firstNameEqComparer).value).toBe(p1);
+				expect(list.findLast(p5, firstNameEqComparer).value).toBe(p2);
+			});
+		});
+
+		describe("remove", function () {
+			it("should remove a node", function () {
+				var list = new arrgh.LinkedList([1, 2, 3]);
+				var node = list.first.next;
+				expect(list.remove(node)).toBe(true);
+				expect(list.toArray()).toEqual([1, 3]);
+				expect(valuesBackwards(list)).toEqual([3, 1]);
+				expect(node.list).toBeNull();
+				expect(node.next).toBeNull();
+				expect(node.previous).toBeNull();
+				expect(list.length).toBe(2);
+			});
+
+			it("should remove the first node with a value", function () {
+				var list = new arrgh.LinkedList([1, 2, 1]);
+				expect(list.remove(1)).toBe(true);
+				expect(list.toArray()).toEqual([2, 1]);
+				expect(list.remove(3)).toBe(false);
+			});
+
+			it("should throw when removing a node that was already removed", function () {
+				var list = new arrgh.LinkedList([1]);
+				var node = list.first;
+				list.remove(node);
+				expect(function () {
+					list.remove(node);
+				}).toThrow(new Error("The LinkedList node does not belong to current LinkedList."));
+			});
+
+			it("should remove the first and last node", function () {
+				var list = new arrgh.LinkedList([1, 2, 3]);
+				list.removeFirst();
+				list.removeLast();
+				expect(list.toArray()).toEqual([2]);
+				expect(list.first).toBe(list.last);
+				list.removeLast();
+				expect(list.first).toBeNull();
+				expect(list.last).toBeNull();
+			});
+
+			it("should throw when removing from an empty list", function () {
+				var list = new arrgh.LinkedList();
+				expect(function () {
+					list.removeFirst();
+				}).toThrow(new Error("The LinkedList is empty."));
+				expect(function () {
+					list.removeLast();
+				}).toThrow(new Error("The LinkedList is empty."));
+			});
+
+			it("should clear the list", function () {
+				var list = new arrgh.LinkedList([1, 2]);
+				var node = list.first;
+				list.clear();
+				expect(list.length).toBe(0);
+				expect(list.count()).toBe(0);
+				expect(list.toArray()).toEqual([]);
+				expect(node.list).toBeNull();
+			});
+		});
+
+		describe("enumeration", function () {
+			it("should enumerate backwards", function () {
+				var list = new arrgh.LinkedList([1, 2, 3]);
+				expect(list.reverse().toArray()).toEqual([3, 2, 1]);
+				expect(list.reverse().first()).toBe(3);
+			});
+
+			it("should throw when the list is modified during enumeration", function () {
+				var list = new arrgh.LinkedList([1, 2]);
+				expect(function () {
+					list.forEach(function (n) {
+						list.addLast(n);
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+				expect(function () {
+					list.reverse().forEach(function () {
+						list.removeFirst();
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+			});
+
+			it("should support the LINQ surface", function () {
+				var list = new arrgh.LinkedList([1, 2, 3, 4]);
+				expect(list.elementAt(0)).toBe(1);
+				expect(list.count()).toBe(4);
+				expect(list.where(function (n) {
+					return n % 2 === 0;
+				}).toArray()).toEqual([2, 4]);
+			});
+		});
+	});
+};
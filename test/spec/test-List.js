@@ -702,6 +702,87 @@ var testList = function () {
 					l.set(0, 1);
 				}).toThrow();
 			});
+
+			it("should throw when an item is set during enumeration", function () {
+				var l = new arrgh.List(1, 2, 3);
+				expect(function () {
+					l.forEach(function (n, i) {
+						l.set(i, n * 2);
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+			});
+		});
+
+		describe("modification during enumeration", function () {
+			var modified = new Error("Collection was modified, enumeration operation may not execute.");
+
+			it("should throw when an item is added and removed", function () {
+				var l = new arrgh.List(1, 2, 3);
+				var iterator = l.getIterator();
+				iterator.moveNext();
+				l.add(4);
+				l.removeAt(3);
+				expect(function () {
+					iterator.moveNext();
+				}).toThrow(modified);
+			});
+
+			it("should throw when the list is cleared", function () {
+				var l = new arrgh.List(1, 2, 3);
+				var iterator = l.getIterator();
+				iterator.moveNext();
+				l.clear();
+				expect(function () {
+					iterator.moveNext();
+				}).toThrow(modified);
+			});
+
+			it("should throw when the list is sorted", function () {
+				var l = new arrgh.List(3, 2, 1);
+				expect(function () {
+					l.forEach(function () {
+						l.sort();
+					});
+				}).toThrow(modified);
+			});
+
+			it("should throw for queries over the list", function () {
+				var l = new arrgh.List(1, 2, 3);
+				var expectModified = function (query) {
+					expect(function () {
+						query.forEach(function (n, i) {
+							l.set(i, n);
+						});
+					}).toThrow(modified);
+					var iterator = query.getIterator();
+					iterator.moveNext();
+					l.set(0, 1);
+					expect(function () {
+						iterator.moveNext();
+					}).toThrow(modified);
+				};
+				expectModified(l.select(function (n) {
+					return n;
+				}));
+				expectModified(l.where(function () {
+					return true;
+				}));
+				expectModified(l.skip(1));
+				expectModified(l.take(2));
+				expectModified(l.reverse());
+			});
+
+			it("should not throw when nothing was removed", function () {
+				var l = new arrgh.List(1, 2, 3);
+				expect(function () {
+					l.forEach(function () {
+						l.remove(4);
+						l.removeAll(function () {
+							return false;
+						});
+					});
+				}).not.toThrow();
+			});
 		});
 
 		describe("sort", function () {
@@ -748,6 +829,12 @@ var testList = function () {
 				expect(l.toArray()).toEqual([p0, p3, p1, p2, p4, p5]);
 			});
 
+			it("should sort a huge list that is sorted in reverse order", function () {
+				var l = new arrgh.List(arrgh.Enumerable.range(0, 100000).reverse());
+				l.sort();
+				expect(l.sequenceEquals(arrgh.Enumerable.range(0, 100000))).toBe(true);
+			});
+
 			it("should not throw on an empty list", function () {
 				var l = new arrgh.List();
 				l.sort();
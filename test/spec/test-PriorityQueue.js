@@ -0,0 +1,223 @@
+/* exported testPriorityQueue */
+var testPriorityQueue = function () {
+	"use strict";
+
+	var reversed = function (x, y) {
+		return y - x;
+	};
+
+	var drainAll = function (q) {
+		var arr = [];
+		while (q.length) {
+			arr.push(q.dequeue());
+		}
+		return arr;
+	};
+
+	describe("PriorityQueue", function () {
+		describe("enqueue and dequeue", function () {
+			it("should dequeue the smallest priority first", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("c", 3);
+				q.enqueue("a", 1);
+				q.enqueue("d", 4);
+				q.enqueue("b", 2);
+				expect(q.length).toBe(4);
+				expect(drainAll(q)).toEqual(["a", "b", "c", "d"]);
+				expect(q.length).toBe(0);
+			});
+
+			it("should dequeue the greatest priority first with a reversed compare", function () {
+				var q = new arrgh.PriorityQueue(reversed);
+				q.enqueue("c", 3);
+				q.enqueue("a", 1);
+				q.enqueue("b", 2);
+				expect(drainAll(q)).toEqual(["c", "b", "a"]);
+			});
+
+			it("should dequeue equal priorities in the order they were enqueued", function () {
+				var q = new arrgh.PriorityQueue(),
+				i;
+				for (i = 0; i < 20; i += 1) {
+					q.enqueue(i, i % 3);
+				}
+				expect(drainAll(q)).toEqual([0, 3, 6, 9, 12, 15, 18, 1, 4, 7, 10, 13, 16, 19, 2, 5, 8, 11, 14, 17]);
+			});
+
+			it("should sort many elements", function () {
+				var q = new arrgh.PriorityQueue(),
+				i;
+				for (i = 0; i < 200; i += 1) {
+					q.enqueue((i * 61) % 200, (i * 61) % 200);
+				}
+				expect(drainAll(q)).toEqual(arrgh.Enumerable.range(0, 200).toArray());
+			});
+
+			it("should throw when dequeuing an empty queue", function () {
+				var q = new arrgh.PriorityQueue();
+				expect(function () {
+					q.dequeue();
+				}).toThrow(new Error("Queue empty."));
+			});
+		});
+
+		describe("peek", function () {
+			it("should return the element with the smallest priority without removing it", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("b", 2);
+				q.enqueue("a", 1);
+				expect(q.peek()).toBe("a");
+				expect(q.length).toBe(2);
+			});
+
+			it("should throw when peeking an empty queue", function () {
+				var q = new arrgh.PriorityQueue();
+				expect(function () {
+					q.peek();
+				}).toThrow(new Error("Queue empty."));
+			});
+		});
+
+		describe("tryDequeue and tryPeek", function () {
+			it("should return the element and its priority", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("a", 1);
+				expect(q.tryPeek()).toEqual({ success: true, value: "a", priority: 1 });
+				expect(q.tryDequeue()).toEqual({ success: true, value: "a", priority: 1 });
+				expect(q.length).toBe(0);
+			});
+
+			it("should return an unsuccessful result on an empty queue", function () {
+				var q = new arrgh.PriorityQueue();
+				expect(q.tryPeek()).toEqual({ success: false, value: undefined });
+				expect(q.tryDequeue()).toEqual({ success: false, value: undefined });
+			});
+		});
+
+		describe("enqueueDequeue", function () {
+			it("should return the new element when it has the smallest priority", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("b", 2);
+				expect(q.enqueueDequeue("a", 1)).toBe("a");
+				expect(q.length).toBe(1);
+				expect(q.peek()).toBe("b");
+			});
+
+			it("should return the element with the smallest priority", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("a", 1);
+				q.enqueue("c", 3);
+				expect(q.enqueueDequeue("b", 2)).toBe("a");
+				expect(drainAll(q)).toEqual(["b", "c"]);
+			});
+
+			it("should return the enqueued element before a new element with the same priority", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("a", 1);
+				expect(q.enqueueDequeue("b", 1)).toBe("a");
+				expect(q.peek()).toBe("b");
+			});
+
+			it("should return the new element on an empty queue", function () {
+				var q = new arrgh.PriorityQueue();
+				expect(q.enqueueDequeue("a", 1)).toBe("a");
+				expect(q.length).toBe(0);
+			});
+		});
+
+		describe("updatePriority", function () {
+			it("should move an element up and down", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("a", 1);
+				q.enqueue("b", 2);
+				q.enqueue("c", 3);
+				q.enqueue("d", 4);
+				expect(q.updatePriority("d", 0)).toBe(true);
+				expect(q.updatePriority("a", 5)).toBe(true);
+				expect(drainAll(q)).toEqual(["d", "b", "c", "a"]);
+			});
+
+			it("should place the element after elements that already have the priority", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("a", 1);
+				q.enqueue("b", 2);
+				q.updatePriority("a", 2);
+				expect(drainAll(q)).toEqual(["b", "a"]);
+			});
+
+			it("should return false when the element is not found", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("a", 1);
+				expect(q.updatePriority("b", 0)).toBe(false);
+			});
+
+			it("should find the element using an equality comparer", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue(p0, 1);
+				q.enqueue(p1, 2);
+				expect(q.updatePriority(p2, 0, firstNameEqComparer)).toBe(true);
+				expect(q.peek()).toBe(p1);
+			});
+		});
+
+		describe("clear", function () {
+			it("should remove all elements", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("a", 1);
+				q.clear();
+				expect(q.length).toBe(0);
+				expect(q.unorderedItems.toArray()).toEqual([]);
+			});
+		});
+
+		describe("unorderedItems", function () {
+			it("should contain all elements and priorities", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("b", 2);
+				q.enqueue("a", 1);
+				expect(q.unorderedItems.orderBy(function (item) {
+					return item.priority;
+				}).toArray()).toEqual([{ element: "a", priority: 1 }, { element: "b", priority: 2 }]);
+			});
+
+			it("should throw when the queue is modified during enumeration", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("a", 1);
+				q.enqueue("b", 2);
+				expect(function () {
+					q.unorderedItems.forEach(function () {
+						q.enqueue("c", 3);
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+			});
+		});
+
+		describe("drain", function () {
+			it("should dequeue the elements in order as it is enumerated", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue("c", 3);
+				q.enqueue("a", 1);
+				q.enqueue("b", 2);
+				var drained = q.drain();
+				expect(q.length).toBe(3);
+				expect(drained.take(2).toArray()).toEqual(["a", "b"]);
+				expect(q.length).toBe(1);
+				expect(drained.toArray()).toEqual(["c"]);
+				expect(q.length).toBe(0);
+			});
+
+			it("should dequeue elements that are enqueued during enumeration", function () {
+				var q = new arrgh.PriorityQueue();
+				q.enqueue(1, 1);
+				var arr = [];
+				q.drain().forEach(function (n) {
+					arr.push(n);
+					if (n < 3) {
+						q.enqueue(n + 1, n + 1);
+					}
+				});
+				expect(arr).toEqual([1, 2, 3]);
+			});
+		});
+	});
+};
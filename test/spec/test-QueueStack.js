@@ -0,0 +1,225 @@
+/* exported testQueueStack */
+var testQueueStack = function () {
+	"use strict";
+
+	describe("Queue", function () {
+		describe("ctor", function () {
+			it("should create an empty queue", function () {
+				var q = new arrgh.Queue();
+				expect(q.length).toBe(0);
+				expect(q.toArray()).toEqual([]);
+			});
+
+			it("should enqueue the elements of a collection", function () {
+				var q = new arrgh.Queue([1, 2, 3]);
+				expect(q.length).toBe(3);
+				expect(q.toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should enqueue params", function () {
+				var q = new arrgh.Queue("a", "b");
+				expect(q.toArray()).toEqual(["a", "b"]);
+			});
+		});
+
+		describe("enqueue and dequeue", function () {
+			it("should dequeue in first-in, first-out order", function () {
+				var q = new arrgh.Queue();
+				q.enqueue(1);
+				q.enqueue(2);
+				q.enqueue(3);
+				expect(q.dequeue()).toBe(1);
+				expect(q.dequeue()).toBe(2);
+				q.enqueue(4);
+				expect(q.dequeue()).toBe(3);
+				expect(q.dequeue()).toBe(4);
+				expect(q.length).toBe(0);
+			});
+
+			it("should keep the order when the queue wraps around and grows", function () {
+				var q = new arrgh.Queue(),
+				i,
+				dequeued = [];
+				for (i = 0; i < 3; i += 1) {
+					q.enqueue(i);
+				}
+				dequeued.push(q.dequeue());
+				dequeued.push(q.dequeue());
+				for (i = 3; i < 20; i += 1) {
+					q.enqueue(i);
+				}
+				expect(q.toArray()).toEqual(arrgh.Enumerable.range(2, 18).toArray());
+				while (q.length) {
+					dequeued.push(q.dequeue());
+				}
+				expect(dequeued).toEqual(arrgh.Enumerable.range(0, 20).toArray());
+			});
+
+			it("should throw when dequeuing an empty queue", function () {
+				var q = new arrgh.Queue();
+				expect(function () {
+					q.dequeue();
+				}).toThrow(new Error("Queue empty."));
+			});
+		});
+
+		describe("peek", function () {
+			it("should return the first element without removing it", function () {
+				var q = new arrgh.Queue([1, 2]);
+				expect(q.peek()).toBe(1);
+				expect(q.length).toBe(2);
+			});
+
+			it("should throw when peeking an empty queue", function () {
+				var q = new arrgh.Queue();
+				expect(function () {
+					q.peek();
+				}).toThrow(new Error("Queue empty."));
+			});
+		});
+
+		describe("tryDequeue and tryPeek", function () {
+			it("should return a successful result", function () {
+				var q = new arrgh.Queue([1, 2]);
+				expect(q.tryPeek()).toEqual({ success: true, value: 1 });
+				expect(q.tryDequeue()).toEqual({ success: true, value: 1 });
+				expect(q.length).toBe(1);
+			});
+
+			it("should return an unsuccessful result on an empty queue", function () {
+				var q = new arrgh.Queue();
+				expect(q.tryPeek()).toEqual({ success: false, value: undefined });
+				expect(q.tryDequeue()).toEqual({ success: false, value: undefined });
+			});
+		});
+
+		describe("clear", function () {
+			it("should remove all elements", function () {
+				var q = new arrgh.Queue([1, 2]);
+				q.clear();
+				expect(q.length).toBe(0);
+				expect(q.count()).toBe(0);
+				q.enqueue(3);
+				expect(q.toArray()).toEqual([3]);
+			});
+		});
+
+		describe("enumeration", function () {
+			it("should throw when the queue is modified during enumeration", function () {
+				var q = new arrgh.Queue([1, 2]);
+				expect(function () {
+					q.forEach(function () {
+						q.enqueue(3);
+						q.dequeue();
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+			});
+
+			it("should support the LINQ surface", function () {
+				var q = new arrgh.Queue([1, 2, 3, 4]);
+				expect(q.where(function (n) {
+					return n % 2 === 0;
+				}).toArray()).toEqual([2, 4]);
+				expect(q.last()).toBe(4);
+			});
+		});
+	});
+
+	describe("Stack", function () {
+		describe("ctor", function () {
+			it("should create an empty stack", function () {
+				var s = new arrgh.Stack();
+				expect(s.length).toBe(0);
+				expect(s.toArray()).toEqual([]);
+			});
+
+			it("should push the elements of a collection", function () {
+				var s = new arrgh.Stack([1, 2, 3]);
+				expect(s.length).toBe(3);
+				expect(s.peek()).toBe(3);
+			});
+
+			it("should push params", function () {
+				var s = new arrgh.Stack("a", "b");
+				expect(s.peek()).toBe("b");
+			});
+		});
+
+		describe("push and pop", function () {
+			it("should pop in last-in, first-out order", function () {
+				var s = new arrgh.Stack();
+				s.push(1);
+				s.push(2);
+				expect(s.pop()).toBe(2);
+				s.push(3);
+				expect(s.pop()).toBe(3);
+				expect(s.pop()).toBe(1);
+				expect(s.length).toBe(0);
+			});
+
+			it("should throw when popping an empty stack", function () {
+				var s = new arrgh.Stack();
+				expect(function () {
+					s.pop();
+				}).toThrow(new Error("Stack empty."));
+			});
+		});
+
+		describe("peek", function () {
+			it("should return the top element without removing it", function () {
+				var s = new arrgh.Stack([1, 2]);
+				expect(s.peek()).toBe(2);
+				expect(s.length).toBe(2);
+			});
+
+			it("should throw when peeking an empty stack", function () {
+				var s = new arrgh.Stack();
+				expect(function () {
+					s.peek();
+				}).toThrow(new Error("Stack empty."));
+			});
+		});
+
+		describe("tryPop and tryPeek", function () {
+			it("should return a successful result", function () {
+				var s = new arrgh.Stack([1, 2]);
+				expect(s.tryPeek()).toEqual({ success: true, value: 2 });
+				expect(s.tryPop()).toEqual({ success: true, value: 2 });
+				expect(s.length).toBe(1);
+			});
+
+			it("should return an unsuccessful result on an empty stack", function () {
+				var s = new arrgh.Stack();
+				expect(s.tryPeek()).toEqual({ success: false, value: undefined });
+				expect(s.tryPop()).toEqual({ success: false, value: undefined });
+			});
+		});
+
+		describe("clear", function () {
+			it("should remove all elements", function () {
+				var s = new arrgh.Stack([1, 2]);
+				s.clear();
+				expect(s.length).toBe(0);
+				expect(s.toArray()).toEqual([]);
+			});
+		});
+
+		describe("enumeration", function () {
+			it("should enumerate from the top to the bottom", function () {
+				var s = new arrgh.Stack([1, 2, 3]);
+				expect(s.toArray()).toEqual([3, 2, 1]);
+				expect(s.first()).toBe(3);
+			});
+
+			it("should throw when the stack is modified during enumeration", function () {
+				var s = new arrgh.Stack([1, 2]);
+				expect(function () {
+					s.forEach(function () {
+						s.push(3);
+						s.pop();
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+			});
+		});
+	});
+};
@@ -0,0 +1,229 @@
+/* exported testSortedDictionary */
+var testSortedDictionary = function () {
+	"use strict";
+
+	var byLength = function (x, y) {
+		return x.length - y.length;
+	};
+
+	var create = function () {
+		var d = new arrgh.SortedDictionary();
+		d.add(5, "five");
+		d.add(1, "one");
+		d.add(9, "nine");
+		d.add(3, "three");
+		d.add(7, "seven");
+		return d;
+	};
+
+	describe("SortedDictionary", function () {
+		describe("add", function () {
+			it("should add keys and enumerate them in order", function () {
+				var d = create();
+				expect(d.length).toBe(5);
+				expect(d.toArray()).toEqual([
+					{ key: 1, value: "one" },
+					{ key: 3, value: "three" },
+					{ key: 5, value: "five" },
+					{ key: 7, value: "seven" },
+					{ key: 9, value: "nine" }
+				]);
+			});
+
+			it("should throw when a key is already present", function () {
+				var d = create();
+				expect(function () {
+					d.add(5, "again");
+				}).toThrow(new Error("Key [5] is already present in the dictionary."));
+				expect(d.length).toBe(5);
+			});
+
+			it("should sort using a compare function", function () {
+				var d = new arrgh.SortedDictionary(byLength);
+				d.add("ccc", 3);
+				d.add("a", 1);
+				d.add("bb", 2);
+				expect(d.getKeys()).toEqual(["a", "bb", "ccc"]);
+				expect(d.containsKey("zz")).toBe(true);
+			});
+
+			it("should sort undefined and null before anything else", function () {
+				var d = new arrgh.SortedDictionary();
+				d.add(1);
+				d.add(null);
+				d.add(undefined);
+				expect(d.getKeys()).toEqual([undefined, null, 1]);
+			});
+
+			it("should stay sorted with many additions and removals", function () {
+				var d = new arrgh.SortedDictionary(),
+				keys = [],
+				i,
+				key;
+				for (i = 0; i < 500; i += 1) {
+					key = (i * 7919) % 1009;
+					d.add(key, i);
+					keys.push(key);
+				}
+				for (i = 0; i < 500; i += 3) {
+					d.remove(keys[i]);
+				}
+				keys = arrgh.Enumerable.range(0, 500).where(function (n) {
+					return n % 3 !== 0;
+				}).select(function (n) {
+					return keys[n];
+				}).orderBy(function (k) {
+					return k;
+				}).toArray();
+				expect(d.getKeys()).toEqual(keys);
+				expect(d.length).toBe(keys.length);
+			});
+
+			it("should throw when the dictionary is modified during enumeration", function () {
+				var d = create();
+				expect(function () {
+					d.forEach(function (p) {
+						d.add(p.key + 0.5);
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+			});
+		});
+
+		describe("get and set", function () {
+			it("should get the value at a key", function () {
+				var d = create();
+				expect(d.get(7)).toBe("seven");
+			});
+
+			it("should throw when the key is not present", function () {
+				var d = create();
+				expect(function () {
+					d.get(2);
+				}).toThrow(new Error("Key [2] was not found in the dictionary."));
+				expect(function () {
+					d.set(2, "two");
+				}).toThrow(new Error("Key [2] was not found in the dictionary."));
+			});
+
+			it("should set the value at a key", function () {
+				var d = create();
+				d.set(3, "THREE");
+				expect(d.get(3)).toBe("THREE");
+				expect(d.length).toBe(5);
+			});
+
+			it("should allow setting values during enumeration", function () {
+				var d = create();
+				d.forEach(function (p) {
+					d.set(p.key, p.key);
+				});
+				expect(d.getValues()).toEqual([1, 3, 5, 7, 9]);
+			});
+
+			it("should try to get a value", function () {
+				var d = create();
+				expect(d.tryGet(9)).toEqual({ success: true, value: "nine" });
+				expect(d.tryGet(8)).toEqual({ success: false, value: undefined });
+			});
+		});
+
+		describe("contains", function () {
+			it("should check for keys", function () {
+				var d = create();
+				expect(d.containsKey(1)).toBe(true);
+				expect(d.containsKey(2)).toBe(false);
+			});
+
+			it("should check for values", function () {
+				var d = create();
+				expect(d.containsValue("one")).toBe(true);
+				expect(d.containsValue("two")).toBe(false);
+			});
+		});
+
+		describe("remove and clear", function () {
+			it("should remove a key", function () {
+				var d = create();
+				expect(d.remove(5)).toBe(true);
+				expect(d.remove(5)).toBe(false);
+				expect(d.length).toBe(4);
+				expect(d.getKeys()).toEqual([1, 3, 7, 9]);
+			});
+
+			it("should clear the dictionary", function () {
+				var d = create();
+				d.clear();
+				expect(d.length).toBe(0);
+				expect(d.count()).toBe(0);
+				expect(d.toArray()).toEqual([]);
+			});
+		});
+
+		describe("getRange", function () {
+			it("should get an inclusive range", function () {
+				var d = create();
+				expect(d.getRange(3, 7).select(function (p) {
+					return p.value;
+				}).toArray()).toEqual(["three", "five", "seven"]);
+			});
+
+			it("should get a range with bounds that are not keys", function () {
+				var d = create();
+				expect(d.getRange(2, 8).count()).toBe(3);
+				expect(d.getRange(10, 20).toArray()).toEqual([]);
+			});
+
+			it("should be lazy", function () {
+				var d = create();
+				var range = d.getRange(0, 4);
+				d.add(2, "two");
+				expect(range.select(function (p) {
+					return p.key;
+				}).toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should throw when the lower bound is greater than the upper bound", function () {
+				var d = create();
+				expect(function () {
+					d.getRange(7, 3);
+				}).toThrow(new Error("The lower bound must be smaller than or equal to the upper bound."));
+			});
+		});
+
+		describe("floorKey and ceilingKey", function () {
+			it("should find the nearest keys", function () {
+				var d = create();
+				expect(d.floorKey(5)).toBe(5);
+				expect(d.floorKey(6)).toBe(5);
+				expect(d.floorKey(100)).toBe(9);
+				expect(d.ceilingKey(5)).toBe(5);
+				expect(d.ceilingKey(6)).toBe(7);
+				expect(d.ceilingKey(-100)).toBe(1);
+			});
+
+			it("should return undefined when there is no nearest key", function () {
+				var d = create();
+				expect(d.floorKey(0)).toBeUndefined();
+				expect(d.ceilingKey(10)).toBeUndefined();
+			});
+		});
+
+		describe("firstKey and lastKey", function () {
+			it("should get the smallest and greatest keys", function () {
+				var d = create();
+				expect(d.firstKey()).toBe(1);
+				expect(d.lastKey()).toBe(9);
+			});
+
+			it("should throw when the dictionary is empty", function () {
+				var d = new arrgh.SortedDictionary();
+				expect(function () {
+					d.firstKey();
+				}).toThrow(new Error("Collection contains no elements."));
+				expect(function () {
+					d.lastKey();
+				}).toThrow(new Error("Collection contains no elements."));
+			});
+		});
+	});
+};
@@ -0,0 +1,240 @@
+/* exported testSortedSet */
+var testSortedSet = function () {
+	"use strict";
+
+	var byAge = function (x, y) {
+		return x.age - y.age;
+	};
+
+	describe("SortedSet", function () {
+		describe("ctor", function () {
+			it("should create an empty set", function () {
+				var set = new arrgh.SortedSet();
+				expect(set.length).toBe(0);
+				expect(set.toArray()).toEqual([]);
+			});
+
+			it("should create a sorted set from a collection and ignore duplicates", function () {
+				var set = new arrgh.SortedSet([5, 1, 3, 1, 5]);
+				expect(set.length).toBe(3);
+				expect(set.toArray()).toEqual([1, 3, 5]);
+			});
+
+			it("should create a set with a compare function", function () {
+				var set = new arrgh.SortedSet([p1, p0, p3], byAge);
+				expect(set.toArray()).toEqual([p3, p0, p1]);
+			});
+
+			it("should create an empty set with only a compare function", function () {
+				var set = new arrgh.SortedSet(byAge);
+				set.add(p1);
+				set.add(p3);
+				expect(set.toArray()).toEqual([p3, p1]);
+			});
+
+			it("should throw on an invalid argument", function () {
+				expect(function () {
+					return new arrgh.SortedSet(true);
+				}).toThrow();
+			});
+		});
+
+		describe("add and remove", function () {
+			it("should add new elements and return true", function () {
+				var set = new arrgh.SortedSet();
+				expect(set.add("b")).toBe(true);
+				expect(set.add("a")).toBe(true);
+				expect(set.add("b")).toBe(false);
+				expect(set.length).toBe(2);
+				expect(set.toArray()).toEqual(["a", "b"]);
+			});
+
+			it("should treat elements that compare equal as duplicates", function () {
+				var set = new arrgh.SortedSet(byAge);
+				expect(set.add(p2)).toBe(true);
+				expect(set.add(p4)).toBe(false);
+				expect(set.toArray()).toEqual([p2]);
+			});
+
+			it("should remove elements and return whether they were found", function () {
+				var set = new arrgh.SortedSet([1, 2, 3]);
+				expect(set.remove(2)).toBe(true);
+				expect(set.remove(2)).toBe(false);
+				expect(set.length).toBe(2);
+				expect(set.toArray()).toEqual([1, 3]);
+			});
+
+			it("should clear the set", function () {
+				var set = new arrgh.SortedSet([1, 2, 3]);
+				set.clear();
+				expect(set.length).toBe(0);
+				expect(set.any()).toBe(false);
+			});
+
+			it("should throw when the set is modified during enumeration", function () {
+				var set = new arrgh.SortedSet([1, 2]);
+				expect(function () {
+					set.forEach(function (n) {
+						set.remove(n);
+					});
+				}).toThrow(new Error("Collection was modified, enumeration operation may not execute."));
+			});
+		});
+
+		describe("contains", function () {
+			it("should use the compare function of the set", function () {
+				var set = new arrgh.SortedSet([p0, p1], byAge);
+				expect(set.contains(p0)).toBe(true);
+				expect(set.contains({ age: 58 })).toBe(true);
+				expect(set.contains(p2)).toBe(false);
+			});
+
+			it("should use a specified equality comparer", function () {
+				var set = new arrgh.SortedSet([p0, p1], byAge);
+				expect(set.contains(p2, firstNameEqComparer)).toBe(true);
+			});
+		});
+
+		describe("min and max", function () {
+			it("should get the smallest and greatest element", function () {
+				var set = new arrgh.SortedSet(["b", "c", "a"]);
+				expect(set.min()).toBe("a");
+				expect(set.max()).toBe("c");
+			});
+
+			it("should use a selector", function () {
+				var set = new arrgh.SortedSet([p0, p1, p3], byAge);
+				expect(set.min(function (p) {
+					return p.first.length;
+				})).toBe(4);
+				expect(set.max(function (p) {
+					return p.first.length;
+				})).toBe(6);
+			});
+
+			it("should throw when the set is empty", function () {
+				var set = new arrgh.SortedSet();
+				expect(function () {
+					set.min();
+				}).toThrow(new Error("Collection contains no elements."));
+				expect(function () {
+					set.max();
+				}).toThrow(new Error("Collection contains no elements."));
+			});
+		});
+
+		describe("getViewBetween", function () {
+			it("should get an inclusive view", function () {
+				var set = new arrgh.SortedSet([1, 3, 5, 7, 9]);
+				expect(set.getViewBetween(3, 7).toArray()).toEqual([3, 5, 7]);
+				expect(set.getViewBetween(4, 8).toArray()).toEqual([5, 7]);
+				expect(set.getViewBetween(10, 12).toArray()).toEqual([]);
+			});
+
+			it("should be lazy", function () {
+				var set = new arrgh.SortedSet([1, 5]);
+				var view = set.getViewBetween(0, 4);
+				set.add(3);
+				expect(view.toArray()).toEqual([1, 3]);
+			});
+
+			it("should throw when the lower bound is greater than the upper bound", function () {
+				var set = new arrgh.SortedSet([1, 2]);
+				expect(function () {
+					set.getViewBetween(2, 1);
+				}).toThrow(new Error("The lower bound must be smaller than or equal to the upper bound."));
+			});
+		});
+
+		describe("ranks", function () {
+			it("should get the rank of an element", function () {
+				var set = new arrgh.SortedSet([10, 30, 20, 40]);
+				expect(set.rankOf(10)).toBe(0);
+				expect(set.rankOf(30)).toBe(2);
+				expect(set.rankOf(40)).toBe(3);
+				expect(set.rankOf(25)).toBe(-1);
+			});
+
+			it("should get the element at a rank", function () {
+				var set = new arrgh.SortedSet([10, 30, 20, 40]);
+				expect(set.elementAtRank(0)).toBe(10);
+				expect(set.elementAtRank(3)).toBe(40);
+				expect(set.elementAt(1)).toBe(20);
+				expect(set.elementAtOrDefault(4, "d")).toBe("d");
+			});
+
+			it("should throw when the rank is out of range", function () {
+				var set = new arrgh.SortedSet([10]);
+				expect(function () {
+					set.elementAtRank(1);
+				}).toThrow(new Error("Index was out of range. Must be non-negative and less than the size of the collection."));
+				expect(function () {
+					set.elementAtRank(-1);
+				}).toThrow();
+			});
+
+			it("should throw when the rank is not an integer", function () {
+				var set = new arrgh.SortedSet([10, 20, 30]);
+				expect(function () {
+					set.elementAtRank("1");
+				}).toThrow(new arrgh.ArgumentError("SortedSet.elementAtRank: rank must be a number.", "rank"));
+				expect(function () {
+					set.elementAtRank(1.5);
+				}).toThrow(new arrgh.ArgumentOutOfRangeError("Rank must be an integer.", "rank", 1.5));
+				expect(function () {
+					set.elementAt(0.5);
+				}).toThrow(new arrgh.ArgumentOutOfRangeError("Index must be an integer.", "index", 0.5));
+				expect(function () {
+					set.elementAtOrDefault("1");
+				}).toThrow(new arrgh.ArgumentError("SortedSet.elementAtOrDefault: index must be a number.", "index"));
+				expect(set.elementAtOrDefault(1.5, "d")).toBe("d");
+			});
+
+			it("should keep ranks after many additions and removals", function () {
+				var set = new arrgh.SortedSet(),
+				i;
+				for (i = 0; i < 300; i += 1) {
+					set.add((i * 37) % 300);
+				}
+				for (i = 0; i < 300; i += 2) {
+					set.remove(i);
+				}
+				expect(set.length).toBe(150);
+				for (i = 0; i < 150; i += 1) {
+					expect(set.elementAtRank(i)).toBe(i * 2 + 1);
+					expect(set.rankOf(i * 2 + 1)).toBe(i);
+				}
+			});
+		});
+
+		describe("reverse", function () {
+			it("should enumerate from the greatest to the smallest element", function () {
+				var set = new arrgh.SortedSet([2, 3, 1]);
+				expect(set.reverse().toArray()).toEqual([3, 2, 1]);
+				expect(set.toArray()).toEqual([1, 2, 3]);
+			});
+
+			it("should be lazy", function () {
+				var set = new arrgh.SortedSet([2, 1]);
+				var reversed = set.reverse();
+				set.add(3);
+				expect(reversed.take(2).toArray()).toEqual([3, 2]);
+			});
+		});
+
+		describe("Enumerable", function () {
+			it("should support the full LINQ surface", function () {
+				var set = new arrgh.SortedSet([5, 3, 8, 1]);
+				expect(set instanceof arrgh.Enumerable).toBe(true);
+				expect(set.where(function (n) {
+					return n > 2;
+				}).select(function (n) {
+					return n * 2;
+				}).toArray()).toEqual([6, 10, 16]);
+				expect(set.count()).toBe(4);
+				expect(set.first()).toBe(1);
+				expect(set.last()).toBe(8);
+			});
+		});
+	});
+};
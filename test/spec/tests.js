@@ -110,5 +110,13 @@ var firstNameComparer = function (x, y) {
 		testEnumerableStatics();
 		testList();
 		testDictionary();
+		testHashSet();
+		testSortedDictionary();
+		testSortedSet();
+		testQueueStack();
+		testPriorityQueue();
+		testLinkedList();
+		testErrors();
+		testAsyncEnumerable();
 	});
 }());
\ No newline at end of file